@@ -0,0 +1,125 @@
+/**
+ * Backfill Media Keys
+ * Adds the storage keys that /uploads access checks look files up by to
+ * messages, statuses and group chats saved before those fields existed:
+ * - messages.mediaKeys (file and thumbnail of media messages)
+ * - status.statuses[].mediaKeys
+ * - chats.groupPictureKey
+ * Only documents still missing the field are touched, so it is safe to run again.
+ *
+ * Run with: node scripts/backfill-media-keys.js
+ */
+
+import { getMongoDB, connectMongoDB } from '../src/config/mongodb.config.js';
+import {
+  MEDIA_MESSAGE_TYPES,
+  getMediaKey,
+  getMediaKeys,
+  getMessageMediaKeys,
+} from '../src/services/media-access.service.js';
+
+const BATCH_SIZE = 500;
+
+async function backfillMessages(mongoDb) {
+  const messagesCollection = mongoDb.collection('messages');
+  const cursor = messagesCollection.find(
+    {
+      mediaKeys: { $exists: false },
+      $or: [
+        { messageType: { $in: MEDIA_MESSAGE_TYPES } },
+        { 'media.thumbnailUrl': { $type: 'string' } },
+      ],
+    },
+    { projection: { messageType: 1, message: 1, media: 1 } }
+  );
+
+  let updated = 0;
+  let operations = [];
+  for await (const message of cursor) {
+    const mediaKeys = getMessageMediaKeys(message);
+    if (mediaKeys.length === 0) {
+      continue;
+    }
+    operations.push({ updateOne: { filter: { _id: message._id }, update: { $set: { mediaKeys } } } });
+    if (operations.length === BATCH_SIZE) {
+      updated += (await messagesCollection.bulkWrite(operations, { ordered: false })).modifiedCount;
+      operations = [];
+    }
+  }
+  if (operations.length > 0) {
+    updated += (await messagesCollection.bulkWrite(operations, { ordered: false })).modifiedCount;
+  }
+  return updated;
+}
+
+async function backfillStatuses(mongoDb) {
+  const statusCollection = mongoDb.collection('status');
+  const cursor = statusCollection.find(
+    { statuses: { $elemMatch: { url: { $type: 'string' }, mediaKeys: { $exists: false } } } },
+    { projection: { statuses: 1 } }
+  );
+
+  let updated = 0;
+  for await (const status of cursor) {
+    for (const item of status.statuses) {
+      if (!item.url || item.mediaKeys) {
+        continue;
+      }
+      const mediaKeys = getMediaKeys(item.url, item.media);
+      if (mediaKeys.length === 0) {
+        continue;
+      }
+      const result = await statusCollection.updateOne(
+        { _id: status._id, 'statuses.id': item.id },
+        { $set: { 'statuses.$.mediaKeys': mediaKeys } }
+      );
+      updated += result.modifiedCount;
+    }
+  }
+  return updated;
+}
+
+async function backfillGroupPictures(mongoDb) {
+  const chatsCollection = mongoDb.collection('chats');
+  const cursor = chatsCollection.find(
+    { groupPictureUrl: { $type: 'string' }, groupPictureKey: { $exists: false } },
+    { projection: { groupPictureUrl: 1 } }
+  );
+
+  let updated = 0;
+  for await (const chat of cursor) {
+    const result = await chatsCollection.updateOne(
+      { _id: chat._id },
+      { $set: { groupPictureKey: getMediaKey(chat.groupPictureUrl) } }
+    );
+    updated += result.modifiedCount;
+  }
+  return updated;
+}
+
+async function backfillMediaKeys() {
+  console.log('🔄 Backfilling media keys...\n');
+
+  try {
+    await connectMongoDB();
+    const mongoDb = getMongoDB();
+
+    const messages = await backfillMessages(mongoDb);
+    console.log(`   ✅ messages: ${messages} updated`);
+
+    const statuses = await backfillStatuses(mongoDb);
+    console.log(`   ✅ status items: ${statuses} updated`);
+
+    const chats = await backfillGroupPictures(mongoDb);
+    console.log(`   ✅ group chats: ${chats} updated`);
+
+    console.log('\n✅ Media key backfill complete!\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling media keys:', error);
+    console.error('   Error details:', error.message);
+    process.exit(1);
+  }
+}
+
+backfillMediaKeys();
@@ -18,7 +18,19 @@ async function resetDatabase() {
     
     console.log('📊 Deleting data from all tables...\n');
     
+    console.log('   🗑️  Deleting account_deletion_jobs...');
+    await queryWithRetry('DELETE FROM account_deletion_jobs', [], 3, 20000);
+    
+    console.log('   🗑️  Deleting otp_lockouts...');
+    await queryWithRetry('DELETE FROM otp_lockouts', [], 3, 20000);
+    
     // Child tables (with foreign keys) - delete first
+    console.log('   🗑️  Deleting data_export_jobs...');
+    await queryWithRetry('DELETE FROM data_export_jobs', [], 3, 20000);
+    
+    console.log('   🗑️  Deleting scheduled_messages...');
+    await queryWithRetry('DELETE FROM scheduled_messages', [], 3, 20000);
+    
     console.log('   🗑️  Deleting status_views...');
     await queryWithRetry('DELETE FROM status_views', [], 3, 20000);
     
@@ -74,7 +86,11 @@ async function resetDatabase() {
     console.log('   - user_activity_logs');
     console.log('   - status_updates');
     console.log('   - status_views');
-    console.log('   - blocked_users\n');
+    console.log('   - blocked_users');
+    console.log('   - account_deletion_jobs');
+    console.log('   - data_export_jobs');
+    console.log('   - scheduled_messages');
+    console.log('   - otp_lockouts\n');
     
     process.exit(0);
   } catch (error) {
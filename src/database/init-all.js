@@ -51,10 +51,15 @@ async function initPostgreSQL() {
     console.log('     - contacts (with favorites)');
     console.log('     - user_sessions (multi-device support)');
     console.log('     - login_logs (authentication tracking)');
+    console.log('     - otp_lockouts (failed OTP burst lockouts)');
     console.log('     - user_activity_logs (comprehensive tracking)');
     console.log('     - status_updates (prepared for future)');
     console.log('     - status_views (prepared for future)');
     console.log('     - blocked_users');
+    console.log('     - account_deletion_jobs (resumable account erasure)');
+    console.log('     - data_export_jobs (download my data archives)');
+    console.log('     - scheduled_messages (send later)');
+    console.log('     - upload_sessions (resumable uploads)');
     console.log('   Created indexes, triggers, and views\n');
   } catch (error) {
     if (error.message.includes('already exists')) {
@@ -91,7 +96,7 @@ async function initializeAll() {
     
     console.log('✅ All databases initialized successfully!');
     console.log('\n📊 Summary:');
-    console.log('   - PostgreSQL: 9 tables, comprehensive indexes, triggers, and views');
+    console.log('   - PostgreSQL: 13 tables, comprehensive indexes, triggers, and views');
     console.log('   - MongoDB: 7 collections with optimized indexes');
     console.log('   - Activity tracking: Enabled for all user actions');
     console.log('   - Session management: Multi-device support ready');
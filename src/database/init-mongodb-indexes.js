@@ -107,6 +107,17 @@ async function initializeIndexes() {
     );
     console.log('   ✅ Index: updatedAt (descending)');
     
+    // Index 7: Storage key of the group picture (access checks when serving uploads)
+    await chatsCollection.createIndex(
+      { groupPictureKey: 1 },
+      { 
+        name: 'idx_groupPictureKey',
+        background: true,
+        partialFilterExpression: { groupPictureKey: { $type: 'string' } }
+      }
+    );
+    console.log('   ✅ Index: groupPictureKey');
+    
     console.log('   ✅ All chat indexes created successfully\n');
     
     // ============================================
@@ -197,7 +208,81 @@ async function initializeIndexes() {
     );
     console.log('   ✅ Index: readBy');
     
-    // Index 9: TTL index for auto-deleting old messages (optional - 1 year retention)
+    // Index 9: Replies to a message (GET /api/messages/:messageId/replies)
+    await messagesCollection.createIndex(
+      { 'replyTo.messageId': 1, createdAt: -1 },
+      { 
+        name: 'idx_replyTo_messageId',
+        background: true,
+        partialFilterExpression: { 'replyTo.messageId': { $exists: true } }
+      }
+    );
+    console.log('   ✅ Index: replyTo.messageId + createdAt');
+    
+    // Index 10: Scheduled message dedupe - one message per scheduled_messages row,
+    // even if two dispatchers race on the same row
+    await messagesCollection.createIndex(
+      { scheduledMessageId: 1 },
+      { 
+        name: 'idx_scheduledMessageId',
+        background: true,
+        unique: true,
+        partialFilterExpression: { scheduledMessageId: { $type: 'string' } }
+      }
+    );
+    console.log('   ✅ Index: scheduledMessageId (unique)');
+    
+    // Index 11: Live location expiry sweep
+    await messagesCollection.createIndex(
+      { 'location.live.expiresAt': 1 },
+      { 
+        name: 'idx_live_location_expiresAt',
+        background: true,
+        partialFilterExpression: { messageType: 'live_location' }
+      }
+    );
+    console.log('   ✅ Index: location.live.expiresAt (live locations)');
+    
+    // Index 12: Full-text search (GET /api/messages/search)
+    // Only message types whose text is searchable - media messages just hold a file URL.
+    // No language: chats are multilingual, so no stemming or stop words
+    await messagesCollection.createIndex(
+      { message: 'text' },
+      { 
+        name: 'idx_message_text',
+        background: true,
+        default_language: 'none',
+        partialFilterExpression: { messageType: { $in: ['text', 'poll', 'location', 'live_location', 'contact'] } }
+      }
+    );
+    console.log('   ✅ Text Index: message (search)');
+    
+    // Index 13: Storage keys of a message's file and thumbnail (access checks when serving uploads,
+    // whether an expiring message's file is still used elsewhere)
+    await messagesCollection.createIndex(
+      { mediaKeys: 1 },
+      { 
+        name: 'idx_mediaKeys',
+        background: true,
+        partialFilterExpression: { mediaKeys: { $exists: true } }
+      }
+    );
+    console.log('   ✅ Index: mediaKeys');
+    
+    // Index 14: TTL index for disappearing messages (1 day grace - the purge job
+    // deletes expired messages and their files first)
+    await messagesCollection.createIndex(
+      { expiresAt: 1 },
+      { 
+        name: 'idx_ttl_expiresAt',
+        expireAfterSeconds: 86400, // 1 day after expiresAt
+        partialFilterExpression: { expiresAt: { $type: 'date' } },
+        background: true
+      }
+    );
+    console.log('   ✅ TTL Index: expiresAt (disappearing messages)');
+    
+    // Index 15: TTL index for auto-deleting old messages (optional - 1 year retention)
     // Uncomment if you want automatic cleanup of messages older than 1 year
     // await messagesCollection.createIndex(
     //   { createdAt: 1 },
@@ -403,6 +488,17 @@ async function initializeIndexes() {
     );
     console.log('   ✅ Index: statuses.id');
     
+    // Index 7: Storage keys of status files and thumbnails (access checks when serving uploads)
+    await statusCollection.createIndex(
+      { 'statuses.mediaKeys': 1 },
+      { 
+        name: 'idx_statuses_mediaKeys',
+        background: true,
+        sparse: true
+      }
+    );
+    console.log('   ✅ Index: statuses.mediaKeys');
+    
     console.log('   ✅ All status indexes created successfully\n');
     
     // ============================================
@@ -59,6 +59,7 @@ export async function initializeMongoDBSchema() {
     await chatsCollection.createIndex({ updatedAt: -1 }, { name: 'idx_updatedAt', background: true });
     await chatsCollection.createIndex({ archivedBy: 1 }, { name: 'idx_archivedBy', background: true, sparse: true });
     await chatsCollection.createIndex({ pinnedBy: 1 }, { name: 'idx_pinnedBy', background: true, sparse: true });
+    await chatsCollection.createIndex({ groupPictureKey: 1 }, { name: 'idx_groupPictureKey', background: true, partialFilterExpression: { groupPictureKey: { $type: 'string' } } });
     console.log('   ✅ Chats collection ready\n');
     
     // ============================================
@@ -79,6 +80,34 @@ export async function initializeMongoDBSchema() {
     await messagesCollection.createIndex({ 'readReceipts.userId': 1 }, { name: 'idx_readReceipts_userId', background: true, sparse: true });
     await messagesCollection.createIndex({ deletedAt: 1 }, { name: 'idx_deletedAt', background: true, sparse: true });
     await messagesCollection.createIndex({ editedAt: 1 }, { name: 'idx_editedAt', background: true, sparse: true });
+    await messagesCollection.createIndex({ 'location.live.expiresAt': 1 }, { name: 'idx_live_location_expiresAt', background: true, partialFilterExpression: { messageType: 'live_location' } });
+    await messagesCollection.createIndex({ scheduledMessageId: 1 }, { name: 'idx_scheduledMessageId', background: true, unique: true, partialFilterExpression: { scheduledMessageId: { $type: 'string' } } });
+    await messagesCollection.createIndex({ 'replyTo.messageId': 1, createdAt: -1 }, { name: 'idx_replyTo_messageId', background: true, partialFilterExpression: { 'replyTo.messageId': { $exists: true } } });
+    await messagesCollection.createIndex({ message: 'text' }, { name: 'idx_message_text', background: true, default_language: 'none', partialFilterExpression: { messageType: { $in: ['text', 'poll', 'location', 'live_location', 'contact'] } } });
+    await messagesCollection.createIndex({ mediaKeys: 1 }, { name: 'idx_mediaKeys', background: true, partialFilterExpression: { mediaKeys: { $exists: true } } });
+    
+    // TTL index for disappearing messages
+    // The purge job (disappearing-messages.service.js) deletes expired messages and their
+    // files; the 1 day grace period leaves it time to do so before MongoDB removes the doc.
+    try {
+      const indexes = await messagesCollection.indexes();
+      const ttlIndex = indexes.find(idx => idx.name === 'idx_ttl_expiresAt');
+      if (!ttlIndex) {
+        await messagesCollection.createIndex(
+          { expiresAt: 1 },
+          { 
+            name: 'idx_ttl_expiresAt',
+            expireAfterSeconds: 86400, // 1 day after expiresAt
+            partialFilterExpression: { expiresAt: { $type: 'date' } },
+            background: true
+          }
+        );
+      } else {
+        console.log('   ℹ️  TTL index already exists');
+      }
+    } catch (error) {
+      console.log('   ⚠️  Could not create messages TTL index, continuing...');
+    }
     console.log('   ✅ Messages collection ready\n');
     
     // ============================================
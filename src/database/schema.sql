@@ -22,7 +22,7 @@ CREATE TABLE IF NOT EXISTS users (
     last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT true,
     is_verified BOOLEAN DEFAULT false,
-    verification_code VARCHAR(10),
+    verification_code VARCHAR(64), -- HMAC of the current OTP, never the code itself
     verification_expires_at TIMESTAMP,
     device_info JSONB, -- Store device information
     metadata JSONB -- Additional user metadata
@@ -48,6 +48,10 @@ CREATE TABLE IF NOT EXISTS user_settings (
     status_privacy VARCHAR(20) DEFAULT 'contacts', -- everyone, contacts, nobody
     last_seen_privacy VARCHAR(20) DEFAULT 'contacts', -- everyone, contacts, nobody
     profile_photo_privacy VARCHAR(20) DEFAULT 'everyone', -- everyone, contacts, nobody
+    two_step_pin_hash VARCHAR(255), -- bcrypt hash of the registration PIN (NULL = disabled)
+    two_step_recovery_email VARCHAR(255),
+    two_step_failed_attempts INTEGER DEFAULT 0,
+    two_step_locked_until TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -76,7 +80,10 @@ CREATE TABLE IF NOT EXISTS contacts (
 CREATE TABLE IF NOT EXISTS user_sessions (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
-    token_hash VARCHAR(255) NOT NULL, -- Hashed JWT token
+    token_hash VARCHAR(255) NOT NULL, -- Hashed current refresh token
+    previous_token_hash VARCHAR(255), -- Last rotated-out refresh token (concurrent refresh grace)
+    retired_token_hashes TEXT[] NOT NULL DEFAULT '{}', -- Recently rotated-out refresh tokens, newest first (reuse detection)
+    rotated_at TIMESTAMP, -- When the refresh token was last rotated
     device_id VARCHAR(255), -- Unique device identifier
     device_name VARCHAR(255), -- Device name (e.g., "iPhone 13", "Chrome Browser")
     device_type VARCHAR(50), -- mobile, web, desktop
@@ -104,9 +111,24 @@ CREATE TABLE IF NOT EXISTS login_logs (
     device_id VARCHAR(255),
     device_type VARCHAR(50),
     failure_reason TEXT, -- If status is 'failed'
+    is_new_device BOOLEAN DEFAULT false, -- Device had never signed in to this account
+    is_new_ip BOOLEAN DEFAULT false, -- IP not seen on any of the account's sessions
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================
+-- OTP LOCKOUTS (Failed verification bursts per number)
+-- ============================================
+CREATE TABLE IF NOT EXISTS otp_lockouts (
+    phone_number VARCHAR(20) NOT NULL,
+    country_code VARCHAR(10) NOT NULL,
+    failed_attempts INTEGER DEFAULT 0 NOT NULL, -- Failures in the current window
+    window_started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    locked_until TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (phone_number, country_code)
+);
+
 -- ============================================
 -- USER ACTIVITY LOGS
 -- ============================================
@@ -163,6 +185,85 @@ CREATE TABLE IF NOT EXISTS blocked_users (
     UNIQUE(blocker_id, blocked_id)
 );
 
+-- ============================================
+-- ACCOUNT DELETION JOBS
+-- ============================================
+-- No FK to users: the job outlives the user row it deletes
+CREATE TABLE IF NOT EXISTS account_deletion_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    phone_number VARCHAR(20), -- Cleared when the job completes
+    country_code VARCHAR(10),
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL, -- 'pending', 'running', 'completed', 'failed'
+    completed_steps TEXT[] DEFAULT '{}' NOT NULL,
+    attempts INTEGER DEFAULT 0 NOT NULL,
+    last_error TEXT,
+    locked_until TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- ============================================
+-- DATA EXPORT JOBS ("Download my data")
+-- ============================================
+CREATE TABLE IF NOT EXISTS data_export_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL, -- 'pending', 'running', 'completed', 'failed', 'expired'
+    file_key TEXT, -- Archive key in upload storage
+    file_path TEXT, -- Archives built before they moved to upload storage (on the server's disk)
+    file_size BIGINT,
+    attempts INTEGER DEFAULT 0 NOT NULL,
+    last_error TEXT,
+    locked_until TIMESTAMP,
+    expires_at TIMESTAMP, -- Download link and archive expire together
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- Scheduled messages (sent by the dispatcher in scheduled-message.service.js)
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    chat_id VARCHAR(24) NOT NULL, -- MongoDB chats._id
+    message TEXT NOT NULL,
+    reply_to VARCHAR(24), -- MongoDB messages._id to quote
+    send_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL, -- 'pending', 'sending', 'sent', 'failed', 'cancelled'
+    attempts INTEGER DEFAULT 0 NOT NULL,
+    last_error TEXT,
+    locked_until TIMESTAMP, -- Dispatcher lease, or retry backoff while pending
+    message_id VARCHAR(24), -- MongoDB messages._id once sent
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Resumable uploads (chunks land in a partial file, see resumable-upload.service.js)
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    file_name TEXT NOT NULL, -- Client's original file name
+    file_size BIGINT NOT NULL,
+    mime_type VARCHAR(255), -- As declared; the content is checked on completion
+    message_type VARCHAR(20) DEFAULT 'file' NOT NULL,
+    chat_id VARCHAR(24), -- MongoDB chats._id
+    recipient_id UUID,
+    received_bytes BIGINT DEFAULT 0 NOT NULL,
+    chunk_count INTEGER DEFAULT 0 NOT NULL,
+    checksum VARCHAR(64), -- Optional SHA-256 (hex) of the whole file
+    status VARCHAR(20) DEFAULT 'active' NOT NULL, -- 'active', 'completing', 'completed', 'failed', 'aborted', 'expired'
+    last_error TEXT,
+    locked_until TIMESTAMP, -- Held while a chunk is written or the upload is completed
+    message_id VARCHAR(24), -- MongoDB messages._id once sent
+    expires_at TIMESTAMP NOT NULL, -- Pushed back by every chunk
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
 -- ============================================
 -- MIGRATIONS (Add missing columns to existing tables)
 -- ============================================
@@ -197,7 +298,14 @@ BEGIN
     -- Add verification_code if it doesn't exist
     IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
                    WHERE table_name='users' AND column_name='verification_code') THEN
-        ALTER TABLE users ADD COLUMN verification_code VARCHAR(10);
+        ALTER TABLE users ADD COLUMN verification_code VARCHAR(64);
+    END IF;
+    
+    -- Widen verification_code to hold the OTP hash
+    IF EXISTS (SELECT 1 FROM information_schema.columns 
+               WHERE table_name='users' AND column_name='verification_code'
+               AND character_maximum_length < 64) THEN
+        ALTER TABLE users ALTER COLUMN verification_code TYPE VARCHAR(64);
     END IF;
     
     -- Add verification_expires_at if it doesn't exist
@@ -269,6 +377,27 @@ BEGIN
                    WHERE table_name='user_settings' AND column_name='profile_photo_privacy') THEN
         ALTER TABLE user_settings ADD COLUMN profile_photo_privacy VARCHAR(20) DEFAULT 'everyone';
     END IF;
+    
+    -- Add two-step verification columns if they don't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='user_settings' AND column_name='two_step_pin_hash') THEN
+        ALTER TABLE user_settings ADD COLUMN two_step_pin_hash VARCHAR(255);
+    END IF;
+    
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='user_settings' AND column_name='two_step_recovery_email') THEN
+        ALTER TABLE user_settings ADD COLUMN two_step_recovery_email VARCHAR(255);
+    END IF;
+    
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='user_settings' AND column_name='two_step_failed_attempts') THEN
+        ALTER TABLE user_settings ADD COLUMN two_step_failed_attempts INTEGER DEFAULT 0;
+    END IF;
+    
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='user_settings' AND column_name='two_step_locked_until') THEN
+        ALTER TABLE user_settings ADD COLUMN two_step_locked_until TIMESTAMP;
+    END IF;
 END $$;
 
 -- Add missing columns to contacts table if they don't exist
@@ -293,6 +422,67 @@ BEGIN
     END IF;
 END $$;
 
+-- Add refresh token rotation columns to user_sessions if they don't exist
+DO $$ 
+BEGIN
+    -- Add previous_token_hash if it doesn't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='user_sessions' AND column_name='previous_token_hash') THEN
+        ALTER TABLE user_sessions ADD COLUMN previous_token_hash VARCHAR(255);
+    END IF;
+    
+    -- Add rotated_at if it doesn't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='user_sessions' AND column_name='rotated_at') THEN
+        ALTER TABLE user_sessions ADD COLUMN rotated_at TIMESTAMP;
+    END IF;
+
+    -- Add retired_token_hashes if it doesn't exist (seeded with the one hash kept so far)
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='user_sessions' AND column_name='retired_token_hashes') THEN
+        ALTER TABLE user_sessions ADD COLUMN retired_token_hashes TEXT[] NOT NULL DEFAULT '{}';
+        UPDATE user_sessions SET retired_token_hashes = ARRAY[previous_token_hash]
+        WHERE previous_token_hash IS NOT NULL;
+    END IF;
+END $$;
+
+-- Add login anomaly flags to login_logs if they don't exist
+DO $$ 
+BEGIN
+    -- Add is_new_device if it doesn't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='login_logs' AND column_name='is_new_device') THEN
+        ALTER TABLE login_logs ADD COLUMN is_new_device BOOLEAN DEFAULT false;
+    END IF;
+    
+    -- Add is_new_ip if it doesn't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='login_logs' AND column_name='is_new_ip') THEN
+        ALTER TABLE login_logs ADD COLUMN is_new_ip BOOLEAN DEFAULT false;
+    END IF;
+END $$;
+
+-- Keep data export archives in upload storage
+DO $$ 
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='data_export_jobs' AND column_name='file_key') THEN
+        ALTER TABLE data_export_jobs ADD COLUMN file_key TEXT;
+    END IF;
+END $$;
+
+-- Let account_deletion_jobs drop the phone number once a job completes
+DO $$ 
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns 
+               WHERE table_name='account_deletion_jobs' AND column_name='phone_number'
+               AND is_nullable = 'NO') THEN
+        ALTER TABLE account_deletion_jobs ALTER COLUMN phone_number DROP NOT NULL;
+        ALTER TABLE account_deletion_jobs ALTER COLUMN country_code DROP NOT NULL;
+        UPDATE account_deletion_jobs SET phone_number = NULL, country_code = NULL WHERE status = 'completed';
+    END IF;
+END $$;
+
 -- ============================================
 -- INDEXES FOR PERFORMANCE
 -- ============================================
@@ -304,6 +494,8 @@ CREATE INDEX IF NOT EXISTS idx_users_last_seen ON users(last_seen DESC);
 CREATE INDEX IF NOT EXISTS idx_users_last_activity ON users(last_activity_at DESC);
 CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_users_active ON users(is_active) WHERE is_active = true;
+-- Storage key of the profile picture URL (/uploads access checks match on the key, not the host)
+CREATE INDEX IF NOT EXISTS idx_users_profile_picture_key ON users ((substring(profile_picture_url from '/uploads/([^/?#]+)(?:[?#].*)?$')));
 
 -- User settings indexes
 CREATE INDEX IF NOT EXISTS idx_settings_user ON user_settings(user_id);
@@ -329,6 +521,10 @@ CREATE INDEX IF NOT EXISTS idx_login_logs_action ON login_logs(action);
 CREATE INDEX IF NOT EXISTS idx_login_logs_status ON login_logs(status);
 CREATE INDEX IF NOT EXISTS idx_login_logs_created ON login_logs(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_login_logs_user_created ON login_logs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_logs_new_device ON login_logs(user_id, created_at DESC) WHERE is_new_device = true;
+
+-- OTP lockout indexes
+CREATE INDEX IF NOT EXISTS idx_otp_lockouts_locked ON otp_lockouts(locked_until) WHERE locked_until IS NOT NULL;
 
 -- Activity logs indexes
 CREATE INDEX IF NOT EXISTS idx_activity_logs_user ON user_activity_logs(user_id);
@@ -355,6 +551,22 @@ CREATE INDEX IF NOT EXISTS idx_blocked_blocker ON blocked_users(blocker_id);
 CREATE INDEX IF NOT EXISTS idx_blocked_blocked ON blocked_users(blocked_id);
 CREATE INDEX IF NOT EXISTS idx_blocked_both ON blocked_users(blocker_id, blocked_id);
 
+-- Account deletion job indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deletion_jobs_user_open ON account_deletion_jobs(user_id) WHERE status <> 'completed';
+CREATE INDEX IF NOT EXISTS idx_deletion_jobs_status ON account_deletion_jobs(status, created_at);
+
+-- Data export job indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_export_jobs_user_open ON data_export_jobs(user_id) WHERE status IN ('pending', 'running');
+CREATE INDEX IF NOT EXISTS idx_export_jobs_status ON data_export_jobs(status, expires_at);
+
+-- Scheduled messages indexes
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages(send_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_user_chat ON scheduled_messages(user_id, chat_id, status);
+
+-- Upload sessions indexes
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_status ON upload_sessions(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_status_expires ON upload_sessions(status, expires_at);
+
 -- ============================================
 -- FUNCTIONS
 -- ============================================
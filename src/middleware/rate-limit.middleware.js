@@ -62,6 +62,21 @@ export const otpVerifyRateLimit = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Rate limiting for access token refresh
+ * Each device refreshes every few minutes, so allow more than login
+ */
+export const refreshRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // 60 refreshes per 15 minutes
+  message: {
+    success: false,
+    message: 'Too many token refresh attempts. Please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * Rate limiting for group operations
  */
@@ -1,55 +1,83 @@
 import multer from 'multer';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import os from 'os';
 import fs from 'fs';
+import { getStorage } from '../services/storage.service.js';
+import { analyzeUpload, getThumbnailKey, stripImageMetadata } from '../services/media-processing.service.js';
+import { BLOCKED_EXTENSIONS, FILE_TYPE_SAMPLE_SIZE, detectFileType, getExtension } from '../utils/file-type.utils.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../../uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+// Uploads are staged on local disk, then handed to the storage driver (storage.service.js)
+const stagingDir = path.join(os.tmpdir(), 'axzora-uploads');
+if (!fs.existsSync(stagingDir)) {
+  fs.mkdirSync(stagingDir, { recursive: true });
 }
 
+// Storage keys are plain filenames - keep only word characters from client-supplied parts
+const safeExtension = originalname => path.extname(originalname).replace(/[^\w.]/g, '');
+
+// HTTP status for each way an upload can be rejected (sent as `code` in the response)
+const UPLOAD_ERROR_STATUS = {
+  file_too_large: 413,
+  blocked_type: 415,
+  unsupported_type: 415,
+  type_mismatch: 415,
+  invalid_message_type: 400,
+  invalid_upload: 400,
+  storage_failed: 500,
+};
+
+const createUploadError = (code, message) => Object.assign(new Error(message), { uploadError: code });
+
+// Whether an error is an upload rejection (answer it with sendUploadError)
+export const isUploadError = err => Boolean(err?.uploadError);
+
+const PROFILE_PICTURE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Image formats that can carry EXIF/XMP/IPTC - these are stripped before storing
+const METADATA_IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff', 'image/heic', 'image/heif', 'image/avif'];
+
+// What a message upload may contain for each declared messageType - checked against the file's bytes
+export const MESSAGE_TYPE_KINDS = {
+  image: ['image'],
+  video: ['video'],
+  audio: ['audio'],
+  document: ['document', 'text', 'archive'],
+  file: ['image', 'video', 'audio', 'document', 'text', 'archive'],
+};
+
+// Generate unique filename: type-userId-timestamp-random.ext (the uploader's id is what access checks look for)
+export const createUploadFilename = (fileType, userId, originalname) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${fileType}-${userId}-${uniqueSuffix}${safeExtension(originalname)}`;
+};
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+    cb(null, stagingDir);
   },
   filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-userId-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, `profile-${req.userId}-${uniqueSuffix}${ext}`);
+    cb(null, createUploadFilename('profile', req.userId, file.originalname));
   },
 });
 
 // File filter - only images
+// A quick first pass on what the client declares; the content itself is checked once staged
 const fileFilter = (req, file, cb) => {
-  // Check MIME type first (more reliable)
   const allowedMimeTypes = /^image\/(jpeg|jpg|png|gif|webp)$/i;
   const allowedExtensions = /\.(jpeg|jpg|png|gif|webp)$/i;
-  
-  // Check if MIME type is valid
+
+  // Some clients send application/octet-stream, so the extension alone is enough here
   const isValidMimeType = file.mimetype && allowedMimeTypes.test(file.mimetype);
-  
-  // Check if extension is valid (fallback if MIME type is missing)
   const isValidExtension = file.originalname && allowedExtensions.test(file.originalname);
-  
-  // Accept if either MIME type or extension is valid
+
   if (isValidMimeType || isValidExtension) {
     return cb(null, true);
-  } else {
-    // Log for debugging
-    console.log('File rejected:', {
-      originalname: file.originalname,
-      mimetype: file.mimetype,
-      fieldname: file.fieldname,
-    });
-    cb(new Error(`Only image files are allowed (jpeg, jpg, png, gif, webp). Received: ${file.mimetype || 'unknown type'}`));
   }
+  cb(createUploadError(
+    'unsupported_type',
+    `Only image files are allowed (jpeg, jpg, png, gif, webp). Received: ${file.mimetype || 'unknown type'}`
+  ));
 };
 
 const upload = multer({
@@ -60,51 +88,198 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
-// Error handling middleware for multer
-export const handleMulterError = (err, req, res, next) => {
+/**
+ * Send the response for a rejected upload
+ * Every upload route answers with { success: false, message, code } - code is one of
+ * file_too_large, blocked_type, unsupported_type, type_mismatch, invalid_message_type,
+ * invalid_upload or storage_failed.
+ */
+export const sendUploadError = (res, err) => {
+  let code = err.uploadError || 'invalid_upload';
+  let message = err.message || 'File upload error';
+
   if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        message: 'File too large. Maximum size is 10MB.',
-      });
-    }
-    return res.status(400).json({
-      success: false,
-      message: err.message,
-    });
+    code = err.code === 'LIMIT_FILE_SIZE' ? 'file_too_large' : 'invalid_upload';
+    message = err.code === 'LIMIT_FILE_SIZE' && err.maxFileSize
+      ? `File too large. Maximum size is ${Math.round(err.maxFileSize / (1024 * 1024))}MB.`
+      : err.message;
   }
+
+  return res.status(UPLOAD_ERROR_STATUS[code] || 400).json({
+    success: false,
+    message,
+    code,
+  });
+};
+
+// Error handling middleware for multer (and the upload checks below)
+export const handleMulterError = (err, req, res, next) => {
   if (err) {
-    // This is the fileFilter error
-    req.fileValidationError = err.message;
-    return res.status(400).json({
-      success: false,
-      message: err.message,
-    });
+    return sendUploadError(res, err);
   }
   next();
 };
 
+/**
+ * Check a staged upload's content before it goes anywhere
+ * Blocked extensions and executables are always refused, and so is content that
+ * can't be identified. accept(req, detected) decides whether the detected type fits
+ * the route: it throws an upload error or returns the MIME type to store the file
+ * with, which replaces the one the client declared. file.contentKind is set to the
+ * detected kind (image, video, audio, document, archive or text).
+ */
+const validateUpload = async (req, file, accept) => {
+  if (BLOCKED_EXTENSIONS.includes(getExtension(file.originalname))) {
+    throw createUploadError('blocked_type', 'Executable and script files are not allowed');
+  }
+
+  const sample = Buffer.alloc(FILE_TYPE_SAMPLE_SIZE);
+  const handle = await fs.promises.open(file.path, 'r');
+  let bytesRead;
+  try {
+    ({ bytesRead } = await handle.read(sample, 0, FILE_TYPE_SAMPLE_SIZE, 0));
+  } finally {
+    await handle.close();
+  }
+
+  const detected = detectFileType(sample.subarray(0, bytesRead), file.originalname);
+  if (!detected) {
+    throw createUploadError('unsupported_type', 'This file type is not supported');
+  }
+  if (detected.kind === 'executable') {
+    throw createUploadError('blocked_type', 'Executable and script files are not allowed');
+  }
+
+  file.mimetype = accept(req, detected);
+  // An mp4/webm accepted as audio is stored as audio
+  file.contentKind = file.mimetype.startsWith('audio/') ? 'audio' : detected.kind;
+};
+
+// Profile pictures: the image formats clients can display
+const acceptProfilePicture = (req, detected) => {
+  if (!PROFILE_PICTURE_MIME_TYPES.includes(detected.mime)) {
+    throw createUploadError('type_mismatch', 'Only image files are allowed (jpeg, jpg, png, gif, webp)');
+  }
+  return detected.mime;
+};
+
+const acceptKinds = (kinds, detected, label) => {
+  if (kinds.includes(detected.kind)) {
+    return detected.mime;
+  }
+  if (kinds.includes('audio') && detected.audioContainer) {
+    // Voice notes are often mp4/webm with no picture
+    return detected.mime.replace(/^video\//, 'audio/');
+  }
+  throw createUploadError('type_mismatch', `File content does not match ${label} (detected ${detected.mime})`);
+};
+
+// Message attachments: whatever the declared messageType allows
+const acceptMessageFile = (req, detected) => {
+  const messageType = req.body.messageType || 'file';
+  const kinds = MESSAGE_TYPE_KINDS[messageType];
+  if (!kinds) {
+    throw createUploadError(
+      'invalid_message_type',
+      `Invalid messageType for a file. Must be one of: ${Object.keys(MESSAGE_TYPE_KINDS).join(', ')}`
+    );
+  }
+  return acceptKinds(kinds, detected, `messageType "${messageType}"`);
+};
+
+// Statuses: an image or a video, matching the status type when it is one of those
+const acceptStatusFile = (req, detected) => {
+  const { type } = req.body;
+  const kinds = type === 'image' || type === 'video' ? [type] : ['image', 'video'];
+  const label = { image: 'an image status', video: 'a video status' }[type] || 'an image or video status';
+  return acceptKinds(kinds, detected, label);
+};
+
+// Check the staged upload, strip image metadata and move it into storage; req.file.filename becomes its storage key
+// With analyze, req.file.media gets the file's metadata and thumbnailKey (media-processing.service.js)
+const storeUpload = async (req, file, { accept, analyze = false } = {}) => {
+  const storage = getStorage();
+  try {
+    await validateUpload(req, file, accept);
+
+    if (METADATA_IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      try {
+        file.size = await stripImageMetadata(file.path) ?? file.size;
+      } catch (error) {
+        console.error(`Image metadata removal error for ${file.filename}:`, error.message);
+        throw createUploadError('unsupported_type', 'This image could not be processed. Please send it as JPEG or PNG.');
+      }
+    }
+
+    if (analyze) {
+      const { media, thumbnail } = await analyzeUpload(file);
+      if (thumbnail) {
+        media.thumbnailKey = getThumbnailKey(file.filename);
+        await storage.put(media.thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+      }
+      file.media = media;
+    }
+
+    try {
+      await storage.put(file.filename, fs.createReadStream(file.path), {
+        contentType: file.media?.mimeType || file.mimetype,
+        contentLength: file.size,
+      });
+    } catch (error) {
+      console.error('Store upload error:', error);
+      throw createUploadError('storage_failed', 'Could not store the uploaded file');
+    }
+  } catch (error) {
+    if (file.media?.thumbnailKey) {
+      await storage.delete(file.media.thumbnailKey).catch(() => {});
+    }
+    throw error;
+  } finally {
+    await fs.promises.rm(file.path, { force: true });
+  }
+  delete file.path;
+  delete file.destination;
+};
+
+// Wrap a multer middleware so the file is checked and in storage before the route runs
+// Rejections are passed to next(err) - answer them with handleMulterError / sendUploadError
+const withStorage = (multerMiddleware, { maxFileSize, ...options }) => (req, res, next) => {
+  multerMiddleware(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError) {
+        err.maxFileSize = maxFileSize;
+      }
+      return next(err);
+    }
+    if (!req.file) {
+      return next();
+    }
+    storeUpload(req, req.file, options).then(() => next(), next);
+  });
+};
+
 // Middleware for single file upload (profile picture)
-export const uploadSingle = upload.single('profilePicture');
+export const uploadSingle = withStorage(upload.single('profilePicture'), {
+  accept: acceptProfilePicture,
+  maxFileSize: upload.limits.fileSize,
+});
 
 // Middleware for message file upload (any file type)
 const messageStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+    cb(null, stagingDir);
   },
   filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-userId-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const fileType = req.body.messageType || 'file';
-    cb(null, `${fileType}-${req.userId}-${uniqueSuffix}${ext}`);
+    const fileType = /^\w+$/.test(req.body.messageType || '') ? req.body.messageType : 'file';
+    cb(null, createUploadFilename(fileType, req.userId, file.originalname));
   },
 });
 
-// File filter for messages - allow all file types
+// File filter for messages - any type by name except blocked ones; the content is checked once staged
 const messageFileFilter = (req, file, cb) => {
-  // Allow all file types for messages
+  if (BLOCKED_EXTENSIONS.includes(getExtension(file.originalname))) {
+    return cb(createUploadError('blocked_type', 'Executable and script files are not allowed'));
+  }
   cb(null, true);
 };
 
@@ -117,21 +292,58 @@ const messageUpload = multer({
 });
 
 // Middleware for message file upload
-export const uploadMessageFile = messageUpload.single('file');
+export const uploadMessageFile = withStorage(messageUpload.single('file'), {
+  accept: acceptMessageFile,
+  analyze: true,
+  maxFileSize: messageUpload.limits.fileSize,
+});
+
+// Same checks and processing as uploadMessageFile for a file assembled elsewhere (resumable uploads)
+// file needs originalname, mimetype, size, path (staged on this server) and filename; req.body.messageType applies
+export const storeMessageUpload = (req, file) => storeUpload(req, file, { accept: acceptMessageFile, analyze: true });
+
+// Middleware for status uploads (images and videos only)
+export const uploadStatusFile = withStorage(messageUpload.single('file'), {
+  accept: acceptStatusFile,
+  analyze: true,
+  maxFileSize: messageUpload.limits.fileSize,
+});
+
+// Helper to get the public base URL of this server (BASE_URL, PRODUCTION_URL or the request's host)
+export const getBaseUrl = (req) => {
+  const baseUrl = process.env.BASE_URL || process.env.PRODUCTION_URL || (req ? `${req.protocol}://${req.get('host')}` : null);
+  if (!baseUrl) {
+    throw new Error('BASE_URL is not set');
+  }
+  return baseUrl;
+};
 
 // Helper to get file URL
+// Files are always fetched through this server (media.routes.js), whatever the storage driver
 export const getFileUrl = (req, filename) => {
   if (!filename) return null;
-  const baseUrl = process.env.BASE_URL || process.env.PRODUCTION_URL || `https://server-i81g.onrender.com`;
-  return `${baseUrl}/uploads/${filename}`;
+  return `${getBaseUrl(req)}/uploads/${filename}`;
 };
 
-// Helper to delete old file
-export const deleteFile = (filename) => {
-  if (!filename) return;
-  const filePath = path.join(uploadsDir, filename);
-  if (fs.existsSync(filePath)) {
-    fs.unlinkSync(filePath);
+// Helper to delete an upload from storage (resolves to false if it was already gone)
+export const deleteFile = async (filename) => {
+  if (!filename) return false;
+  return getStorage().delete(path.basename(filename));
+};
+
+// Helper to delete an upload and its thumbnail, e.g. when the request it came with fails
+export const discardUpload = async (file) => {
+  if (!file) return;
+  await deleteFile(file.filename);
+  if (file.media?.thumbnailKey) {
+    await deleteFile(file.media.thumbnailKey);
   }
 };
 
+// Helper to build the media metadata stored on a message or status item
+export const getUploadMedia = (req, file) => {
+  if (!file?.media) return null;
+  const { thumbnailKey, ...media } = file.media;
+  return { ...media, thumbnailUrl: thumbnailKey ? getFileUrl(req, thumbnailKey) : null };
+};
+
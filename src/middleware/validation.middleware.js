@@ -2,11 +2,57 @@
  * Validation middleware for request validation
  */
 
+import { normalizePoll } from '../utils/poll.utils.js';
+import { normalizeLocation, describeLocation } from '../utils/location.utils.js';
+import { parseVCards, describeContacts } from '../utils/vcard.utils.js';
+import { USER_MESSAGE_TYPES } from '../services/message.service.js';
+
 /**
  * Validate message content
  */
 export const validateMessage = (req, res, next) => {
-  const { message, messageType = 'text' } = req.body;
+  const { messageType = 'text' } = req.body;
+
+  // Polls carry their question as the message text; the parsed poll is passed on as req.poll
+  if (messageType === 'poll') {
+    const { poll, error } = normalizePoll(req.body.poll);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    req.body.message = poll.question;
+    req.poll = poll;
+  }
+
+  // Locations get a generated message text; the parsed location is passed on as req.location
+  if (messageType === 'location' || messageType === 'live_location') {
+    const { location, error } = normalizeLocation(req.body.location, messageType);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    req.body.message = describeLocation(location, messageType);
+    req.location = location;
+  }
+
+  // Contact cards are sent as vCard text; the parsed cards are passed on as req.contacts
+  if (messageType === 'contact') {
+    const { cards, error } = parseVCards(req.body.vcard);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    req.body.message = describeContacts(cards);
+    req.contacts = cards;
+  }
+
+  const { message } = req.body;
 
   // Check if message exists
   if (!message || (typeof message === 'string' && message.trim().length === 0)) {
@@ -28,11 +74,10 @@ export const validateMessage = (req, res, next) => {
   }
 
   // Validate message type
-  const validMessageTypes = ['text', 'image', 'video', 'audio', 'file', 'document', 'call'];
-  if (!validMessageTypes.includes(messageType)) {
+  if (!USER_MESSAGE_TYPES.includes(messageType)) {
     return res.status(400).json({
       success: false,
-      message: `Invalid message type. Must be one of: ${validMessageTypes.join(', ')}`,
+      message: `Invalid message type. Must be one of: ${USER_MESSAGE_TYPES.join(', ')}`,
     });
   }
 
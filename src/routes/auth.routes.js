@@ -2,16 +2,45 @@ import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
-import { getRedisClient } from '../config/redis.config.js';
 import { 
   logLoginActivity, 
   createUserSession, 
+  validateSession,
+  getUserSessions,
+  revokeSession,
+  revokeAllOtherSessions,
+  revokeAllSessions,
+  rotateRefreshToken,
   parseDeviceInfo, 
-  generateDeviceId 
+  generateDeviceId,
+  resolveDeviceId,
 } from '../services/session.service.js';
 import { logActivity } from '../services/analytics.service.js';
-import { authRateLimit, otpVerifyRateLimit } from '../middleware/rate-limit.middleware.js';
-import { safeRedisOperation } from '../utils/redis.utils.js';
+import { issueOtp, verifyOtp } from '../services/otp.service.js';
+import { assessLogin, notifyNewDeviceLogin, getSecurityAlerts, resolveLoginDevice } from '../services/login-security.service.js';
+import {
+  getTwoStepStatus,
+  verifyTwoStepPin,
+  createPinChallenge,
+  getPinChallenge,
+  consumePinChallenge,
+  requestPinReset,
+  confirmPinReset,
+} from '../services/two-step.service.js';
+import {
+  savePendingNumberChange,
+  getPendingNumberChange,
+  clearPendingNumberChange,
+  migratePhoneNumber,
+  announceNumberChange,
+} from '../services/change-number.service.js';
+import {
+  createAccountDeletionJob,
+  runAccountDeletionJob,
+  hasPendingDeletion,
+} from '../services/account-deletion.service.js';
+import { authRateLimit, otpVerifyRateLimit, refreshRateLimit } from '../middleware/rate-limit.middleware.js';
+import { canAttachMedia, getMediaKey } from '../services/media-access.service.js';
 
 const router = express.Router();
 
@@ -21,6 +50,8 @@ const router = express.Router();
  * Fixed bugs:
  * - #13: Check token expiry before Redis lookup
  * - #5: Safe Redis operations with error handling
+ * - Tokens are validated against their own device session, so each device
+ *   can be signed out independently
  */
 export const verifyToken = async (req, res, next) => {
   try {
@@ -52,12 +83,14 @@ export const verifyToken = async (req, res, next) => {
       });
     }
     
-    // BUG FIX #5: Verify token in Redis with safe operations
-    const storedToken = await safeRedisOperation(async (redisClient) => {
-      return await redisClient.get(`session:${decoded.userId}`);
-    }, null);
+    // Verify the token's device session is still active (Redis cache, then user_sessions)
+    const session = await validateSession({
+      userId: decoded.userId,
+      deviceId: decoded.deviceId,
+      sessionId: decoded.sessionId,
+    });
     
-    if (!storedToken || storedToken !== token) {
+    if (!session) {
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired token',
@@ -66,6 +99,8 @@ export const verifyToken = async (req, res, next) => {
 
     req.userId = decoded.userId;
     req.userPhoneNumber = decoded.phoneNumber;
+    req.sessionId = session.sessionId;
+    req.deviceId = session.deviceId;
     next();
   } catch (error) {
     res.status(401).json({
@@ -76,6 +111,123 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * 24 * 60 * 60;
+
+/**
+ * Sign a short-lived access token bound to a device session
+ */
+const signAccessToken = ({ userId, phoneNumber, deviceId, sessionId }) => {
+  const token = jwt.sign(
+    { userId, phoneNumber, deviceId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, expiresIn: exp - iat };
+};
+
+/**
+ * Device ID the current request claims (client-provided or derived)
+ */
+const getRequestDeviceId = (req) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+  return resolveDeviceId(req.body.deviceId, userAgent, ipAddress);
+};
+
+/**
+ * Device a login signs in as
+ * The claimed device ID only counts with a valid access token (Authorization header)
+ * or refresh token (body.refreshToken) for that device's session; otherwise the
+ * login is a new device with a new ID (see resolveLoginDevice).
+ */
+const getLoginDevice = (req, userId) => resolveLoginDevice({
+  userId,
+  claimedDeviceId: getRequestDeviceId(req),
+  accessToken: req.headers.authorization?.split(' ')[1],
+  refreshToken: req.body.refreshToken,
+});
+
+/**
+ * Create a session for the signing-in device and issue its tokens
+ * Each device has its own session, so signing in on one device doesn't sign out another
+ * A device the account has never used triggers a security alert on its other devices
+ */
+const issueDeviceSession = async (req, user, deviceId) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+  const { deviceName, deviceType } = parseDeviceInfo(userAgent);
+
+  // Compare against known devices/IPs before this login registers its own
+  const { isNewDevice, isNewIp } = await assessLogin({ userId: user.id, deviceId, ipAddress });
+
+  const session = await createUserSession({
+    userId: user.id,
+    deviceId,
+    deviceName,
+    deviceType,
+    ipAddress,
+    userAgent,
+    expiresIn: REFRESH_TOKEN_TTL_SECONDS,
+  });
+
+  if (!session) {
+    throw new Error('Failed to create session');
+  }
+
+  const { token, expiresIn } = signAccessToken({
+    userId: user.id,
+    phoneNumber: user.phone_number,
+    deviceId,
+    sessionId: session.sessionId,
+  });
+
+  if (isNewDevice) {
+    await notifyNewDeviceLogin({
+      userId: user.id,
+      sessionId: session.sessionId,
+      deviceName,
+      deviceType,
+      ipAddress,
+      isNewIp,
+    });
+  }
+
+  return {
+    token,
+    expiresIn,
+    refreshToken: session.refreshToken,
+    sessionId: session.sessionId,
+    deviceId,
+    deviceType,
+    isNewDevice,
+    isNewIp,
+  };
+};
+
+/**
+ * Two-step verification gate
+ * An account with a PIN must confirm it unless the login proved the device is
+ * already signed in (getLoginDevice).
+ * Returns the challenge payload for the client, or null if login can continue.
+ */
+const getTwoStepChallenge = async (user, loginDevice) => {
+  const { enabled, recoveryEmail } = await getTwoStepStatus(user.id);
+  if (!enabled || loginDevice.isKnownDevice) {
+    return null;
+  }
+
+  const { challengeToken, expiresIn } = await createPinChallenge(user.id, loginDevice.deviceId);
+  return {
+    requiresPin: true,
+    pinChallengeToken: challengeToken,
+    expiresIn,
+    hasRecoveryEmail: !!recoveryEmail,
+  };
+};
+
 /**
  * Send OTP
  * POST /api/auth/send-otp
@@ -100,14 +252,43 @@ router.post('/send-otp', authRateLimit, async (req, res) => {
       [phoneNumber, countryCode]
     );
 
-    // In production, send actual OTP via SMS
-    // For now, just return success
+    // Generate, store and deliver a one-time code
+    const otpResult = await issueOtp({ phoneNumber, countryCode });
+
+    if (!otpResult.sent) {
+      if (otpResult.reason === 'locked') {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed verification attempts for this number. Please try again later.',
+          data: {
+            lockedUntil: otpResult.lockedUntil,
+          },
+        });
+      }
+
+      if (otpResult.reason === 'cooldown') {
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${otpResult.retryAfter} seconds before requesting a new code`,
+          data: {
+            retryAfter: otpResult.retryAfter,
+          },
+        });
+      }
+
+      return res.status(503).json({
+        success: false,
+        message: 'Unable to send OTP right now. Please try again later.',
+      });
+    }
+
     res.json({
       success: true,
       message: 'OTP sent successfully',
       data: {
         userExists: existingUser.rows.length > 0,
-        // Demo OTP: 123456
+        expiresIn: otpResult.expiresIn,
+        resendAfter: otpResult.resendAfter,
       },
     });
   } catch (error) {
@@ -178,60 +359,94 @@ router.post('/verify-otp', otpVerifyRateLimit, async (req, res) => {
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.headers['user-agent'] || 'Unknown';
 
-    // For demo, accept OTP 123456
-    if (otp !== '123456') {
+    // Check the code issued by /send-otp (single-use, expiring, attempt-limited)
+    const otpResult = await verifyOtp({ phoneNumber, countryCode, otp });
+
+    if (!otpResult.valid) {
+      const failureMessages = {
+        invalid: 'Invalid OTP',
+        expired: 'OTP expired or not requested. Please request a new code.',
+        too_many_attempts: 'Too many incorrect attempts. Please request a new code.',
+        locked: 'Too many failed verification attempts for this number. Please try again later.',
+        unavailable: 'Unable to verify OTP right now. Please try again later.',
+      };
+
       // Log failed login attempt
       await logLoginActivity({
         userId: null,
         phoneNumber,
         countryCode,
         action: 'login_failed',
-        status: 'failed',
+        status: ['too_many_attempts', 'locked'].includes(otpResult.reason) ? 'blocked' : 'failed',
         ipAddress,
         userAgent,
         deviceId: generateDeviceId(userAgent, ipAddress),
         deviceType: parseDeviceInfo(userAgent).deviceType,
-        failureReason: 'Invalid OTP',
+        failureReason: failureMessages[otpResult.reason] || 'Invalid OTP',
       });
 
-      return res.status(400).json({
+      const statusCode = ['too_many_attempts', 'locked'].includes(otpResult.reason)
+        ? 429
+        : otpResult.reason === 'unavailable' ? 503 : 400;
+
+      let failureData;
+      if (otpResult.lockedUntil) {
+        failureData = { lockedUntil: otpResult.lockedUntil };
+      } else if (otpResult.attemptsRemaining !== undefined) {
+        failureData = { attemptsRemaining: otpResult.attemptsRemaining };
+      }
+
+      return res.status(statusCode).json({
         success: false,
-        message: 'Invalid OTP',
+        message: failureMessages[otpResult.reason] || 'Invalid OTP',
+        data: failureData,
       });
     }
 
     // BUG FIX #10: Use user's timezone or determine from country code
     const userTimezone = getTimezoneFromCountryCode(countryCode, timezone);
 
-    // Check if user already exists (check by phone_number only, as it's unique)
-    // First try exact match with country code
-    let existingUser = await postgresPool.query(
+    // The OTP proves this exact number, so only an exact country code + phone match signs in.
+    // Moving an account to another country code goes through /change-number.
+    const existingUser = await postgresPool.query(
       'SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, timezone FROM users WHERE phone_number = $1 AND country_code = $2',
       [phoneNumber, countryCode]
     );
 
-    // If not found, try by phone number only (in case country code changed)
-    if (existingUser.rows.length === 0) {
-      existingUser = await postgresPool.query(
-        'SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, timezone FROM users WHERE phone_number = $1',
-        [phoneNumber]
-      );
-    }
-
     let user;
     let isNewUser = false;
+    let loginDevice = null;
 
     if (existingUser.rows.length > 0) {
       // User exists - login
       user = existingUser.rows[0];
+
+      // Accounts queued for deletion can't be signed back into
+      if (await hasPendingDeletion(user.id)) {
+        return res.status(410).json({
+          success: false,
+          message: 'This account is being deleted',
+        });
+      }
+
+      loginDevice = await getLoginDevice(req, user.id);
+
+      // Two-step verification: the PIN is required before anything else happens
+      const twoStepChallenge = await getTwoStepChallenge(user, loginDevice);
+      if (twoStepChallenge) {
+        return res.json({
+          success: true,
+          message: 'Two-step verification PIN required',
+          data: twoStepChallenge,
+        });
+      }
       
-      // Update country code and timezone if changed (always use country code to determine timezone)
-      if (user.country_code !== countryCode || user.timezone !== userTimezone) {
+      // Update timezone if changed
+      if (user.timezone !== userTimezone) {
         await postgresPool.query(
-          "UPDATE users SET country_code = $1, timezone = $2, last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $3",
-          [countryCode, userTimezone, user.id]
+          "UPDATE users SET timezone = $1, last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $2",
+          [userTimezone, user.id]
         );
-        user.country_code = countryCode;
         user.timezone = userTimezone;
       } else {
         await postgresPool.query(
@@ -243,8 +458,8 @@ router.post('/verify-otp', otpVerifyRateLimit, async (req, res) => {
       // Create new user without name (will be set in profile setup)
       try {
         const result = await postgresPool.query(
-          `INSERT INTO users (phone_number, country_code, full_name, is_online, timezone)
-           VALUES ($1, $2, $3, true, $4)
+          `INSERT INTO users (phone_number, country_code, full_name, is_online, timezone, is_verified)
+           VALUES ($1, $2, $3, true, $4, true)
            RETURNING id, full_name, phone_number, country_code, bio, profile_picture_url, timezone, created_at`,
           [phoneNumber, countryCode, '', userTimezone] // Empty name initially
         );
@@ -280,45 +495,53 @@ router.post('/verify-otp', otpVerifyRateLimit, async (req, res) => {
           }
         }
       } catch (insertError) {
-        // If insert fails due to duplicate key, try to find the user again
+        // If insert fails due to duplicate key, the number was registered meanwhile
         if (insertError.code === '23505') { // Unique violation
           const retryUser = await postgresPool.query(
-            'SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, timezone FROM users WHERE phone_number = $1',
-            [phoneNumber]
+            'SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, timezone FROM users WHERE phone_number = $1 AND country_code = $2',
+            [phoneNumber, countryCode]
           );
-          if (retryUser.rows.length > 0) {
-            user = retryUser.rows[0];
-            // Update country code, timezone, and status
-            await postgresPool.query(
-              "UPDATE users SET country_code = $1, timezone = $2, last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $3",
-              [countryCode, userTimezone, user.id]
-            );
-            user.country_code = countryCode;
-            user.timezone = userTimezone;
-            isNewUser = false;
-          } else {
-            throw insertError;
+          if (retryUser.rows.length === 0) {
+            // phone_number is unique across country codes - it belongs to an account under another one
+            return res.status(409).json({
+              success: false,
+              message: 'This phone number is registered with a different country code',
+            });
           }
+          user = retryUser.rows[0];
+          await postgresPool.query(
+            "UPDATE users SET timezone = $1, last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $2",
+            [userTimezone, user.id]
+          );
+          user.timezone = userTimezone;
+          isNewUser = false;
         } else {
           throw insertError;
         }
       }
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, phoneNumber: user.phone_number },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // New accounts (including one registered meanwhile) have no device to match yet
+    loginDevice ||= await getLoginDevice(req, user.id);
 
-    // Store token in Redis for session management
-    const redisClient = getRedisClient();
-    await redisClient.setEx(
-      `session:${user.id}`,
-      7 * 24 * 60 * 60, // 7 days
-      token
-    );
+    // Generate tokens bound to this device's session
+    const {
+      token, expiresIn, refreshToken, deviceId, deviceType, isNewDevice, isNewIp,
+    } = await issueDeviceSession(req, user, loginDevice.deviceId);
+
+    await logLoginActivity({
+      userId: user.id,
+      phoneNumber,
+      countryCode,
+      action: 'login',
+      status: 'success',
+      ipAddress,
+      userAgent,
+      deviceId,
+      deviceType,
+      isNewDevice,
+      isNewIp,
+    });
 
     res.status(isNewUser ? 201 : 200).json({
       success: true,
@@ -334,6 +557,9 @@ router.post('/verify-otp', otpVerifyRateLimit, async (req, res) => {
           timezone: user.timezone || userTimezone || getTimezoneFromCountryCode(countryCode),
         },
         token,
+        expiresIn,
+        refreshToken,
+        deviceId,
         isNewUser,
       },
     });
@@ -347,6 +573,347 @@ router.post('/verify-otp', otpVerifyRateLimit, async (req, res) => {
   }
 });
 
+/**
+ * Finish a login that was held for two-step verification
+ * Consumes the challenge and issues the device session
+ */
+const completeTwoStepLogin = async (req, res, challengeToken, challenge) => {
+  const consumed = await consumePinChallenge(challengeToken);
+  if (!consumed) {
+    return res.status(401).json({
+      success: false,
+      message: 'PIN verification expired. Please verify your phone number again.',
+    });
+  }
+
+  const userResult = await postgresPool.query(
+    "UPDATE users SET last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $1 RETURNING id, full_name, phone_number, country_code, bio, profile_picture_url, timezone",
+    [challenge.userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  const user = userResult.rows[0];
+  const {
+    token, expiresIn, refreshToken, deviceId, deviceType, isNewDevice, isNewIp,
+  } = await issueDeviceSession(req, user, challenge.deviceId);
+
+  await logLoginActivity({
+    userId: user.id,
+    phoneNumber: user.phone_number,
+    countryCode: user.country_code,
+    action: 'login',
+    status: 'success',
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent'] || 'Unknown',
+    deviceId,
+    deviceType,
+    isNewDevice,
+    isNewIp,
+  });
+
+  return res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        fullName: user.full_name || '',
+        phoneNumber: user.phone_number,
+        countryCode: user.country_code,
+        bio: user.bio,
+        profilePictureUrl: user.profile_picture_url,
+        timezone: user.timezone,
+      },
+      token,
+      expiresIn,
+      refreshToken,
+      deviceId,
+      isNewUser: false,
+    },
+  });
+};
+
+/**
+ * Verify Two-Step PIN
+ * POST /api/auth/verify-pin
+ * 
+ * Second step of login for PIN-protected accounts on a new device.
+ * Too many wrong PINs lock the account's PIN for a while.
+ */
+router.post('/verify-pin', otpVerifyRateLimit, async (req, res) => {
+  try {
+    const { pinChallengeToken, pin } = req.body;
+
+    if (!pinChallengeToken || !pin) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN challenge token and PIN are required',
+      });
+    }
+
+    const challenge = await getPinChallenge(pinChallengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'PIN verification expired. Please verify your phone number again.',
+      });
+    }
+
+    const result = await verifyTwoStepPin(challenge.userId, String(pin));
+
+    // PIN was turned off in the meantime - the OTP step already passed
+    if (!result.valid && result.reason !== 'not_enabled') {
+      const ipAddress = req.ip || req.connection.remoteAddress;
+      const userAgent = req.headers['user-agent'] || 'Unknown';
+
+      await logLoginActivity({
+        userId: challenge.userId,
+        phoneNumber: null,
+        countryCode: null,
+        action: 'login_failed',
+        status: result.reason === 'locked' ? 'blocked' : 'failed',
+        ipAddress,
+        userAgent,
+        deviceId: challenge.deviceId,
+        deviceType: parseDeviceInfo(userAgent).deviceType,
+        failureReason: result.reason === 'locked' ? 'Two-step PIN locked' : 'Invalid two-step PIN',
+      });
+
+      if (result.reason === 'locked') {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many incorrect PIN attempts. Try again later or reset your PIN by email.',
+          data: {
+            lockedUntil: result.lockedUntil,
+          },
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'Incorrect PIN',
+        data: {
+          attemptsRemaining: result.attemptsRemaining,
+        },
+      });
+    }
+
+    await completeTwoStepLogin(req, res, pinChallengeToken, challenge);
+  } catch (error) {
+    console.error('Verify PIN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Request Two-Step PIN Reset
+ * POST /api/auth/two-step/reset-request
+ * 
+ * Emails a reset code to the account's recovery email.
+ */
+router.post('/two-step/reset-request', authRateLimit, async (req, res) => {
+  try {
+    const { pinChallengeToken } = req.body;
+
+    const challenge = await getPinChallenge(pinChallengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'PIN verification expired. Please verify your phone number again.',
+      });
+    }
+
+    let sent;
+    try {
+      sent = await requestPinReset(challenge.userId);
+    } catch (mailError) {
+      console.error('Two-step reset email error:', mailError);
+      return res.status(503).json({
+        success: false,
+        message: 'Unable to send reset email right now. Please try again later.',
+      });
+    }
+
+    if (!sent) {
+      return res.status(400).json({
+        success: false,
+        message: 'No recovery email is set for this account',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reset code sent to your recovery email',
+    });
+  } catch (error) {
+    console.error('Two-step reset request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Reset Two-Step PIN
+ * POST /api/auth/two-step/reset
+ * 
+ * A valid emailed reset code turns two-step verification off and completes the login.
+ */
+router.post('/two-step/reset', otpVerifyRateLimit, async (req, res) => {
+  try {
+    const { pinChallengeToken, resetCode } = req.body;
+
+    if (!pinChallengeToken || !resetCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN challenge token and reset code are required',
+      });
+    }
+
+    const challenge = await getPinChallenge(pinChallengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'PIN verification expired. Please verify your phone number again.',
+      });
+    }
+
+    const reset = await confirmPinReset(challenge.userId, String(resetCode));
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset code',
+      });
+    }
+
+    await completeTwoStepLogin(req, res, pinChallengeToken, challenge);
+  } catch (error) {
+    console.error('Two-step reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Refresh Access Token
+ * POST /api/auth/refresh
+ * 
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Each refresh token works once; replaying a rotated one revokes the session.
+ */
+router.post('/refresh', refreshRateLimit, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers['user-agent'] || 'Unknown';
+
+    const result = await rotateRefreshToken(refreshToken, {
+      ipAddress,
+      expiresIn: REFRESH_TOKEN_TTL_SECONDS,
+    });
+
+    if (result.status !== 'rotated') {
+      const { session } = result;
+
+      if (session) {
+        await logLoginActivity({
+          userId: session.user_id,
+          phoneNumber: session.phone_number,
+          countryCode: session.country_code,
+          action: 'token_refresh',
+          status: result.status === 'reused' ? 'blocked' : 'failed',
+          ipAddress,
+          userAgent,
+          deviceId: session.device_id,
+          deviceType: session.device_type,
+          failureReason: result.status === 'reused'
+            ? 'Refresh token reuse detected - session revoked'
+            : result.status === 'in_progress' ? 'Concurrent refresh' : 'Session expired or revoked',
+        });
+      }
+
+      if (result.status === 'reused') {
+        const { disconnectSession } = await import('../socket/socket.server.js');
+        disconnectSession(session.id, 'token_reuse');
+      }
+
+      if (result.status === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          message: 'Token was just refreshed by another request',
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: result.status === 'reused'
+          ? 'Refresh token reuse detected. Please log in again.'
+          : 'Invalid or expired refresh token',
+      });
+    }
+
+    const { session } = result;
+    const { token, expiresIn } = signAccessToken({
+      userId: session.user_id,
+      phoneNumber: session.phone_number,
+      deviceId: session.device_id,
+      sessionId: session.id,
+    });
+
+    await logLoginActivity({
+      userId: session.user_id,
+      phoneNumber: session.phone_number,
+      countryCode: session.country_code,
+      action: 'token_refresh',
+      status: 'success',
+      ipAddress,
+      userAgent,
+      deviceId: session.device_id,
+      deviceType: session.device_type,
+    });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token,
+        expiresIn,
+        refreshToken: result.refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Complete Profile Setup (for new users)
  * POST /api/auth/complete-profile
@@ -376,6 +943,12 @@ router.post('/complete-profile', verifyToken, async (req, res) => {
     }
 
     if (profilePictureUrl !== undefined && profilePictureUrl !== null) {
+      if (!(await canAttachMedia(req.userId, [getMediaKey(profilePictureUrl)]))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Profile picture not found or access denied',
+        });
+      }
       updates.push(`profile_picture_url = $${paramCount++}`);
       values.push(profilePictureUrl);
     }
@@ -418,88 +991,229 @@ router.post('/complete-profile', verifyToken, async (req, res) => {
 });
 
 /**
- * Register/Login User (after OTP verification) - Legacy endpoint
- * POST /api/auth/register
+ * Start Change Number
+ * POST /api/auth/change-number/start
+ * 
+ * Sends an OTP to both the current and the new number.
  */
-router.post('/register', async (req, res) => {
+router.post('/change-number/start', verifyToken, authRateLimit, async (req, res) => {
   try {
-    const { fullName, phoneNumber, countryCode } = req.body;
+    const { newPhoneNumber, newCountryCode } = req.body;
 
-    // Validation
-    if (!fullName || !phoneNumber || !countryCode) {
+    if (!newPhoneNumber || !newCountryCode) {
       return res.status(400).json({
         success: false,
-        message: 'Full name, phone number, and country code are required',
+        message: 'New phone number and country code are required',
       });
     }
 
-    // Check if user already exists
-    const existingUser = await postgresPool.query(
-      'SELECT id, full_name, phone_number, country_code FROM users WHERE phone_number = $1 AND country_code = $2',
-      [phoneNumber, countryCode]
+    const currentUser = await postgresPool.query(
+      'SELECT phone_number, country_code FROM users WHERE id = $1',
+      [req.userId]
     );
 
-    let user;
-    let isNewUser = false;
+    if (currentUser.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
 
-    if (existingUser.rows.length > 0) {
-      // User exists, update last login
-      user = existingUser.rows[0];
-      await postgresPool.query(
-        'UPDATE users SET last_seen = CURRENT_TIMESTAMP, is_online = true WHERE id = $1',
-        [user.id]
-      );
-    } else {
-      // Create new user
-      const result = await postgresPool.query(
-        `INSERT INTO users (full_name, phone_number, country_code, is_online)
-         VALUES ($1, $2, $3, true)
-         RETURNING id, full_name, phone_number, country_code, bio, profile_picture_url, created_at`,
-        [fullName, phoneNumber, countryCode]
-      );
-      user = result.rows[0];
-      isNewUser = true;
+    const { phone_number: phoneNumber, country_code: countryCode } = currentUser.rows[0];
 
-      // Create default settings for new user
-      await postgresPool.query(
-        'INSERT INTO user_settings (user_id) VALUES ($1)',
-        [user.id]
-      );
+    if (phoneNumber === newPhoneNumber && countryCode === newCountryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'New number is the same as your current number',
+      });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, phoneNumber: user.phone_number },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    // phone_number is unique across accounts
+    const existingUser = await postgresPool.query(
+      'SELECT id FROM users WHERE phone_number = $1 AND id <> $2',
+      [newPhoneNumber, req.userId]
     );
 
-    // Store token in Redis for session management
-    const redisClient = getRedisClient();
-    await redisClient.setEx(
-      `session:${user.id}`,
-      7 * 24 * 60 * 60, // 7 days
-      token
+    if (existingUser.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is already registered to another account',
+      });
+    }
+
+    // Verify ownership of both numbers
+    for (const target of [
+      { phoneNumber, countryCode },
+      { phoneNumber: newPhoneNumber, countryCode: newCountryCode },
+    ]) {
+      const otpResult = await issueOtp(target);
+
+      if (!otpResult.sent) {
+        if (otpResult.reason === 'locked') {
+          return res.status(429).json({
+            success: false,
+            message: 'Too many failed verification attempts for this number. Please try again later.',
+            data: {
+              lockedUntil: otpResult.lockedUntil,
+            },
+          });
+        }
+
+        if (otpResult.reason === 'cooldown') {
+          return res.status(429).json({
+            success: false,
+            message: `Please wait ${otpResult.retryAfter} seconds before requesting a new code`,
+            data: {
+              retryAfter: otpResult.retryAfter,
+            },
+          });
+        }
+
+        return res.status(503).json({
+          success: false,
+          message: 'Unable to send OTP right now. Please try again later.',
+        });
+      }
+    }
+
+    const expiresIn = await savePendingNumberChange(req.userId, { newPhoneNumber, newCountryCode });
+
+    res.json({
+      success: true,
+      message: 'Verification codes sent to your current and new numbers',
+      data: {
+        expiresIn,
+      },
+    });
+  } catch (error) {
+    console.error('Start change number error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Confirm Change Number
+ * POST /api/auth/change-number/confirm
+ * 
+ * Body: { oldOtp, newOtp }
+ * Moves the account, its contacts' address book entries and notifies contacts' chats.
+ */
+router.post('/change-number/confirm', verifyToken, otpVerifyRateLimit, async (req, res) => {
+  try {
+    const { oldOtp, newOtp } = req.body;
+
+    if (!oldOtp || !newOtp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Codes for both the current and the new number are required',
+      });
+    }
+
+    const pendingChange = await getPendingNumberChange(req.userId);
+    if (!pendingChange) {
+      return res.status(400).json({
+        success: false,
+        message: 'No number change in progress. Please start again.',
+      });
+    }
+
+    const currentUser = await postgresPool.query(
+      'SELECT phone_number, country_code FROM users WHERE id = $1',
+      [req.userId]
     );
 
-    res.status(isNewUser ? 201 : 200).json({
+    if (currentUser.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const { phone_number: phoneNumber, country_code: countryCode } = currentUser.rows[0];
+    const { newPhoneNumber, newCountryCode } = pendingChange;
+
+    const oldResult = await verifyOtp({ phoneNumber, countryCode, otp: oldOtp });
+    if (!oldResult.valid) {
+      return res.status(['too_many_attempts', 'locked'].includes(oldResult.reason) ? 429 : 400).json({
+        success: false,
+        message: 'Invalid or expired code for your current number',
+        data: oldResult.lockedUntil
+          ? { lockedUntil: oldResult.lockedUntil }
+          : oldResult.attemptsRemaining !== undefined
+            ? { attemptsRemaining: oldResult.attemptsRemaining }
+            : undefined,
+      });
+    }
+
+    const newResult = await verifyOtp({ phoneNumber: newPhoneNumber, countryCode: newCountryCode, otp: newOtp });
+    if (!newResult.valid) {
+      return res.status(['too_many_attempts', 'locked'].includes(newResult.reason) ? 429 : 400).json({
+        success: false,
+        message: 'Invalid or expired code for your new number. Request new codes and try again.',
+        data: newResult.lockedUntil
+          ? { lockedUntil: newResult.lockedUntil }
+          : newResult.attemptsRemaining !== undefined
+            ? { attemptsRemaining: newResult.attemptsRemaining }
+            : undefined,
+      });
+    }
+
+    const migration = await migratePhoneNumber({
+      userId: req.userId,
+      newPhoneNumber,
+      newCountryCode,
+    });
+
+    if (!migration.changed) {
+      return res.status(migration.reason === 'number_taken' ? 409 : 404).json({
+        success: false,
+        message: migration.reason === 'number_taken'
+          ? 'This phone number is already registered to another account'
+          : 'User not found',
+      });
+    }
+
+    await clearPendingNumberChange(req.userId);
+
+    const notifiedChats = await announceNumberChange({
+      userId: req.userId,
+      fullName: migration.fullName,
+      newPhoneNumber,
+      newCountryCode,
+      contactOwnerIds: migration.contactOwnerIds,
+    });
+
+    await logActivity({
+      userId: req.userId,
+      activityType: 'phone_number_changed',
+      activityData: {
+        oldPhoneNumber: migration.oldPhoneNumber,
+        oldCountryCode: migration.oldCountryCode,
+        newPhoneNumber,
+        newCountryCode,
+        contactsUpdated: migration.contactOwnerIds.length,
+        chatsNotified: notifiedChats,
+      },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      deviceId: req.deviceId,
+    });
+
+    res.json({
       success: true,
-      message: isNewUser ? 'User registered successfully' : 'User logged in successfully',
+      message: 'Phone number changed successfully',
       data: {
-        user: {
-          id: user.id,
-          fullName: user.full_name,
-          phoneNumber: user.phone_number,
-          countryCode: user.country_code,
-          bio: user.bio,
-          profilePictureUrl: user.profile_picture_url,
-        },
-        token,
-        isNewUser,
+        phoneNumber: newPhoneNumber,
+        countryCode: newCountryCode,
+        contactsUpdated: migration.contactOwnerIds.length,
+        chatsNotified: notifiedChats,
       },
     });
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Confirm change number error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -582,15 +1296,157 @@ router.post('/heartbeat', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * Get Security Alerts
+ * GET /api/auth/security-alerts
+ * 
+ * Sign-ins from new devices in the last 30 days (also pushed live as the security_alert socket event).
+ * Use sessionId with DELETE /api/auth/sessions/:id to sign an unrecognised device out.
+ */
+router.get('/security-alerts', verifyToken, async (req, res) => {
+  try {
+    const alerts = await getSecurityAlerts(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+      },
+    });
+  } catch (error) {
+    console.error('Get security alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * List active sessions (one per signed-in device)
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await getUserSessions(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session.id,
+          deviceId: session.device_id,
+          deviceName: session.device_name,
+          deviceType: session.device_type,
+          ipAddress: session.ip_address,
+          lastUsedAt: session.last_used_at,
+          expiresAt: session.expires_at,
+          createdAt: session.created_at,
+          isCurrent: session.id === req.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Revoke all sessions except the current one
+ * POST /api/auth/sessions/revoke-others
+ */
+router.post('/sessions/revoke-others', verifyToken, async (req, res) => {
+  try {
+    const revokedSessionIds = await revokeAllOtherSessions(req.userId, req.deviceId);
+
+    if (revokedSessionIds === null) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke sessions',
+      });
+    }
+
+    // Kick the revoked devices off realtime immediately
+    const { disconnectSession } = await import('../socket/socket.server.js');
+    revokedSessionIds.forEach(sessionId => disconnectSession(sessionId));
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked',
+      data: {
+        revokedCount: revokedSessionIds.length,
+      },
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Revoke a single session (sign out that device)
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidPattern.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format',
+      });
+    }
+
+    const revoked = await revokeSession(req.userId, id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    const { disconnectSession } = await import('../socket/socket.server.js');
+    disconnectSession(id);
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Logout User
  * POST /api/auth/logout
  */
 router.post('/logout', verifyToken, async (req, res) => {
   try {
-    // Remove session from Redis
-    const redisClient = getRedisClient();
-    await redisClient.del(`session:${req.userId}`);
+    // Revoke only this device's session - other devices stay signed in
+    await revokeSession(req.userId, req.sessionId);
+
+    // Close this device's realtime connections too
+    const { disconnectSession } = await import('../socket/socket.server.js');
+    disconnectSession(req.sessionId, 'logged_out');
 
     // Update user online status
     await postgresPool.query(
@@ -611,5 +1467,97 @@ router.post('/logout', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * Delete Account
+ * DELETE /api/auth/account
+ *
+ * Body: { phoneNumber, currentPin? }
+ * The current phone number confirms intent; the PIN is required when two-step verification is on.
+ * Signs out every device straight away, then erases the account's data in a background job.
+ */
+router.delete('/account', verifyToken, authRateLimit, async (req, res) => {
+  try {
+    const { phoneNumber, currentPin } = req.body;
+
+    const currentUser = await postgresPool.query(
+      'SELECT phone_number, country_code FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    if (currentUser.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const { phone_number: currentPhoneNumber, country_code: countryCode } = currentUser.rows[0];
+
+    if (!phoneNumber || phoneNumber !== currentPhoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter your current phone number to confirm account deletion',
+      });
+    }
+
+    const { enabled: twoStepEnabled } = await getTwoStepStatus(req.userId);
+    if (twoStepEnabled) {
+      const pinResult = await verifyTwoStepPin(req.userId, String(currentPin ?? ''));
+
+      if (!pinResult.valid) {
+        if (pinResult.reason === 'locked') {
+          return res.status(429).json({
+            success: false,
+            message: 'Too many incorrect PIN attempts. Please try again later.',
+            data: {
+              lockedUntil: pinResult.lockedUntil,
+            },
+          });
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: 'Two-step verification PIN is incorrect',
+          data: {
+            attemptsRemaining: pinResult.attemptsRemaining,
+          },
+        });
+      }
+    }
+
+    const job = await createAccountDeletionJob({
+      userId: req.userId,
+      phoneNumber: currentPhoneNumber,
+      countryCode,
+    });
+
+    // Sign out everywhere before responding; the job repeats this step idempotently
+    const revokedIds = await revokeAllSessions(req.userId);
+    const { disconnectSession } = await import('../socket/socket.server.js');
+    (revokedIds || []).forEach(sessionId => disconnectSession(sessionId, 'account_deleted'));
+
+    // Erase in the background - the scheduler resumes the job if this process dies
+    runAccountDeletionJob(job.id).catch(error => {
+      console.error(`Account deletion job ${job.id} error:`, error);
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Your account is being deleted',
+      data: {
+        jobId: job.id,
+        status: job.status,
+      },
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
 export default router;
 
@@ -226,6 +226,10 @@ router.post('/:userId', verifyToken, async (req, res) => {
       20000
     );
 
+    // End any live location either of them is sharing in their chat
+    const { stopLiveLocationsBetween } = await import('../services/live-location.service.js');
+    await stopLiveLocationsBetween(blockerId, userId);
+
     res.json({
       success: true,
       message: 'User blocked successfully',
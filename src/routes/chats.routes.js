@@ -4,13 +4,28 @@ import { getMongoDB } from '../config/mongodb.config.js';
 import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
 import { verifyToken } from './auth.routes.js';
 import { getUserPresenceData } from '../utils/presence.utils.js';
-import { groupRateLimit } from '../middleware/rate-limit.middleware.js';
+import { groupRateLimit, messageRateLimit } from '../middleware/rate-limit.middleware.js';
 import { validateGroupName, validateParticipantIds, validateChatId } from '../middleware/validation.middleware.js';
 import { validateObjectId } from '../utils/mongodb.utils.js';
 import { getUnreadCount } from '../utils/redis.utils.js';
+import { DISAPPEARING_TIMERS, DISAPPEARING_TIMER_LABELS } from '../services/disappearing-messages.service.js';
+import {
+  MAX_SCHEDULE_DAYS,
+  createScheduledMessage,
+  listScheduledMessages,
+  getScheduledMessage,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+  formatScheduledMessage,
+} from '../services/scheduled-message.service.js';
+import { resolveReplyTo } from '../utils/reply.utils.js';
+import { canAttachMedia, getMediaKey } from '../services/media-access.service.js';
 
 const router = express.Router();
 
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SCHEDULED_MESSAGE_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
 /**
  * Get User's Chat List
  * GET /api/chats
@@ -158,6 +173,7 @@ router.get('/', verifyToken, async (req, res) => {
           archivedBy: chat.archivedBy || [],
           pinnedBy: chat.pinnedBy || [],
           mutedBy: chat.mutedBy || [],
+          disappearingTimer: chat.disappearingTimer || null,
           createdAt: chat.createdAt,
         };
       })
@@ -265,6 +281,7 @@ router.get('/:userId', verifyToken, async (req, res) => {
         otherUser: otherUserPresenceData,
         lastMessage: chat.lastMessage,
         lastMessageAt: chat.lastMessageAt,
+        disappearingTimer: chat.disappearingTimer || null,
         createdAt: chat.createdAt,
       },
     });
@@ -330,6 +347,14 @@ router.post('/group/create', verifyToken, groupRateLimit, validateGroupName, val
       });
     }
 
+    // The group picture is shown to every member, so it must be a file the creator can fetch
+    if (!(await canAttachMedia(req.userId, [getMediaKey(groupPictureUrl)]))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Group picture not found or access denied',
+      });
+    }
+
     const mongoDb = getMongoDB();
     const chatsCollection = mongoDb.collection('chats');
 
@@ -340,6 +365,7 @@ router.post('/group/create', verifyToken, groupRateLimit, validateGroupName, val
       groupName: name.trim(),
       groupDescription: description?.trim() || null,
       groupPictureUrl: groupPictureUrl || null,
+      groupPictureKey: getMediaKey(groupPictureUrl), // Storage key (media access checks)
       admins: [req.userId], // Creator is admin
       createdBy: req.userId,
       lastMessage: null,
@@ -454,6 +480,7 @@ router.get('/group/:chatId', verifyToken, validateChatId, async (req, res) => {
         participants: participantDetails.filter(p => p != null),
         admins: chat.admins || [],
         createdBy: chat.createdBy,
+        disappearingTimer: chat.disappearingTimer || null,
         createdAt: chat.createdAt,
         updatedAt: chat.updatedAt,
       },
@@ -532,6 +559,13 @@ router.put('/group/:chatId', verifyToken, validateChatId, async (req, res) => {
       });
     }
 
+    if (groupPictureUrl && !(await canAttachMedia(req.userId, [getMediaKey(groupPictureUrl)]))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Group picture not found or access denied',
+      });
+    }
+
     const updateData = {
       updatedAt: new Date(),
     };
@@ -544,6 +578,7 @@ router.put('/group/:chatId', verifyToken, validateChatId, async (req, res) => {
     }
     if (groupPictureUrl !== undefined) {
       updateData.groupPictureUrl = groupPictureUrl || null;
+      updateData.groupPictureKey = getMediaKey(groupPictureUrl);
     }
 
     await chatsCollection.updateOne(
@@ -1510,6 +1545,126 @@ router.post('/:chatId/mute', verifyToken, validateChatId, async (req, res) => {
   }
 });
 
+/**
+ * Set Disappearing Messages Timer
+ * PUT /api/chats/:chatId/disappearing-messages
+ *
+ * Body: { timer: 'off' | '24h' | '7d' | '90d' }
+ * Groups: admins only. Direct chats: either participant.
+ * Applies to messages sent after the change; a system message announces it.
+ */
+router.put('/:chatId/disappearing-messages', verifyToken, groupRateLimit, validateChatId, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { timer } = req.body;
+
+    if (timer !== 'off' && !DISAPPEARING_TIMERS[timer]) {
+      return res.status(400).json({
+        success: false,
+        message: `Timer must be one of: off, ${Object.keys(DISAPPEARING_TIMERS).join(', ')}`,
+      });
+    }
+
+    let chatObjectId;
+    try {
+      chatObjectId = validateObjectId(chatId, 'Chat ID');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const mongoDb = getMongoDB();
+    const chatsCollection = mongoDb.collection('chats');
+
+    const chat = await chatsCollection.findOne({
+      _id: chatObjectId,
+      participants: req.userId,
+    });
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found',
+      });
+    }
+
+    if (chat.type === 'group' && !chat.admins?.includes(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can change disappearing messages',
+      });
+    }
+
+    const newTimer = timer === 'off' ? null : timer;
+    if ((chat.disappearingTimer || null) === newTimer) {
+      return res.json({
+        success: true,
+        message: 'Disappearing messages unchanged',
+        data: { chatId, disappearingTimer: newTimer },
+      });
+    }
+
+    const now = new Date();
+    await chatsCollection.updateOne(
+      { _id: chatObjectId },
+      {
+        $set: {
+          disappearingTimer: newTimer,
+          disappearingTimerUpdatedBy: req.userId,
+          disappearingTimerUpdatedAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+
+    const userResult = await queryWithRetry(
+      'SELECT full_name FROM users WHERE id = $1',
+      [req.userId],
+      3,
+      20000
+    );
+    const displayName = userResult.rows[0]?.full_name || 'Someone';
+
+    const { createSystemMessage } = await import('../services/system-message.service.js');
+    await createSystemMessage({
+      chatId,
+      actorId: req.userId,
+      message: newTimer
+        ? `${displayName} turned on disappearing messages. New messages will disappear ${DISAPPEARING_TIMER_LABELS[newTimer]} after they're sent.`
+        : `${displayName} turned off disappearing messages.`,
+      systemData: {
+        event: 'disappearing_messages_changed',
+        userId: req.userId,
+        disappearingTimer: newTimer,
+      },
+    });
+
+    const { emitChatUpdate } = await import('../socket/socket.server.js');
+    chat.participants.forEach(participantId => {
+      emitChatUpdate(participantId, {
+        chatId,
+        type: chat.type || 'direct',
+        disappearingTimer: newTimer,
+      });
+    });
+
+    res.json({
+      success: true,
+      message: newTimer ? 'Disappearing messages turned on' : 'Disappearing messages turned off',
+      data: { chatId, disappearingTimer: newTimer },
+    });
+  } catch (error) {
+    console.error('Set disappearing messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Delete Chat
  * DELETE /api/chats/:chatId
@@ -1759,5 +1914,283 @@ router.post('/:chatId/delete-for-me', verifyToken, validateChatId, async (req, r
   }
 });
 
-export default router;
+/**
+ * Validate scheduled message fields from a request body
+ * Only fields that are present are checked (PUT sends a subset).
+ * @returns {{error?: string, sendAt?: Date}}
+ */
+const validateScheduledFields = ({ message, sendAt }) => {
+  if (message !== undefined) {
+    if (typeof message !== 'string' || message.trim().length === 0) {
+      return { error: 'Message is required and cannot be empty' };
+    }
+    if (message.length > 10000) {
+      return { error: 'Message too long. Maximum length is 10000 characters.' };
+    }
+  }
+
+  if (sendAt === undefined) {
+    return {};
+  }
 
+  const sendAtDate = new Date(sendAt);
+  if (typeof sendAt !== 'string' || isNaN(sendAtDate.getTime())) {
+    return { error: 'sendAt must be an ISO 8601 date' };
+  }
+  if (sendAtDate.getTime() <= Date.now()) {
+    return { error: 'sendAt must be in the future' };
+  }
+  if (sendAtDate.getTime() > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Messages can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` };
+  }
+  return { sendAt: sendAtDate };
+};
+
+/**
+ * Schedule a Message
+ * POST /api/chats/:chatId/scheduled-messages
+ *
+ * Body: { message, sendAt (ISO 8601), replyTo (optional message ID) }
+ * Text only. Delivered through the same path as POST /api/messages at sendAt;
+ * block checks happen again at send time.
+ */
+router.post('/:chatId/scheduled-messages', verifyToken, messageRateLimit, validateChatId, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { message, sendAt, replyTo: replyToId } = req.body;
+
+    if (sendAt === undefined || message === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'message and sendAt are required',
+      });
+    }
+
+    const validation = validateScheduledFields({ message, sendAt });
+    if (validation.error) {
+      return res.status(400).json({
+        success: false,
+        message: validation.error,
+      });
+    }
+
+    const chatObjectId = validateObjectId(chatId, 'Chat ID');
+    const chat = await getMongoDB().collection('chats').findOne({
+      _id: chatObjectId,
+      participants: req.userId,
+    });
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found',
+      });
+    }
+
+    if (chat.type === 'direct') {
+      const otherParticipantId = chat.participants.find(id => id !== req.userId);
+      const { isBlocked } = await import('../utils/block.utils.js');
+      if (otherParticipantId && await isBlocked(req.userId, otherParticipantId)) {
+        return res.status(403).json({
+          success: false,
+          message: "Can't send message",
+        });
+      }
+    }
+
+    const { error: replyToError } = await resolveReplyTo(replyToId, chatObjectId);
+    if (replyToError) {
+      return res.status(400).json({
+        success: false,
+        message: replyToError,
+      });
+    }
+
+    const scheduled = await createScheduledMessage({
+      userId: req.userId,
+      chatId,
+      message,
+      replyToId,
+      sendAt: validation.sendAt,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Message scheduled',
+      data: formatScheduledMessage(scheduled),
+    });
+  } catch (error) {
+    console.error('Schedule message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * List Scheduled Messages
+ * GET /api/chats/:chatId/scheduled-messages
+ *
+ * Query params: status (pending (default), sent, failed, cancelled)
+ * Only the current user's own scheduled messages.
+ */
+router.get('/:chatId/scheduled-messages', verifyToken, validateChatId, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { status = 'pending' } = req.query;
+
+    if (!SCHEDULED_MESSAGE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${SCHEDULED_MESSAGE_STATUSES.join(', ')}`,
+      });
+    }
+
+    const rows = await listScheduledMessages(req.userId, { chatId, status });
+
+    res.json({
+      success: true,
+      data: {
+        scheduledMessages: rows.map(formatScheduledMessage),
+        total: rows.length,
+      },
+    });
+  } catch (error) {
+    console.error('List scheduled messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Edit a Scheduled Message
+ * PUT /api/chats/:chatId/scheduled-messages/:scheduledId
+ *
+ * Body: any of { message, sendAt, replyTo (null removes the quote) }
+ * Only while still pending.
+ */
+router.put('/:chatId/scheduled-messages/:scheduledId', verifyToken, messageRateLimit, validateChatId, async (req, res) => {
+  try {
+    const { chatId, scheduledId } = req.params;
+    const { message, sendAt, replyTo: replyToId } = req.body;
+
+    if (!uuidPattern.test(scheduledId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scheduled message ID',
+      });
+    }
+
+    if (message === undefined && sendAt === undefined && replyToId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update',
+      });
+    }
+
+    const validation = validateScheduledFields({ message, sendAt });
+    if (validation.error) {
+      return res.status(400).json({
+        success: false,
+        message: validation.error,
+      });
+    }
+
+    const existing = await getScheduledMessage(req.userId, scheduledId);
+    if (!existing || existing.chat_id !== chatId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled message not found',
+      });
+    }
+
+    if (replyToId) {
+      const { error: replyToError } = await resolveReplyTo(replyToId, validateObjectId(chatId, 'Chat ID'));
+      if (replyToError) {
+        return res.status(400).json({
+          success: false,
+          message: replyToError,
+        });
+      }
+    }
+
+    const updated = await updateScheduledMessage(req.userId, scheduledId, {
+      message,
+      replyToId,
+      sendAt: validation.sendAt,
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Scheduled message has already been sent or cancelled',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled message updated',
+      data: formatScheduledMessage(updated),
+    });
+  } catch (error) {
+    console.error('Update scheduled message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Cancel a Scheduled Message
+ * DELETE /api/chats/:chatId/scheduled-messages/:scheduledId
+ */
+router.delete('/:chatId/scheduled-messages/:scheduledId', verifyToken, validateChatId, async (req, res) => {
+  try {
+    const { chatId, scheduledId } = req.params;
+
+    if (!uuidPattern.test(scheduledId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scheduled message ID',
+      });
+    }
+
+    const existing = await getScheduledMessage(req.userId, scheduledId);
+    if (!existing || existing.chat_id !== chatId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled message not found',
+      });
+    }
+
+    const cancelled = await cancelScheduledMessage(req.userId, scheduledId);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Scheduled message has already been sent or cancelled',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled message cancelled',
+      data: formatScheduledMessage(cancelled),
+    });
+  } catch (error) {
+    console.error('Cancel scheduled message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,191 @@
+/**
+ * Media Routes
+ * Serves uploaded files to the users allowed to see them
+ *
+ * uploadsRoutes is mounted at /uploads (the URLs already stored on messages,
+ * statuses and profiles); requests need either an Authorization header or a
+ * signed ?token= from POST /api/media/sign. The default router is /api/media.
+ */
+
+import express from 'express';
+import path from 'path';
+import { verifyToken } from './auth.routes.js';
+import { getFileUrl } from '../middleware/upload.middleware.js';
+import { getStorage } from '../services/storage.service.js';
+import {
+  MEDIA_URL_DEFAULT_TTL_SECONDS,
+  MEDIA_URL_MAX_TTL_SECONDS,
+  checkMediaAccess,
+  createSignedMediaUrl,
+  getMediaFilename,
+  verifyMediaToken,
+} from '../services/media-access.service.js';
+
+const router = express.Router();
+export const uploadsRoutes = express.Router();
+
+const MAX_SIGN_BATCH = 50;
+// Lifetime of the storage URL a request is redirected to (drivers with their own signed URLs)
+const STORAGE_REDIRECT_TTL_SECONDS = 10 * 60;
+
+/**
+ * Sign Media URLs
+ * POST /api/media/sign
+ *
+ * Body: { urls: [...] } or { url }, optional ttlSeconds (default 15 minutes, max 24 hours)
+ * For clients that can't set headers on media requests (img/video tags, players).
+ * URLs the user can't access come back in `denied` instead of being signed.
+ */
+router.post('/sign', verifyToken, async (req, res) => {
+  try {
+    const { url, urls, ttlSeconds } = req.body;
+    const requested = Array.isArray(urls) ? urls : [url];
+
+    if (requested.length === 0 || requested.length > MAX_SIGN_BATCH || requested.some(item => typeof item !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide url or urls (1-${MAX_SIGN_BATCH} upload URLs)`,
+      });
+    }
+
+    const ttl = ttlSeconds === undefined ? MEDIA_URL_DEFAULT_TTL_SECONDS : parseInt(ttlSeconds);
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > MEDIA_URL_MAX_TTL_SECONDS) {
+      return res.status(400).json({
+        success: false,
+        message: `ttlSeconds must be between 1 and ${MEDIA_URL_MAX_TTL_SECONDS}`,
+      });
+    }
+
+    const signed = [];
+    const denied = [];
+    for (const item of requested) {
+      const filename = getMediaFilename(item);
+      const fileUrl = filename && getFileUrl(req, filename);
+      const access = filename ? await checkMediaAccess(req.userId, filename) : { allowed: false, reason: 'not_found' };
+
+      if (access.allowed) {
+        const { url: signedUrl, expiresAt } = createSignedMediaUrl(fileUrl, filename, req.userId, ttl);
+        signed.push({ url: item, signedUrl, expiresAt });
+      } else {
+        denied.push({ url: item, reason: access.reason });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Media URLs signed',
+      data: {
+        signed,
+        denied,
+      },
+    });
+  } catch (error) {
+    console.error('Sign media URLs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Authenticate a media request
+ * A signed ?token= stands in for the Authorization header; otherwise verifyToken.
+ */
+const authenticateMedia = (req, res, next) => {
+  const { token } = req.query;
+  if (token === undefined) {
+    return verifyToken(req, res, next);
+  }
+
+  const verified = typeof token === 'string'
+    ? verifyMediaToken(req.params.filename, token)
+    : { reason: 'invalid' };
+
+  if (!verified.userId) {
+    return res.status(verified.reason === 'expired' ? 410 : 403).json({
+      success: false,
+      message: verified.reason === 'expired'
+        ? 'This media link has expired. Please request a new one.'
+        : 'Invalid media link',
+    });
+  }
+
+  req.userId = verified.userId;
+  next();
+};
+
+/**
+ * Get Media File
+ * GET /uploads/:filename
+ *
+ * Chat attachments: participants of the chat. Statuses: the GET /api/status rules.
+ * Profile pictures: the owner's profile_photo_privacy. Uploaders can always fetch their own files.
+ */
+uploadsRoutes.get('/:filename', authenticateMedia, async (req, res) => {
+  try {
+    const filename = getMediaFilename(req.params.filename);
+    if (!filename) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const access = await checkMediaAccess(req.userId, filename);
+    if (!access.allowed) {
+      // Files nothing references look the same as missing ones
+      return res.status(access.reason === 'forbidden' ? 403 : 404).json({
+        success: false,
+        message: access.reason === 'forbidden'
+          ? 'You do not have access to this file'
+          : 'File not found',
+      });
+    }
+
+    // Per-user answer - must not be stored by shared caches
+    res.set('Cache-Control', 'private, max-age=300');
+
+    const storage = getStorage();
+    const directUrl = await storage.getSignedUrl(filename, { expiresIn: STORAGE_REDIRECT_TTL_SECONDS });
+    if (directUrl) {
+      return res.redirect(directUrl);
+    }
+
+    if (storage.getFilePath) {
+      // sendFile handles Range requests, which video and audio players rely on
+      return res.sendFile(storage.getFilePath(filename), (err) => {
+        if (err && !res.headersSent) {
+          res.status(err.statusCode === 404 ? 404 : 500).json({
+            success: false,
+            message: err.statusCode === 404 ? 'File not found' : 'Internal server error',
+          });
+        }
+      });
+    }
+
+    const file = await storage.get(filename);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+    res.type(file.contentType || path.extname(filename));
+    if (file.contentLength !== null) {
+      res.set('Content-Length', String(file.contentLength));
+    }
+    file.stream.on('error', error => res.destroy(error));
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error('Get media file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -6,13 +6,55 @@ import { verifyToken } from './auth.routes.js';
 import { getRedisClient } from '../config/redis.config.js';
 import { emitNewMessage, emitChatUpdate } from '../socket/socket.server.js';
 import { getUserPresenceData } from '../utils/presence.utils.js';
-import { uploadMessageFile, getFileUrl, deleteFile } from '../middleware/upload.middleware.js';
-import { logActivity } from '../services/analytics.service.js';
-import multer from 'multer';
+import {
+  uploadMessageFile,
+  handleMulterError,
+  sendUploadError,
+  isUploadError,
+  storeMessageUpload,
+  createUploadFilename,
+  getFileUrl,
+  discardUpload,
+  getUploadMedia,
+} from '../middleware/upload.middleware.js';
 import { messageRateLimit, uploadRateLimit } from '../middleware/rate-limit.middleware.js';
 import { validateMessage, validateChatId, validateMessageId, validateReaction } from '../middleware/validation.middleware.js';
 import { incrementUnreadCount, decrementUnreadCount, getUnreadCount, setUnreadCount, clearUnreadCount, safeRedisOperation } from '../utils/redis.utils.js';
 import { validateObjectId, safeMongoOperation } from '../utils/mongodb.utils.js';
+import { getMessageExpiresAt } from '../services/disappearing-messages.service.js';
+import { getMessageMediaKeys } from '../services/media-access.service.js';
+import { sendMessage, USER_MESSAGE_TYPES } from '../services/message.service.js';
+import { formatReplyTo, updateReplySnippets, markRepliesDeleted } from '../utils/reply.utils.js';
+import { formatPoll } from '../utils/poll.utils.js';
+import { formatLocation } from '../utils/location.utils.js';
+import { formatContacts } from '../utils/vcard.utils.js';
+import { importContactCard, CONTACT_CARD_ERROR_MESSAGES } from '../services/contact-card.service.js';
+import {
+  markMessagesDelivered,
+  markMessagesRead,
+  computeMessageStatus,
+  formatReceipts,
+  getHiddenReadReceiptUsers,
+  getMessageInfo,
+  markChatReadUpTo,
+  READ_UP_TO_ERROR_MESSAGES,
+} from '../services/receipt.service.js';
+import { searchMessages, SEARCH_ERROR_MESSAGES } from '../services/message-search.service.js';
+import { stopLiveLocation, LIVE_LOCATION_ERROR_MESSAGES } from '../services/live-location.service.js';
+import { castPollVote, closePoll, POLL_ERROR_MESSAGES } from '../services/poll.service.js';
+import {
+  UPLOAD_CHUNK_MAX_SIZE,
+  UPLOAD_SESSION_ERROR_MESSAGES,
+  createUploadSession,
+  getUploadSession,
+  appendUploadChunk,
+  parseChunkChecksum,
+  claimUploadCompletion,
+  markUploadSessionCompleted,
+  markUploadSessionFailed,
+  abortUploadSession,
+  formatUploadSession,
+} from '../services/resumable-upload.service.js';
 
 const router = express.Router();
 
@@ -20,6 +62,12 @@ const router = express.Router();
  * Send Message
  * POST /api/messages
  * Supports both chatId and recipientId (for new chats)
+ * Optional replyTo: ID of a message in the same chat to quote
+ * Polls: messageType 'poll' with poll: { question, options: [string], allowMultiple, closesAt }
+ * Locations: messageType 'location' or 'live_location' with
+ *   location: { latitude, longitude, accuracy, placeName, address, durationMinutes (live: 15, 60 or 480) }
+ *   Live positions are then sent with the live_location_update socket event.
+ * Contacts: messageType 'contact' with vcard: one or more vCard 3.0/4.0 cards as text
  * 
  * Fixed bugs:
  * - #8: Message length validation
@@ -29,7 +77,7 @@ const router = express.Router();
  */
 router.post('/', verifyToken, messageRateLimit, validateMessage, async (req, res) => {
   try {
-    const { chatId, message, messageType = 'text', recipientId } = req.body;
+    const { chatId, message, messageType = 'text', recipientId, replyTo: replyToId } = req.body;
 
     if (!chatId && !recipientId) {
       return res.status(400).json({
@@ -38,353 +86,132 @@ router.post('/', verifyToken, messageRateLimit, validateMessage, async (req, res
       });
     }
 
-    const mongoDb = getMongoDB();
-    const chatsCollection = mongoDb.collection('chats');
-    const messagesCollection = mongoDb.collection('messages');
-
-    let chat;
-    let chatObjectId;
+    const result = await sendMessage({
+      senderId: req.userId,
+      chatId,
+      recipientId,
+      message,
+      messageType,
+      replyToId,
+      poll: req.poll,
+      location: req.location,
+      contacts: req.contacts,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      deviceId: req.headers['x-device-id'] || 'unknown',
+    });
 
-    // If chatId is provided, verify it exists
-    if (chatId) {
-      try {
-        chatObjectId = new ObjectId(chatId);
-        chat = await chatsCollection.findOne({
-          _id: chatObjectId,
-          participants: req.userId,
+    if (!result.sent) {
+      if (result.reason === 'invalid_message_type') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid message type. Must be one of: ${USER_MESSAGE_TYPES.join(', ')}`,
         });
-      } catch (error) {
-        // Invalid chatId, will create new chat if recipientId provided
-        chat = null;
       }
-    }
-
-    // If chat doesn't exist but recipientId is provided, create new chat
-    if (!chat && recipientId && recipientId !== req.userId) {
-      // Verify recipient exists
-      const recipientResult = await queryWithRetry(
-        'SELECT id FROM users WHERE id = $1',
-        [recipientId],
-        3,
-        20000
-      );
-
-      if (recipientResult.rows.length === 0) {
+      if (result.reason === 'media_not_allowed') {
+        return res.status(403).json({
+          success: false,
+          message: 'File not found or access denied',
+        });
+      }
+      if (result.reason === 'recipient_not_found') {
         return res.status(404).json({
           success: false,
           message: 'Recipient not found',
         });
       }
-
-      // Check if user is blocked (either direction)
-      const { isBlocked } = await import('../utils/block.utils.js');
-      const blocked = await isBlocked(req.userId, recipientId);
-      if (blocked) {
+      if (result.reason === 'blocked') {
         return res.status(403).json({
           success: false,
           message: "Can't send message",
         });
       }
-
-      // Check if chat already exists between these users
-      const existingChat = await chatsCollection.findOne({
-        participants: { $all: [req.userId, recipientId] },
-        type: 'direct',
-      });
-
-      if (existingChat) {
-        chat = existingChat;
-        chatObjectId = existingChat._id;
-      } else {
-        // Create new chat with enhanced schema
-        const newChat = {
-          participants: [req.userId, recipientId],
-          type: 'direct',
-          lastMessage: null,
-          lastMessageAt: new Date(),
-          archivedBy: [],
-          pinnedBy: [],
-          mutedBy: [],
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        };
-
-        const chatResult = await chatsCollection.insertOne(newChat);
-        chat = { ...newChat, _id: chatResult.insertedId };
-        chatObjectId = chatResult.insertedId;
-
-        // Automatically add recipient to contacts
-        const { autoAddContact } = await import('../utils/contacts.utils.js');
-        await autoAddContact(req.userId, recipientId);
+      if (result.reason === 'invalid_reply') {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
       }
-    }
-
-    if (!chat) {
       return res.status(404).json({
         success: false,
         message: 'Chat not found and recipient not specified',
       });
     }
 
-    if (!chatObjectId) {
-      chatObjectId = chat._id;
-    }
+    const { messageData } = result;
 
-    // For direct chats, check if user is blocked (either direction) and auto-add to contacts
-    if (chat.type === 'direct') {
-      const otherParticipantId = chat.participants.find(id => id !== req.userId);
-      if (otherParticipantId) {
-        const { isBlocked } = await import('../utils/block.utils.js');
-        const blocked = await isBlocked(req.userId, otherParticipantId);
-        if (blocked) {
-          return res.status(403).json({
-            success: false,
-            message: "Can't send message",
-          });
-        }
-
-        // Automatically add to contacts if not already there
-        const { autoAddContact } = await import('../utils/contacts.utils.js');
-        await autoAddContact(req.userId, otherParticipantId);
-      }
-    }
-
-    // Parse mentions if this is a group chat
-    let mentions = [];
-    if (chat.type === 'group' && messageType === 'text') {
-      const { parseMentions } = await import('../utils/mentions.utils.js');
-      // Get participant details for mention parsing
-      const participantDetails = await Promise.all(
-        chat.participants.map(async (userId) => {
-          const userResult = await queryWithRetry(
-            "SELECT id, full_name FROM users WHERE id = $1",
-            [userId],
-            3,
-            20000
-          );
-          if (userResult.rows.length > 0) {
-            return {
-              id: userResult.rows[0].id,
-              fullName: userResult.rows[0].full_name,
-            };
-          }
-          return null;
-        })
-      );
-      const validParticipants = participantDetails.filter(p => p != null);
-      mentions = parseMentions(message, validParticipants);
-    }
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: messageData,
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
 
-    // Create message with enhanced schema
-    const newMessage = {
-      chatId: chatObjectId,
-      senderId: req.userId,
-      message: message,
-      messageType: messageType, // text, image, video, audio, file, call
-      readBy: [req.userId], // Sender has read it
-      readReceipts: [
-        {
-          userId: req.userId,
-          readAt: new Date(),
-        },
-      ],
-      mentions: mentions, // Array of mentioned user IDs
-      editedAt: null,
-      deletedAt: null,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
+const SEARCH_ERROR_STATUS = {
+  query_required: 400,
+  query_too_long: 400,
+  invalid_chat: 400,
+  chat_not_found: 404,
+  invalid_date: 400,
+  invalid_cursor: 400,
+  not_searchable: 400,
+};
 
-    const messageResult = await messagesCollection.insertOne(newMessage);
-    const chatIdString = chatObjectId.toString();
+/**
+ * Search Messages
+ * GET /api/messages/search
+ * Query params: query, chatId, senderId, from, to (ISO 8601), messageType, cursor, limit (default 20, max 50)
+ * 
+ * Full-text search ranked by relevance: words, "exact phrases" and -excluded words.
+ * Each result has highlights: [{ start, end }] character ranges of the matches.
+ * query can be left out when messageType is given, to list e.g. all images newest first.
+ * Pass nextCursor back as cursor for the next page.
+ * Must stay above GET /:chatId, which would otherwise take "search" as a chat ID.
+ */
+router.get('/search', verifyToken, async (req, res) => {
+  try {
+    const { query, chatId, senderId, from, to, messageType, cursor, limit } = req.query;
 
-    // Log activity
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const deviceId = req.headers['x-device-id'] || 'unknown';
-    await logActivity({
+    const result = await searchMessages({
       userId: req.userId,
-      activityType: 'message_sent',
-      activityData: {
-        chatId: chatIdString,
-        messageType,
-        messageLength: message.length,
-      },
-      ipAddress,
-      deviceId,
+      query,
+      chatId,
+      senderId,
+      from,
+      to,
+      messageType,
+      cursor,
+      limit,
     });
-
-    // Update last_seen when user sends a message (they're clearly active)
-    // This ensures last_seen is current even if heartbeat fails or is delayed
-    try {
-      const updateResult = await queryWithRetry(
-        "UPDATE users SET last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $1 RETURNING last_seen AT TIME ZONE 'UTC' as last_seen_utc",
-        [req.userId],
-        3,
-        20000
-      );
-      if (updateResult.rows.length > 0) {
-        console.log(`💬 REST API: Message sent by ${req.userId} - Updated last_seen_utc=${updateResult.rows[0].last_seen_utc}`);
-      }
-    } catch (error) {
-      console.error('❌ Error updating last_seen on message send:', error);
-    }
-
-    // Update chat's last message only if this message is more recent
-    // This prevents text messages from overwriting more recent call messages
-    const now = new Date();
-    await chatsCollection.updateOne(
-      { 
-        _id: chatObjectId,
-        $or: [
-          { lastMessageAt: { $exists: false } },
-          { lastMessageAt: null },
-          { lastMessageAt: { $lt: now } } // Only update if new message is more recent
-        ]
-      },
-      {
-        $set: {
-          lastMessage: message,
-          lastMessageType: messageType,
-          lastMessageAt: now,
-          updatedAt: now,
-        },
-      }
-    );
-
-    // Increment unread count for other participants (all except sender)
-    // NOTE: Call messages should NOT increment unread count as they're system messages
-    // that both participants can see. They're already marked as read in createCallHistoryMessage.
-    // BUG FIX #1: Use safe Redis operations with proper error handling to prevent race conditions
-    if (messageType !== 'call') {
-      const otherParticipants = chat.participants.filter((id) => id !== req.userId);
-      // For groups, increment unread for all other participants
-      // For direct chats, increment for the one other participant
-      // Use atomic increment operations to prevent race conditions
-      await Promise.all(
-        otherParticipants.map(participantId => 
-          incrementUnreadCount(participantId, chatObjectId.toString(), 1)
-        )
-      );
-    }
-
-    // Get sender name for group chats
-    let senderName = null;
-    if (chat.type === 'group') {
-      const senderResult = await queryWithRetry(
-        `SELECT full_name FROM users WHERE id = $1`,
-        [req.userId],
-        3,
-        20000
-      );
-      if (senderResult.rows.length > 0) {
-        senderName = senderResult.rows[0].full_name || null;
-      }
-    }
-
-    // Prepare message data for Socket.IO with enhanced schema
-    const messageData = {
-      id: messageResult.insertedId.toString(),
-      chatId: chatIdString,
-      senderId: req.userId,
-      message: message,
-      messageType: messageType,
-      readBy: [req.userId],
-      readReceipts: [
-        {
-          userId: req.userId,
-          readAt: newMessage.createdAt.toISOString(),
-        },
-      ],
-      mentions: newMessage.mentions || [], // Include mentions
-      editedAt: null,
-      deletedAt: null,
-      status: 'sent', // Message is sent to server
-      createdAt: newMessage.createdAt.toISOString(),
-      updatedAt: newMessage.updatedAt.toISOString(),
-    };
-    
-    // Include sender name for group chats
-    if (senderName) {
-      messageData.senderName = senderName;
-    }
-
-    // Emit new message via Socket.IO for real-time delivery
-    await emitNewMessage(chatIdString, messageData);
-
-    // Emit chat update to all participants with unread count
-    const lastMessageAt = new Date();
-    const redisClient = getRedisClient();
-    const isGroup = chat.type === 'group';
-    
-    // Get fresh sender user details after updating last_seen
-    const senderUserResult = await queryWithRetry(
-      "SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, is_online, to_char(last_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD\"T\"HH24:MI:SS.MS\"Z\"') as last_seen, timezone FROM users WHERE id = $1",
-      [req.userId],
-      3,
-      20000
-    );
-    const senderUser = senderUserResult.rows[0];
-    const senderPresenceData = getUserPresenceData(senderUser);
-
-    // Emit chat update to all participants
-    for (const participantId of chat.participants) {
-      const participantUnreadCount = await redisClient.get(`unread:${participantId}:${chatObjectId}`) || '0';
-      
-      const chatUpdateData = {
-        chatId: chatIdString,
-        type: chat.type || 'direct',
-        lastMessage: message,
-        lastMessageType: messageType,
-        lastMessageAt: lastMessageAt.toISOString(),
-        unreadCount: parseInt(participantUnreadCount),
-        isNewChat: !chatId,
-        archivedBy: chat.archivedBy || [],
-        pinnedBy: chat.pinnedBy || [],
-        mutedBy: chat.mutedBy || [],
-      };
-      
-      // For direct chats, include otherUser info
-      // For groups, include groupInfo
-      if (isGroup) {
-        chatUpdateData.groupInfo = {
-          groupName: chat.groupName,
-          groupDescription: chat.groupDescription,
-          groupPictureUrl: chat.groupPictureUrl,
-          participantCount: chat.participants.length,
-          admins: chat.admins || [],
-          createdBy: chat.createdBy,
-        };
-      } else if (participantId !== req.userId) {
-        // For direct chats, include sender's presence data for the other participant
-        chatUpdateData.otherUser = senderPresenceData;
-        
-        // Broadcast presence update to receiver IMMEDIATELY with fresh data
-        const { getSocketIO } = await import('../socket/socket.server.js');
-        const socketIO = getSocketIO();
-        if (senderPresenceData) {
-          socketIO.to(`user:${participantId}`).emit('presence_update', {
-            userId: req.userId,
-            isOnline: senderPresenceData.isOnline,
-            lastSeen: senderPresenceData.lastSeen,
-            fullName: senderPresenceData.fullName,
-            profilePictureUrl: senderPresenceData.profilePictureUrl,
-          });
-        }
-      }
-      
-      emitChatUpdate(participantId, chatUpdateData);
+    if (!result.success) {
+      return res.status(SEARCH_ERROR_STATUS[result.reason]).json({
+        success: false,
+        message: SEARCH_ERROR_MESSAGES[result.reason],
+      });
     }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Message sent successfully',
-      data: messageData,
+      data: {
+        messages: result.messages,
+        total: result.messages.length,
+        hasMore: result.hasMore,
+        nextCursor: result.nextCursor,
+        query: typeof query === 'string' ? query.trim() : '',
+      },
     });
   } catch (error) {
-    console.error('Send message error:', error);
+    console.error('Search messages error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error',
+      message: 'Failed to search messages',
       error: error.message,
     });
   }
@@ -443,6 +270,8 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
             { deletedFor: { $nin: [req.userId] } },
           ],
         },
+        // Disappearing messages past expiresAt that the purge job hasn't reached yet
+        { expiresAt: { $not: { $lte: new Date() } } },
       ],
     };
     if (before) {
@@ -489,6 +318,13 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
 
     const isGroup = chat.type === 'group';
     const otherParticipants = chat.participants.filter((id) => id !== req.userId);
+
+    // Fetching counts as delivery for messages from others
+    const deliveredMessageIds = await markMessagesDelivered(
+      chat,
+      req.userId,
+      messages.filter((msg) => msg.senderId !== req.userId).map((msg) => msg._id)
+    );
     
     // Always clear unread count when user opens chat (even if no unread messages in current batch)
     // This ensures unread count is cleared when user views the chat
@@ -515,11 +351,8 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
 
     // If there are unread messages in current batch, mark them as read
     if (unreadMessageIds.length > 0) {
-      // Update readBy array to include current user
-      await messagesCollection.updateMany(
-        { _id: { $in: unreadMessageIds } },
-        { $addToSet: { readBy: req.userId } }
-      );
+      // Add current user to readBy/readReceipts and send read receipts (real-time)
+      await markMessagesRead(chat, req.userId, unreadMessageIds);
 
       // Reset unread count in Redis (all messages in current batch are now read)
       // BUG FIX #5: Use safe Redis operations
@@ -549,15 +382,6 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
         unreadCount: remainingUnreadCount, // Actual remaining unread count
       });
       
-      // Emit read receipts for all messages that were just marked as read (real-time)
-      for (const messageId of unreadMessageIds) {
-        socketIO.to(`chat:${chatId}`).emit('message_read_receipt', {
-          messageId: messageId.toString(),
-          readBy: req.userId,
-          chatId: chatId,
-        });
-      }
-      
       // Re-fetch messages to get updated readBy arrays
       const updatedMessages = await messagesCollection
         .find(query)
@@ -596,6 +420,18 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
       }
     }
 
+    if (deliveredMessageIds.length > 0 && unreadMessageIds.length === 0) {
+      // Re-fetch messages to get updated deliveredTo arrays
+      const updatedMessages = await messagesCollection
+        .find(query)
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .toArray();
+
+      messages.length = 0;
+      messages.push(...updatedMessages);
+    }
+
     // Reverse to show oldest first
     messages.reverse();
 
@@ -629,32 +465,17 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
       }
     }
 
+    // Read times of people with read receipts off are hidden from everyone else
+    const hiddenReaders = await getHiddenReadReceiptUsers(chat.participants);
+
     res.json({
       success: true,
       data: {
         messages: messages.map((msg) => {
-          // BUG FIX #19: Determine message status based on readBy array
-          // Fixed logic to properly handle groups
-          let status = 'sent';
-          const readBy = msg.readBy || [];
-          const isFromCurrentUser = msg.senderId === req.userId;
-          
-          if (isGroup) {
-            // For groups: status is 'read' if at least one other participant has read it
-            const otherParticipantsWhoRead = readBy.filter(id => id !== msg.senderId && otherParticipants.includes(id));
-            if (otherParticipantsWhoRead.length > 0) {
-              status = 'read';
-            } else if (readBy.length > 1 || (readBy.length === 1 && readBy[0] !== msg.senderId)) {
-              status = 'delivered';
-            }
-          } else {
-            // For direct chats: status is 'read' if the other participant has read it
-            if (readBy.length > 1) {
-              status = 'read';
-            } else if (readBy.length === 1 && readBy[0] !== msg.senderId) {
-              status = 'delivered';
-            }
-          }
+          // BUG FIX #19: Determine message status from per-recipient receipts
+          // sent -> delivered (every recipient got it) -> read (every recipient read it)
+          const { status } = computeMessageStatus(msg, chat.participants, hiddenReaders);
+          const receipts = formatReceipts(msg, req.userId, hiddenReaders);
           
           const messageObj = {
             id: msg._id.toString(),
@@ -662,7 +483,8 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
             senderId: msg.senderId,
             message: msg.message,
             messageType: msg.messageType || 'text',
-            readBy: readBy,
+            readBy: receipts.readBy,
+            deliveredTo: receipts.deliveredTo,
             status: status,
             createdAt: msg.createdAt,
           };
@@ -685,18 +507,51 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
               endedAt: msg.callData.endedAt,
             };
           }
-          
+
+          // Include systemData for server-generated notices
+          if (msg.messageType === 'system' && msg.systemData) {
+            messageObj.systemData = msg.systemData;
+          }
+
+          // Include the quoted message for replies
+          if (msg.replyTo) {
+            messageObj.replyTo = formatReplyTo(msg.replyTo);
+          }
+
+          // Include tallies (and voters in groups) for polls
+          if (msg.messageType === 'poll' && msg.poll && !msg.deletedAt) {
+            messageObj.poll = formatPoll(msg.poll, { showVoters: isGroup, viewerId: req.userId });
+          }
+
+          // Include coordinates (and live share state) for locations
+          if (msg.location && !msg.deletedAt) {
+            messageObj.location = formatLocation(msg.location);
+          }
+
+          // Include parsed cards (with matched user IDs) for contacts
+          if (msg.contacts && !msg.deletedAt) {
+            messageObj.contacts = formatContacts(msg.contacts);
+          }
+
+          // Include size, dimensions, duration and thumbnail for uploaded files
+          if (msg.media && !msg.deletedAt) {
+            messageObj.media = msg.media;
+          }
+
+          // Include expiry for disappearing messages
+          if (msg.expiresAt) {
+            messageObj.expiresAt = msg.expiresAt;
+          }
+
           // Include readReceipts if available
           if (msg.readReceipts && Array.isArray(msg.readReceipts)) {
-            messageObj.readReceipts = msg.readReceipts.map((receipt) => ({
-              userId: receipt.userId,
-              readAt: receipt.readAt,
-            }));
+            messageObj.readReceipts = receipts.readReceipts;
           }
           
           // Include editedAt and deletedAt if available
           if (msg.editedAt) {
             messageObj.editedAt = msg.editedAt;
+            messageObj.editCount = msg.editCount || 1;
           }
           if (msg.deletedAt) {
             messageObj.deletedAt = msg.deletedAt;
@@ -719,6 +574,54 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
   }
 });
 
+const READ_UP_TO_ERROR_STATUS = {
+  invalid_chat: 400,
+  chat_not_found: 404,
+  invalid_cursor: 400,
+  message_not_found: 404,
+};
+
+/**
+ * Mark Chat Read Up To
+ * POST /api/messages/:chatId/read
+ * 
+ * Body: { messageId } or { before: ISO 8601 timestamp } - everything up to and including it
+ * Marks the messages read in one write and sends one messages_read event to the chat.
+ * Same as the messages_read_up_to socket event.
+ */
+router.post('/:chatId/read', verifyToken, validateChatId, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { messageId, before } = req.body;
+
+    const result = await markChatReadUpTo({ userId: req.userId, chatId, messageId, before });
+    if (!result.success) {
+      return res.status(READ_UP_TO_ERROR_STATUS[result.reason]).json({
+        success: false,
+        message: READ_UP_TO_ERROR_MESSAGES[result.reason],
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Messages marked as read',
+      data: {
+        chatId,
+        readCount: result.readCount,
+        unreadCount: result.unreadCount,
+        upTo: result.upTo,
+      },
+    });
+  } catch (error) {
+    console.error('Mark chat read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Send Typing Indicator
  * POST /api/messages/typing
@@ -859,7 +762,169 @@ router.get('/typing/:chatId', verifyToken, async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Get typing status error:', error);
+    console.error('Get typing status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+// Previous versions kept per message; older ones are dropped (editCount still counts them)
+const MAX_EDIT_HISTORY = 20;
+
+/**
+ * Edit Message
+ * PUT /api/messages/:messageId
+ * 
+ * The text being replaced is pushed onto editHistory. The chat gets message_edited
+ * (and message_updated, for older clients).
+ * 
+ * Fixed bugs:
+ * - #28: Validate message ID format early
+ * - #8: Message length validation
+ */
+router.put('/:messageId', verifyToken, validateMessageId, validateMessage, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const message = req.body.message.trim();
+
+    const mongoDb = getMongoDB();
+    const messagesCollection = mongoDb.collection('messages');
+
+    // Verify message exists and user is sender
+    // BUG FIX #28: Validate ObjectId format early (already done by middleware)
+    let messageObjectId;
+    try {
+      messageObjectId = validateObjectId(messageId, 'Message ID');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const existingMessage = await messagesCollection.findOne({
+      _id: messageObjectId,
+      senderId: req.userId,
+    });
+
+    if (!existingMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found or you are not the sender',
+      });
+    }
+
+    // Check if message can be edited (within 15 minutes)
+    const messageAge = Date.now() - existingMessage.createdAt.getTime();
+    const fifteenMinutes = 15 * 60 * 1000;
+    if (messageAge > fifteenMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message can only be edited within 15 minutes',
+      });
+    }
+
+    // Check if message is already deleted
+    if (existingMessage.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot edit deleted message',
+      });
+    }
+
+    if (['poll', 'location', 'live_location', 'contact'].includes(existingMessage.messageType)) {
+      return res.status(400).json({
+        success: false,
+        message: "This message type can't be edited",
+      });
+    }
+
+    // Nothing changed - don't add a version
+    if (message === existingMessage.message) {
+      return res.json({
+        success: true,
+        message: 'Message edited successfully',
+        data: {
+          id: messageId,
+          message,
+          editedAt: existingMessage.editedAt || null,
+          editCount: existingMessage.editCount || 0,
+        },
+      });
+    }
+
+    // Update message, moving the current text into the history in the same
+    // pipeline update so concurrent edits each record the version they replaced
+    const now = new Date();
+    const updatedMessage = await messagesCollection.findOneAndUpdate(
+      { _id: messageObjectId, deletedAt: null },
+      [
+        {
+          $set: {
+            editHistory: {
+              $slice: [
+                {
+                  $concatArrays: [
+                    { $ifNull: ['$editHistory', []] },
+                    [{ message: '$message', sentAt: { $ifNull: ['$editedAt', '$createdAt'] }, replacedAt: now }],
+                  ],
+                },
+                -MAX_EDIT_HISTORY,
+              ],
+            },
+            editCount: { $add: [{ $ifNull: ['$editCount', 0] }, 1] },
+            message,
+            editedAt: now,
+            updatedAt: now,
+          },
+        },
+      ],
+      { returnDocument: 'after' }
+    );
+
+    if (!updatedMessage) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot edit deleted message',
+      });
+    }
+
+    // Keep quotes of this message in step with the edit
+    await updateReplySnippets(messageObjectId, existingMessage.messageType, message);
+
+    // Emit message update via Socket.IO
+    const { getSocketIO } = await import('../socket/socket.server.js');
+    const socketIO = getSocketIO();
+    const chatRoom = `chat:${updatedMessage.chatId.toString()}`;
+    socketIO.to(chatRoom).emit('message_edited', {
+      messageId: messageId,
+      chatId: updatedMessage.chatId.toString(),
+      senderId: updatedMessage.senderId,
+      message,
+      editedAt: updatedMessage.editedAt,
+      editCount: updatedMessage.editCount,
+    });
+    socketIO.to(chatRoom).emit('message_updated', {
+      messageId: messageId,
+      message,
+      editedAt: updatedMessage.editedAt,
+    });
+
+    res.json({
+      success: true,
+      message: 'Message edited successfully',
+      data: {
+        id: updatedMessage._id.toString(),
+        message: updatedMessage.message,
+        editedAt: updatedMessage.editedAt,
+        editCount: updatedMessage.editCount,
+      },
+    });
+  } catch (error) {
+    console.error('Edit message error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -869,23 +934,19 @@ router.get('/typing/:chatId', verifyToken, async (req, res) => {
 });
 
 /**
- * Edit Message
- * PUT /api/messages/:messageId
+ * Get Edit History
+ * GET /api/messages/:messageId/history
  * 
- * Fixed bugs:
- * - #28: Validate message ID format early
- * - #8: Message length validation
+ * Previous versions of an edited message, oldest first, for chat participants.
+ * Each entry has the text, when it was written (sentAt) and when it was replaced.
+ * Up to the last 20 versions are kept; editCount is the total number of edits.
  */
-router.put('/:messageId', verifyToken, validateMessageId, validateMessage, async (req, res) => {
+router.get('/:messageId/history', verifyToken, validateMessageId, async (req, res) => {
   try {
     const { messageId } = req.params;
-    const { message } = req.body;
 
     const mongoDb = getMongoDB();
-    const messagesCollection = mongoDb.collection('messages');
 
-    // Verify message exists and user is sender
-    // BUG FIX #28: Validate ObjectId format early (already done by middleware)
     let messageObjectId;
     try {
       messageObjectId = validateObjectId(messageId, 'Message ID');
@@ -896,76 +957,109 @@ router.put('/:messageId', verifyToken, validateMessageId, validateMessage, async
       });
     }
 
-    const existingMessage = await messagesCollection.findOne({
-      _id: messageObjectId,
-      senderId: req.userId,
+    const existingMessage = await mongoDb.collection('messages').findOne(
+      {
+        _id: messageObjectId,
+        deletedFor: { $ne: req.userId },
+        expiresAt: { $not: { $lte: new Date() } },
+      },
+      { projection: { chatId: 1, message: 1, editedAt: 1, editCount: 1, editHistory: 1, deletedAt: 1, createdAt: 1 } }
+    );
+
+    const chat = existingMessage && await mongoDb.collection('chats').findOne({
+      _id: existingMessage.chatId,
+      participants: req.userId,
     });
 
-    if (!existingMessage) {
+    if (!chat) {
       return res.status(404).json({
         success: false,
-        message: 'Message not found or you are not the sender',
+        message: 'Message not found',
       });
     }
 
-    // Check if message can be edited (within 15 minutes)
-    const messageAge = Date.now() - existingMessage.createdAt.getTime();
-    const fifteenMinutes = 15 * 60 * 1000;
-    if (messageAge > fifteenMinutes) {
-      return res.status(400).json({
-        success: false,
-        message: 'Message can only be edited within 15 minutes',
-      });
-    }
+    // Deleting for everyone removes the earlier versions too
+    const history = existingMessage.deletedAt ? [] : (existingMessage.editHistory || []);
 
-    // Check if message is already deleted
-    if (existingMessage.deletedAt) {
+    res.json({
+      success: true,
+      data: {
+        messageId,
+        message: existingMessage.message,
+        editedAt: existingMessage.editedAt || null,
+        editCount: existingMessage.editCount || (existingMessage.editedAt ? 1 : 0),
+        createdAt: existingMessage.createdAt,
+        history: history.map(version => ({
+          message: version.message,
+          sentAt: version.sentAt,
+          replacedAt: version.replacedAt,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get edit history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get Message Info
+ * GET /api/messages/:messageId/info
+ * 
+ * Sender only. Delivered-at and read-at for each other participant, plus the
+ * aggregated tick state. readAt is null for people with read receipts turned off.
+ */
+router.get('/:messageId/info', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const mongoDb = getMongoDB();
+
+    let messageObjectId;
+    try {
+      messageObjectId = validateObjectId(messageId, 'Message ID');
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot edit deleted message',
+        message: error.message,
       });
     }
 
-    // Update message
-    const updatedMessage = await messagesCollection.findOneAndUpdate(
-      { _id: messageObjectId },
-      {
-        $set: {
-          message: message.trim(),
-          editedAt: new Date(),
-          updatedAt: new Date(),
-        },
-      },
-      { returnDocument: 'after' }
-    );
+    const existingMessage = await mongoDb.collection('messages').findOne({
+      _id: messageObjectId,
+      senderId: req.userId,
+      deletedFor: { $ne: req.userId },
+    });
 
-    if (!updatedMessage.value) {
-      return res.status(500).json({
+    const chat = existingMessage && await mongoDb.collection('chats').findOne({
+      _id: existingMessage.chatId,
+      participants: req.userId,
+    });
+
+    if (!chat) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to update message',
+        message: 'Message not found or you are not the sender',
       });
     }
 
-    // Emit message update via Socket.IO
-    const { getSocketIO } = await import('../socket/socket.server.js');
-    const socketIO = getSocketIO();
-    socketIO.to(`chat:${updatedMessage.value.chatId.toString()}`).emit('message_updated', {
-      messageId: messageId,
-      message: message.trim(),
-      editedAt: updatedMessage.value.editedAt,
-    });
+    const info = await getMessageInfo(existingMessage, chat);
 
     res.json({
       success: true,
-      message: 'Message edited successfully',
       data: {
-        id: updatedMessage.value._id.toString(),
-        message: updatedMessage.value.message,
-        editedAt: updatedMessage.value.editedAt,
+        messageId,
+        chatId: chat._id.toString(),
+        createdAt: existingMessage.createdAt,
+        ...info,
       },
     });
   } catch (error) {
-    console.error('Edit message error:', error);
+    console.error('Get message info error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -1056,9 +1150,13 @@ router.delete('/:messageId', verifyToken, validateMessageId, async (req, res) =>
             message: 'This message was deleted',
             updatedAt: new Date(),
           },
+          $unset: { editHistory: '', media: '' },
         }
       );
 
+      // Replies quoting it now show "This message was deleted"
+      await markRepliesDeleted({ 'replyTo.messageId': messageObjectId });
+
       // BUG FIX #15: Update unread count when message is deleted
       // If message was unread by other participants, decrement their unread count
       const chat = await chatsCollection.findOne({ _id: existingMessage.chatId });
@@ -1079,40 +1177,330 @@ router.delete('/:messageId', verifyToken, validateMessageId, async (req, res) =>
         }
       }
 
-      // Emit delete event to all participants
-      const { getSocketIO } = await import('../socket/socket.server.js');
-      const socketIO = getSocketIO();
-      socketIO.to(`chat:${existingMessage.chatId.toString()}`).emit('message_deleted', {
-        messageId: messageId,
-        deleteForEveryone: true,
-      });
-    } else {
-      // Delete for me - remove from user's view (store in deletedMessages collection or mark)
-      // For now, we'll use a simple approach: mark as deleted for this user
-      // In a full implementation, you'd use a separate collection or array field
-      await messagesCollection.updateOne(
-        { _id: messageObjectId },
-        {
-          $addToSet: { deletedFor: req.userId },
-          $set: { updatedAt: new Date() },
-        }
-      );
+      // Emit delete event to all participants
+      const { getSocketIO } = await import('../socket/socket.server.js');
+      const socketIO = getSocketIO();
+      socketIO.to(`chat:${existingMessage.chatId.toString()}`).emit('message_deleted', {
+        messageId: messageId,
+        deleteForEveryone: true,
+      });
+    } else {
+      // Delete for me - remove from user's view (store in deletedMessages collection or mark)
+      // For now, we'll use a simple approach: mark as deleted for this user
+      // In a full implementation, you'd use a separate collection or array field
+      await messagesCollection.updateOne(
+        { _id: messageObjectId },
+        {
+          $addToSet: { deletedFor: req.userId },
+          $set: { updatedAt: new Date() },
+        }
+      );
+
+      // Emit delete event to user only
+      const { getSocketIO } = await import('../socket/socket.server.js');
+      const socketIO = getSocketIO();
+      socketIO.to(`user:${req.userId}`).emit('message_deleted', {
+        messageId: messageId,
+        deleteForEveryone: false,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get Replies to a Message
+ * GET /api/messages/:messageId/replies
+ * 
+ * Query: limit (max 100), before (ISO date cursor)
+ * Oldest first, excluding replies the user deleted for themselves.
+ */
+router.get('/:messageId/replies', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { limit = 50, before } = req.query;
+
+    const mongoDb = getMongoDB();
+    const messagesCollection = mongoDb.collection('messages');
+    const chatsCollection = mongoDb.collection('chats');
+
+    let messageObjectId;
+    try {
+      messageObjectId = validateObjectId(messageId, 'Message ID');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const original = await messagesCollection.findOne(
+      { _id: messageObjectId },
+      { projection: { chatId: 1 } }
+    );
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+      });
+    }
+
+    const chat = await chatsCollection.findOne({
+      _id: original.chatId,
+      participants: req.userId,
+    });
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+      });
+    }
+
+    const query = {
+      chatId: original.chatId,
+      'replyTo.messageId': messageObjectId,
+      deletedFor: { $ne: req.userId },
+      expiresAt: { $not: { $lte: new Date() } },
+    };
+
+    if (before) {
+      const beforeDate = new Date(before);
+      if (typeof before !== 'string' || isNaN(beforeDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date format for pagination cursor',
+        });
+      }
+      query.createdAt = { $lt: beforeDate };
+    }
+
+    const limitNum = Math.min(parseInt(limit) || 50, 100);
+    const replies = await messagesCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .limit(limitNum + 1)
+      .toArray();
+
+    const hasMore = replies.length > limitNum;
+    if (hasMore) {
+      replies.pop();
+    }
+    replies.reverse();
+
+    // Sender names for display
+    const senderNamesMap = new Map();
+    const uniqueSenderIds = [...new Set(replies.map(reply => reply.senderId))];
+    if (uniqueSenderIds.length > 0) {
+      const senderResults = await queryWithRetry(
+        'SELECT id, full_name FROM users WHERE id = ANY($1::uuid[])',
+        [uniqueSenderIds],
+        3,
+        20000
+      );
+      senderResults.rows.forEach(row => {
+        senderNamesMap.set(row.id, row.full_name || 'Unknown');
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        replies: replies.map(reply => ({
+          id: reply._id.toString(),
+          chatId: reply.chatId.toString(),
+          senderId: reply.senderId,
+          senderName: senderNamesMap.get(reply.senderId) || null,
+          message: reply.message,
+          messageType: reply.messageType || 'text',
+          replyTo: formatReplyTo(reply.replyTo),
+          editedAt: reply.editedAt || null,
+          deletedAt: reply.deletedAt || null,
+          createdAt: reply.createdAt,
+        })),
+        total: replies.length,
+        hasMore,
+        nextCursor: hasMore && replies.length > 0 ? replies[0].createdAt.toISOString() : null,
+      },
+    });
+  } catch (error) {
+    console.error('Get replies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+const POLL_ERROR_STATUS = {
+  invalid_message: 400,
+  not_found: 404,
+  blocked: 403,
+  invalid_options: 400,
+  single_choice: 400,
+  closed: 409,
+  forbidden: 403,
+};
+
+/**
+ * Vote in a Poll
+ * POST /api/messages/:messageId/poll/vote
+ * 
+ * Body: { optionIds: [string] } - replaces the user's previous vote; [] retracts it
+ * Updated tallies are broadcast to the chat as poll_updated.
+ * Same as the poll_vote socket event.
+ */
+router.post('/:messageId/poll/vote', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { optionIds } = req.body;
+
+    const result = await castPollVote({ userId: req.userId, messageId, optionIds });
+    if (!result.success) {
+      return res.status(POLL_ERROR_STATUS[result.reason]).json({
+        success: false,
+        message: POLL_ERROR_MESSAGES[result.reason],
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vote recorded',
+      data: { messageId, poll: result.poll },
+    });
+  } catch (error) {
+    console.error('Poll vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Close a Poll
+ * POST /api/messages/:messageId/poll/close
+ * 
+ * Poll creator, or a group admin. No more votes are accepted afterwards.
+ */
+router.post('/:messageId/poll/close', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const result = await closePoll({ userId: req.userId, messageId });
+    if (!result.success) {
+      return res.status(POLL_ERROR_STATUS[result.reason]).json({
+        success: false,
+        message: POLL_ERROR_MESSAGES[result.reason],
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Poll closed',
+      data: { messageId, poll: result.poll },
+    });
+  } catch (error) {
+    console.error('Close poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+const LIVE_LOCATION_ERROR_STATUS = {
+  invalid_message: 400,
+  not_found: 404,
+  ended: 409,
+};
 
-      // Emit delete event to user only
-      const { getSocketIO } = await import('../socket/socket.server.js');
-      const socketIO = getSocketIO();
-      socketIO.to(`user:${req.userId}`).emit('message_deleted', {
-        messageId: messageId,
-        deleteForEveryone: false,
+/**
+ * Stop Sharing Live Location
+ * POST /api/messages/:messageId/live-location/stop
+ * 
+ * Sender only. Same as the live_location_stop socket event; the chat gets live_location_stopped.
+ */
+router.post('/:messageId/live-location/stop', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const result = await stopLiveLocation({ userId: req.userId, messageId });
+    if (!result.success) {
+      return res.status(LIVE_LOCATION_ERROR_STATUS[result.reason]).json({
+        success: false,
+        message: LIVE_LOCATION_ERROR_MESSAGES[result.reason],
       });
     }
 
     res.json({
       success: true,
-      message: 'Message deleted successfully',
+      message: 'Live location stopped',
+      data: { messageId, location: result.location },
     });
   } catch (error) {
-    console.error('Delete message error:', error);
+    console.error('Stop live location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+const CONTACT_CARD_ERROR_STATUS = {
+  invalid_message: 400,
+  not_found: 404,
+  invalid_index: 400,
+  no_phone_numbers: 422,
+};
+
+/**
+ * Save a Shared Contact
+ * POST /api/messages/:messageId/contacts/import
+ * 
+ * Body: { cardIndex } - which card in the message (default 0)
+ * Adds each phone number on the card to the user's contacts under the card's name.
+ * Numbers already in contacts keep their saved name.
+ */
+router.post('/:messageId/contacts/import', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { cardIndex = 0 } = req.body;
+
+    const result = await importContactCard({ userId: req.userId, messageId, cardIndex });
+    if (!result.success) {
+      return res.status(CONTACT_CARD_ERROR_STATUS[result.reason]).json({
+        success: false,
+        message: CONTACT_CARD_ERROR_MESSAGES[result.reason],
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Saved ${result.contacts.length} contact${result.contacts.length === 1 ? '' : 's'}`,
+      data: {
+        contacts: result.contacts,
+        skipped: result.skipped,
+      },
+    });
+  } catch (error) {
+    console.error('Import contact card error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -1176,6 +1564,14 @@ router.post('/:messageId/forward', verifyToken, async (req, res) => {
       });
     }
 
+    // A live share belongs to its sender - only fixed locations can be forwarded
+    if (originalMessage.messageType === 'live_location') {
+      return res.status(400).json({
+        success: false,
+        message: "Live locations can't be forwarded",
+      });
+    }
+
     const forwardedMessages = [];
     const errors = [];
 
@@ -1252,6 +1648,35 @@ router.post('/:messageId/forward', verifyToken, async (req, res) => {
           createdAt: new Date(),
           updatedAt: new Date(),
         };
+        forwardedMessage.expiresAt = getMessageExpiresAt(targetChat, forwardedMessage.createdAt);
+
+        if (originalMessage.messageType === 'location' && originalMessage.location) {
+          forwardedMessage.location = originalMessage.location;
+        }
+
+        if (originalMessage.messageType === 'contact' && originalMessage.contacts) {
+          forwardedMessage.contacts = originalMessage.contacts;
+        }
+
+        // Same file, so the same thumbnail and metadata
+        if (originalMessage.media) {
+          forwardedMessage.media = originalMessage.media;
+        }
+        const mediaKeys = getMessageMediaKeys(forwardedMessage);
+        if (mediaKeys.length > 0) {
+          forwardedMessage.mediaKeys = mediaKeys;
+        }
+
+        // A forwarded poll starts over: no votes, open, no close time
+        if (originalMessage.messageType === 'poll' && originalMessage.poll) {
+          forwardedMessage.poll = {
+            ...originalMessage.poll,
+            options: originalMessage.poll.options.map(option => ({ ...option, voterIds: [] })),
+            closesAt: null,
+            closedAt: null,
+            closedBy: null,
+          };
+        }
 
         const result = await messagesCollection.insertOne(forwardedMessage);
         forwardedMessages.push({
@@ -1295,10 +1720,24 @@ router.post('/:messageId/forward', verifyToken, async (req, res) => {
           messageType: forwardedMessage.messageType,
           forwardedFrom: forwardedMessage.forwardedFrom,
           readBy: [req.userId],
+          expiresAt: forwardedMessage.expiresAt ? forwardedMessage.expiresAt.toISOString() : null,
           status: 'sent',
           createdAt: forwardedMessage.createdAt.toISOString(),
         };
 
+        if (forwardedMessage.poll) {
+          messageData.poll = formatPoll(forwardedMessage.poll, { showVoters: targetChat.type === 'group' });
+        }
+        if (forwardedMessage.location) {
+          messageData.location = formatLocation(forwardedMessage.location);
+        }
+        if (forwardedMessage.contacts) {
+          messageData.contacts = formatContacts(forwardedMessage.contacts);
+        }
+        if (forwardedMessage.media) {
+          messageData.media = forwardedMessage.media;
+        }
+
         await emitNewMessage(chatId, messageData);
 
         // Emit chat update to sender
@@ -1367,39 +1806,12 @@ router.post('/:messageId/forward', verifyToken, async (req, res) => {
 });
 
 /**
- * Upload File and Send as Message
- * POST /api/messages/upload
- * Accepts multipart/form-data with 'file' field
- * 
- * Fixed bugs:
- * - #14: Rate limiting for uploads
- * - #9: File cleanup on error
+ * Send an uploaded file as a message
+ * Shared by POST /upload and resumable upload completion: req.file is already in
+ * storage (see upload.middleware.js) and req.body has chatId / recipientId / messageType.
+ * Sets res.locals.messageId once the message is sent.
  */
-router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
-  uploadMessageFile(req, res, (err) => {
-    // Handle multer errors
-    if (err) {
-      if (err instanceof multer.MulterError) {
-        if (err.code === 'LIMIT_FILE_SIZE') {
-          return res.status(400).json({
-            success: false,
-            message: 'File too large. Maximum size is 50MB.',
-          });
-        }
-        return res.status(400).json({
-          success: false,
-          message: err.message || 'File upload error',
-        });
-      }
-      // File filter error
-      return res.status(400).json({
-        success: false,
-        message: err.message || 'Invalid file type',
-      });
-    }
-    next();
-  });
-}, async (req, res) => {
+const sendUploadedFile = async (req, res) => {
   try {
     const { chatId, messageType = 'file', recipientId } = req.body;
 
@@ -1414,7 +1826,7 @@ router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
       // BUG FIX #9: Delete uploaded file if validation fails
       if (req.file?.filename) {
         try {
-          deleteFile(req.file.filename);
+          await discardUpload(req.file);
         } catch (error) {
           console.error('Error deleting file on validation failure:', error);
         }
@@ -1460,7 +1872,7 @@ router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
         // BUG FIX #9: Delete uploaded file if recipient not found
         if (req.file?.filename) {
           try {
-            deleteFile(req.file.filename);
+            await discardUpload(req.file);
           } catch (error) {
             console.error('Error deleting file on recipient not found:', error);
           }
@@ -1508,7 +1920,7 @@ router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
       // BUG FIX #9: Delete uploaded file if chat not found
       if (req.file?.filename) {
         try {
-          deleteFile(req.file.filename);
+          await discardUpload(req.file);
         } catch (error) {
           console.error('Error deleting file on chat not found:', error);
         }
@@ -1536,17 +1948,13 @@ router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
     // Generate file URL
     const fileUrl = getFileUrl(req, req.file.filename);
 
-    // Determine message type based on file extension if not provided
+    // Determine message type from the file's content (detected by the upload middleware) if not provided
     let actualMessageType = messageType;
     if (messageType === 'file') {
-      const ext = req.file.originalname.split('.').pop()?.toLowerCase();
-      if (['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(ext || '')) {
-        actualMessageType = 'image';
-      } else if (['mp4', 'mov', 'avi', 'mkv', 'webm'].includes(ext || '')) {
-        actualMessageType = 'video';
-      } else if (['mp3', 'wav', 'm4a', 'aac', 'ogg'].includes(ext || '')) {
-        actualMessageType = 'audio';
-      } else if (['pdf', 'doc', 'docx', 'txt', 'xls', 'xlsx', 'ppt', 'pptx'].includes(ext || '')) {
+      const { contentKind } = req.file;
+      if (['image', 'video', 'audio'].includes(contentKind)) {
+        actualMessageType = contentKind;
+      } else if (['document', 'text'].includes(contentKind)) {
         actualMessageType = 'document';
       }
     }
@@ -1569,6 +1977,14 @@ router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
       createdAt: new Date(),
       updatedAt: new Date(),
     };
+    newMessage.expiresAt = getMessageExpiresAt(chat, newMessage.createdAt); // Disappearing messages (null if off)
+
+    // Dimensions, duration, blurhash and thumbnail so clients can draw a placeholder first
+    const media = getUploadMedia(req, req.file);
+    if (media) {
+      newMessage.media = media;
+    }
+    newMessage.mediaKeys = getMessageMediaKeys(newMessage); // Storage keys of the file and thumbnail (media access checks)
 
     const messageResult = await messagesCollection.insertOne(newMessage);
 
@@ -1637,9 +2053,14 @@ router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
       message: fileUrl,
       messageType: actualMessageType,
       readBy: [req.userId],
+      expiresAt: newMessage.expiresAt ? newMessage.expiresAt.toISOString() : null,
       status: 'sent',
       createdAt: newMessage.createdAt.toISOString(),
     };
+
+    if (newMessage.media) {
+      messageData.media = newMessage.media;
+    }
     
     // Include sender name for group chats
     if (senderName) {
@@ -1648,6 +2069,7 @@ router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
 
     // Emit new message via Socket.IO for real-time delivery
     emitNewMessage(chatIdString, messageData);
+    res.locals.messageId = messageData.id;
 
     // Emit chat update to all participants
     const lastMessageAt = new Date();
@@ -1728,12 +2150,123 @@ router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
     // BUG FIX #9: Delete uploaded file if processing failed
     if (req.file?.filename) {
       try {
-        deleteFile(req.file.filename);
+        await discardUpload(req.file);
       } catch (deleteError) {
         console.error('Error deleting file on upload error:', deleteError);
       }
     }
     
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Upload File and Send as Message
+ * POST /api/messages/upload
+ * Accepts multipart/form-data with 'file' field
+ * 
+ * Fixed bugs:
+ * - #14: Rate limiting for uploads
+ * - #9: File cleanup on error
+ */
+router.post('/upload', verifyToken, uploadRateLimit, uploadMessageFile, handleMulterError, sendUploadedFile);
+
+const UPLOAD_SESSION_ERROR_STATUS = {
+  invalid_file_name: 400,
+  invalid_file_size: 400,
+  invalid_message_type: 400,
+  invalid_checksum: 400,
+  blocked_type: 415,
+  missing_target: 400,
+  chat_not_found: 404,
+  recipient_not_found: 404,
+  too_many_sessions: 429,
+  not_found: 404,
+  not_active: 409,
+  expired: 410,
+  busy: 409,
+  offset_mismatch: 409,
+  missing_checksum: 400,
+  checksum_mismatch: 422,
+  empty_chunk: 400,
+  exceeds_size: 400,
+  incomplete: 409,
+  file_checksum_mismatch: 422,
+  data_lost: 410,
+};
+
+const sendUploadSessionError = (res, reason) => res.status(UPLOAD_SESSION_ERROR_STATUS[reason]).json({
+  success: false,
+  message: UPLOAD_SESSION_ERROR_MESSAGES[reason],
+  code: reason,
+});
+
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const validateUploadId = (req, res, next) => {
+  if (!uuidPattern.test(req.params.uploadId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid upload ID',
+    });
+  }
+  next();
+};
+
+// Chunks are raw bytes in the request body; anything over the chunk limit is refused unread
+const rawChunkParser = express.raw({ type: () => true, limit: UPLOAD_CHUNK_MAX_SIZE });
+const readUploadChunk = (req, res, next) => {
+  rawChunkParser(req, res, (err) => {
+    if (err) {
+      return res.status(err.status === 413 ? 413 : 400).json({
+        success: false,
+        message: err.status === 413
+          ? `Chunk too large. Maximum size is ${UPLOAD_CHUNK_MAX_SIZE / (1024 * 1024)}MB.`
+          : 'Could not read the chunk',
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * Start a Resumable Upload
+ * POST /api/messages/uploads
+ *
+ * Body: { fileName, fileSize, messageType?, mimeType?, chatId | recipientId, sha256? }
+ * For large files on unreliable connections (up to RESUMABLE_UPLOAD_MAX_SIZE, 1GB by default).
+ * Send the bytes with PATCH /api/messages/uploads/:uploadId, then POST .../complete.
+ * sha256 (hex, optional) is checked against the assembled file.
+ */
+router.post('/uploads', verifyToken, uploadRateLimit, async (req, res) => {
+  try {
+    const { fileName, fileSize, messageType, mimeType, chatId, recipientId, sha256 } = req.body;
+
+    const result = await createUploadSession({
+      userId: req.userId,
+      fileName,
+      fileSize: typeof fileSize === 'string' ? Number(fileSize) : fileSize,
+      messageType,
+      mimeType,
+      chatId,
+      recipientId,
+      sha256,
+    });
+    if (!result.success) {
+      return sendUploadSessionError(res, result.reason);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload started',
+      data: formatUploadSession(result.session),
+    });
+  } catch (error) {
+    console.error('Start resumable upload error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -1743,114 +2276,177 @@ router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
 });
 
 /**
- * Search Messages
- * GET /api/messages/search
- * Query params: query (required), chatId (optional), messageType (optional), limit (default 50)
+ * Get Resumable Upload Progress
+ * GET /api/messages/uploads/:uploadId
+ *
+ * offset is the number of bytes received - the next chunk starts there.
  */
-router.get('/search', verifyToken, async (req, res) => {
+router.get('/uploads/:uploadId', verifyToken, validateUploadId, async (req, res) => {
   try {
-    const { query, chatId, messageType, limit = 50 } = req.query;
+    const session = await getUploadSession(req.userId, req.params.uploadId);
+    if (!session) {
+      return sendUploadSessionError(res, 'not_found');
+    }
+
+    const upload = formatUploadSession(session);
+    res.set('Upload-Offset', String(upload.offset));
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      message: 'Upload retrieved',
+      data: upload,
+    });
+  } catch (error) {
+    console.error('Get resumable upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
 
-    if (!query || query.trim().length === 0) {
+/**
+ * Upload a Chunk
+ * PATCH /api/messages/uploads/:uploadId
+ *
+ * Body: the chunk's raw bytes (application/octet-stream), at most chunkSize
+ * Headers: Upload-Offset (the upload's current offset), Upload-Checksum: sha256 <base64 digest of the chunk>
+ * A wrong offset answers 409 with the current one in data.offset, to resume from there.
+ * A chunk whose checksum doesn't match is refused (422) and can be sent again.
+ */
+router.patch('/uploads/:uploadId', verifyToken, validateUploadId, readUploadChunk, async (req, res) => {
+  try {
+    const offsetHeader = req.get('Upload-Offset');
+    const offset = /^\d+$/.test(offsetHeader || '') ? Number(offsetHeader) : NaN;
+    if (!Number.isSafeInteger(offset)) {
       return res.status(400).json({
         success: false,
-        message: 'Search query is required',
+        message: 'Upload-Offset header is required',
       });
     }
 
-    const mongoDb = getMongoDB();
-    const messagesCollection = mongoDb.collection('messages');
-    const chatsCollection = mongoDb.collection('chats');
-
-    // Build search query
-    const searchQuery = {
-      message: { $regex: query.trim(), $options: 'i' }, // Case-insensitive search
-      deletedAt: { $exists: false }, // Exclude deleted messages
-    };
+    const result = await appendUploadChunk({
+      userId: req.userId,
+      sessionId: req.params.uploadId,
+      offset,
+      chunk: Buffer.isBuffer(req.body) ? req.body : null,
+      checksum: parseChunkChecksum(req.get('Upload-Checksum')),
+    });
 
-    // Filter by chatId if provided
-    // BUG FIX #28: Validate chat ID format early
-    if (chatId) {
-      try {
-        const chatObjectId = validateObjectId(chatId, 'Chat ID');
-        // Verify user has access to this chat
-        const chat = await chatsCollection.findOne({
-          _id: chatObjectId,
-          participants: req.userId,
-        });
-        if (!chat) {
-          return res.status(404).json({
-            success: false,
-            message: 'Chat not found',
-          });
-        }
-        searchQuery.chatId = chatObjectId;
-      } catch (error) {
-        return res.status(400).json({
+    if (!result.success) {
+      if (result.reason === 'offset_mismatch') {
+        res.set('Upload-Offset', String(result.offset));
+        return res.status(409).json({
           success: false,
-          message: error.message,
+          message: UPLOAD_SESSION_ERROR_MESSAGES.offset_mismatch,
+          code: result.reason,
+          data: { offset: result.offset },
         });
       }
-    } else {
-      // If no chatId, only search in user's chats
-      const userChats = await chatsCollection
-        .find({ participants: req.userId })
-        .project({ _id: 1 })
-        .toArray();
-      const chatIds = userChats.map(chat => chat._id);
-      searchQuery.chatId = { $in: chatIds };
+      return sendUploadSessionError(res, result.reason);
+    }
+
+    const upload = formatUploadSession(result.session);
+    res.set('Upload-Offset', String(upload.offset));
+    res.json({
+      success: true,
+      message: 'Chunk received',
+      data: upload,
+    });
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Complete a Resumable Upload
+ * POST /api/messages/uploads/:uploadId/complete
+ *
+ * Once every byte is in: the file gets the same checks as POST /api/messages/upload
+ * (content type, metadata stripping, thumbnails) and is sent as a message the same way,
+ * with the same response. Calling it again after success returns the upload with its messageId.
+ */
+router.post('/uploads/:uploadId/complete', verifyToken, validateUploadId, async (req, res) => {
+  const { uploadId } = req.params;
+  try {
+    const claim = await claimUploadCompletion(req.userId, uploadId);
+    if (!claim.success) {
+      if (claim.reason === 'already_completed') {
+        return res.json({
+          success: true,
+          message: UPLOAD_SESSION_ERROR_MESSAGES.already_completed,
+          data: formatUploadSession(claim.session),
+        });
+      }
+      return sendUploadSessionError(res, claim.reason);
     }
 
-    // Filter by message type if provided
-    if (messageType) {
-      searchQuery.messageType = messageType;
+    const { session, file } = claim;
+    file.filename = createUploadFilename(session.message_type, req.userId, session.file_name);
+    req.body = {
+      chatId: session.chat_id || undefined,
+      recipientId: session.recipient_id || undefined,
+      messageType: session.message_type,
+    };
+
+    try {
+      await storeMessageUpload(req, file);
+    } catch (error) {
+      await markUploadSessionFailed(uploadId, error.message);
+      if (isUploadError(error)) {
+        return sendUploadError(res, error);
+      }
+      throw error;
     }
 
-    // Search messages
-    const messages = await messagesCollection
-      .find(searchQuery)
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .toArray();
+    req.file = file;
+    await sendUploadedFile(req, res);
 
-    // Get chat and sender info for each message
-    const results = await Promise.all(
-      messages.map(async (message) => {
-        const chat = await chatsCollection.findOne({ _id: message.chatId });
-        const senderResult = await queryWithRetry(
-          "SELECT id, full_name, profile_picture_url FROM users WHERE id = $1",
-          [message.senderId],
-          3,
-          20000
-        );
-        const sender = senderResult.rows[0];
+    if (res.locals.messageId) {
+      await markUploadSessionCompleted(uploadId, res.locals.messageId);
+    } else {
+      await markUploadSessionFailed(uploadId, 'The message could not be sent');
+    }
+  } catch (error) {
+    console.error('Complete resumable upload error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  }
+});
 
-        return {
-          id: message._id.toString(),
-          chatId: message.chatId.toString(),
-          chatName: chat?.type === 'group' ? chat.groupName : sender?.full_name || 'Unknown',
-          senderId: message.senderId,
-          senderName: sender?.full_name || 'Unknown',
-          message: message.message,
-          messageType: message.messageType,
-          createdAt: message.createdAt,
-        };
-      })
-    );
+/**
+ * Cancel a Resumable Upload
+ * DELETE /api/messages/uploads/:uploadId
+ *
+ * Throws away the bytes received so far.
+ */
+router.delete('/uploads/:uploadId', verifyToken, validateUploadId, async (req, res) => {
+  try {
+    const result = await abortUploadSession(req.userId, req.params.uploadId);
+    if (!result.success) {
+      return sendUploadSessionError(res, result.reason);
+    }
 
     res.json({
       success: true,
-      data: {
-        messages: results,
-        total: results.length,
-        query: query.trim(),
-      },
+      message: 'Upload cancelled',
     });
   } catch (error) {
-    console.error('Search messages error:', error);
+    console.error('Cancel resumable upload error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to search messages',
+      message: 'Internal server error',
       error: error.message,
     });
   }
@@ -1,12 +1,20 @@
 import express from 'express';
 import postgresPool from '../config/postgres.config.js';
 import { verifyToken } from './auth.routes.js';
-import { uploadSingle, getFileUrl, deleteFile } from '../middleware/upload.middleware.js';
+import { uploadSingle, handleMulterError, getFileUrl, getBaseUrl, deleteFile } from '../middleware/upload.middleware.js';
+import { getStorage } from '../services/storage.service.js';
 import { getMongoDB } from '../config/mongodb.config.js';
 import { ObjectId } from 'mongodb';
-import multer from 'multer';
 import { getUserPresenceData } from '../utils/presence.utils.js';
 import { logActivity } from '../services/analytics.service.js';
+import {
+  createDataExport,
+  getDataExport,
+  runDataExportJob,
+  createDownloadToken,
+  getExportDownload,
+} from '../services/data-export.service.js';
+import { canAttachMedia, getMediaKey } from '../services/media-access.service.js';
 
 const router = express.Router();
 
@@ -83,6 +91,13 @@ router.put('/', verifyToken, async (req, res) => {
     }
 
     if (profilePictureUrl !== undefined) {
+      // Only the user's own uploads (or files they can already fetch)
+      if (!(await canAttachMedia(req.userId, [getMediaKey(profilePictureUrl)]))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Profile picture not found or access denied',
+        });
+      }
       updates.push(`profile_picture_url = $${paramCount++}`);
       values.push(profilePictureUrl);
     }
@@ -147,31 +162,7 @@ router.put('/', verifyToken, async (req, res) => {
  * POST /api/profile/picture
  * Accepts multipart/form-data with 'profilePicture' file
  */
-router.post('/picture', verifyToken, (req, res, next) => {
-  uploadSingle(req, res, (err) => {
-    // Handle multer errors
-    if (err) {
-      if (err instanceof multer.MulterError) {
-        if (err.code === 'LIMIT_FILE_SIZE') {
-          return res.status(400).json({
-            success: false,
-            message: 'File too large. Maximum size is 10MB.',
-          });
-        }
-        return res.status(400).json({
-          success: false,
-          message: err.message || 'File upload error',
-        });
-      }
-      // File filter error
-      return res.status(400).json({
-        success: false,
-        message: err.message || 'Invalid file type. Only images are allowed.',
-      });
-    }
-    next();
-  });
-}, async (req, res) => {
+router.post('/picture', verifyToken, uploadSingle, handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -204,7 +195,7 @@ router.post('/picture', verifyToken, (req, res, next) => {
       // Extract filename from URL
       const oldFilename = oldUrl.split('/').pop();
       if (oldFilename && oldFilename.startsWith('profile-')) {
-        deleteFile(oldFilename);
+        deleteFile(oldFilename).catch(error => console.error('Error deleting old profile picture:', error));
       }
     }
 
@@ -220,7 +211,7 @@ router.post('/picture', verifyToken, (req, res, next) => {
     
     // Delete uploaded file if database update failed
     if (req.file) {
-      deleteFile(req.file.filename);
+      await deleteFile(req.file.filename).catch(deleteError => console.error('Error deleting uploaded picture:', deleteError));
     }
 
     res.status(500).json({
@@ -303,6 +294,7 @@ router.get('/user/:userId', verifyToken, async (req, res) => {
  * 
  * If userId is provided: Returns media from the chat between current user and that user (both users' media)
  * If userId is not provided: Returns all media sent by the current user from all chats
+ * Items carry thumbnailUrl (null for documents, audio and older uploads) plus size/dimensions/duration
  */
 router.get('/media', verifyToken, async (req, res) => {
   try {
@@ -380,12 +372,19 @@ router.get('/media', verifyToken, async (req, res) => {
       .limit(100) // Limit to recent 100 media items
       .toArray();
 
-    // Format media items
+    // Format media items - grids load thumbnailUrl; message is the full file for opening one
     const media = mediaMessages.map((msg) => ({
       id: msg._id.toString(),
       chatId: msg.chatId.toString(),
       message: msg.message, // URL or file path
       messageType: msg.messageType,
+      thumbnailUrl: msg.media?.thumbnailUrl || null,
+      blurhash: msg.media?.blurhash || null,
+      width: msg.media?.width ?? null,
+      height: msg.media?.height ?? null,
+      duration: msg.media?.duration ?? null,
+      mimeType: msg.media?.mimeType || null,
+      size: msg.media?.size ?? null,
       createdAt: msg.createdAt,
     }));
 
@@ -406,5 +405,176 @@ router.get('/media', verifyToken, async (req, res) => {
   }
 });
 
-export default router;
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Helper to build an expiring download link for a finished export
+const getExportDownloadUrl = (req, exportRecord) => {
+  return `${getBaseUrl(req)}/api/profile/export/${exportRecord.id}/download?token=${createDownloadToken(exportRecord)}`;
+};
+
+// Lifetime of the storage URL a download is redirected to (drivers with their own signed URLs)
+const EXPORT_REDIRECT_TTL_SECONDS = 10 * 60;
+
+/**
+ * Request Data Export ("Download my data")
+ * POST /api/profile/export
+ * 
+ * Queues an archive of the user's profile, settings, contacts, blocked users, login history,
+ * chats (JSON + text transcript), call history and uploaded media.
+ * Poll GET /api/profile/export/:exportId for the download link.
+ */
+router.post('/export', verifyToken, async (req, res) => {
+  try {
+    const exportJob = await createDataExport(req.userId);
+
+    if (exportJob.created) {
+      // Build in the background - the scheduler picks it up if this process dies
+      runDataExportJob(exportJob.id).catch(error => {
+        console.error(`Data export ${exportJob.id} error:`, error);
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: exportJob.created
+        ? 'Your data export is being prepared'
+        : 'A data export is already being prepared',
+      data: {
+        exportId: exportJob.id,
+        status: exportJob.status,
+      },
+    });
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get Data Export Status
+ * GET /api/profile/export/:exportId
+ * 
+ * Includes a signed downloadUrl once the archive is ready; it stops working at expiresAt.
+ */
+router.get('/export/:exportId', verifyToken, async (req, res) => {
+  try {
+    const { exportId } = req.params;
+
+    if (!uuidPattern.test(exportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export ID',
+      });
+    }
+
+    const exportRecord = await getDataExport(req.userId, exportId);
+
+    if (!exportRecord) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found',
+      });
+    }
 
+    const isReady = exportRecord.status === 'completed' && exportRecord.is_available;
+
+    res.json({
+      success: true,
+      data: {
+        exportId: exportRecord.id,
+        status: isReady || exportRecord.status !== 'completed' ? exportRecord.status : 'expired',
+        fileSize: isReady ? Number(exportRecord.file_size) : null,
+        downloadUrl: isReady ? getExportDownloadUrl(req, exportRecord) : null,
+        expiresAt: exportRecord.expires_at,
+        createdAt: exportRecord.created_at,
+        completedAt: exportRecord.completed_at,
+      },
+    });
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Download Data Export
+ * GET /api/profile/export/:exportId/download?token=...
+ * 
+ * No Authorization header needed - the signed token in the link is the credential,
+ * so the link can be opened directly in a browser.
+ */
+router.get('/export/:exportId/download', async (req, res) => {
+  try {
+    const { exportId } = req.params;
+    const { token } = req.query;
+
+    if (!uuidPattern.test(exportId) || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid download link',
+      });
+    }
+
+    const download = await getExportDownload(exportId, token);
+
+    const expired = () => res.status(410).json({
+      success: false,
+      message: 'This download link has expired. Please request a new export.',
+    });
+
+    if (!download.fileKey) {
+      return download.reason === 'expired' ? expired() : res.status(403).json({
+        success: false,
+        message: 'Invalid download link',
+      });
+    }
+
+    const storage = getStorage();
+    const directUrl = await storage.getSignedUrl(download.fileKey, { expiresIn: EXPORT_REDIRECT_TTL_SECONDS });
+    if (directUrl) {
+      return res.redirect(directUrl);
+    }
+
+    if (storage.getFilePath) {
+      return res.download(storage.getFilePath(download.fileKey), download.fileName, (err) => {
+        if (err && !res.headersSent) {
+          if (err.statusCode === 404) {
+            return expired();
+          }
+          res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+          });
+        }
+      });
+    }
+
+    const file = await storage.get(download.fileKey);
+    if (!file) {
+      return expired();
+    }
+    res.attachment(download.fileName);
+    if (file.contentLength !== null) {
+      res.set('Content-Length', String(file.contentLength));
+    }
+    file.stream.on('error', error => res.destroy(error));
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,14 @@
 import express from 'express';
+import validator from 'validator';
 import postgresPool from '../config/postgres.config.js';
 import { verifyToken } from './auth.routes.js';
+import {
+  getTwoStepStatus,
+  setTwoStepPin,
+  disableTwoStep,
+  verifyTwoStepPin,
+  isValidPin,
+} from '../services/two-step.service.js';
 
 const router = express.Router();
 
@@ -12,7 +20,8 @@ router.get('/', verifyToken, async (req, res) => {
   try {
     const result = await postgresPool.query(
       `SELECT theme, notifications_enabled, sound_enabled, read_receipts_enabled, 
-              show_online_status, language, updated_at
+              show_online_status, language, updated_at,
+              two_step_pin_hash IS NOT NULL AS two_step_enabled, two_step_recovery_email
        FROM user_settings WHERE user_id = $1`,
       [req.userId]
     );
@@ -34,6 +43,8 @@ router.get('/', verifyToken, async (req, res) => {
           readReceiptsEnabled: true,
           showOnlineStatus: true,
           language: 'en',
+          twoStepEnabled: false,
+          twoStepRecoveryEmail: null,
         },
       });
     }
@@ -49,6 +60,8 @@ router.get('/', verifyToken, async (req, res) => {
         readReceiptsEnabled: settings.read_receipts_enabled,
         showOnlineStatus: settings.show_online_status,
         language: settings.language,
+        twoStepEnabled: settings.two_step_enabled,
+        twoStepRecoveryEmail: settings.two_step_recovery_email,
         updatedAt: settings.updated_at,
       },
     });
@@ -168,5 +181,134 @@ router.put('/', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * Check the current two-step PIN before changing it
+ * Sends the error response and returns false if the PIN is wrong or locked
+ */
+const confirmCurrentPin = async (req, res, currentPin) => {
+  const result = await verifyTwoStepPin(req.userId, String(currentPin ?? ''));
+
+  if (result.valid) {
+    return true;
+  }
+
+  if (result.reason === 'locked') {
+    res.status(429).json({
+      success: false,
+      message: 'Too many incorrect PIN attempts. Please try again later.',
+      data: {
+        lockedUntil: result.lockedUntil,
+      },
+    });
+  } else {
+    res.status(400).json({
+      success: false,
+      message: 'Current PIN is incorrect',
+      data: {
+        attemptsRemaining: result.attemptsRemaining,
+      },
+    });
+  }
+  return false;
+};
+
+/**
+ * Enable Two-Step Verification or Change PIN
+ * PUT /api/settings/two-step
+ * 
+ * Body: { pin, currentPin (when already enabled), recoveryEmail (optional, null to remove) }
+ */
+router.put('/two-step', verifyToken, async (req, res) => {
+  try {
+    const { pin, currentPin, recoveryEmail } = req.body;
+
+    if (!isValidPin(pin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be exactly 6 digits',
+      });
+    }
+
+    if (recoveryEmail !== undefined && recoveryEmail !== null &&
+        (typeof recoveryEmail !== 'string' || !validator.isEmail(recoveryEmail))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recovery email',
+      });
+    }
+
+    const status = await getTwoStepStatus(req.userId);
+    if (status.enabled && !(await confirmCurrentPin(req, res, currentPin))) {
+      return;
+    }
+
+    await setTwoStepPin(
+      req.userId,
+      pin,
+      recoveryEmail === undefined ? undefined : (recoveryEmail ? recoveryEmail.trim() : null)
+    );
+
+    const updated = await getTwoStepStatus(req.userId);
+
+    res.json({
+      success: true,
+      message: status.enabled ? 'Two-step verification PIN changed' : 'Two-step verification enabled',
+      data: {
+        twoStepEnabled: updated.enabled,
+        twoStepRecoveryEmail: updated.recoveryEmail,
+      },
+    });
+  } catch (error) {
+    console.error('Update two-step verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Disable Two-Step Verification
+ * DELETE /api/settings/two-step
+ * 
+ * Body: { currentPin }
+ */
+router.delete('/two-step', verifyToken, async (req, res) => {
+  try {
+    const { currentPin } = req.body;
+
+    const status = await getTwoStepStatus(req.userId);
+    if (!status.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-step verification is not enabled',
+      });
+    }
+
+    if (!(await confirmCurrentPin(req, res, currentPin))) {
+      return;
+    }
+
+    await disableTwoStep(req.userId);
+
+    res.json({
+      success: true,
+      message: 'Two-step verification disabled',
+      data: {
+        twoStepEnabled: false,
+        twoStepRecoveryEmail: null,
+      },
+    });
+  } catch (error) {
+    console.error('Disable two-step verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
 export default router;
 
@@ -3,8 +3,9 @@ import { ObjectId } from 'mongodb';
 import { getMongoDB } from '../config/mongodb.config.js';
 import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
 import { verifyToken } from './auth.routes.js';
-import { uploadMessageFile, getFileUrl, deleteFile } from '../middleware/upload.middleware.js';
+import { uploadStatusFile, handleMulterError, getFileUrl, deleteFile, getUploadMedia } from '../middleware/upload.middleware.js';
 import { emitStatusUpdate } from '../socket/socket.server.js';
+import { getMediaKeys } from '../services/media-access.service.js';
 import multer from 'multer';
 import rateLimit from 'express-rate-limit';
 
@@ -224,7 +225,7 @@ router.get('/me', verifyToken, async (req, res) => {
  * POST /api/status
  * Supports: image, video, text
  */
-router.post('/', verifyToken, statusRateLimit, uploadMessageFile, async (req, res) => {
+router.post('/', verifyToken, statusRateLimit, uploadStatusFile, handleMulterError, async (req, res) => {
   try {
     const { type, text, backgroundColor, textColor, fontFamily } = req.body;
 
@@ -262,8 +263,8 @@ router.post('/', verifyToken, statusRateLimit, uploadMessageFile, async (req, re
       if (type === 'image' && fileSize > MAX_IMAGE_SIZE) {
         // Delete uploaded file
         try {
-          const { deleteFile } = await import('../middleware/upload.middleware.js');
-          deleteFile(req.file.filename);
+          const { discardUpload } = await import('../middleware/upload.middleware.js');
+          await discardUpload(req.file);
         } catch (e) {
           console.error('Error deleting oversized file:', e);
         }
@@ -275,8 +276,8 @@ router.post('/', verifyToken, statusRateLimit, uploadMessageFile, async (req, re
       if (type === 'video' && fileSize > MAX_VIDEO_SIZE) {
         // Delete uploaded file
         try {
-          const { deleteFile } = await import('../middleware/upload.middleware.js');
-          deleteFile(req.file.filename);
+          const { discardUpload } = await import('../middleware/upload.middleware.js');
+          await discardUpload(req.file);
         } catch (e) {
           console.error('Error deleting oversized file:', e);
         }
@@ -311,6 +312,15 @@ router.post('/', verifyToken, statusRateLimit, uploadMessageFile, async (req, re
       viewers: [],
     };
 
+    // Dimensions, duration, blurhash and thumbnail (poster frame for videos)
+    const media = getUploadMedia(req, req.file);
+    if (media) {
+      statusItem.media = media;
+    }
+    if (statusItem.url) {
+      statusItem.mediaKeys = getMediaKeys(statusItem.url, media); // Storage keys of the file and thumbnail (media access checks)
+    }
+
     // Check if user already has a status document
     const existingStatus = await statusCollection.findOne({
       userId: req.userId,
@@ -503,7 +513,10 @@ router.delete('/:statusId', verifyToken, async (req, res) => {
       // Retry file deletion with exponential backoff
       while (!fileDeleted && retryCount < maxRetries) {
         try {
-          deleteFile(filename);
+          await deleteFile(filename);
+          if (statusItem.media?.thumbnailUrl) {
+            await deleteFile(statusItem.media.thumbnailUrl.split('/').pop());
+          }
           fileDeleted = true;
         } catch (fileError) {
           retryCount++;
@@ -72,6 +72,7 @@ import adminRoutes from './routes/admin.routes.js';
 import callsRoutes from './routes/calls.routes.js';
 import statusRoutes from './routes/status.routes.js';
 import blockRoutes from './routes/block.routes.js';
+import mediaRoutes, { uploadsRoutes } from './routes/media.routes.js';
 
 // API Routes
 app.get('/api', (req, res) => {
@@ -90,8 +91,8 @@ app.get('/api', (req, res) => {
   });
 });
 
-// Serve uploaded files
-app.use('/uploads', express.static('uploads'));
+// Serve uploaded files - only to users with access (see media.routes.js)
+app.use('/uploads', uploadsRoutes);
 
 // Register routes
 app.use('/api/auth', authRoutes);
@@ -101,6 +102,7 @@ app.use('/api/chats', chatsRoutes);
 app.use('/api/contacts', contactsRoutes);
 app.use('/api/messages', messagesRoutes);
 app.use('/api/block', blockRoutes);
+app.use('/api/media', mediaRoutes);
 app.use('/api/admin', adminRoutes);
 // Register calls routes - must be after other routes to avoid conflicts
 app.use('/api/calls', callsRoutes);
@@ -112,9 +114,19 @@ console.log('✅ Status routes registered: /api/status');
 // Initialize databases and start server
 const startServer = async () => {
   try {
+    // Refuse to run with SMS or mail transports that would only log OTP and PIN reset codes
+    const { assertSmsProviderConfigured } = await import('./services/sms.service.js');
+    assertSmsProviderConfigured();
+    const { assertMailProviderConfigured } = await import('./services/mail.service.js');
+    assertMailProviderConfigured();
+
     // Initialize all database connections
     await initializeDatabases();
 
+    // Check the upload storage backend (local disk or S3)
+    const { initializeStorage } = await import('./services/storage.service.js');
+    await initializeStorage();
+
     // Initialize Socket.IO
     initializeSocket(httpServer);
     console.log('✅ Socket.IO initialized');
@@ -123,6 +135,34 @@ const startServer = async () => {
     const { startStatusCleanupScheduler } = await import('./services/status-cleanup.service.js');
     startStatusCleanupScheduler();
 
+    // Start expired session sweep
+    const { startSessionCleanupScheduler } = await import('./services/session.service.js');
+    startSessionCleanupScheduler();
+
+    // Resume unfinished account deletions
+    const { startAccountDeletionScheduler } = await import('./services/account-deletion.service.js');
+    startAccountDeletionScheduler();
+
+    // Build queued data exports and expire old archives
+    const { startDataExportScheduler } = await import('./services/data-export.service.js');
+    startDataExportScheduler();
+
+    // Purge expired disappearing messages
+    const { startDisappearingMessagesScheduler } = await import('./services/disappearing-messages.service.js');
+    startDisappearingMessagesScheduler();
+
+    // Send scheduled messages that are due
+    const { startScheduledMessageDispatcher } = await import('./services/scheduled-message.service.js');
+    startScheduledMessageDispatcher();
+
+    // End live location shares that have expired
+    const { startLiveLocationScheduler } = await import('./services/live-location.service.js');
+    startLiveLocationScheduler();
+
+    // Garbage-collect abandoned resumable uploads
+    const { startUploadSessionCleanupScheduler } = await import('./services/resumable-upload.service.js');
+    startUploadSessionCleanupScheduler();
+
     // Start HTTP server (with Socket.IO)
     httpServer.listen(PORT, () => {
       console.log(`\n🚀 Server running on port ${PORT}`);
@@ -0,0 +1,432 @@
+/**
+ * Account Deletion Service
+ *
+ * Erases a user's account as a resumable job. The job row in account_deletion_jobs
+ * records which steps have finished; every step is idempotent, so a job that
+ * crashed part-way is simply picked up again by the scheduler and continues.
+ *
+ * Steps (in order):
+ * 1. sessions   - revoke every session and disconnect live sockets
+ * 2. uploads    - delete the user's files, data export archives and unfinished resumable uploads
+ *                 from upload storage (before the messages and statuses that point at them change)
+ * 3. groups     - leave group chats, promoting a new admin when needed
+ * 4. messages   - anonymise sent messages, repoint chat previews and strip the user from receipts/reactions
+ * 5. calls      - anonymise call records
+ * 6. statuses   - delete the user's statuses and remove them from viewer lists
+ * 7. analytics  - delete activity logs
+ * 8. redis      - clear the user's Redis keys
+ * 9. postgres   - delete login logs and the user row (cascades to settings, contacts, sessions, ...)
+ */
+
+import postgresPool from '../config/postgres.config.js';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { getRedisClient } from '../config/redis.config.js';
+import { deleteFile } from '../middleware/upload.middleware.js';
+import { findUserMediaKeys } from './media-access.service.js';
+import { revokeAllSessions } from './session.service.js';
+import { cancelUserScheduledMessages } from './scheduled-message.service.js';
+import { deleteUserExports } from './data-export.service.js';
+import { deleteUserUploadSessions } from './resumable-upload.service.js';
+
+// Stands in for the erased user in shared chats and call records (valid UUID, no user row)
+export const DELETED_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+const JOB_LEASE_MINUTES = 10;
+const MAX_JOB_ATTEMPTS = 10;
+
+/**
+ * Create (or return the existing) deletion job for a user
+ * Also deactivates the account so it can't be used while the job runs.
+ */
+export const createAccountDeletionJob = async ({ userId, phoneNumber, countryCode }) => {
+  await postgresPool.query(
+    'UPDATE users SET is_active = false, is_online = false WHERE id = $1',
+    [userId]
+  );
+
+  const result = await postgresPool.query(
+    `INSERT INTO account_deletion_jobs (user_id, phone_number, country_code)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id) WHERE status <> 'completed' DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+     RETURNING id, status`,
+    [userId, phoneNumber, countryCode]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Whether an account is waiting to be erased
+ */
+export const hasPendingDeletion = async (userId) => {
+  const result = await postgresPool.query(
+    "SELECT 1 FROM account_deletion_jobs WHERE user_id = $1 AND status <> 'completed' LIMIT 1",
+    [userId]
+  );
+  return result.rows.length > 0;
+};
+
+const stepRevokeSessions = async ({ userId }) => {
+  const revokedIds = await revokeAllSessions(userId);
+  if (revokedIds === null) {
+    throw new Error('Could not revoke sessions');
+  }
+
+  const { disconnectSession } = await import('../socket/socket.server.js');
+  revokedIds.forEach(sessionId => disconnectSession(sessionId, 'account_deleted'));
+
+  // Nothing queued may go out after this point
+  await cancelUserScheduledMessages(userId);
+};
+
+// Keys are read from the user's messages, statuses and profile, so this runs before those change
+const stepDeleteUploads = async ({ userId }) => {
+  for (const filename of await findUserMediaKeys(userId)) {
+    await deleteFile(filename);
+  }
+  await deleteUserExports(userId);
+  await deleteUserUploadSessions(userId);
+};
+
+const stepLeaveGroups = async ({ userId }) => {
+  const chatsCollection = getMongoDB().collection('chats');
+  const messagesCollection = getMongoDB().collection('messages');
+
+  const groups = await chatsCollection.find({ type: 'group', participants: userId }).toArray();
+
+  for (const group of groups) {
+    const remaining = (group.participants || []).filter(id => id !== userId);
+
+    if (remaining.length === 0) {
+      // Last member - nothing left to keep
+      await messagesCollection.deleteMany({ chatId: group._id });
+      await chatsCollection.deleteOne({ _id: group._id });
+      continue;
+    }
+
+    const remainingAdmins = (group.admins || []).filter(id => id !== userId);
+    const update = {
+      $pull: { participants: userId, admins: userId },
+      $set: { updatedAt: new Date() },
+    };
+
+    // Promote the longest-standing remaining member if no admin would be left
+    if (remainingAdmins.length === 0) {
+      await chatsCollection.updateOne({ _id: group._id }, update);
+      await chatsCollection.updateOne(
+        { _id: group._id },
+        { $addToSet: { admins: remaining[0] } }
+      );
+    } else {
+      await chatsCollection.updateOne({ _id: group._id }, update);
+    }
+
+    if (group.createdBy === userId) {
+      await chatsCollection.updateOne({ _id: group._id }, { $set: { createdBy: DELETED_USER_ID } });
+    }
+  }
+};
+
+const stepAnonymiseMessages = async ({ userId }) => {
+  const mongoDb = getMongoDB();
+  const chatsCollection = mongoDb.collection('chats');
+  const messagesCollection = mongoDb.collection('messages');
+  const now = new Date();
+
+  // Chat previews move to the newest message someone else sent. Done before the
+  // messages change so a resumed step still finds the chats
+  const chatIds = await messagesCollection.distinct('chatId', { senderId: userId });
+  for (const chatId of chatIds) {
+    const chat = await chatsCollection.findOne({ _id: chatId }, { projection: { createdAt: 1 } });
+    if (!chat) {
+      continue;
+    }
+
+    const latest = await messagesCollection
+      .find({ chatId, deletedAt: null, senderId: { $ne: userId } })
+      .sort({ createdAt: -1 })
+      .limit(1)
+      .next();
+
+    await chatsCollection.updateOne(
+      { _id: chatId },
+      {
+        $set: {
+          lastMessage: latest ? latest.message : null,
+          lastMessageType: latest ? latest.messageType || 'text' : 'text',
+          lastMessageAt: latest ? latest.createdAt : chat.createdAt,
+        },
+      }
+    );
+  }
+
+  // Messages the user sent lose their content and authorship
+  await messagesCollection.updateMany(
+    { senderId: userId },
+    {
+      $set: {
+        senderId: DELETED_USER_ID,
+        message: 'This message was deleted',
+        mentions: [],
+        deletedAt: now,
+        updatedAt: now,
+      },
+      $unset: { poll: '', location: '', contacts: '', editHistory: '', media: '' },
+    }
+  );
+
+  // Votes in other people's polls
+  await messagesCollection.updateMany(
+    { messageType: 'poll', 'poll.options.voterIds': userId },
+    { $pull: { 'poll.options.$[].voterIds': userId } }
+  );
+
+  // Replies quoting those messages lose the quote too
+  await messagesCollection.updateMany(
+    { 'replyTo.senderId': userId },
+    {
+      $set: {
+        'replyTo.senderId': DELETED_USER_ID,
+        'replyTo.senderName': null,
+        'replyTo.snippet': null,
+        'replyTo.isDeleted': true,
+      },
+    }
+  );
+
+  // Remove the user's traces from other people's messages
+  await messagesCollection.updateMany(
+    {
+      $or: [
+        { readBy: userId },
+        { 'readReceipts.userId': userId },
+        { 'deliveredTo.userId': userId },
+        { 'reactions.userId': userId },
+        { starredBy: userId },
+        { deletedFor: userId },
+        { mentions: userId },
+      ],
+    },
+    {
+      $pull: {
+        readBy: userId,
+        readReceipts: { userId },
+        deliveredTo: { userId },
+        reactions: { userId },
+        starredBy: userId,
+        deletedFor: userId,
+        mentions: userId,
+      },
+    }
+  );
+
+  // Direct chats stay with the other participant, pointing at the placeholder
+  await chatsCollection.updateMany(
+    { type: 'direct', participants: userId },
+    {
+      $set: { 'participants.$': DELETED_USER_ID, updatedAt: now },
+      $pull: { archivedBy: userId, pinnedBy: userId, mutedBy: userId },
+    }
+  );
+};
+
+const stepAnonymiseCalls = async ({ userId }) => {
+  const callsCollection = getMongoDB().collection('calls');
+
+  await callsCollection.updateMany(
+    { initiatorId: userId },
+    { $set: { initiatorId: DELETED_USER_ID } }
+  );
+
+  // Participants are stored as { userId, state } objects (older records as plain strings)
+  await callsCollection.updateMany(
+    { 'participants.userId': userId },
+    { $set: { 'participants.$[p].userId': DELETED_USER_ID } },
+    { arrayFilters: [{ 'p.userId': userId }] }
+  );
+
+  await callsCollection.updateMany(
+    { participants: userId },
+    { $set: { 'participants.$[p]': DELETED_USER_ID } },
+    { arrayFilters: [{ p: userId }] }
+  );
+};
+
+const stepDeleteStatuses = async ({ userId }) => {
+  const mongoDb = getMongoDB();
+  const statusCollection = mongoDb.collection('status');
+
+  const statusDoc = await statusCollection.findOne({ userId });
+  for (const statusItem of statusDoc?.statuses || []) {
+    if (statusItem.url) {
+      try {
+        await deleteFile(statusItem.url.split('/').pop());
+      } catch (error) {
+        console.error(`Error deleting status file for ${userId}:`, error.message);
+      }
+    }
+  }
+
+  await statusCollection.deleteOne({ userId });
+  await statusCollection.updateMany(
+    { 'statuses.viewers': userId },
+    { $pull: { 'statuses.$[].viewers': userId } }
+  );
+
+  await mongoDb.collection('status_updates').deleteMany({ userId });
+  await mongoDb.collection('status_views').deleteMany({ viewerId: userId });
+};
+
+const stepDeleteAnalytics = async ({ userId }) => {
+  const mongoDb = getMongoDB();
+  await mongoDb.collection('activity_logs').deleteMany({ userId });
+  await mongoDb.collection('analytics').deleteMany({ userId });
+};
+
+const stepClearRedis = async ({ userId, phone_number: phoneNumber, country_code: countryCode }) => {
+  const redisClient = getRedisClient();
+
+  const keys = [
+    `otp:${countryCode}:${phoneNumber}`,
+    `otp_cooldown:${countryCode}:${phoneNumber}`,
+    `two_step_reset:${userId}`,
+    `change_number:${userId}`,
+  ];
+
+  for (const pattern of [`session:${userId}:*`, `unread:${userId}:*`, `typing:*:${userId}`]) {
+    for await (const key of redisClient.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+      keys.push(key);
+    }
+  }
+
+  await redisClient.del(keys);
+};
+
+const stepDeletePostgres = async ({ userId, phone_number: phoneNumber, country_code: countryCode }) => {
+  // login_logs keep their rows on user delete (SET NULL) - remove them explicitly
+  await postgresPool.query(
+    'DELETE FROM login_logs WHERE user_id = $1 OR (phone_number = $2 AND country_code = $3)',
+    [userId, phoneNumber, countryCode]
+  );
+  await postgresPool.query(
+    'DELETE FROM otp_lockouts WHERE phone_number = $1 AND country_code = $2',
+    [phoneNumber, countryCode]
+  );
+  await postgresPool.query('DELETE FROM users WHERE id = $1', [userId]);
+};
+
+const DELETION_STEPS = [
+  ['sessions', stepRevokeSessions],
+  ['uploads', stepDeleteUploads],
+  ['groups', stepLeaveGroups],
+  ['messages', stepAnonymiseMessages],
+  ['calls', stepAnonymiseCalls],
+  ['statuses', stepDeleteStatuses],
+  ['analytics', stepDeleteAnalytics],
+  ['redis', stepClearRedis],
+  ['postgres', stepDeletePostgres],
+];
+
+/**
+ * Run (or resume) a deletion job
+ * A lease on the job row keeps two instances from running it at once.
+ * @returns {Promise<boolean>} true if the job finished
+ */
+export const runAccountDeletionJob = async (jobId) => {
+  const claimed = await postgresPool.query(
+    `UPDATE account_deletion_jobs
+     SET status = 'running', attempts = attempts + 1,
+         locked_until = CURRENT_TIMESTAMP + ($2 || ' minutes')::interval,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status <> 'completed'
+       AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+     RETURNING id, user_id, phone_number, country_code, completed_steps`,
+    [jobId, JOB_LEASE_MINUTES]
+  );
+
+  if (claimed.rows.length === 0) {
+    return false; // Already done or running elsewhere
+  }
+
+  const job = claimed.rows[0];
+  const context = { ...job, userId: job.user_id };
+  const completedSteps = new Set(job.completed_steps || []);
+
+  for (const [stepName, runStep] of DELETION_STEPS) {
+    if (completedSteps.has(stepName)) {
+      continue;
+    }
+
+    try {
+      await runStep(context);
+      await postgresPool.query(
+        `UPDATE account_deletion_jobs
+         SET completed_steps = array_append(completed_steps, $2), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [jobId, stepName]
+      );
+    } catch (error) {
+      console.error(`❌ Account deletion job ${jobId} failed at step "${stepName}":`, error);
+      await postgresPool.query(
+        `UPDATE account_deletion_jobs
+         SET status = 'failed', last_error = $2, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [jobId, `${stepName}: ${error.message}`]
+      );
+      return false;
+    }
+  }
+
+  // The number was only kept to clean up by it - don't hold on to it once done
+  await postgresPool.query(
+    `UPDATE account_deletion_jobs
+     SET status = 'completed', locked_until = NULL, last_error = NULL,
+         phone_number = NULL, country_code = NULL,
+         completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [jobId]
+  );
+
+  console.log(`✅ Account deletion job ${jobId} completed`);
+  return true;
+};
+
+/**
+ * Resume unfinished jobs (new, failed, or abandoned by a crashed instance)
+ */
+export const resumeAccountDeletionJobs = async () => {
+  try {
+    const pending = await postgresPool.query(
+      `SELECT id FROM account_deletion_jobs
+       WHERE status <> 'completed' AND attempts < $1
+         AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+       ORDER BY created_at ASC
+       LIMIT 20`,
+      [MAX_JOB_ATTEMPTS]
+    );
+
+    for (const job of pending.rows) {
+      await runAccountDeletionJob(job.id);
+    }
+
+    return pending.rows.length;
+  } catch (error) {
+    console.error('Error resuming account deletion jobs:', error);
+    return 0;
+  }
+};
+
+/**
+ * Start periodic resume of deletion jobs (runs every 5 minutes)
+ */
+export const startAccountDeletionScheduler = () => {
+  // Run immediately on start
+  resumeAccountDeletionJobs();
+
+  // Then run every 5 minutes
+  setInterval(() => {
+    resumeAccountDeletionJobs();
+  }, 5 * 60 * 1000); // 5 minutes in milliseconds
+
+  console.log('✅ Account deletion scheduler started (runs every 5 minutes)');
+};
@@ -0,0 +1,164 @@
+/**
+ * Change Number Service
+ *
+ * Moves an account to a new phone number once both the old and new numbers
+ * have been verified by OTP:
+ * - users.phone_number / country_code are re-keyed in one transaction
+ * - other users' contacts pointing at the old number are rewritten to the new one
+ * - direct chats with those contacts get a system message announcing the change
+ */
+
+import postgresPool from '../config/postgres.config.js';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { getRedisClient } from '../config/redis.config.js';
+import { createSystemMessage } from './system-message.service.js';
+
+const PENDING_CHANGE_TTL_SECONDS = 10 * 60; // 10 minutes to enter both codes
+
+const pendingChangeKey = (userId) => `change_number:${userId}`;
+
+/**
+ * Remember which number the user is moving to while the OTPs are outstanding
+ */
+export const savePendingNumberChange = async (userId, { newPhoneNumber, newCountryCode }) => {
+  await getRedisClient().setEx(
+    pendingChangeKey(userId),
+    PENDING_CHANGE_TTL_SECONDS,
+    JSON.stringify({ newPhoneNumber, newCountryCode })
+  );
+  return PENDING_CHANGE_TTL_SECONDS;
+};
+
+export const getPendingNumberChange = async (userId) => {
+  const stored = await getRedisClient().get(pendingChangeKey(userId));
+  return stored ? JSON.parse(stored) : null;
+};
+
+export const clearPendingNumberChange = async (userId) => {
+  await getRedisClient().del(pendingChangeKey(userId));
+};
+
+/**
+ * Re-key the account and rewrite contacts in a single transaction
+ * @returns {Promise<{changed: boolean, reason?: 'number_taken'|'user_not_found', oldPhoneNumber?: string, oldCountryCode?: string, fullName?: string, contactOwnerIds?: string[]}>}
+ */
+export const migratePhoneNumber = async ({ userId, newPhoneNumber, newCountryCode }) => {
+  const client = await postgresPool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT phone_number, country_code, full_name FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { changed: false, reason: 'user_not_found' };
+    }
+
+    const { phone_number: oldPhoneNumber, country_code: oldCountryCode, full_name: fullName } = current.rows[0];
+
+    await client.query(
+      'UPDATE users SET phone_number = $1, country_code = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+      [newPhoneNumber, newCountryCode, userId]
+    );
+
+    // Contacts that already saved the new number now resolve to this user
+    const alreadySaved = await client.query(
+      `UPDATE contacts SET contact_user_id = $1
+       WHERE contact_phone_number = $2 AND contact_country_code = $3 AND user_id <> $1
+       RETURNING user_id`,
+      [userId, newPhoneNumber, newCountryCode]
+    );
+
+    // Drop old-number entries that would collide with an existing new-number entry
+    await client.query(
+      `DELETE FROM contacts old
+       WHERE old.contact_phone_number = $1 AND old.contact_country_code = $2
+         AND EXISTS (
+           SELECT 1 FROM contacts existing
+           WHERE existing.user_id = old.user_id
+             AND existing.contact_phone_number = $3 AND existing.contact_country_code = $4
+         )`,
+      [oldPhoneNumber, oldCountryCode, newPhoneNumber, newCountryCode]
+    );
+
+    const rewritten = await client.query(
+      `UPDATE contacts
+       SET contact_phone_number = $1, contact_country_code = $2, contact_user_id = $3
+       WHERE contact_phone_number = $4 AND contact_country_code = $5 AND user_id <> $3
+       RETURNING user_id`,
+      [newPhoneNumber, newCountryCode, userId, oldPhoneNumber, oldCountryCode]
+    );
+
+    await client.query('COMMIT');
+
+    const contactOwnerIds = [...new Set([
+      ...alreadySaved.rows.map(row => row.user_id),
+      ...rewritten.rows.map(row => row.user_id),
+    ])];
+
+    return { changed: true, oldPhoneNumber, oldCountryCode, fullName, contactOwnerIds };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+
+    if (error.code === '23505') { // Unique violation - new number registered meanwhile
+      return { changed: false, reason: 'number_taken' };
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Post "changed their number" notices in direct chats with the user's contacts
+ * @returns {Promise<number>} Number of chats notified
+ */
+export const announceNumberChange = async ({ userId, fullName, newPhoneNumber, newCountryCode, contactOwnerIds }) => {
+  if (!contactOwnerIds || contactOwnerIds.length === 0) {
+    return 0;
+  }
+
+  try {
+    const mongoDb = getMongoDB();
+    const chats = await mongoDb.collection('chats').find({
+      type: 'direct',
+      participants: userId,
+    }).project({ _id: 1, participants: 1 }).toArray();
+
+    const ownerSet = new Set(contactOwnerIds);
+    const displayName = fullName || 'This contact';
+    let notified = 0;
+
+    for (const chat of chats) {
+      const otherParticipantId = chat.participants.find(id => id !== userId);
+      if (!ownerSet.has(otherParticipantId)) {
+        continue;
+      }
+
+      const posted = await createSystemMessage({
+        chatId: chat._id.toString(),
+        actorId: userId,
+        message: `${displayName} changed their phone number to ${newCountryCode} ${newPhoneNumber}`,
+        systemData: {
+          event: 'phone_number_changed',
+          userId,
+          newPhoneNumber,
+          newCountryCode,
+        },
+      });
+
+      if (posted) {
+        notified++;
+      }
+    }
+
+    return notified;
+  } catch (error) {
+    console.error('Error announcing number change:', error);
+    return 0;
+  }
+};
@@ -0,0 +1,174 @@
+/**
+ * Contact Card Service
+ *
+ * Resolves the phone numbers in shared vCards to registered users, and saves a
+ * received card into the recipient's contacts. Numbers are matched on
+ * users.phone_number + users.country_code, the same pair the contacts table uses.
+ */
+
+import { getMongoDB } from '../config/mongodb.config.js';
+import { queryWithRetry } from '../config/postgres.config.js';
+import { validateObjectId } from '../utils/mongodb.utils.js';
+import { splitPhoneNumber } from '../utils/vcard.utils.js';
+
+export const CONTACT_CARD_ERROR_MESSAGES = {
+  invalid_message: 'Invalid message ID',
+  not_found: 'Contact card not found',
+  invalid_index: 'cardIndex must be the index of a contact in this message',
+  no_phone_numbers: 'This contact has no phone number that can be saved',
+};
+
+const getUserCountryCode = async (userId) => {
+  const result = await queryWithRetry(
+    'SELECT country_code FROM users WHERE id = $1',
+    [userId],
+    2,
+    10000
+  );
+  return result.rows[0]?.country_code || null;
+};
+
+/**
+ * Look up registered users for split numbers
+ * @param {Array<{countryCode: string|null, phoneNumber: string}>} numbers
+ * @returns {Promise<Array<Object|null>>} users row (id, phone_number, country_code) per number
+ */
+const findUsersByPhone = async (numbers) => {
+  if (numbers.length === 0) {
+    return [];
+  }
+
+  const split = numbers.filter(number => number.countryCode);
+  const whole = numbers.filter(number => !number.countryCode).map(number => number.phoneNumber);
+
+  const result = await queryWithRetry(
+    `SELECT id, phone_number, country_code FROM users
+     WHERE (phone_number, country_code) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+        OR country_code || phone_number = ANY($3::text[])`,
+    [split.map(number => number.phoneNumber), split.map(number => number.countryCode), whole],
+    2,
+    10000
+  );
+
+  return numbers.map(number => result.rows.find(user => (
+    number.countryCode
+      ? user.phone_number === number.phoneNumber && user.country_code === number.countryCode
+      : user.country_code + user.phone_number === number.phoneNumber
+  )) || null);
+};
+
+/**
+ * Fill in countryCode, phoneNumber and userId on each phone of parsed cards
+ * Local numbers are read in the sender's country.
+ * @param {Array} cards - From parseVCards (modified in place)
+ * @param {string} senderId
+ */
+export const resolveContactCards = async (cards, senderId) => {
+  const senderCountryCode = await getUserCountryCode(senderId);
+  const phones = cards.flatMap(card => card.phones);
+
+  phones.forEach(phone => Object.assign(phone, splitPhoneNumber(phone.value, senderCountryCode)));
+
+  const users = await findUsersByPhone(phones);
+  phones.forEach((phone, index) => {
+    const user = users[index];
+    if (user) {
+      phone.countryCode = user.country_code;
+      phone.phoneNumber = user.phone_number;
+      phone.userId = user.id;
+    }
+  });
+
+  return cards;
+};
+
+/**
+ * Add a card from a received contact message to the user's contacts
+ * Every number on the card becomes a contact row; numbers already in the user's
+ * contacts keep their name and just get contact_user_id filled in.
+ * @returns {Promise<{success: true, contacts: Array, skipped: Array}|{success: false, reason: string}>}
+ */
+export const importContactCard = async ({ userId, messageId, cardIndex = 0 }) => {
+  let messageObjectId;
+  try {
+    messageObjectId = validateObjectId(messageId, 'Message ID');
+  } catch (error) {
+    return { success: false, reason: 'invalid_message' };
+  }
+
+  const mongoDb = getMongoDB();
+  const contactMessage = await mongoDb.collection('messages').findOne({
+    _id: messageObjectId,
+    messageType: 'contact',
+    deletedAt: null,
+    deletedFor: { $ne: userId },
+  });
+  if (!contactMessage) {
+    return { success: false, reason: 'not_found' };
+  }
+
+  const chat = await mongoDb.collection('chats').findOne({
+    _id: contactMessage.chatId,
+    participants: userId,
+  });
+  if (!chat) {
+    return { success: false, reason: 'not_found' };
+  }
+
+  const card = Number.isInteger(cardIndex) ? contactMessage.contacts?.[cardIndex] : null;
+  if (!card) {
+    return { success: false, reason: 'invalid_index' };
+  }
+
+  // Numbers the sender's country couldn't split may still be in the importer's
+  const userCountryCode = await getUserCountryCode(userId);
+  const numbers = card.phones.map(phone => (
+    phone.countryCode ? phone : splitPhoneNumber(phone.phoneNumber || phone.value, userCountryCode)
+  ));
+
+  const savable = numbers.filter(number => number.countryCode);
+  if (savable.length === 0) {
+    return { success: false, reason: 'no_phone_numbers' };
+  }
+
+  // Re-check - the person may have signed up since the card was sent
+  const users = await findUsersByPhone(savable);
+
+  const contacts = [];
+  const skipped = [];
+  for (const [index, number] of savable.entries()) {
+    const user = users[index];
+    if (user && user.id === userId) {
+      skipped.push({ phoneNumber: number.phoneNumber, countryCode: number.countryCode, reason: 'This is your own number' });
+      continue;
+    }
+
+    const result = await queryWithRetry(
+      `INSERT INTO contacts (user_id, contact_phone_number, contact_country_code, contact_name, contact_user_id)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, contact_phone_number, contact_country_code)
+       DO UPDATE SET contact_user_id = COALESCE(contacts.contact_user_id, EXCLUDED.contact_user_id), updated_at = CURRENT_TIMESTAMP
+       RETURNING id, contact_phone_number, contact_country_code, contact_name, contact_user_id, created_at`,
+      [userId, number.phoneNumber, number.countryCode, card.fullName, user?.id || null],
+      2,
+      10000
+    );
+
+    const contact = result.rows[0];
+    contacts.push({
+      id: contact.id,
+      phoneNumber: contact.contact_phone_number,
+      countryCode: contact.contact_country_code,
+      name: contact.contact_name,
+      userId: contact.contact_user_id,
+      isOnAxzora: !!contact.contact_user_id,
+      createdAt: contact.created_at,
+    });
+  }
+
+  for (const number of numbers.filter(number => !number.countryCode)) {
+    skipped.push({ phoneNumber: number.phoneNumber, countryCode: null, reason: 'Unknown country code' });
+  }
+
+  return { success: true, contacts, skipped };
+};
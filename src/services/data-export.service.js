@@ -0,0 +1,403 @@
+/**
+ * Data Export Service
+ *
+ * Builds a "download my data" archive (.tar.gz) in the background:
+ * - profile.json, settings.json, contacts.json, blocked_users.json, login_logs.json
+ * - chats/<chatId>.json (chat + messages) and chats/<chatId>.txt (readable transcript)
+ * - calls.json
+ * - media/ (the user's uploaded files, read from upload storage)
+ *
+ * Jobs live in data_export_jobs and are resumed by the scheduler if a process dies.
+ * Archives are built in a temporary file, then kept in upload storage (any
+ * instance can serve them) and downloadable through a signed link until
+ * expires_at, after which they are deleted.
+ */
+
+import jwt from 'jsonwebtoken';
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import postgresPool from '../config/postgres.config.js';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { findUserMediaKeys } from './media-access.service.js';
+import { getStorage } from './storage.service.js';
+import { writeTarGz } from '../utils/archive.utils.js';
+
+const stagingDir = path.join(os.tmpdir(), 'axzora-exports');
+
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS || '48', 10);
+const JOB_LEASE_MINUTES = 15;
+const MAX_JOB_ATTEMPTS = 3;
+const DOWNLOAD_TOKEN_PURPOSE = 'data_export';
+
+// Secrets and internal counters never leave the server
+const PROFILE_EXCLUDED_FIELDS = ['verification_code', 'verification_expires_at'];
+const SETTINGS_EXCLUDED_FIELDS = ['two_step_pin_hash', 'two_step_failed_attempts', 'two_step_locked_until'];
+const CALL_EXCLUDED_FIELDS = ['signalPayload'];
+
+const omit = (record, fields) => {
+  if (!record) return record;
+  const copy = { ...record };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+};
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+// Storage key of an export's archive (nothing references it, so /uploads never serves it)
+const getExportKey = (exportId) => `export-${exportId}.tar.gz`;
+
+// Delete an archive from storage, and from the server's disk for ones built before exports moved there
+const deleteArchive = async ({ file_key: fileKey, file_path: filePath }) => {
+  if (fileKey) {
+    await getStorage().delete(fileKey);
+  }
+  if (filePath) {
+    fs.rmSync(filePath, { force: true });
+  }
+};
+
+/**
+ * Queue an export, or return the one already in progress
+ * @returns {Promise<{id: string, status: string, created: boolean}>}
+ */
+export const createDataExport = async (userId) => {
+  const existing = await postgresPool.query(
+    "SELECT id, status FROM data_export_jobs WHERE user_id = $1 AND status IN ('pending', 'running')",
+    [userId]
+  );
+
+  if (existing.rows.length > 0) {
+    return { ...existing.rows[0], created: false };
+  }
+
+  try {
+    const result = await postgresPool.query(
+      'INSERT INTO data_export_jobs (user_id) VALUES ($1) RETURNING id, status',
+      [userId]
+    );
+    return { ...result.rows[0], created: true };
+  } catch (error) {
+    if (error.code === '23505') { // Another request queued one meanwhile
+      const current = await postgresPool.query(
+        "SELECT id, status FROM data_export_jobs WHERE user_id = $1 AND status IN ('pending', 'running')",
+        [userId]
+      );
+      if (current.rows.length > 0) {
+        return { ...current.rows[0], created: false };
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get one of the user's exports
+ */
+export const getDataExport = async (userId, exportId) => {
+  const result = await postgresPool.query(
+    `SELECT id, status, file_size, last_error,
+            expires_at > CURRENT_TIMESTAMP AS is_available,
+            created_at, completed_at, expires_at
+     FROM data_export_jobs WHERE id = $1 AND user_id = $2`,
+    [exportId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Sign a download link token that expires with the archive
+ */
+export const createDownloadToken = (exportRecord) => {
+  const secondsLeft = Math.floor((new Date(exportRecord.expires_at).getTime() - Date.now()) / 1000);
+  return jwt.sign(
+    { exportId: exportRecord.id, purpose: DOWNLOAD_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(secondsLeft, 1) }
+  );
+};
+
+/**
+ * Resolve a download link to the archive's storage key
+ * @returns {Promise<{fileKey?: string, fileName?: string, reason?: 'invalid'|'expired'}>}
+ */
+export const getExportDownload = async (exportId, token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { reason: error.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+  }
+
+  if (decoded.purpose !== DOWNLOAD_TOKEN_PURPOSE || decoded.exportId !== exportId) {
+    return { reason: 'invalid' };
+  }
+
+  const result = await postgresPool.query(
+    `SELECT file_key, created_at FROM data_export_jobs
+     WHERE id = $1 AND status = 'completed' AND expires_at > CURRENT_TIMESTAMP`,
+    [exportId]
+  );
+
+  const record = result.rows[0];
+  if (!record || !record.file_key) {
+    return { reason: 'expired' };
+  }
+
+  const datePart = new Date(record.created_at).toISOString().slice(0, 10);
+  return { fileKey: record.file_key, fileName: `axzora-chat-data-${datePart}.tar.gz` };
+};
+
+/**
+ * Format one transcript line: [2024-01-31 14:05:09 UTC] Name: text
+ */
+const formatTranscriptLine = (message, names) => {
+  const timestamp = new Date(message.createdAt).toISOString().replace('T', ' ').slice(0, 19);
+  const sender = names.get(message.senderId) || message.senderId;
+
+  if (message.messageType === 'system') {
+    return `[${timestamp} UTC] ${message.message}`;
+  }
+  if (message.deletedAt) {
+    return `[${timestamp} UTC] ${sender}: <message deleted>`;
+  }
+
+  const body = message.messageType && message.messageType !== 'text'
+    ? `<${message.messageType}> ${message.message || ''}`.trim()
+    : message.message || '';
+  return `[${timestamp} UTC] ${sender}: ${body}${message.editedAt ? ' (edited)' : ''}`;
+};
+
+/**
+ * Look up display names for a set of user IDs
+ */
+const loadUserNames = async (userIds) => {
+  const ids = [...userIds].filter(id => /^[0-9a-f-]{36}$/i.test(id));
+  const names = new Map();
+  if (ids.length === 0) {
+    return names;
+  }
+
+  const result = await postgresPool.query(
+    'SELECT id, full_name, phone_number FROM users WHERE id = ANY($1::uuid[])',
+    [ids]
+  );
+  result.rows.forEach(row => names.set(row.id, row.full_name || row.phone_number));
+  return names;
+};
+
+/**
+ * Produce the archive entries for a user, one at a time
+ */
+async function* exportEntries(userId) {
+  const mongoDb = getMongoDB();
+
+  const profile = await postgresPool.query('SELECT * FROM users WHERE id = $1', [userId]);
+  if (profile.rows.length === 0) {
+    throw new Error('User not found');
+  }
+  yield { path: 'profile.json', content: toJson(omit(profile.rows[0], PROFILE_EXCLUDED_FIELDS)) };
+
+  const settings = await postgresPool.query('SELECT * FROM user_settings WHERE user_id = $1', [userId]);
+  yield { path: 'settings.json', content: toJson(omit(settings.rows[0] || {}, SETTINGS_EXCLUDED_FIELDS)) };
+
+  const contacts = await postgresPool.query(
+    'SELECT * FROM contacts WHERE user_id = $1 ORDER BY contact_name ASC',
+    [userId]
+  );
+  yield { path: 'contacts.json', content: toJson(contacts.rows) };
+
+  const blocked = await postgresPool.query(
+    `SELECT b.blocked_id, u.full_name, u.phone_number, u.country_code, b.reason, b.created_at
+     FROM blocked_users b
+     LEFT JOIN users u ON u.id = b.blocked_id
+     WHERE b.blocker_id = $1
+     ORDER BY b.created_at DESC`,
+    [userId]
+  );
+  yield { path: 'blocked_users.json', content: toJson(blocked.rows) };
+
+  const loginLogs = await postgresPool.query(
+    'SELECT * FROM login_logs WHERE user_id = $1 ORDER BY created_at DESC',
+    [userId]
+  );
+  yield { path: 'login_logs.json', content: toJson(loginLogs.rows) };
+
+  // Chats, one JSON + one transcript per chat
+  const chats = await mongoDb.collection('chats').find({ participants: userId }).toArray();
+  const names = await loadUserNames(new Set(chats.flatMap(chat => chat.participants || [])));
+
+  for (const chat of chats) {
+    const chatId = chat._id.toString();
+    const messages = await mongoDb.collection('messages')
+      .find({ chatId: chat._id, deletedFor: { $ne: userId } })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    // Senders who have since left a group aren't in participants
+    const unknownSenders = new Set(messages.map(m => m.senderId).filter(id => id && !names.has(id)));
+    if (unknownSenders.size > 0) {
+      (await loadUserNames(unknownSenders)).forEach((name, id) => names.set(id, name));
+    }
+
+    yield { path: `chats/${chatId}.json`, content: toJson({ chat, messages }) };
+
+    const title = chat.type === 'group'
+      ? chat.groupName || 'Group'
+      : (chat.participants || []).filter(id => id !== userId).map(id => names.get(id) || id).join(', ');
+    const transcript = [
+      `Chat with ${title}`,
+      `Exported ${new Date().toISOString()}`,
+      '',
+      ...messages.map(message => formatTranscriptLine(message, names)),
+      '',
+    ].join('\n');
+    yield { path: `chats/${chatId}.txt`, content: transcript };
+  }
+
+  const calls = await mongoDb.collection('calls').find({
+    $or: [
+      { initiatorId: userId },
+      { 'participants.userId': userId },
+      { participants: userId },
+    ],
+  }).sort({ createdAt: -1 }).toArray();
+  yield { path: 'calls.json', content: toJson(calls.map(call => omit(call, CALL_EXCLUDED_FIELDS))) };
+
+  const storage = getStorage();
+  for (const filename of await findUserMediaKeys(userId)) {
+    const file = await storage.get(filename);
+    if (file) {
+      yield { path: `media/${filename}`, stream: file.stream, size: file.contentLength, mtime: file.lastModified };
+    }
+  }
+}
+
+/**
+ * Build (or resume) an export
+ * @returns {Promise<boolean>} true if the archive is ready
+ */
+export const runDataExportJob = async (exportId) => {
+  const claimed = await postgresPool.query(
+    `UPDATE data_export_jobs
+     SET status = 'running', attempts = attempts + 1,
+         locked_until = CURRENT_TIMESTAMP + ($2 || ' minutes')::interval,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status IN ('pending', 'running') AND attempts < $3
+       AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+     RETURNING id, user_id, attempts`,
+    [exportId, JOB_LEASE_MINUTES, MAX_JOB_ATTEMPTS]
+  );
+
+  if (claimed.rows.length === 0) {
+    return false; // Finished, or being built elsewhere
+  }
+
+  const { user_id: userId, attempts } = claimed.rows[0];
+  const fileKey = getExportKey(exportId);
+  const stagingPath = path.join(stagingDir, fileKey);
+
+  try {
+    fs.mkdirSync(stagingDir, { recursive: true });
+    const fileSize = await writeTarGz(stagingPath, exportEntries(userId));
+
+    await getStorage().put(fileKey, fs.createReadStream(stagingPath), {
+      contentType: 'application/gzip',
+      contentLength: fileSize,
+    });
+
+    await postgresPool.query(
+      `UPDATE data_export_jobs
+       SET status = 'completed', file_key = $2, file_size = $3, locked_until = NULL, last_error = NULL,
+           completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+           expires_at = CURRENT_TIMESTAMP + ($4 || ' hours')::interval
+       WHERE id = $1`,
+      [exportId, fileKey, fileSize, EXPORT_TTL_HOURS]
+    );
+
+    console.log(`✅ Data export ${exportId} ready (${fileSize} bytes)`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Data export ${exportId} failed:`, error);
+
+    // Leave it pending for the scheduler to retry until attempts run out
+    await postgresPool.query(
+      `UPDATE data_export_jobs
+       SET status = $2, last_error = $3, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [exportId, attempts >= MAX_JOB_ATTEMPTS ? 'failed' : 'pending', error.message]
+    );
+    return false;
+  } finally {
+    fs.rmSync(stagingPath, { force: true });
+  }
+};
+
+/**
+ * Delete a user's archives (account deletion)
+ */
+export const deleteUserExports = async (userId) => {
+  const result = await postgresPool.query(
+    `SELECT file_key, file_path FROM data_export_jobs
+     WHERE user_id = $1 AND (file_key IS NOT NULL OR file_path IS NOT NULL)`,
+    [userId]
+  );
+  for (const row of result.rows) {
+    await deleteArchive(row);
+  }
+};
+
+/**
+ * Resume unfinished exports and delete archives past their expiry
+ */
+export const processDataExports = async () => {
+  try {
+    const expired = await postgresPool.query(
+      `UPDATE data_export_jobs
+       SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'completed' AND expires_at < CURRENT_TIMESTAMP
+       RETURNING file_key, file_path`
+    );
+    for (const row of expired.rows) {
+      await deleteArchive(row);
+    }
+
+    // Builds that kept crashing the process give up
+    await postgresPool.query(
+      `UPDATE data_export_jobs
+       SET status = 'failed', updated_at = CURRENT_TIMESTAMP
+       WHERE status IN ('pending', 'running') AND attempts >= $1
+         AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)`,
+      [MAX_JOB_ATTEMPTS]
+    );
+
+    const pending = await postgresPool.query(
+      `SELECT id FROM data_export_jobs
+       WHERE status IN ('pending', 'running')
+         AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+       ORDER BY created_at ASC
+       LIMIT 5`
+    );
+
+    for (const job of pending.rows) {
+      await runDataExportJob(job.id);
+    }
+  } catch (error) {
+    console.error('Error processing data exports:', error);
+  }
+};
+
+/**
+ * Start periodic export processing (runs every 5 minutes)
+ */
+export const startDataExportScheduler = () => {
+  // Run immediately on start
+  processDataExports();
+
+  // Then run every 5 minutes
+  setInterval(() => {
+    processDataExports();
+  }, 5 * 60 * 1000); // 5 minutes in milliseconds
+
+  console.log('✅ Data export scheduler started (runs every 5 minutes)');
+};
@@ -0,0 +1,202 @@
+/**
+ * Disappearing Messages Service
+ *
+ * A chat can carry a disappearing timer (chats.disappearingTimer). Messages sent
+ * while it is on get an expiresAt; this job purges them once it passes, along
+ * with their upload files. The messages TTL index on expiresAt is only a
+ * backstop with a grace period, so the job normally gets to delete files first.
+ */
+
+import { getMongoDB } from '../config/mongodb.config.js';
+import { deleteFile } from '../middleware/upload.middleware.js';
+import { decrementUnreadCount } from '../utils/redis.utils.js';
+import { markRepliesDeleted } from '../utils/reply.utils.js';
+
+// Allowed timers in seconds ('off' clears the timer)
+export const DISAPPEARING_TIMERS = {
+  '24h': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60,
+  '90d': 90 * 24 * 60 * 60,
+};
+
+export const DISAPPEARING_TIMER_LABELS = {
+  '24h': '24 hours',
+  '7d': '7 days',
+  '90d': '90 days',
+};
+
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * Expiry for a message sent now, or null when the chat has no timer
+ * @param {Object} chat - Chat document
+ * @param {Date} sentAt - Message createdAt
+ */
+export const getMessageExpiresAt = (chat, sentAt = new Date()) => {
+  const seconds = DISAPPEARING_TIMERS[chat?.disappearingTimer];
+  if (!seconds) {
+    return null;
+  }
+  return new Date(sentAt.getTime() + seconds * 1000);
+};
+
+/**
+ * Delete a message's uploads (file and thumbnail) unless another (non-expired)
+ * message still points at them, e.g. a forwarded copy in a chat without a timer.
+ * Only the sender's own uploads are deleted; a message can point at a file
+ * someone else uploaded, which isn't the sender's to remove.
+ */
+const deleteMessageFile = async (messagesCollection, message, purgedIds) => {
+  // Filenames are <kind>-<uploaderId>-<timestamp>-<random>.<ext>
+  const keys = (message.mediaKeys || []).filter(key => key.includes(`-${message.senderId}-`));
+
+  let deleted = false;
+  for (const key of keys) {
+    const stillUsed = await messagesCollection.findOne({
+      mediaKeys: key,
+      _id: { $nin: purgedIds },
+    });
+    if (stillUsed) {
+      continue;
+    }
+
+    try {
+      await deleteFile(key);
+      deleted = true;
+    } catch (error) {
+      console.error(`Error deleting file ${key} for expired message ${message._id}:`, error);
+    }
+  }
+  return deleted;
+};
+
+/**
+ * Purge messages whose expiresAt has passed
+ * This should be called periodically (see startDisappearingMessagesScheduler)
+ */
+export const deleteExpiredMessages = async () => {
+  try {
+    const mongoDb = getMongoDB();
+    const messagesCollection = mongoDb.collection('messages');
+    const chatsCollection = mongoDb.collection('chats');
+
+    let messagesDeleted = 0;
+    let filesDeleted = 0;
+
+    while (true) {
+      const expired = await messagesCollection
+        .find({ expiresAt: { $lte: new Date() } })
+        .sort({ expiresAt: 1 })
+        .limit(PURGE_BATCH_SIZE)
+        .toArray();
+
+      if (expired.length === 0) {
+        break;
+      }
+
+      const expiredIds = expired.map(msg => msg._id);
+      const chatIds = [...new Set(expired.map(msg => msg.chatId.toString()))];
+      const chats = await chatsCollection
+        .find({ _id: { $in: expired.map(msg => msg.chatId) } })
+        .toArray();
+      const chatsById = new Map(chats.map(chat => [chat._id.toString(), chat]));
+
+      for (const msg of expired) {
+        if (await deleteMessageFile(messagesCollection, msg, expiredIds)) {
+          filesDeleted++;
+        }
+
+        // Unread counts still include messages that were never read
+        const chat = chatsById.get(msg.chatId.toString());
+        if (chat && !msg.deletedAt && msg.messageType !== 'call') {
+          const unreadBy = chat.participants.filter(
+            id => id !== msg.senderId && !(msg.readBy || []).includes(id) && !(msg.deletedFor || []).includes(id)
+          );
+          await Promise.all(
+            unreadBy.map(participantId => decrementUnreadCount(participantId, msg.chatId.toString(), 1))
+          );
+        }
+      }
+
+      const result = await messagesCollection.deleteMany({ _id: { $in: expiredIds } });
+      messagesDeleted += result.deletedCount;
+
+      // Replies that survive (sent before the timer, or in another timer window) show the quote as deleted
+      await markRepliesDeleted({ 'replyTo.messageId': { $in: expiredIds } });
+
+      const { getSocketIO, emitChatUpdate } = await import('../socket/socket.server.js');
+      const socketIO = getSocketIO();
+
+      for (const chatId of chatIds) {
+        const chat = chatsById.get(chatId);
+        if (!chat) {
+          continue;
+        }
+
+        const messageIds = expired
+          .filter(msg => msg.chatId.toString() === chatId)
+          .map(msg => msg._id.toString());
+
+        if (socketIO) {
+          socketIO.to(`chat:${chatId}`).emit('messages_expired', { chatId, messageIds });
+        }
+
+        // Point the chat preview at the newest message left
+        const latest = await messagesCollection
+          .find({ chatId: chat._id, deletedAt: null })
+          .sort({ createdAt: -1 })
+          .limit(1)
+          .next();
+
+        const preview = {
+          lastMessage: latest ? latest.message : null,
+          lastMessageType: latest ? latest.messageType || 'text' : 'text',
+          lastMessageAt: latest ? latest.createdAt : chat.createdAt,
+        };
+        await chatsCollection.updateOne({ _id: chat._id }, { $set: preview });
+
+        chat.participants.forEach(participantId => {
+          emitChatUpdate(participantId, {
+            chatId,
+            type: chat.type || 'direct',
+            ...preview,
+            lastMessageAt: preview.lastMessageAt ? preview.lastMessageAt.toISOString() : null,
+          });
+        });
+      }
+
+      if (expired.length < PURGE_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    if (messagesDeleted > 0) {
+      console.log(`✅ Disappearing messages cleanup completed: ${messagesDeleted} messages deleted, ${filesDeleted} files deleted`);
+    }
+    return {
+      success: true,
+      messagesDeleted,
+      filesDeleted,
+    };
+  } catch (error) {
+    console.error('❌ Error cleaning up disappearing messages:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Start periodic purge (runs every 15 minutes so messages don't outlive their timer by much)
+ */
+export const startDisappearingMessagesScheduler = () => {
+  // Run immediately on start
+  deleteExpiredMessages();
+
+  setInterval(() => {
+    deleteExpiredMessages();
+  }, 15 * 60 * 1000); // 15 minutes in milliseconds
+
+  console.log('✅ Disappearing messages scheduler started (runs every 15 minutes)');
+};
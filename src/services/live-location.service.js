@@ -0,0 +1,244 @@
+/**
+ * Live Location Service
+ *
+ * Position updates and stopping for live_location messages. Updates arrive over
+ * the socket, are written to the message (only the latest position is kept) and
+ * relayed to chat:{chatId}. A share ends when the sender stops it, when it
+ * expires (swept by the scheduler), or when either side of a direct chat blocks
+ * the other.
+ */
+
+import { getMongoDB } from '../config/mongodb.config.js';
+import { validateObjectId } from '../utils/mongodb.utils.js';
+import { isBlocked } from '../utils/block.utils.js';
+import { parseCoordinates, formatLocation } from '../utils/location.utils.js';
+
+export const LIVE_LOCATION_ERROR_MESSAGES = {
+  invalid_message: 'Invalid message ID',
+  not_found: 'Live location not found',
+  invalid_coordinates: 'Invalid coordinates',
+  blocked: "Can't share location in this chat",
+  ended: 'This live location has ended',
+};
+
+const activeShareFilter = (now) => ({
+  messageType: 'live_location',
+  deletedAt: null,
+  'location.live.stoppedAt': null,
+  'location.live.expiresAt': { $gt: now },
+});
+
+const emitToChat = async (chatId, event, payload) => {
+  const { getSocketIO } = await import('../socket/socket.server.js');
+  getSocketIO().to(`chat:${chatId}`).emit(event, payload);
+};
+
+/**
+ * Mark a share stopped and tell the chat. Safe to race: only the call that
+ * actually stops it emits.
+ * @returns {Promise<Object|null>} The stopped message, or null if it had already ended
+ */
+const endShare = async (messageObjectId, reason, extraFilter = {}) => {
+  const now = new Date();
+  const stopped = await getMongoDB().collection('messages').findOneAndUpdate(
+    { _id: messageObjectId, messageType: 'live_location', 'location.live.stoppedAt': null, ...extraFilter },
+    { $set: { 'location.live.stoppedAt': now, 'location.live.stopReason': reason, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+
+  if (stopped) {
+    await emitToChat(stopped.chatId.toString(), 'live_location_stopped', {
+      messageId: stopped._id.toString(),
+      chatId: stopped.chatId.toString(),
+      senderId: stopped.senderId,
+      reason,
+      location: formatLocation(stopped.location),
+    });
+  }
+  return stopped;
+};
+
+/**
+ * Load the sender's own live share
+ */
+const loadShare = async (userId, messageId) => {
+  let messageObjectId;
+  try {
+    messageObjectId = validateObjectId(messageId, 'Message ID');
+  } catch (error) {
+    return { reason: 'invalid_message' };
+  }
+
+  const mongoDb = getMongoDB();
+  const share = await mongoDb.collection('messages').findOne({
+    _id: messageObjectId,
+    senderId: userId,
+    messageType: 'live_location',
+    deletedAt: null,
+  });
+  if (!share) {
+    return { reason: 'not_found' };
+  }
+
+  const chat = await mongoDb.collection('chats').findOne({
+    _id: share.chatId,
+    participants: userId,
+  });
+  if (!chat) {
+    return { reason: 'not_found' };
+  }
+
+  return { share, chat };
+};
+
+/**
+ * Store the sender's latest position and relay it to the chat
+ * @param {Object} coords - { latitude, longitude, accuracy, heading, speed }
+ * @returns {Promise<{success: true, location: Object}|{success: false, reason: string}>}
+ */
+export const updateLiveLocation = async ({ userId, messageId, coords }) => {
+  const { coords: parsed, error } = parseCoordinates(coords);
+  if (error) {
+    return { success: false, reason: 'invalid_coordinates' };
+  }
+
+  const loaded = await loadShare(userId, messageId);
+  if (loaded.reason) {
+    return { success: false, reason: loaded.reason };
+  }
+  const { share, chat } = loaded;
+
+  // Same rule as sending: no location to or from someone blocked
+  if (chat.type === 'direct') {
+    const otherParticipantId = chat.participants.find(id => id !== userId);
+    if (otherParticipantId && await isBlocked(userId, otherParticipantId)) {
+      await endShare(share._id, 'blocked');
+      return { success: false, reason: 'blocked' };
+    }
+  }
+
+  const now = new Date();
+  const updated = await getMongoDB().collection('messages').findOneAndUpdate(
+    { _id: share._id, ...activeShareFilter(now) },
+    {
+      $set: {
+        'location.latitude': parsed.latitude,
+        'location.longitude': parsed.longitude,
+        'location.accuracy': parsed.accuracy,
+        'location.live.updatedAt': now,
+        updatedAt: now,
+      },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!updated) {
+    return { success: false, reason: 'ended' };
+  }
+
+  const location = formatLocation(updated.location);
+  await emitToChat(chat._id.toString(), 'live_location_updated', {
+    messageId: updated._id.toString(),
+    chatId: chat._id.toString(),
+    senderId: userId,
+    location,
+    // Not stored - only useful while the share is live
+    heading: typeof coords.heading === 'number' ? coords.heading : null,
+    speed: typeof coords.speed === 'number' ? coords.speed : null,
+  });
+
+  return { success: true, location };
+};
+
+/**
+ * Stop sharing before the chosen duration runs out
+ * @returns {Promise<{success: true, location: Object}|{success: false, reason: string}>}
+ */
+export const stopLiveLocation = async ({ userId, messageId }) => {
+  const loaded = await loadShare(userId, messageId);
+  if (loaded.reason) {
+    return { success: false, reason: loaded.reason };
+  }
+
+  const stopped = await endShare(loaded.share._id, 'stopped', {
+    'location.live.expiresAt': { $gt: new Date() },
+  });
+  if (!stopped) {
+    return { success: false, reason: 'ended' };
+  }
+
+  return { success: true, location: formatLocation(stopped.location) };
+};
+
+/**
+ * End live shares between two users' direct chat (after a block)
+ */
+export const stopLiveLocationsBetween = async (userId1, userId2) => {
+  try {
+    const mongoDb = getMongoDB();
+    const chat = await mongoDb.collection('chats').findOne({
+      type: 'direct',
+      participants: { $all: [userId1, userId2] },
+    });
+    if (!chat) {
+      return;
+    }
+
+    const shares = await mongoDb.collection('messages')
+      .find({ chatId: chat._id, ...activeShareFilter(new Date()) }, { projection: { _id: 1 } })
+      .toArray();
+
+    for (const share of shares) {
+      await endShare(share._id, 'blocked');
+    }
+  } catch (error) {
+    console.error('Error stopping live locations after block:', error);
+  }
+};
+
+/**
+ * Mark expired shares as stopped so clients get live_location_stopped
+ */
+export const stopExpiredLiveLocations = async () => {
+  try {
+    const now = new Date();
+    const expired = await getMongoDB().collection('messages')
+      .find(
+        {
+          messageType: 'live_location',
+          'location.live.stoppedAt': null,
+          'location.live.expiresAt': { $lte: now },
+        },
+        { projection: { _id: 1 } }
+      )
+      .limit(500)
+      .toArray();
+
+    let stoppedCount = 0;
+    for (const share of expired) {
+      if (await endShare(share._id, 'expired', { 'location.live.expiresAt': { $lte: now } })) {
+        stoppedCount++;
+      }
+    }
+
+    if (stoppedCount > 0) {
+      console.log(`✅ Live location sweep: ${stoppedCount} expired shares stopped`);
+    }
+  } catch (error) {
+    console.error('❌ Error stopping expired live locations:', error);
+  }
+};
+
+/**
+ * Start the expiry sweep (runs every minute)
+ */
+export const startLiveLocationScheduler = () => {
+  // Run immediately on start - catches shares that expired while the server was down
+  stopExpiredLiveLocations();
+
+  setInterval(() => {
+    stopExpiredLiveLocations();
+  }, 60 * 1000); // 1 minute in milliseconds
+
+  console.log('✅ Live location scheduler started (runs every minute)');
+};
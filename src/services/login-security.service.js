@@ -0,0 +1,115 @@
+/**
+ * Login Security Service
+ *
+ * Compares each successful login with the devices and IPs the account already
+ * uses (user_sessions) and alerts the user's other devices when a new device
+ * signs in. The flags are stored on the login_logs row, which also backs the
+ * security alerts list for devices that were offline when the alert was sent.
+ *
+ * Device IDs come from the client, so a login only keeps the one it sends when
+ * it proves that device is signed in; any other login is a new device.
+ */
+
+import crypto from 'crypto';
+import postgresPool from '../config/postgres.config.js';
+import { isKnownDevice } from './two-step.service.js';
+
+const SECURITY_ALERT_DAYS = 30;
+
+/**
+ * Choose the device ID a login is recorded under
+ * The claimed ID is kept only with a valid access or refresh token for that
+ * device's session (isKnownDevice). Otherwise the login gets a new server-generated
+ * ID, so it is assessed as a new device and gets its own session instead of
+ * replacing the one stored under the claimed ID.
+ * @returns {Promise<{deviceId: string, isKnownDevice: boolean}>}
+ */
+export const resolveLoginDevice = async ({ userId, claimedDeviceId, accessToken, refreshToken }) => {
+  if (await isKnownDevice(userId, claimedDeviceId, { accessToken, refreshToken })) {
+    return { deviceId: claimedDeviceId, isKnownDevice: true };
+  }
+  return { deviceId: crypto.randomBytes(16).toString('hex'), isKnownDevice: false };
+};
+
+/**
+ * Check a login against the account's known devices and IPs
+ * Must run before the login's own session is created.
+ * @returns {Promise<{isFirstLogin: boolean, isNewDevice: boolean, isNewIp: boolean}>}
+ */
+export const assessLogin = async ({ userId, deviceId, ipAddress }) => {
+  try {
+    const result = await postgresPool.query(
+      `SELECT COUNT(*)::int AS session_count,
+              COALESCE(bool_or(device_id = $2), false) AS known_device,
+              COALESCE(bool_or(host(ip_address) = host($3::inet)), false) AS known_ip
+       FROM user_sessions
+       WHERE user_id = $1`,
+      [userId, deviceId, ipAddress || null]
+    );
+
+    const { session_count: sessionCount, known_device: knownDevice, known_ip: knownIp } = result.rows[0];
+
+    // The very first login has nothing to compare against
+    if (sessionCount === 0) {
+      return { isFirstLogin: true, isNewDevice: false, isNewIp: false };
+    }
+
+    return { isFirstLogin: false, isNewDevice: !knownDevice, isNewIp: !!ipAddress && !knownIp };
+  } catch (error) {
+    console.error('Error assessing login:', error);
+    // Don't block the login if the check fails
+    return { isFirstLogin: false, isNewDevice: false, isNewIp: false };
+  }
+};
+
+/**
+ * Alert the user's signed-in devices about a login from a new device
+ */
+export const notifyNewDeviceLogin = async ({ userId, sessionId, deviceName, deviceType, ipAddress, isNewIp }) => {
+  try {
+    const { emitSecurityAlert } = await import('../socket/socket.server.js');
+    emitSecurityAlert(userId, {
+      type: 'new_device_login',
+      sessionId, // Pass to DELETE /api/auth/sessions/:id to sign the device out
+      deviceName,
+      deviceType,
+      ipAddress,
+      isNewIp,
+      loginAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error sending new device alert:', error);
+  }
+};
+
+/**
+ * Recent logins from new devices, newest first
+ */
+export const getSecurityAlerts = async (userId) => {
+  const result = await postgresPool.query(
+    `SELECT l.id, l.device_id, l.device_type, host(l.ip_address) AS ip_address, l.user_agent, l.is_new_ip,
+            to_char(l.created_at, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS login_at,
+            s.id AS session_id, s.device_name,
+            (s.is_active AND s.expires_at > CURRENT_TIMESTAMP) AS is_signed_in
+     FROM login_logs l
+     LEFT JOIN user_sessions s ON s.user_id = l.user_id AND s.device_id = l.device_id
+     WHERE l.user_id = $1 AND l.is_new_device = true
+       AND l.created_at > CURRENT_TIMESTAMP - ($2 || ' days')::interval
+     ORDER BY l.created_at DESC
+     LIMIT 50`,
+    [userId, SECURITY_ALERT_DAYS]
+  );
+
+  return result.rows.map(row => ({
+    id: row.id,
+    type: 'new_device_login',
+    sessionId: row.session_id,
+    deviceId: row.device_id,
+    deviceName: row.device_name,
+    deviceType: row.device_type,
+    ipAddress: row.ip_address,
+    isNewIp: row.is_new_ip,
+    isSignedIn: !!row.is_signed_in,
+    loginAt: row.login_at,
+  }));
+};
@@ -0,0 +1,106 @@
+/**
+ * Email Delivery Service
+ *
+ * Pluggable transport for outbound email (two-step PIN recovery, security notices).
+ * The active provider is selected with MAIL_PROVIDER:
+ * - console: logs the email (default, development)
+ * - file: appends each email as a JSON line to MAIL_OUTBOX_FILE (local mail stand-in for tests)
+ * - smtp: sends through the SMTP server in SMTP_HOST / SMTP_PORT
+ *
+ * console and file never deliver anything, so they are refused when
+ * NODE_ENV=production - PIN reset codes would end up in the server log.
+ *
+ * Other providers can be added with registerMailProvider().
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import nodemailer from 'nodemailer';
+import { createDeliveryRegistry } from '../utils/delivery.utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const mailProviders = createDeliveryRegistry({
+  label: 'mail',
+  providerEnv: 'MAIL_PROVIDER',
+  outboxFileEnv: 'MAIL_OUTBOX_FILE',
+  defaultOutboxFile: join(__dirname, '../../logs/mail-outbox.log'),
+  formatConsole: ({ to, subject, text }) => `📧 [Mail] To ${to}: ${subject}\n${text}`,
+});
+
+/**
+ * Register a mail provider
+ * A provider is an object with an async send({ to, subject, text }) method
+ * that resolves to { id } or throws on failure.
+ */
+export const registerMailProvider = mailProviders.register;
+
+const getSmtpConfig = () => {
+  const host = process.env.SMTP_HOST;
+  const from = process.env.MAIL_FROM;
+
+  if (!host || !from) {
+    throw new Error('SMTP is not configured (SMTP_HOST, MAIL_FROM)');
+  }
+
+  // Port 465 is implicit TLS; other ports upgrade with STARTTLS when the server offers it
+  const port = parseInt(process.env.SMTP_PORT || '587', 10);
+  const secure = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465;
+  const user = process.env.SMTP_USER;
+
+  return {
+    from,
+    transport: {
+      host,
+      port,
+      secure,
+      requireTLS: process.env.SMTP_REQUIRE_TLS === 'true',
+      auth: user ? { user, pass: process.env.SMTP_PASSWORD } : undefined,
+    },
+  };
+};
+
+// One pooled connection per configuration
+let smtpTransporter = null;
+let smtpTransporterKey = null;
+
+const getSmtpTransporter = (transport) => {
+  const key = JSON.stringify(transport);
+  if (smtpTransporterKey !== key) {
+    smtpTransporter?.close();
+    smtpTransporter = nodemailer.createTransport({ ...transport, pool: true });
+    smtpTransporterKey = key;
+  }
+  return smtpTransporter;
+};
+
+// SMTP transport
+registerMailProvider('smtp', {
+  check: getSmtpConfig,
+
+  send: async ({ to, subject, text }) => {
+    const { from, transport } = getSmtpConfig();
+    const info = await getSmtpTransporter(transport).sendMail({ from, to, subject, text });
+    return { id: info.messageId };
+  },
+});
+
+/**
+ * Check the mail provider at startup
+ * Throws if MAIL_PROVIDER is unknown or not configured, or names a development
+ * transport (including the console default) while NODE_ENV=production
+ */
+export const assertMailProviderConfigured = mailProviders.assertConfigured;
+
+/**
+ * Send an email through the configured provider
+ * Throws if the provider is unknown or delivery fails
+ */
+export const sendMail = ({ to, subject, text }) => mailProviders.send({ to, subject, text });
+
+/**
+ * Read emails written by the file transport
+ * Optionally filtered by recipient, newest last
+ */
+export const readMailOutbox = mailProviders.readOutbox;
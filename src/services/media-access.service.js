@@ -0,0 +1,312 @@
+/**
+ * Media Access Service
+ *
+ * Decides who may fetch an uploaded file. A file is identified by what
+ * points at it, matched on its storage key rather than the full URL (stored
+ * URLs carry whatever base URL was current when they were saved):
+ * - the uploader (filenames carry the uploader's id) can always fetch it
+ * - chat attachments: participants of a chat with a message holding the file
+ *   (messages.mediaKeys)
+ * - thumbnails: whoever may see the file they were made from (also in mediaKeys)
+ * - group pictures: participants of that group (chats.groupPictureKey)
+ * - statuses: the same rules as GET /api/status (owner is in the viewer's
+ *   contacts, not blocked, owner's status_privacy isn't 'nobody', under 24h old)
+ *   (status.statuses.mediaKeys)
+ * - profile pictures: the owner's profile_photo_privacy (everyone / contacts / nobody)
+ * Files nothing points at are only served to their uploader, and users can
+ * only point things at files they may already fetch (canAttachMedia).
+ *
+ * Clients that can't send an Authorization header (img/video tags) use a signed
+ * URL: the same /uploads URL with a short-lived token for that viewer. Access is
+ * checked again when the signed URL is used.
+ */
+
+import jwt from 'jsonwebtoken';
+import path from 'path';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { queryWithRetry } from '../config/postgres.config.js';
+import { isBlocked } from '../utils/block.utils.js';
+
+export const MEDIA_MESSAGE_TYPES = ['image', 'video', 'audio', 'file', 'document'];
+export const MEDIA_URL_DEFAULT_TTL_SECONDS = 15 * 60;
+export const MEDIA_URL_MAX_TTL_SECONDS = 24 * 60 * 60;
+const MEDIA_TOKEN_PURPOSE = 'media';
+const STATUS_LIFETIME_MS = 24 * 60 * 60 * 1000;
+const FILENAME_PATTERN = /^[\w.-]+$/;
+// Keep in step with idx_users_profile_picture_key in schema.sql
+const UPLOAD_URL_KEY_PATTERN = /\/uploads\/([^/?#]+)(?:[?#].*)?$/;
+
+/**
+ * Filename from an /uploads URL or a bare filename
+ * @returns {string|null} null if it isn't a plain upload filename
+ */
+export const getMediaFilename = (urlOrFilename) => {
+  if (typeof urlOrFilename !== 'string' || urlOrFilename.length === 0) {
+    return null;
+  }
+  const filename = path.basename(urlOrFilename.split('?')[0]);
+  return FILENAME_PATTERN.test(filename) && !filename.startsWith('.') ? filename : null;
+};
+
+/**
+ * Storage key of an /uploads URL
+ * @returns {string|null} null if it isn't an upload URL
+ */
+export const getMediaKey = (url) => {
+  if (typeof url !== 'string') {
+    return null;
+  }
+  const match = UPLOAD_URL_KEY_PATTERN.exec(url);
+  return match ? getMediaFilename(match[1]) : null;
+};
+
+/**
+ * Storage keys of a file URL and its thumbnail, for mediaKeys
+ */
+export const getMediaKeys = (url, media) => {
+  return [...new Set([getMediaKey(url), getMediaKey(media?.thumbnailUrl)].filter(Boolean))];
+};
+
+/**
+ * Storage keys a message points at (the file of a media message, and any thumbnail)
+ */
+export const getMessageMediaKeys = ({ messageType, message, media }) => {
+  return getMediaKeys(MEDIA_MESSAGE_TYPES.includes(messageType) ? message : null, media);
+};
+
+// Viewer has the owner in their contacts (how GET /api/status picks whose statuses to show)
+const hasInContacts = async (userId, contactUserId) => {
+  const result = await queryWithRetry(
+    `SELECT 1 FROM contacts c
+     JOIN users u ON u.phone_number = c.contact_phone_number
+       AND u.country_code = c.contact_country_code
+     WHERE c.user_id = $1 AND u.id = $2
+     LIMIT 1`,
+    [userId, contactUserId],
+    2,
+    10000
+  );
+  return result.rows.length > 0;
+};
+
+const getUserSetting = async (userId, column, fallback) => {
+  const result = await queryWithRetry(
+    `SELECT ${column} AS value FROM user_settings WHERE user_id = $1`,
+    [userId],
+    2,
+    10000
+  );
+  return result.rows[0]?.value || fallback;
+};
+
+const checkChatAttachment = async (userId, key) => {
+  const mongoDb = getMongoDB();
+  // Forwarding copies the file, so the same key can be in several chats
+  const chatIds = await mongoDb.collection('messages').distinct('chatId', {
+    mediaKeys: key,
+    deletedAt: null,
+  });
+  if (chatIds.length === 0) {
+    return null;
+  }
+
+  const chat = await mongoDb.collection('chats').findOne(
+    { _id: { $in: chatIds }, participants: userId },
+    { projection: { _id: 1 } }
+  );
+  return !!chat;
+};
+
+const checkGroupPicture = async (userId, key) => {
+  const chats = await getMongoDB().collection('chats')
+    .find({ groupPictureKey: key }, { projection: { participants: 1 } })
+    .toArray();
+  if (chats.length === 0) {
+    return null;
+  }
+  return chats.some(chat => chat.participants.includes(userId));
+};
+
+const checkStatus = async (userId, key) => {
+  const status = await getMongoDB().collection('status').findOne(
+    { 'statuses.mediaKeys': key },
+    { projection: { userId: 1, statuses: 1 } }
+  );
+  if (!status) {
+    return null;
+  }
+
+  const statusItem = status.statuses.find(item => item.mediaKeys?.includes(key));
+  if (new Date(statusItem.timestamp).getTime() < Date.now() - STATUS_LIFETIME_MS) {
+    return false;
+  }
+  if (status.userId === userId) {
+    return true;
+  }
+
+  const privacy = await getUserSetting(status.userId, 'status_privacy', 'contacts');
+  if (privacy === 'nobody') {
+    return false;
+  }
+
+  // GET /api/status only hides owners the viewer has blocked, so only that direction counts here
+  const blocked = await queryWithRetry(
+    'SELECT 1 FROM blocked_users WHERE blocker_id = $1 AND blocked_id = $2',
+    [userId, status.userId],
+    2,
+    10000
+  );
+  return blocked.rows.length === 0 && await hasInContacts(userId, status.userId);
+};
+
+const checkProfilePicture = async (userId, key) => {
+  // Same expression as idx_users_profile_picture_key
+  const result = await queryWithRetry(
+    `SELECT id FROM users WHERE substring(profile_picture_url from '/uploads/([^/?#]+)(?:[?#].*)?$') = $1`,
+    [key],
+    2,
+    10000
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  // Only the uploader's own profile picture counts - anyone can put a key in profile_picture_url
+  const ownerId = result.rows.find(row => key.includes(`-${row.id}-`))?.id;
+  if (!ownerId) {
+    return null;
+  }
+  if (ownerId === userId) {
+    return true;
+  }
+  if (await isBlocked(userId, ownerId)) {
+    return false;
+  }
+
+  const privacy = await getUserSetting(ownerId, 'profile_photo_privacy', 'everyone');
+  if (privacy === 'everyone') {
+    return true;
+  }
+  if (privacy === 'contacts') {
+    // The owner's contacts, not the viewer's
+    return await hasInContacts(ownerId, userId);
+  }
+  return false;
+};
+
+/**
+ * Can userId fetch this upload?
+ * @param {string} userId
+ * @param {string} filename - Storage key
+ * @returns {Promise<{allowed: boolean, reason?: 'not_found'|'forbidden'}>}
+ */
+export const checkMediaAccess = async (userId, filename) => {
+  // Filenames are <kind>-<uploaderId>-<timestamp>-<random>.<ext>
+  if (filename.includes(`-${userId}-`)) {
+    return { allowed: true };
+  }
+
+  let known = false;
+  for (const check of [checkChatAttachment, checkGroupPicture, checkStatus, checkProfilePicture]) {
+    const allowed = await check(userId, filename);
+    if (allowed) {
+      return { allowed: true };
+    }
+    known = known || allowed === false;
+  }
+
+  return { allowed: false, reason: known ? 'forbidden' : 'not_found' };
+};
+
+/**
+ * Can userId point a message, group picture or profile picture at these files?
+ * Only at files they uploaded or can already fetch: whatever points at a file
+ * decides who else may fetch it.
+ * @param {Array<string|null>} keys - Storage keys (nulls, for non-upload URLs, are skipped)
+ * @returns {Promise<boolean>}
+ */
+export const canAttachMedia = async (userId, keys) => {
+  for (const key of keys) {
+    if (key && !(await checkMediaAccess(userId, key)).allowed) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Storage keys of the files a user uploaded that something still points at:
+ * their messages, statuses, profile picture and the pictures of their groups.
+ * Keys are read from those records rather than by listing the storage bucket;
+ * forwarded copies of other people's files are left out.
+ * @returns {Promise<string[]>}
+ */
+export const findUserMediaKeys = async (userId) => {
+  if (!userId) return [];
+  const mongoDb = getMongoDB();
+  const ownKey = key => typeof key === 'string' && key.includes(`-${userId}-`);
+
+  const messageKeys = await mongoDb.collection('messages').distinct('mediaKeys', {
+    senderId: userId,
+    mediaKeys: { $exists: true },
+  });
+
+  const status = await mongoDb.collection('status').findOne(
+    { userId },
+    { projection: { statuses: 1 } }
+  );
+  const statusKeys = (status?.statuses || []).flatMap(item => item.mediaKeys || []);
+
+  const groups = await mongoDb.collection('chats')
+    .find({ participants: userId, groupPictureKey: { $type: 'string' } }, { projection: { groupPictureKey: 1 } })
+    .toArray();
+
+  const profile = await queryWithRetry(
+    'SELECT profile_picture_url FROM users WHERE id = $1',
+    [userId],
+    2,
+    10000
+  );
+
+  return [...new Set([
+    ...messageKeys,
+    ...statusKeys,
+    ...groups.map(chat => chat.groupPictureKey),
+    getMediaKey(profile.rows[0]?.profile_picture_url),
+  ])].filter(ownKey);
+};
+
+/**
+ * Signed URL for one viewer, valid for ttlSeconds
+ * @param {string} url - URL stored for the file (getFileUrl)
+ * @returns {{url: string, expiresAt: string}}
+ */
+export const createSignedMediaUrl = (url, filename, userId, ttlSeconds = MEDIA_URL_DEFAULT_TTL_SECONDS) => {
+  const token = jwt.sign(
+    { filename, userId, purpose: MEDIA_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: ttlSeconds }
+  );
+  return {
+    url: `${url}?token=${token}`,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+  };
+};
+
+/**
+ * Check a signed URL token
+ * @returns {{userId?: string, reason?: 'invalid'|'expired'}}
+ */
+export const verifyMediaToken = (filename, token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { reason: error.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+  }
+
+  if (decoded.purpose !== MEDIA_TOKEN_PURPOSE || decoded.filename !== filename) {
+    return { reason: 'invalid' };
+  }
+  return { userId: decoded.userId };
+};
@@ -0,0 +1,240 @@
+/**
+ * Media Processing Service
+ *
+ * Reads an upload while it is still staged on local disk (see upload.middleware.js)
+ * and works out what clients need to draw a placeholder before downloading it:
+ * - images: dimensions, a JPEG thumbnail and a blurhash
+ * - videos: dimensions, duration and a poster frame (thumbnail + blurhash), when an
+ *   ffmpeg/ffprobe binary is available (FFMPEG_PATH / FFPROBE_PATH, else from PATH)
+ * - audio: duration, with ffprobe
+ * MIME type and size are recorded for every file. Processing problems are logged
+ * and never fail the upload - the file is stored without the extras.
+ *
+ * stripImageMetadata() is the exception: it runs on every image upload before
+ * anything else and removes EXIF (GPS position, camera, timestamps), XMP and IPTC.
+ */
+
+import sharp from 'sharp';
+import { encode as encodeBlurhash } from 'blurhash';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+const execFileAsync = promisify(execFile);
+
+export const THUMBNAIL_MAX_SIZE = 320;
+const THUMBNAIL_QUALITY = 70;
+const BLURHASH_SAMPLE_SIZE = 32;
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+const TOOL_TIMEOUT_MS = 30000;
+const STRIPPED_IMAGE_QUALITY = 90;
+
+const KIND_EXTENSIONS = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+  video: ['mp4', 'mov', 'avi', 'mkv', 'webm'],
+  audio: ['mp3', 'wav', 'm4a', 'aac', 'ogg'],
+};
+
+const getFfmpegPath = () => process.env.FFMPEG_PATH || 'ffmpeg';
+const getFfprobePath = () => process.env.FFPROBE_PATH || 'ffprobe';
+
+let ffmpegAvailable = null;
+
+/**
+ * Whether ffmpeg and ffprobe can be run - checked once per process
+ */
+const hasFfmpeg = async () => {
+  if (ffmpegAvailable === null) {
+    try {
+      await execFileAsync(getFfprobePath(), ['-version'], { timeout: 5000 });
+      await execFileAsync(getFfmpegPath(), ['-version'], { timeout: 5000 });
+      ffmpegAvailable = true;
+    } catch (error) {
+      ffmpegAvailable = false;
+      console.warn('⚠️  ffmpeg/ffprobe not found - video posters and media durations are skipped');
+    }
+  }
+  return ffmpegAvailable;
+};
+
+/**
+ * image, video, audio or null, from the declared MIME type or else the extension
+ * @param {{mimetype?: string, originalname?: string}} file - Multer file
+ */
+export const getMediaKind = (file) => {
+  const fromMime = file.mimetype?.split('/')[0];
+  if (fromMime && KIND_EXTENSIONS[fromMime]) {
+    return fromMime;
+  }
+
+  const ext = path.extname(file.originalname || '').slice(1).toLowerCase();
+  return Object.keys(KIND_EXTENSIONS).find(kind => KIND_EXTENSIONS[kind].includes(ext)) || null;
+};
+
+/**
+ * Storage key of the thumbnail for an upload - keeps the uploader's id in the name
+ */
+export const getThumbnailKey = filename => `thumb-${path.parse(filename).name}.jpg`;
+
+/**
+ * Remove EXIF, XMP and IPTC metadata from an image, in place
+ * The image is re-encoded in its own format with the EXIF orientation applied to
+ * the pixels (so it still displays the right way up) and its colour profile kept.
+ * Images without metadata are left untouched.
+ * @param {string} filePath
+ * @returns {Promise<number|null>} New size in bytes, or null if there was nothing to remove
+ * @throws If the image can't be decoded or re-encoded (HEIC, for one) - it must not be stored as is
+ */
+export const stripImageMetadata = async (filePath) => {
+  const metadata = await sharp(filePath).metadata();
+  if (!metadata.exif && !metadata.xmp && !metadata.iptc) {
+    return null;
+  }
+
+  const strippedPath = `${filePath}.${crypto.randomUUID()}.stripped`;
+  try {
+    // sharp drops metadata unless asked to keep it
+    await sharp(filePath, { animated: (metadata.pages || 1) > 1 })
+      .rotate()
+      .keepIccProfile()
+      .toFormat(metadata.format, {
+        quality: STRIPPED_IMAGE_QUALITY,
+        ...(metadata.format === 'heif' ? { compression: metadata.compression } : {}),
+      })
+      .toFile(strippedPath);
+    await fs.promises.rename(strippedPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(strippedPath, { force: true });
+    throw error;
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  return size;
+};
+
+const roundDuration = seconds => (Number.isFinite(seconds) ? Math.round(seconds * 1000) / 1000 : null);
+
+/**
+ * Dimensions, thumbnail and blurhash of an image file
+ * @returns {Promise<{mimeType: string, width: number, height: number, thumbnail: Buffer, blurhash: string}>}
+ */
+const previewImage = async (filePath) => {
+  const metadata = await sharp(filePath).metadata();
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = (metadata.orientation || 1) >= 5;
+
+  const thumbnail = await sharp(filePath)
+    .rotate()
+    .resize(THUMBNAIL_MAX_SIZE, THUMBNAIL_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: THUMBNAIL_QUALITY })
+    .toBuffer();
+
+  const { data, info } = await sharp(thumbnail)
+    .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    mimeType: `image/${metadata.format === 'heif' ? 'heic' : metadata.format}`,
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    thumbnail,
+    blurhash: encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, BLURHASH_COMPONENTS.x, BLURHASH_COMPONENTS.y),
+  };
+};
+
+/**
+ * Duration and (for video) display dimensions from ffprobe
+ */
+const probeMedia = async (filePath) => {
+  const { stdout } = await execFileAsync(
+    getFfprobePath(),
+    ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath],
+    { timeout: TOOL_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }
+  );
+  const probe = JSON.parse(stdout);
+  const videoStream = probe.streams?.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+
+  const result = { duration: roundDuration(parseFloat(probe.format?.duration)), width: null, height: null };
+  if (videoStream) {
+    const rotation = Math.abs(parseInt(
+      videoStream.tags?.rotate ?? videoStream.side_data_list?.find(data => data.rotation !== undefined)?.rotation ?? 0
+    ));
+    const sideways = rotation % 180 === 90;
+    result.width = sideways ? videoStream.height : videoStream.width;
+    result.height = sideways ? videoStream.width : videoStream.height;
+  }
+  return result;
+};
+
+/**
+ * Grab one frame as a JPEG - a second in, or the first frame of very short clips
+ */
+const extractPoster = async (filePath, duration) => {
+  const posterPath = path.join(os.tmpdir(), `poster-${crypto.randomUUID()}.jpg`);
+  const seekSeconds = duration && duration > 2 ? 1 : 0;
+
+  await execFileAsync(
+    getFfmpegPath(),
+    ['-v', 'error', '-ss', String(seekSeconds), '-i', filePath, '-frames:v', '1', '-y', posterPath],
+    { timeout: TOOL_TIMEOUT_MS }
+  );
+  return posterPath;
+};
+
+/**
+ * Work out metadata (and a thumbnail) for a staged upload
+ * @param {Object} file - Multer file (path, mimetype, size, originalname)
+ * @returns {Promise<{media: Object, thumbnail: Buffer|null}>}
+ *   media has mimeType and size always; width, height, duration and blurhash when known
+ */
+export const analyzeUpload = async (file) => {
+  const media = {
+    mimeType: file.mimetype || 'application/octet-stream',
+    size: file.size,
+    width: null,
+    height: null,
+    duration: null,
+    blurhash: null,
+  };
+  let thumbnail = null;
+
+  const kind = getMediaKind(file);
+  try {
+    if (kind === 'image') {
+      const preview = await previewImage(file.path);
+      thumbnail = preview.thumbnail;
+      Object.assign(media, {
+        mimeType: preview.mimeType,
+        width: preview.width,
+        height: preview.height,
+        blurhash: preview.blurhash,
+      });
+    } else if ((kind === 'video' || kind === 'audio') && await hasFfmpeg()) {
+      const probe = await probeMedia(file.path);
+      Object.assign(media, probe);
+
+      if (kind === 'video') {
+        const posterPath = await extractPoster(file.path, probe.duration);
+        try {
+          const preview = await previewImage(posterPath);
+          thumbnail = preview.thumbnail;
+          media.blurhash = preview.blurhash;
+          media.width = media.width || preview.width;
+          media.height = media.height || preview.height;
+        } finally {
+          await fs.promises.rm(posterPath, { force: true });
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Media processing error for ${file.filename}:`, error.message);
+  }
+
+  return { media, thumbnail };
+};
@@ -0,0 +1,232 @@
+/**
+ * Message Search Service
+ *
+ * Full-text search over the chats a user is in, backed by the idx_message_text
+ * text index. Results are ranked by relevance (newest first on ties), carry
+ * highlight ranges, and page with an opaque cursor. Without a query, a
+ * messageType filter lists that type newest first (e.g. every image in a chat).
+ */
+
+import { ObjectId } from 'mongodb';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { queryWithRetry } from '../config/postgres.config.js';
+import { validateObjectId } from '../utils/mongodb.utils.js';
+import {
+  SEARCHABLE_MESSAGE_TYPES,
+  parseSearchQuery,
+  buildHighlights,
+  encodeSearchCursor,
+  decodeSearchCursor,
+} from '../utils/search.utils.js';
+
+export const SEARCH_DEFAULT_LIMIT = 20;
+export const SEARCH_MAX_LIMIT = 50;
+const QUERY_MAX_LENGTH = 200;
+
+export const SEARCH_ERROR_MESSAGES = {
+  query_required: 'Search query is required unless messageType is given',
+  query_too_long: `Search query too long. Maximum length is ${QUERY_MAX_LENGTH} characters.`,
+  invalid_chat: 'Invalid chat ID',
+  chat_not_found: 'Chat not found',
+  invalid_date: 'from and to must be ISO 8601 dates',
+  invalid_cursor: 'Invalid pagination cursor',
+  not_searchable: `Text search covers these message types: ${SEARCHABLE_MESSAGE_TYPES.join(', ')}`,
+};
+
+/**
+ * Chat names and sender names for a page of results, in one query each
+ */
+const loadResultContext = async (userId, messages) => {
+  const chatIds = [...new Set(messages.map(msg => msg.chatId.toString()))].map(id => new ObjectId(id));
+  const chats = await getMongoDB().collection('chats')
+    .find({ _id: { $in: chatIds } }, { projection: { type: 1, groupName: 1, participants: 1 } })
+    .toArray();
+  const chatsById = new Map(chats.map(chat => [chat._id.toString(), chat]));
+
+  const userIds = new Set(messages.map(msg => msg.senderId));
+  chats
+    .filter(chat => chat.type !== 'group')
+    .forEach(chat => chat.participants.filter(id => id !== userId).forEach(id => userIds.add(id)));
+
+  const usersResult = userIds.size > 0
+    ? await queryWithRetry(
+      'SELECT id, full_name FROM users WHERE id = ANY($1::uuid[])',
+      [[...userIds]],
+      3,
+      20000
+    )
+    : { rows: [] };
+  const names = new Map(usersResult.rows.map(row => [row.id, row.full_name || 'Unknown']));
+
+  return { chatsById, names };
+};
+
+/**
+ * Search messages
+ * @param {Object} params
+ * @param {string} params.userId - Searching user; only their chats are searched
+ * @param {string} [params.query] - Words, "phrases" and -exclusions
+ * @param {string} [params.chatId] - Only this chat
+ * @param {string} [params.senderId] - Only messages from this user
+ * @param {string} [params.from] - createdAt >= (ISO 8601)
+ * @param {string} [params.to] - createdAt <= (ISO 8601)
+ * @param {string} [params.messageType] - Only this type
+ * @param {string} [params.cursor] - nextCursor from the previous page
+ * @param {number} [params.limit]
+ * @returns {Promise<{success: true, messages: Array, nextCursor: string|null, hasMore: boolean}|{success: false, reason: string}>}
+ */
+export const searchMessages = async ({
+  userId,
+  query,
+  chatId,
+  senderId,
+  from,
+  to,
+  messageType,
+  cursor,
+  limit = SEARCH_DEFAULT_LIMIT,
+}) => {
+  const searchText = typeof query === 'string' ? query.trim() : '';
+  if (!searchText && !messageType) {
+    return { success: false, reason: 'query_required' };
+  }
+  if (searchText.length > QUERY_MAX_LENGTH) {
+    return { success: false, reason: 'query_too_long' };
+  }
+  if (searchText && messageType && !SEARCHABLE_MESSAGE_TYPES.includes(messageType)) {
+    return { success: false, reason: 'not_searchable' };
+  }
+
+  const mongoDb = getMongoDB();
+  const chatsCollection = mongoDb.collection('chats');
+
+  const match = {
+    deletedAt: null,
+    deletedFor: { $ne: userId },
+    // Disappearing messages past expiresAt that the purge job hasn't reached yet
+    expiresAt: { $not: { $lte: new Date() } },
+  };
+
+  if (chatId) {
+    let chatObjectId;
+    try {
+      chatObjectId = validateObjectId(chatId, 'Chat ID');
+    } catch (error) {
+      return { success: false, reason: 'invalid_chat' };
+    }
+    const chat = await chatsCollection.findOne({ _id: chatObjectId, participants: userId }, { projection: { _id: 1 } });
+    if (!chat) {
+      return { success: false, reason: 'chat_not_found' };
+    }
+    match.chatId = chatObjectId;
+  } else {
+    const userChats = await chatsCollection
+      .find({ participants: userId }, { projection: { _id: 1 } })
+      .toArray();
+    match.chatId = { $in: userChats.map(chat => chat._id) };
+  }
+
+  if (senderId) {
+    match.senderId = senderId;
+  }
+
+  if (from || to) {
+    match.createdAt = {};
+    for (const [operator, value] of [['$gte', from], ['$lte', to]]) {
+      if (!value) {
+        continue;
+      }
+      const date = new Date(value);
+      if (typeof value !== 'string' || isNaN(date.getTime())) {
+        return { success: false, reason: 'invalid_date' };
+      }
+      match.createdAt[operator] = date;
+    }
+  }
+
+  // The text index is partial - $text queries must stay within its message types
+  if (messageType) {
+    match.messageType = messageType;
+  } else {
+    match.messageType = { $in: SEARCHABLE_MESSAGE_TYPES };
+  }
+
+  let position = null;
+  if (cursor) {
+    position = decodeSearchCursor(cursor);
+    if (!position || !ObjectId.isValid(position.id) || (searchText && position.score === null)) {
+      return { success: false, reason: 'invalid_cursor' };
+    }
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+  const pipeline = [];
+
+  // Keyset paging on the sort key: (score,) createdAt, _id - all descending
+  const after = position && [
+    { createdAt: { $lt: position.createdAt } },
+    { createdAt: position.createdAt, _id: { $lt: new ObjectId(position.id) } },
+  ];
+
+  if (searchText) {
+    pipeline.push(
+      { $match: { ...match, $text: { $search: searchText } } },
+      { $addFields: { score: { $meta: 'textScore' } } }
+    );
+    if (position) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { score: { $lt: position.score } },
+            ...after.map(condition => ({ score: position.score, ...condition })),
+          ],
+        },
+      });
+    }
+    pipeline.push({ $sort: { score: -1, createdAt: -1, _id: -1 } });
+  } else {
+    pipeline.push({ $match: position ? { ...match, $or: after } : match });
+    pipeline.push({ $sort: { createdAt: -1, _id: -1 } });
+  }
+
+  pipeline.push(
+    { $limit: pageSize + 1 },
+    { $project: { chatId: 1, senderId: 1, message: 1, messageType: 1, createdAt: 1, score: 1 } }
+  );
+
+  const found = await mongoDb.collection('messages').aggregate(pipeline).toArray();
+  const hasMore = found.length > pageSize;
+  const page = found.slice(0, pageSize);
+
+  const { chatsById, names } = await loadResultContext(userId, page);
+  const parsedQuery = searchText ? parseSearchQuery(searchText) : null;
+
+  const messages = page.map((msg) => {
+    const chat = chatsById.get(msg.chatId.toString());
+    const otherUserId = chat && chat.type !== 'group' ? chat.participants.find(id => id !== userId) : null;
+
+    return {
+      id: msg._id.toString(),
+      chatId: msg.chatId.toString(),
+      chatType: chat?.type || 'direct',
+      chatName: chat?.type === 'group' ? chat.groupName : names.get(otherUserId) || 'Unknown',
+      senderId: msg.senderId,
+      senderName: names.get(msg.senderId) || 'Unknown',
+      message: msg.message,
+      messageType: msg.messageType,
+      createdAt: msg.createdAt,
+      score: msg.score ?? null,
+      highlights: parsedQuery ? buildHighlights(msg.message, parsedQuery) : [],
+    };
+  });
+
+  const last = page[page.length - 1];
+  return {
+    success: true,
+    messages,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeSearchCursor({ score: last.score, createdAt: last.createdAt, id: last._id.toString() })
+      : null,
+  };
+};
@@ -0,0 +1,435 @@
+/**
+ * Message Service
+ *
+ * The send path behind POST /api/messages, shared with the scheduled message
+ * dispatcher so both get the same block checks, unread counts, socket events
+ * and chat.lastMessage updates.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { queryWithRetry } from '../config/postgres.config.js';
+import { getRedisClient } from '../config/redis.config.js';
+import { getUserPresenceData } from '../utils/presence.utils.js';
+import { logActivity } from './analytics.service.js';
+import { incrementUnreadCount } from '../utils/redis.utils.js';
+import { getMessageExpiresAt } from './disappearing-messages.service.js';
+import { resolveReplyTo, formatReplyTo } from '../utils/reply.utils.js';
+import { formatPoll } from '../utils/poll.utils.js';
+import { formatLocation } from '../utils/location.utils.js';
+import { formatContacts } from '../utils/vcard.utils.js';
+import { resolveContactCards } from './contact-card.service.js';
+import { canAttachMedia, getMessageMediaKeys } from './media-access.service.js';
+
+/**
+ * Message types a user can send
+ * 'system' notices are only posted by the server (system-message.service.js)
+ */
+export const USER_MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'file', 'document', 'call', 'poll', 'location', 'live_location', 'contact'];
+
+/**
+ * Send a message from a user into a chat
+ * Creates the direct chat first when only recipientId is given.
+ * @param {Object} params
+ * @param {string} params.senderId - Sending user
+ * @param {string} [params.chatId] - Existing chat
+ * @param {string} [params.recipientId] - Other user, for a direct chat that may not exist yet
+ * @param {string} params.message - Text (or file URL for media types)
+ * @param {string} [params.messageType='text']
+ * @param {string} [params.replyToId] - Message in the same chat to quote
+ * @param {Object} [params.poll] - For messageType 'poll', from normalizePoll
+ * @param {Object} [params.location] - For 'location' / 'live_location', from normalizeLocation
+ * @param {Array} [params.contacts] - For 'contact', from parseVCards
+ * @param {string} [params.scheduledMessageId] - Set by the scheduled message dispatcher
+ * @returns {Promise<{sent: true, messageData: Object}|{sent: false, reason: string, error?: string}>}
+ *   reason: 'invalid_message_type' | 'media_not_allowed' | 'recipient_not_found' | 'chat_not_found' | 'blocked' | 'invalid_reply'
+ */
+export const sendMessage = async ({
+  senderId,
+  chatId,
+  recipientId,
+  message,
+  messageType = 'text',
+  replyToId,
+  poll = null,
+  location = null,
+  contacts = null,
+  scheduledMessageId = null,
+  ipAddress = null,
+  deviceId = 'unknown',
+}) => {
+  if (!USER_MESSAGE_TYPES.includes(messageType)) {
+    return { sent: false, reason: 'invalid_message_type' };
+  }
+
+  // A message holding a file lets the chat fetch it, so only attach files the sender can fetch
+  if (!(await canAttachMedia(senderId, getMessageMediaKeys({ messageType, message })))) {
+    return { sent: false, reason: 'media_not_allowed' };
+  }
+
+  const mongoDb = getMongoDB();
+  const chatsCollection = mongoDb.collection('chats');
+  const messagesCollection = mongoDb.collection('messages');
+
+  let chat;
+  let chatObjectId;
+
+  // If chatId is provided, verify it exists
+  if (chatId) {
+    try {
+      chatObjectId = new ObjectId(chatId);
+      chat = await chatsCollection.findOne({
+        _id: chatObjectId,
+        participants: senderId,
+      });
+    } catch (error) {
+      // Invalid chatId, will create new chat if recipientId provided
+      chat = null;
+    }
+  }
+
+  // If chat doesn't exist but recipientId is provided, create new chat
+  if (!chat && recipientId && recipientId !== senderId) {
+    // Verify recipient exists
+    const recipientResult = await queryWithRetry(
+      'SELECT id FROM users WHERE id = $1',
+      [recipientId],
+      3,
+      20000
+    );
+
+    if (recipientResult.rows.length === 0) {
+      return { sent: false, reason: 'recipient_not_found' };
+    }
+
+    // Check if user is blocked (either direction)
+    const { isBlocked } = await import('../utils/block.utils.js');
+    const blocked = await isBlocked(senderId, recipientId);
+    if (blocked) {
+      return { sent: false, reason: 'blocked' };
+    }
+
+    // Check if chat already exists between these users
+    const existingChat = await chatsCollection.findOne({
+      participants: { $all: [senderId, recipientId] },
+      type: 'direct',
+    });
+
+    if (existingChat) {
+      chat = existingChat;
+      chatObjectId = existingChat._id;
+    } else {
+      // Create new chat with enhanced schema
+      const newChat = {
+        participants: [senderId, recipientId],
+        type: 'direct',
+        lastMessage: null,
+        lastMessageAt: new Date(),
+        archivedBy: [],
+        pinnedBy: [],
+        mutedBy: [],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const chatResult = await chatsCollection.insertOne(newChat);
+      chat = { ...newChat, _id: chatResult.insertedId };
+      chatObjectId = chatResult.insertedId;
+
+      // Automatically add recipient to contacts
+      const { autoAddContact } = await import('../utils/contacts.utils.js');
+      await autoAddContact(senderId, recipientId);
+    }
+  }
+
+  if (!chat) {
+    return { sent: false, reason: 'chat_not_found' };
+  }
+
+  if (!chatObjectId) {
+    chatObjectId = chat._id;
+  }
+
+  // For direct chats, check if user is blocked (either direction) and auto-add to contacts
+  if (chat.type === 'direct') {
+    const otherParticipantId = chat.participants.find(id => id !== senderId);
+    if (otherParticipantId) {
+      const { isBlocked } = await import('../utils/block.utils.js');
+      const blocked = await isBlocked(senderId, otherParticipantId);
+      if (blocked) {
+        return { sent: false, reason: 'blocked' };
+      }
+
+      // Automatically add to contacts if not already there
+      const { autoAddContact } = await import('../utils/contacts.utils.js');
+      await autoAddContact(senderId, otherParticipantId);
+    }
+  }
+
+  // Quoted message must be in this chat
+  const { replyTo, error: replyToError } = await resolveReplyTo(replyToId, chatObjectId);
+  if (replyToError) {
+    return { sent: false, reason: 'invalid_reply', error: replyToError };
+  }
+
+  // Parse mentions if this is a group chat
+  let mentions = [];
+  if (chat.type === 'group' && messageType === 'text') {
+    const { parseMentions } = await import('../utils/mentions.utils.js');
+    // Get participant details for mention parsing
+    const participantDetails = await Promise.all(
+      chat.participants.map(async (userId) => {
+        const userResult = await queryWithRetry(
+          "SELECT id, full_name FROM users WHERE id = $1",
+          [userId],
+          3,
+          20000
+        );
+        if (userResult.rows.length > 0) {
+          return {
+            id: userResult.rows[0].id,
+            fullName: userResult.rows[0].full_name,
+          };
+        }
+        return null;
+      })
+    );
+    const validParticipants = participantDetails.filter(p => p != null);
+    mentions = parseMentions(message, validParticipants);
+  }
+
+  // Create message with enhanced schema
+  const newMessage = {
+    chatId: chatObjectId,
+    senderId: senderId,
+    message: message,
+    messageType: messageType, // text, image, video, audio, file, call
+    readBy: [senderId], // Sender has read it
+    readReceipts: [
+      {
+        userId: senderId,
+        readAt: new Date(),
+      },
+    ],
+    mentions: mentions, // Array of mentioned user IDs
+    replyTo: replyTo, // Denormalised quote of the replied-to message (null if not a reply)
+    editedAt: null,
+    deletedAt: null,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+  newMessage.expiresAt = getMessageExpiresAt(chat, newMessage.createdAt); // Disappearing messages (null if off)
+  if (messageType === 'poll') {
+    newMessage.poll = poll;
+  }
+  if (messageType === 'location' || messageType === 'live_location') {
+    newMessage.location = location;
+  }
+  if (messageType === 'contact') {
+    newMessage.contacts = await resolveContactCards(contacts, senderId);
+  }
+  const mediaKeys = getMessageMediaKeys(newMessage);
+  if (mediaKeys.length > 0) {
+    newMessage.mediaKeys = mediaKeys; // Storage keys of the file and thumbnail (media access checks)
+  }
+  if (scheduledMessageId) {
+    newMessage.scheduledMessageId = scheduledMessageId; // Unique index stops a scheduled message being sent twice
+  }
+
+  const messageResult = await messagesCollection.insertOne(newMessage);
+  const chatIdString = chatObjectId.toString();
+
+  // Log activity
+  await logActivity({
+    userId: senderId,
+    activityType: 'message_sent',
+    activityData: {
+      chatId: chatIdString,
+      messageType,
+      messageLength: message.length,
+    },
+    ipAddress,
+    deviceId,
+  });
+
+  // Update last_seen when user sends a message (they're clearly active)
+  // This ensures last_seen is current even if heartbeat fails or is delayed
+  // Scheduled sends are skipped - the sender isn't necessarily online
+  if (!scheduledMessageId) {
+    try {
+      const updateResult = await queryWithRetry(
+        "UPDATE users SET last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $1 RETURNING last_seen AT TIME ZONE 'UTC' as last_seen_utc",
+        [senderId],
+        3,
+        20000
+      );
+      if (updateResult.rows.length > 0) {
+        console.log(`💬 Message sent by ${senderId} - Updated last_seen_utc=${updateResult.rows[0].last_seen_utc}`);
+      }
+    } catch (error) {
+      console.error('❌ Error updating last_seen on message send:', error);
+    }
+  }
+
+  // Update chat's last message only if this message is more recent
+  // This prevents text messages from overwriting more recent call messages
+  const now = new Date();
+  await chatsCollection.updateOne(
+    { 
+      _id: chatObjectId,
+      $or: [
+        { lastMessageAt: { $exists: false } },
+        { lastMessageAt: null },
+        { lastMessageAt: { $lt: now } } // Only update if new message is more recent
+      ]
+    },
+    {
+      $set: {
+        lastMessage: message,
+        lastMessageType: messageType,
+        lastMessageAt: now,
+        updatedAt: now,
+      },
+    }
+  );
+
+  // Increment unread count for other participants (all except sender)
+  // NOTE: Call messages should NOT increment unread count as they're system messages
+  // that both participants can see. They're already marked as read in createCallHistoryMessage.
+  // BUG FIX #1: Use safe Redis operations with proper error handling to prevent race conditions
+  if (messageType !== 'call') {
+    const otherParticipants = chat.participants.filter((id) => id !== senderId);
+    // For groups, increment unread for all other participants
+    // For direct chats, increment for the one other participant
+    // Use atomic increment operations to prevent race conditions
+    await Promise.all(
+      otherParticipants.map(participantId => 
+        incrementUnreadCount(participantId, chatObjectId.toString(), 1)
+      )
+    );
+  }
+
+  // Get sender name for group chats
+  let senderName = null;
+  if (chat.type === 'group') {
+    const senderResult = await queryWithRetry(
+      `SELECT full_name FROM users WHERE id = $1`,
+      [senderId],
+      3,
+      20000
+    );
+    if (senderResult.rows.length > 0) {
+      senderName = senderResult.rows[0].full_name || null;
+    }
+  }
+
+  // Prepare message data for Socket.IO with enhanced schema
+  const messageData = {
+    id: messageResult.insertedId.toString(),
+    chatId: chatIdString,
+    senderId: senderId,
+    message: message,
+    messageType: messageType,
+    readBy: [senderId],
+    readReceipts: [
+      {
+        userId: senderId,
+        readAt: newMessage.createdAt.toISOString(),
+      },
+    ],
+    mentions: newMessage.mentions || [], // Include mentions
+    replyTo: formatReplyTo(replyTo),
+    editedAt: null,
+    deletedAt: null,
+    expiresAt: newMessage.expiresAt ? newMessage.expiresAt.toISOString() : null,
+    status: 'sent', // Message is sent to server
+    createdAt: newMessage.createdAt.toISOString(),
+    updatedAt: newMessage.updatedAt.toISOString(),
+  };
+  
+  // Include sender name for group chats
+  if (senderName) {
+    messageData.senderName = senderName;
+  }
+
+  if (newMessage.poll) {
+    messageData.poll = formatPoll(newMessage.poll, { showVoters: chat.type === 'group' });
+  }
+
+  if (newMessage.location) {
+    messageData.location = formatLocation(newMessage.location);
+  }
+
+  if (newMessage.contacts) {
+    messageData.contacts = formatContacts(newMessage.contacts);
+  }
+
+  // Emit new message via Socket.IO for real-time delivery
+  const { emitNewMessage, emitChatUpdate, getSocketIO } = await import('../socket/socket.server.js');
+  await emitNewMessage(chatIdString, messageData);
+
+  // Emit chat update to all participants with unread count
+  const lastMessageAt = new Date();
+  const redisClient = getRedisClient();
+  const isGroup = chat.type === 'group';
+  
+  // Get fresh sender user details after updating last_seen
+  const senderUserResult = await queryWithRetry(
+    "SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, is_online, to_char(last_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD\"T\"HH24:MI:SS.MS\"Z\"') as last_seen, timezone FROM users WHERE id = $1",
+    [senderId],
+    3,
+    20000
+  );
+  const senderUser = senderUserResult.rows[0];
+  const senderPresenceData = getUserPresenceData(senderUser);
+
+  // Emit chat update to all participants
+  for (const participantId of chat.participants) {
+    const participantUnreadCount = await redisClient.get(`unread:${participantId}:${chatObjectId}`) || '0';
+    
+    const chatUpdateData = {
+      chatId: chatIdString,
+      type: chat.type || 'direct',
+      lastMessage: message,
+      lastMessageType: messageType,
+      lastMessageAt: lastMessageAt.toISOString(),
+      unreadCount: parseInt(participantUnreadCount),
+      isNewChat: !chatId,
+      archivedBy: chat.archivedBy || [],
+      pinnedBy: chat.pinnedBy || [],
+      mutedBy: chat.mutedBy || [],
+    };
+    
+    // For direct chats, include otherUser info
+    // For groups, include groupInfo
+    if (isGroup) {
+      chatUpdateData.groupInfo = {
+        groupName: chat.groupName,
+        groupDescription: chat.groupDescription,
+        groupPictureUrl: chat.groupPictureUrl,
+        participantCount: chat.participants.length,
+        admins: chat.admins || [],
+        createdBy: chat.createdBy,
+      };
+    } else if (participantId !== senderId) {
+      // For direct chats, include sender's presence data for the other participant
+      chatUpdateData.otherUser = senderPresenceData;
+      
+      // Broadcast presence update to receiver IMMEDIATELY with fresh data
+      const socketIO = getSocketIO();
+      if (senderPresenceData) {
+        socketIO.to(`user:${participantId}`).emit('presence_update', {
+          userId: senderId,
+          isOnline: senderPresenceData.isOnline,
+          lastSeen: senderPresenceData.lastSeen,
+          fullName: senderPresenceData.fullName,
+          profilePictureUrl: senderPresenceData.profilePictureUrl,
+        });
+      }
+    }
+    
+    emitChatUpdate(participantId, chatUpdateData);
+  }
+
+  return { sent: true, messageData };
+};
@@ -0,0 +1,348 @@
+/**
+ * OTP Service
+ *
+ * Issues and verifies one-time login codes.
+ * - Codes are random, stored only as an HMAC and expire after OTP_TTL_SECONDS
+ * - Each code is single-use and invalidated after OTP_MAX_ATTEMPTS wrong guesses
+ * - A resend cooldown limits how often a number can request a new code
+ * - A burst of failed verifications locks the number out for a while; the
+ *   counter and lock live in otp_lockouts so they hold across instances and restarts
+ *
+ * Redis holds the live code record for every number. For registered users the
+ * hash is also mirrored to users.verification_code / verification_expires_at so
+ * a code survives a Redis restart (accepted once, then cleared).
+ */
+
+import crypto from 'crypto';
+import postgresPool from '../config/postgres.config.js';
+import { getRedisClient } from '../config/redis.config.js';
+import { sendSms } from './sms.service.js';
+
+const OTP_LENGTH = 6;
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS || '300', 10);
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60', 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+const OTP_LOCKOUT_MAX_FAILURES = parseInt(process.env.OTP_LOCKOUT_MAX_FAILURES || '10', 10);
+const OTP_LOCKOUT_WINDOW_MINUTES = parseInt(process.env.OTP_LOCKOUT_WINDOW_MINUTES || '15', 10);
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES || '30', 10);
+
+// Codes are stored as an HMAC under this key - refuse to start without one
+const OTP_SECRET = process.env.OTP_SECRET || process.env.JWT_SECRET;
+if (!OTP_SECRET) {
+  throw new Error('OTP_SECRET or JWT_SECRET must be set to issue OTP codes');
+}
+
+const otpKey = (countryCode, phoneNumber) => `otp:${countryCode}:${phoneNumber}`;
+const cooldownKey = (countryCode, phoneNumber) => `otp_cooldown:${countryCode}:${phoneNumber}`;
+
+/**
+ * Generate a random numeric code
+ */
+const generateOtpCode = () => {
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+};
+
+/**
+ * Hash a code bound to the phone number it was issued for
+ */
+const hashOtpCode = (countryCode, phoneNumber, code) => {
+  return crypto
+    .createHmac('sha256', OTP_SECRET)
+    .update(`${countryCode}:${phoneNumber}:${code}`)
+    .digest('hex');
+};
+
+const hashesMatch = (a, b) => {
+  const bufferA = Buffer.from(a || '', 'hex');
+  const bufferB = Buffer.from(b || '', 'hex');
+  return bufferA.length === bufferB.length && bufferA.length > 0 && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Remove the mirrored code from the users row
+ */
+const clearStoredCode = async (countryCode, phoneNumber, markVerified = false) => {
+  try {
+    await postgresPool.query(
+      `UPDATE users
+       SET verification_code = NULL, verification_expires_at = NULL${markVerified ? ', is_verified = true' : ''}
+       WHERE phone_number = $1 AND country_code = $2`,
+      [phoneNumber, countryCode]
+    );
+  } catch (error) {
+    console.error('Error clearing stored OTP:', error);
+  }
+};
+
+/**
+ * Current lockout for a number
+ * @returns {Promise<string|null>} ISO time the lock ends, or null if not locked
+ */
+export const getOtpLockout = async ({ phoneNumber, countryCode }) => {
+  const result = await postgresPool.query(
+    `SELECT to_char(locked_until, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS locked_until
+     FROM otp_lockouts
+     WHERE phone_number = $1 AND country_code = $2 AND locked_until > CURRENT_TIMESTAMP`,
+    [phoneNumber, countryCode]
+  );
+  return result.rows[0]?.locked_until || null;
+};
+
+/**
+ * Count a failed verification; too many inside the window locks the number
+ * @returns {Promise<string|null>} ISO time the new lock ends, or null if not locked
+ */
+const recordOtpFailure = async ({ phoneNumber, countryCode }) => {
+  // Failures older than the window start a fresh count
+  await postgresPool.query(
+    `INSERT INTO otp_lockouts (phone_number, country_code, failed_attempts, window_started_at)
+     VALUES ($1, $2, 1, CURRENT_TIMESTAMP)
+     ON CONFLICT (phone_number, country_code) DO UPDATE SET
+       failed_attempts = CASE
+         WHEN otp_lockouts.window_started_at < CURRENT_TIMESTAMP - ($3 || ' minutes')::interval THEN 1
+         ELSE otp_lockouts.failed_attempts + 1
+       END,
+       window_started_at = CASE
+         WHEN otp_lockouts.window_started_at < CURRENT_TIMESTAMP - ($3 || ' minutes')::interval THEN CURRENT_TIMESTAMP
+         ELSE otp_lockouts.window_started_at
+       END,
+       updated_at = CURRENT_TIMESTAMP`,
+    [phoneNumber, countryCode, OTP_LOCKOUT_WINDOW_MINUTES]
+  );
+
+  const locked = await postgresPool.query(
+    `UPDATE otp_lockouts
+     SET locked_until = CURRENT_TIMESTAMP + ($4 || ' minutes')::interval,
+         failed_attempts = 0, window_started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE phone_number = $1 AND country_code = $2 AND failed_attempts >= $3
+     RETURNING to_char(locked_until, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS locked_until`,
+    [phoneNumber, countryCode, OTP_LOCKOUT_MAX_FAILURES, OTP_LOCKOUT_MINUTES]
+  );
+
+  if (locked.rows.length > 0) {
+    console.warn(`⚠️ OTP lockout for ${countryCode}${phoneNumber} until ${locked.rows[0].locked_until}`);
+    return locked.rows[0].locked_until;
+  }
+  return null;
+};
+
+/**
+ * Reset the failure count after a successful verification
+ */
+const clearOtpFailures = async ({ phoneNumber, countryCode }) => {
+  try {
+    await postgresPool.query(
+      'DELETE FROM otp_lockouts WHERE phone_number = $1 AND country_code = $2 AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)',
+      [phoneNumber, countryCode]
+    );
+  } catch (error) {
+    console.error('Error clearing OTP failures:', error);
+  }
+};
+
+/**
+ * Issue a new code and send it by SMS
+ * @returns {Promise<{sent: boolean, reason?: string, retryAfter?: number, expiresIn?: number, resendAfter?: number}>}
+ */
+export const issueOtp = async ({ phoneNumber, countryCode }) => {
+  try {
+    const lockedUntil = await getOtpLockout({ phoneNumber, countryCode });
+    if (lockedUntil) {
+      return { sent: false, reason: 'locked', lockedUntil };
+    }
+  } catch (error) {
+    console.error('OTP issue error (lockout check failed):', error);
+    return { sent: false, reason: 'unavailable' };
+  }
+
+  let redisClient;
+  try {
+    redisClient = getRedisClient();
+  } catch (error) {
+    console.error('OTP issue error (Redis unavailable):', error);
+    return { sent: false, reason: 'unavailable' };
+  }
+
+  const key = otpKey(countryCode, phoneNumber);
+  const cooldown = cooldownKey(countryCode, phoneNumber);
+
+  try {
+    // Claim the resend window atomically so parallel requests can't both send
+    const claimed = await redisClient.set(cooldown, '1', { NX: true, EX: OTP_RESEND_COOLDOWN_SECONDS });
+    if (claimed !== 'OK') {
+      const ttl = await redisClient.ttl(cooldown);
+      return { sent: false, reason: 'cooldown', retryAfter: ttl > 0 ? ttl : OTP_RESEND_COOLDOWN_SECONDS };
+    }
+
+    const code = generateOtpCode();
+    const codeHash = hashOtpCode(countryCode, phoneNumber, code);
+
+    // A new code replaces any previous one and resets the attempt counter
+    await redisClient
+      .multi()
+      .del(key)
+      .hSet(key, {
+        codeHash,
+        attempts: '0',
+        expiresAt: String(Date.now() + OTP_TTL_SECONDS * 1000),
+      })
+      .expire(key, OTP_TTL_SECONDS)
+      .exec();
+
+    // Mirror to the users row (no-op for numbers that aren't registered yet)
+    await postgresPool.query(
+      `UPDATE users
+       SET verification_code = $1,
+           verification_expires_at = (NOW() AT TIME ZONE 'UTC') + ($2 || ' seconds')::interval
+       WHERE phone_number = $3 AND country_code = $4`,
+      [codeHash, OTP_TTL_SECONDS, phoneNumber, countryCode]
+    );
+
+    try {
+      await sendSms({
+        to: `${countryCode}${phoneNumber}`,
+        body: `Your Axzora Chat verification code is ${code}. It expires in ${Math.ceil(OTP_TTL_SECONDS / 60)} minutes. Do not share this code with anyone.`,
+      });
+    } catch (error) {
+      console.error('OTP SMS delivery error:', error);
+      await redisClient.del([key, cooldown]);
+      await clearStoredCode(countryCode, phoneNumber);
+      return { sent: false, reason: 'delivery_failed' };
+    }
+
+    return {
+      sent: true,
+      expiresIn: OTP_TTL_SECONDS,
+      resendAfter: OTP_RESEND_COOLDOWN_SECONDS,
+    };
+  } catch (error) {
+    console.error('OTP issue error:', error);
+    return { sent: false, reason: 'unavailable' };
+  }
+};
+
+/**
+ * Check a code against the live record (or the mirrored fallback)
+ */
+const checkOtp = async ({ phoneNumber, countryCode, otp }) => {
+  const candidate = String(otp ?? '').trim();
+  if (!new RegExp(`^\\d{${OTP_LENGTH}}$`).test(candidate)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  const candidateHash = hashOtpCode(countryCode, phoneNumber, candidate);
+  const key = otpKey(countryCode, phoneNumber);
+
+  let redisClient = null;
+  let record = null;
+  try {
+    redisClient = getRedisClient();
+    record = await redisClient.hGetAll(key);
+  } catch (error) {
+    console.warn('⚠️ OTP verify: Redis unavailable, falling back to stored code:', error.message);
+  }
+
+  if (record && record.codeHash) {
+    if (Number(record.expiresAt) <= Date.now()) {
+      await redisClient.del(key);
+      return { valid: false, reason: 'expired' };
+    }
+
+    const attempts = await redisClient.hIncrBy(key, 'attempts', 1);
+    if (attempts > OTP_MAX_ATTEMPTS) {
+      await redisClient.del(key);
+      await clearStoredCode(countryCode, phoneNumber);
+      return { valid: false, reason: 'too_many_attempts', attemptsRemaining: 0 };
+    }
+
+    if (!hashesMatch(candidateHash, record.codeHash)) {
+      if (attempts >= OTP_MAX_ATTEMPTS) {
+        await redisClient.del(key);
+        await clearStoredCode(countryCode, phoneNumber);
+        return { valid: false, reason: 'too_many_attempts', attemptsRemaining: 0 };
+      }
+      return { valid: false, reason: 'invalid', attemptsRemaining: OTP_MAX_ATTEMPTS - attempts };
+    }
+
+    // Single use: only the request that deletes the record wins
+    const consumed = await redisClient.del(key);
+    if (consumed === 0) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    await clearStoredCode(countryCode, phoneNumber, true);
+    return { valid: true };
+  }
+
+  // Fallback: Redis lost the record - check the copy mirrored on the users row.
+  // The stored code is cleared on any attempt, so it can only be tried once.
+  try {
+    const result = await postgresPool.query(
+      `UPDATE users u
+       SET verification_code = NULL, verification_expires_at = NULL
+       FROM (
+         SELECT id, verification_code, verification_expires_at
+         FROM users
+         WHERE phone_number = $1 AND country_code = $2
+         FOR UPDATE
+       ) previous
+       WHERE u.id = previous.id AND previous.verification_code IS NOT NULL
+       RETURNING previous.verification_code AS code_hash,
+                 previous.verification_expires_at > (NOW() AT TIME ZONE 'UTC') AS is_current`,
+      [phoneNumber, countryCode]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].is_current) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    if (!hashesMatch(candidateHash, result.rows[0].code_hash)) {
+      return { valid: false, reason: 'invalid', attemptsRemaining: 0 };
+    }
+
+    await clearStoredCode(countryCode, phoneNumber, true);
+    return { valid: true };
+  } catch (error) {
+    console.error('OTP verify error:', error);
+    return { valid: false, reason: 'unavailable' };
+  }
+};
+
+/**
+ * Verify a code. A successful verification consumes it.
+ * Locked-out numbers are refused before the code is looked at.
+ * @returns {Promise<{valid: boolean, reason?: string, attemptsRemaining?: number, lockedUntil?: string}>}
+ */
+export const verifyOtp = async ({ phoneNumber, countryCode, otp }) => {
+  try {
+    const lockedUntil = await getOtpLockout({ phoneNumber, countryCode });
+    if (lockedUntil) {
+      return { valid: false, reason: 'locked', lockedUntil };
+    }
+  } catch (error) {
+    console.error('OTP verify error (lockout check failed):', error);
+    return { valid: false, reason: 'unavailable' };
+  }
+
+  const result = await checkOtp({ phoneNumber, countryCode, otp });
+
+  if (result.valid) {
+    await clearOtpFailures({ phoneNumber, countryCode });
+    return result;
+  }
+
+  if (result.reason === 'unavailable') {
+    return result;
+  }
+
+  try {
+    const lockedUntil = await recordOtpFailure({ phoneNumber, countryCode });
+    if (lockedUntil) {
+      return { valid: false, reason: 'locked', lockedUntil };
+    }
+  } catch (error) {
+    console.error('Error recording OTP failure:', error);
+  }
+
+  return result;
+};
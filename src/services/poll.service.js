@@ -0,0 +1,186 @@
+/**
+ * Poll Service
+ *
+ * Voting and closing for poll messages, shared by the REST endpoints and the
+ * poll_vote socket event. A vote replaces the voter's previous choice in a single
+ * pipeline update on the message document, so concurrent votes can't lose or
+ * double count each other, and the update only matches while the poll is open.
+ */
+
+import { getMongoDB } from '../config/mongodb.config.js';
+import { validateObjectId } from '../utils/mongodb.utils.js';
+import { formatPoll } from '../utils/poll.utils.js';
+
+export const POLL_ERROR_MESSAGES = {
+  invalid_message: 'Invalid message ID',
+  not_found: 'Poll not found',
+  blocked: "Can't vote in this chat",
+  invalid_options: 'optionIds must be an array of option IDs from this poll',
+  single_choice: 'This poll allows only one choice',
+  closed: 'This poll is closed',
+  forbidden: 'Only the poll creator or a group admin can close the poll',
+};
+
+const openPollFilter = (now) => ({
+  messageType: 'poll',
+  deletedAt: null,
+  'poll.closedAt': null,
+  $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: now } }],
+});
+
+/**
+ * Load a poll message the user can see, with its chat
+ */
+const loadPoll = async (userId, messageId) => {
+  let messageObjectId;
+  try {
+    messageObjectId = validateObjectId(messageId, 'Message ID');
+  } catch (error) {
+    return { reason: 'invalid_message' };
+  }
+
+  const mongoDb = getMongoDB();
+  const pollMessage = await mongoDb.collection('messages').findOne({
+    _id: messageObjectId,
+    messageType: 'poll',
+    deletedAt: null,
+    deletedFor: { $ne: userId },
+  });
+  if (!pollMessage) {
+    return { reason: 'not_found' };
+  }
+
+  const chat = await mongoDb.collection('chats').findOne({
+    _id: pollMessage.chatId,
+    participants: userId,
+  });
+  if (!chat) {
+    return { reason: 'not_found' };
+  }
+
+  return { pollMessage, chat };
+};
+
+/**
+ * Send the new tallies to everyone in the chat
+ */
+const broadcastPollUpdate = async (chat, pollMessage) => {
+  const { getSocketIO } = await import('../socket/socket.server.js');
+  getSocketIO().to(`chat:${chat._id.toString()}`).emit('poll_updated', {
+    messageId: pollMessage._id.toString(),
+    chatId: chat._id.toString(),
+    poll: formatPoll(pollMessage.poll, { showVoters: chat.type === 'group' }),
+  });
+};
+
+/**
+ * Set a user's vote, replacing any earlier one. An empty optionIds retracts the vote.
+ * @returns {Promise<{success: true, poll: Object}|{success: false, reason: string}>}
+ *   poll is formatted for the voter (includes myVotes)
+ */
+export const castPollVote = async ({ userId, messageId, optionIds }) => {
+  const loaded = await loadPoll(userId, messageId);
+  if (loaded.reason) {
+    return { success: false, reason: loaded.reason };
+  }
+  const { pollMessage, chat } = loaded;
+
+  if (chat.type === 'direct') {
+    const otherParticipantId = chat.participants.find(id => id !== userId);
+    const { isBlocked } = await import('../utils/block.utils.js');
+    if (otherParticipantId && await isBlocked(userId, otherParticipantId)) {
+      return { success: false, reason: 'blocked' };
+    }
+  }
+
+  const validIds = pollMessage.poll.options.map(option => option.id);
+  if (
+    !Array.isArray(optionIds) ||
+    optionIds.some(id => typeof id !== 'string' || !validIds.includes(id)) ||
+    new Set(optionIds).size !== optionIds.length
+  ) {
+    return { success: false, reason: 'invalid_options' };
+  }
+
+  if (!pollMessage.poll.allowMultiple && optionIds.length > 1) {
+    return { success: false, reason: 'single_choice' };
+  }
+
+  const now = new Date();
+  const updatedMessage = await getMongoDB().collection('messages').findOneAndUpdate(
+    { _id: pollMessage._id, ...openPollFilter(now) },
+    [
+      {
+        $set: {
+          'poll.options': {
+            $map: {
+              input: '$poll.options',
+              as: 'option',
+              in: {
+                $mergeObjects: [
+                  '$$option',
+                  {
+                    voterIds: {
+                      $concatArrays: [
+                        { $filter: { input: '$$option.voterIds', as: 'voterId', cond: { $ne: ['$$voterId', userId] } } },
+                        { $cond: [{ $in: ['$$option.id', optionIds] }, [userId], []] },
+                      ],
+                    },
+                  },
+                ],
+              },
+            },
+          },
+          updatedAt: now,
+        },
+      },
+    ],
+    { returnDocument: 'after' }
+  );
+
+  if (!updatedMessage) {
+    return { success: false, reason: 'closed' };
+  }
+
+  await broadcastPollUpdate(chat, updatedMessage);
+
+  return {
+    success: true,
+    poll: formatPoll(updatedMessage.poll, { showVoters: chat.type === 'group', viewerId: userId }),
+  };
+};
+
+/**
+ * Close a poll early. The creator can always close it; in groups admins can too.
+ * @returns {Promise<{success: true, poll: Object}|{success: false, reason: string}>}
+ */
+export const closePoll = async ({ userId, messageId }) => {
+  const loaded = await loadPoll(userId, messageId);
+  if (loaded.reason) {
+    return { success: false, reason: loaded.reason };
+  }
+  const { pollMessage, chat } = loaded;
+
+  const isAdmin = chat.type === 'group' && chat.admins?.includes(userId);
+  if (pollMessage.senderId !== userId && !isAdmin) {
+    return { success: false, reason: 'forbidden' };
+  }
+
+  const now = new Date();
+  const updatedMessage = await getMongoDB().collection('messages').findOneAndUpdate(
+    { _id: pollMessage._id, ...openPollFilter(now) },
+    { $set: { 'poll.closedAt': now, 'poll.closedBy': userId, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+
+  if (!updatedMessage) {
+    return { success: false, reason: 'closed' };
+  }
+
+  await broadcastPollUpdate(chat, updatedMessage);
+
+  return {
+    success: true,
+    poll: formatPoll(updatedMessage.poll, { showVoters: chat.type === 'group', viewerId: userId }),
+  };
+};
@@ -0,0 +1,378 @@
+/**
+ * Receipt Service
+ *
+ * Per-recipient delivery and read tracking for messages:
+ *   deliveredTo:  [{ userId, deliveredAt }] - pushed to one of their sockets, or fetched
+ *   readBy:       [userId]
+ *   readReceipts: [{ userId, readAt }]
+ * The sender sees one tick state per message (sent -> delivered -> read), reached
+ * once every recipient has got there. Users with read_receipts_enabled = false in
+ * user_settings still mark messages read (for unread counts), but their read
+ * times are not shown to anyone else and count as delivered only.
+ */
+
+import { getMongoDB } from '../config/mongodb.config.js';
+import { queryWithRetry } from '../config/postgres.config.js';
+import { validateObjectId } from '../utils/mongodb.utils.js';
+import { subtractUnreadCount, getUnreadCount } from '../utils/redis.utils.js';
+
+export const READ_UP_TO_ERROR_MESSAGES = {
+  invalid_chat: 'Invalid chat ID',
+  chat_not_found: 'Chat not found',
+  invalid_cursor: 'Provide messageId or a valid ISO 8601 timestamp (before)',
+  message_not_found: 'Message not found in this chat',
+};
+
+const RECEIPT_PROJECTION = { chatId: 1, senderId: 1, readBy: 1, readReceipts: 1, deliveredTo: 1 };
+
+/**
+ * Users among userIds who have turned read receipts off
+ * @returns {Promise<Set<string>>}
+ */
+export const getHiddenReadReceiptUsers = async (userIds) => {
+  if (!userIds || userIds.length === 0) {
+    return new Set();
+  }
+
+  const result = await queryWithRetry(
+    'SELECT user_id FROM user_settings WHERE user_id = ANY($1::uuid[]) AND read_receipts_enabled = false',
+    [userIds],
+    2,
+    10000
+  );
+  return new Set(result.rows.map(row => row.user_id));
+};
+
+/**
+ * Aggregate a message's receipts into the sender's tick state
+ * @param {Object} msg - Message with senderId, readBy, deliveredTo
+ * @param {string[]} participants - Current chat participants
+ * @param {Set<string>} hiddenReaders - From getHiddenReadReceiptUsers
+ * @returns {{status: 'sent'|'delivered'|'read', recipientCount: number, deliveredCount: number, readCount: number}}
+ */
+export const computeMessageStatus = (msg, participants, hiddenReaders = new Set()) => {
+  const recipients = participants.filter(id => id !== msg.senderId);
+  const readBy = new Set((msg.readBy || []).filter(id => !hiddenReaders.has(id)));
+  // Reading implies delivery, including reads we don't show
+  const delivered = new Set([
+    ...(msg.deliveredTo || []).map(receipt => receipt.userId),
+    ...(msg.readBy || []),
+  ]);
+
+  const readCount = recipients.filter(id => readBy.has(id)).length;
+  const deliveredCount = recipients.filter(id => delivered.has(id)).length;
+
+  let status = 'sent';
+  if (recipients.length > 0 && readCount === recipients.length) {
+    status = 'read';
+  } else if (recipients.length > 0 && deliveredCount === recipients.length) {
+    status = 'delivered';
+  }
+
+  return { status, recipientCount: recipients.length, deliveredCount, readCount };
+};
+
+/**
+ * Receipts as a given viewer may see them - others' hidden reads are left out
+ */
+export const formatReceipts = (msg, viewerId, hiddenReaders = new Set()) => {
+  const visible = (userId) => userId === viewerId || !hiddenReaders.has(userId);
+
+  return {
+    readBy: (msg.readBy || []).filter(visible),
+    readReceipts: (msg.readReceipts || [])
+      .filter(receipt => visible(receipt.userId))
+      .map(receipt => ({ userId: receipt.userId, readAt: receipt.readAt })),
+    deliveredTo: (msg.deliveredTo || []).map(receipt => ({
+      userId: receipt.userId,
+      deliveredAt: receipt.deliveredAt,
+    })),
+  };
+};
+
+/**
+ * Tell each sender the new tick state of their messages
+ */
+const emitStatusUpdates = async (chat, messageIds) => {
+  const mongoDb = getMongoDB();
+  const messages = await mongoDb.collection('messages')
+    .find({ _id: { $in: messageIds } }, { projection: RECEIPT_PROJECTION })
+    .toArray();
+  if (messages.length === 0) {
+    return;
+  }
+
+  const hiddenReaders = await getHiddenReadReceiptUsers(chat.participants);
+  const { getSocketIO } = await import('../socket/socket.server.js');
+  const socketIO = getSocketIO();
+
+  for (const msg of messages) {
+    socketIO.to(`user:${msg.senderId}`).emit('message_status_updated', {
+      messageId: msg._id.toString(),
+      chatId: chat._id.toString(),
+      ...computeMessageStatus(msg, chat.participants, hiddenReaders),
+    });
+  }
+};
+
+/**
+ * Record that messages reached a user
+ * Messages the user sent, or already has as delivered or read, are skipped.
+ * @param {Object} chat - Chat document (needs _id and participants)
+ * @param {string} userId - Recipient
+ * @param {ObjectId[]} messageIds
+ * @returns {Promise<ObjectId[]>} Messages newly marked delivered
+ */
+export const markMessagesDelivered = async (chat, userId, messageIds) => {
+  if (messageIds.length === 0) {
+    return [];
+  }
+
+  const messagesCollection = getMongoDB().collection('messages');
+  const filter = {
+    _id: { $in: messageIds },
+    chatId: chat._id,
+    senderId: { $ne: userId },
+    readBy: { $ne: userId },
+    'deliveredTo.userId': { $ne: userId },
+  };
+
+  const pending = await messagesCollection.find(filter, { projection: { _id: 1 } }).toArray();
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const deliveredIds = pending.map(msg => msg._id);
+  const deliveredAt = new Date();
+  // The filter is re-checked per document, so a concurrent call can't add a second entry
+  await messagesCollection.updateMany(
+    { ...filter, _id: { $in: deliveredIds } },
+    { $push: { deliveredTo: { userId, deliveredAt } } }
+  );
+
+  const { getSocketIO } = await import('../socket/socket.server.js');
+  getSocketIO().to(`chat:${chat._id.toString()}`).emit('message_delivered', {
+    chatId: chat._id.toString(),
+    messageIds: deliveredIds.map(id => id.toString()),
+    userId,
+    deliveredAt: deliveredAt.toISOString(),
+  });
+
+  await emitStatusUpdates(chat, deliveredIds);
+  return deliveredIds;
+};
+
+/**
+ * Record that a user read messages and send read receipts
+ * Messages the user sent or already read are skipped. If the reader has read
+ * receipts off, the receipt only goes to their own devices.
+ * @param {Object} chat - Chat document (needs _id and participants)
+ * @param {string} userId - Reader
+ * @param {ObjectId[]} messageIds
+ * @returns {Promise<ObjectId[]>} Messages newly marked read
+ */
+export const markMessagesRead = async (chat, userId, messageIds) => {
+  if (messageIds.length === 0) {
+    return [];
+  }
+
+  const messagesCollection = getMongoDB().collection('messages');
+  const filter = {
+    _id: { $in: messageIds },
+    chatId: chat._id,
+    senderId: { $ne: userId },
+    readBy: { $ne: userId },
+  };
+
+  const pending = await messagesCollection.find(filter, { projection: { _id: 1 } }).toArray();
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const readIds = pending.map(msg => msg._id);
+  const readAt = new Date();
+  await messagesCollection.updateMany(
+    { ...filter, _id: { $in: readIds } },
+    {
+      $addToSet: { readBy: userId },
+      $push: { readReceipts: { userId, readAt } },
+    }
+  );
+
+  const hidden = (await getHiddenReadReceiptUsers([userId])).has(userId);
+  const chatId = chat._id.toString();
+  const { getSocketIO } = await import('../socket/socket.server.js');
+  const receiptRoom = getSocketIO().to(hidden ? `user:${userId}` : `chat:${chatId}`);
+  for (const messageId of readIds) {
+    receiptRoom.emit('message_read_receipt', {
+      messageId: messageId.toString(),
+      readBy: userId,
+      readAt: readAt.toISOString(),
+      chatId,
+    });
+  }
+
+  await emitStatusUpdates(chat, readIds);
+  return readIds;
+};
+
+/**
+ * Mark everything in a chat up to a message or timestamp as read
+ * One bulk write for all the messages, one messages_read event for the chat and
+ * the Redis unread counter reduced by the number read in the same step. Used by
+ * POST /api/messages/:chatId/read and the messages_read_up_to socket event.
+ * @param {Object} params
+ * @param {string} params.userId - Reader
+ * @param {string} params.chatId
+ * @param {string} [params.messageId] - Read up to and including this message
+ * @param {string} [params.before] - Or up to and including this time (ISO 8601)
+ * @returns {Promise<{success: true, readCount: number, unreadCount: number, upTo: string}|{success: false, reason: string}>}
+ */
+export const markChatReadUpTo = async ({ userId, chatId, messageId, before }) => {
+  let chatObjectId;
+  try {
+    chatObjectId = validateObjectId(chatId, 'Chat ID');
+  } catch (error) {
+    return { success: false, reason: 'invalid_chat' };
+  }
+
+  const mongoDb = getMongoDB();
+  const messagesCollection = mongoDb.collection('messages');
+  const chat = await mongoDb.collection('chats').findOne({ _id: chatObjectId, participants: userId });
+  if (!chat) {
+    return { success: false, reason: 'chat_not_found' };
+  }
+
+  let upTo;
+  if (messageId) {
+    let messageObjectId;
+    try {
+      messageObjectId = validateObjectId(messageId, 'Message ID');
+    } catch (error) {
+      return { success: false, reason: 'invalid_cursor' };
+    }
+    const cursorMessage = await messagesCollection.findOne(
+      { _id: messageObjectId, chatId: chatObjectId },
+      { projection: { createdAt: 1 } }
+    );
+    if (!cursorMessage) {
+      return { success: false, reason: 'message_not_found' };
+    }
+    upTo = cursorMessage.createdAt;
+  } else {
+    upTo = typeof before === 'string' ? new Date(before) : null;
+    if (!upTo || isNaN(upTo.getTime())) {
+      return { success: false, reason: 'invalid_cursor' };
+    }
+  }
+
+  const readAt = new Date();
+  const result = await messagesCollection.updateMany(
+    {
+      chatId: chatObjectId,
+      createdAt: { $lte: upTo },
+      senderId: { $ne: userId },
+      readBy: { $ne: userId },
+      deletedFor: { $ne: userId },
+      // System notices never add to the unread counter, so they mustn't come off it
+      messageType: { $ne: 'system' },
+    },
+    {
+      $addToSet: { readBy: userId },
+      $push: { readReceipts: { userId, readAt } },
+    }
+  );
+  const readCount = result.modifiedCount;
+
+  const unreadCount = readCount > 0
+    ? await subtractUnreadCount(userId, chatId, readCount)
+    : await getUnreadCount(userId, chatId);
+
+  const { getSocketIO } = await import('../socket/socket.server.js');
+  const socketIO = getSocketIO();
+
+  if (readCount > 0) {
+    const hidden = (await getHiddenReadReceiptUsers([userId])).has(userId);
+    socketIO.to(hidden ? `user:${userId}` : `chat:${chatId}`).emit('messages_read', {
+      chatId,
+      readBy: userId,
+      upTo: upTo.toISOString(),
+      readAt: readAt.toISOString(),
+      count: readCount,
+    });
+  }
+
+  socketIO.to(`user:${userId}`).emit('chat_updated', {
+    chatId,
+    unreadCount,
+    archivedBy: chat.archivedBy || [],
+    pinnedBy: chat.pinnedBy || [],
+    mutedBy: chat.mutedBy || [],
+  });
+
+  return { success: true, readCount, unreadCount, upTo: upTo.toISOString() };
+};
+
+/**
+ * Mark a just-sent message delivered to every recipient with a connected socket
+ */
+export const markDeliveredToConnected = async (chat, messageId, senderId) => {
+  try {
+    const { getSocketIO } = await import('../socket/socket.server.js');
+    const socketIO = getSocketIO();
+
+    for (const participantId of chat.participants) {
+      if (participantId === senderId) {
+        continue;
+      }
+      const sockets = await socketIO.in(`user:${participantId}`).fetchSockets();
+      if (sockets.length > 0) {
+        await markMessagesDelivered(chat, participantId, [messageId]);
+      }
+    }
+  } catch (error) {
+    console.error('Error marking message delivered:', error);
+  }
+};
+
+/**
+ * Delivery and read times per recipient, for the sender's message info screen
+ * @param {Object} msg - Message document
+ * @param {Object} chat - Its chat
+ * @returns {Promise<Object>} { status, recipientCount, deliveredCount, readCount, recipients }
+ */
+export const getMessageInfo = async (msg, chat) => {
+  const recipientIds = chat.participants.filter(id => id !== msg.senderId);
+  const hiddenReaders = await getHiddenReadReceiptUsers(recipientIds);
+
+  const namesResult = recipientIds.length > 0
+    ? await queryWithRetry(
+      'SELECT id, full_name, profile_picture_url FROM users WHERE id = ANY($1::uuid[])',
+      [recipientIds],
+      2,
+      10000
+    )
+    : { rows: [] };
+  const users = new Map(namesResult.rows.map(row => [row.id, row]));
+
+  const deliveredAt = new Map((msg.deliveredTo || []).map(receipt => [receipt.userId, receipt.deliveredAt]));
+  const readAt = new Map((msg.readReceipts || []).map(receipt => [receipt.userId, receipt.readAt]));
+
+  const recipients = recipientIds.map(userId => {
+    const isRead = (msg.readBy || []).includes(userId);
+    const readTime = isRead && !hiddenReaders.has(userId) ? readAt.get(userId) || null : null;
+    return {
+      userId,
+      fullName: users.get(userId)?.full_name || null,
+      profilePictureUrl: users.get(userId)?.profile_picture_url || null,
+      // Read before delivery was tracked - delivered when read, unless that would show a hidden read time
+      deliveredAt: deliveredAt.get(userId) || (readTime || null),
+      readAt: readTime,
+    };
+  });
+
+  return {
+    ...computeMessageStatus(msg, chat.participants, hiddenReaders),
+    recipients,
+  };
+};
@@ -0,0 +1,528 @@
+/**
+ * Resumable Upload Service
+ *
+ * Large attachments sent in pieces, so a dropped connection only costs the
+ * chunk in flight:
+ * 1. createUploadSession - declares the file (name, size, message type, chat)
+ * 2. appendUploadChunk - bytes at the current offset, each with a SHA-256 checksum
+ * 3. getUploadSession - how much has arrived (where to resume from)
+ * 4. claimUploadCompletion - once every byte is in, the assembled file goes through
+ *    the normal upload checks and POST /api/messages/upload's message path
+ *
+ * Sessions live in upload_sessions. Each chunk is stored as its own object in
+ * upload storage (storage.service.js), so any instance can take the next chunk
+ * or complete the upload; completion joins them into a temporary file on the
+ * server doing it. locked_until keeps two requests from writing the same
+ * session at once. Sessions with no chunk for RESUMABLE_UPLOAD_TTL_HOURS expire
+ * and are garbage-collected along with their chunks.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { ObjectId } from 'mongodb';
+import postgresPool from '../config/postgres.config.js';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { MESSAGE_TYPE_KINDS } from '../middleware/upload.middleware.js';
+import { getStorage } from './storage.service.js';
+import { BLOCKED_EXTENSIONS, getExtension } from '../utils/file-type.utils.js';
+
+// Where completion joins the chunks before the file goes through the upload checks
+const assemblyDir = path.join(os.tmpdir(), 'axzora-upload-sessions');
+
+export const RESUMABLE_UPLOAD_MAX_SIZE = parseInt(process.env.RESUMABLE_UPLOAD_MAX_SIZE || '1073741824'); // 1GB default
+export const UPLOAD_CHUNK_MAX_SIZE = 8 * 1024 * 1024;
+const SESSION_TTL_HOURS = parseInt(process.env.RESUMABLE_UPLOAD_TTL_HOURS || '24', 10);
+const MAX_ACTIVE_SESSIONS = 5;
+const CHUNK_LEASE_SECONDS = 60;
+const COMPLETION_LEASE_MINUTES = 30;
+const FINISHED_SESSION_RETENTION_DAYS = 7;
+const MAX_FILE_NAME_LENGTH = 255;
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const UPLOAD_SESSION_ERROR_MESSAGES = {
+  invalid_file_name: `fileName is required (at most ${MAX_FILE_NAME_LENGTH} characters)`,
+  invalid_file_size: `fileSize must be between 1 and ${RESUMABLE_UPLOAD_MAX_SIZE} bytes`,
+  invalid_message_type: `Invalid messageType for a file. Must be one of: ${Object.keys(MESSAGE_TYPE_KINDS).join(', ')}`,
+  invalid_checksum: 'sha256 must be a hex SHA-256 digest',
+  blocked_type: 'Executable and script files are not allowed',
+  missing_target: 'Either chatId or recipientId is required',
+  chat_not_found: 'Chat not found',
+  recipient_not_found: 'Recipient not found',
+  too_many_sessions: `Too many uploads in progress (at most ${MAX_ACTIVE_SESSIONS}). Finish or cancel one first.`,
+  not_found: 'Upload not found',
+  not_active: 'This upload is no longer accepting data',
+  expired: 'This upload has expired. Please start again.',
+  busy: 'Another request is writing to this upload. Try again shortly.',
+  offset_mismatch: 'Upload-Offset does not match the bytes received',
+  missing_checksum: 'Upload-Checksum header is required (sha256 <base64 digest>)',
+  checksum_mismatch: 'Chunk checksum does not match its content',
+  empty_chunk: 'Chunk is empty',
+  exceeds_size: 'Chunk goes past the declared file size',
+  incomplete: 'Not every byte of the file has been received yet',
+  already_completed: 'This upload has already been sent',
+  file_checksum_mismatch: 'The assembled file does not match its sha256',
+  data_lost: 'The uploaded data is no longer available. Please start again.',
+};
+
+const SESSION_COLUMNS = `id, user_id, file_name, file_size, mime_type, message_type, chat_id, recipient_id,
+  received_bytes, chunk_count, checksum, status, last_error, message_id,
+  expires_at <= CURRENT_TIMESTAMP AS is_expired,
+  to_char(expires_at, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS expires_at,
+  to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS created_at,
+  to_char(completed_at, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS completed_at`;
+
+/**
+ * Storage key of a session's chunk (index counts from 0)
+ * Nothing references these keys, so /uploads never serves them.
+ */
+export const getUploadChunkKey = (sessionId, index) => `upload-${sessionId}-${index}.chunk`;
+
+// chunkCount recorded chunks, plus the next one in case a write was stored but never recorded
+const removeChunks = async (sessionId, chunkCount) => {
+  const storage = getStorage();
+  for (let index = 0; index <= chunkCount; index++) {
+    await storage.delete(getUploadChunkKey(sessionId, index));
+  }
+};
+
+/**
+ * Shape an upload_sessions row for API responses
+ */
+export const formatUploadSession = (row) => ({
+  uploadId: row.id,
+  fileName: row.file_name,
+  fileSize: Number(row.file_size),
+  mimeType: row.mime_type,
+  messageType: row.message_type,
+  chatId: row.chat_id,
+  recipientId: row.recipient_id,
+  offset: Number(row.received_bytes),
+  chunkSize: UPLOAD_CHUNK_MAX_SIZE,
+  status: row.status === 'active' && row.is_expired ? 'expired' : row.status,
+  messageId: row.message_id,
+  lastError: row.last_error,
+  expiresAt: row.expires_at,
+  createdAt: row.created_at,
+  completedAt: row.completed_at,
+});
+
+const findSession = async (userId, sessionId) => {
+  const result = await postgresPool.query(
+    `SELECT ${SESSION_COLUMNS} FROM upload_sessions WHERE id = $1 AND user_id = $2`,
+    [sessionId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Why a session can't take a chunk or be completed right now
+const sessionUnavailableReason = (session) => {
+  if (!session) return 'not_found';
+  if (session.status === 'completing') return 'busy';
+  if (session.status !== 'active') return 'not_active';
+  if (session.is_expired) return 'expired';
+  return null;
+};
+
+/**
+ * Chat the file will be sent to must exist and include the user (or the recipient must exist)
+ */
+const checkUploadTarget = async (userId, chatId, recipientId) => {
+  if (chatId) {
+    if (typeof chatId !== 'string' || !ObjectId.isValid(chatId)) {
+      return 'chat_not_found';
+    }
+    const chat = await getMongoDB().collection('chats').findOne(
+      { _id: new ObjectId(chatId), participants: userId },
+      { projection: { _id: 1 } }
+    );
+    if (chat) {
+      return null;
+    }
+    // POST /api/messages/upload falls back to the recipient's direct chat
+    if (!recipientId) {
+      return 'chat_not_found';
+    }
+  }
+
+  if (!recipientId) {
+    return 'missing_target';
+  }
+  if (typeof recipientId !== 'string' || !uuidPattern.test(recipientId) || recipientId === userId) {
+    return 'recipient_not_found';
+  }
+  const recipient = await postgresPool.query('SELECT id FROM users WHERE id = $1', [recipientId]);
+  return recipient.rows.length > 0 ? null : 'recipient_not_found';
+};
+
+/**
+ * Start a resumable upload
+ * @param {Object} params
+ * @param {string} params.fileName - Original file name (its extension is kept)
+ * @param {number} params.fileSize - Total bytes
+ * @param {string} [params.messageType] - As for POST /api/messages/upload (default file)
+ * @param {string} [params.mimeType] - Declared type; the content decides in the end
+ * @param {string} [params.sha256] - Hex digest of the whole file, checked on completion
+ * @returns {Promise<{success: boolean, session?: Object, reason?: string}>}
+ */
+export const createUploadSession = async ({ userId, fileName, fileSize, messageType = 'file', mimeType, chatId, recipientId, sha256 }) => {
+  if (typeof fileName !== 'string' || !fileName.trim() || fileName.length > MAX_FILE_NAME_LENGTH) {
+    return { success: false, reason: 'invalid_file_name' };
+  }
+  if (!Number.isSafeInteger(fileSize) || fileSize < 1 || fileSize > RESUMABLE_UPLOAD_MAX_SIZE) {
+    return { success: false, reason: 'invalid_file_size' };
+  }
+  if (!MESSAGE_TYPE_KINDS[messageType]) {
+    return { success: false, reason: 'invalid_message_type' };
+  }
+  if (sha256 !== undefined && (typeof sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(sha256))) {
+    return { success: false, reason: 'invalid_checksum' };
+  }
+  if (BLOCKED_EXTENSIONS.includes(getExtension(fileName))) {
+    return { success: false, reason: 'blocked_type' };
+  }
+
+  const targetError = await checkUploadTarget(userId, chatId, recipientId);
+  if (targetError) {
+    return { success: false, reason: targetError };
+  }
+
+  const active = await postgresPool.query(
+    "SELECT COUNT(*)::int AS count FROM upload_sessions WHERE user_id = $1 AND status IN ('active', 'completing') AND expires_at > CURRENT_TIMESTAMP",
+    [userId]
+  );
+  if (active.rows[0].count >= MAX_ACTIVE_SESSIONS) {
+    return { success: false, reason: 'too_many_sessions' };
+  }
+
+  const result = await postgresPool.query(
+    `INSERT INTO upload_sessions (user_id, file_name, file_size, mime_type, message_type, chat_id, recipient_id, checksum, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP + ($9 || ' hours')::interval)
+     RETURNING ${SESSION_COLUMNS}`,
+    [
+      userId,
+      fileName.trim(),
+      fileSize,
+      typeof mimeType === 'string' ? mimeType.slice(0, 255) : null,
+      messageType,
+      chatId || null,
+      recipientId || null,
+      sha256 ? sha256.toLowerCase() : null,
+      SESSION_TTL_HOURS,
+    ]
+  );
+
+  return { success: true, session: result.rows[0] };
+};
+
+/**
+ * Get one of the user's upload sessions
+ */
+export const getUploadSession = (userId, sessionId) => findSession(userId, sessionId);
+
+/**
+ * Read an Upload-Checksum header ("sha256 <base64 digest>")
+ * @returns {Buffer|null} The digest
+ */
+export const parseChunkChecksum = (header) => {
+  const match = /^sha256 ([A-Za-z0-9+/]{43}=)$/.exec((header || '').trim());
+  return match ? Buffer.from(match[1], 'base64') : null;
+};
+
+/**
+ * Write a chunk at the session's current offset
+ * @param {Object} params
+ * @param {number} params.offset - Where the client thinks the upload stands (Upload-Offset)
+ * @param {Buffer} params.chunk
+ * @param {Buffer} params.checksum - SHA-256 of chunk, from parseChunkChecksum
+ * @returns {Promise<{success: boolean, session?: Object, reason?: string, offset?: number}>}
+ *   offset comes back with offset_mismatch so the client can resume from it
+ */
+export const appendUploadChunk = async ({ userId, sessionId, offset, chunk, checksum }) => {
+  if (!checksum) {
+    return { success: false, reason: 'missing_checksum' };
+  }
+  if (!chunk || chunk.length === 0) {
+    return { success: false, reason: 'empty_chunk' };
+  }
+  if (!crypto.timingSafeEqual(crypto.createHash('sha256').update(chunk).digest(), checksum)) {
+    return { success: false, reason: 'checksum_mismatch' };
+  }
+
+  const session = await findSession(userId, sessionId);
+  const unavailable = sessionUnavailableReason(session);
+  if (unavailable) {
+    return { success: false, reason: unavailable };
+  }
+  if (offset !== Number(session.received_bytes)) {
+    return { success: false, reason: 'offset_mismatch', offset: Number(session.received_bytes) };
+  }
+  if (offset + chunk.length > Number(session.file_size)) {
+    return { success: false, reason: 'exceeds_size' };
+  }
+
+  // Take the session for this chunk - only if nothing was written since we looked
+  const claim = await postgresPool.query(
+    `UPDATE upload_sessions
+     SET locked_until = CURRENT_TIMESTAMP + ($3 || ' seconds')::interval
+     WHERE id = $1 AND status = 'active' AND received_bytes = $2
+       AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+     RETURNING chunk_count`,
+    [sessionId, offset, CHUNK_LEASE_SECONDS]
+  );
+  if (claim.rows.length === 0) {
+    const current = await findSession(userId, sessionId);
+    if (current && Number(current.received_bytes) !== offset) {
+      return { success: false, reason: 'offset_mismatch', offset: Number(current.received_bytes) };
+    }
+    return { success: false, reason: sessionUnavailableReason(current) || 'busy' };
+  }
+
+  try {
+    // A retry of a chunk that was stored but never recorded overwrites it under the same key
+    await getStorage().put(getUploadChunkKey(sessionId, claim.rows[0].chunk_count), chunk, {
+      contentType: 'application/octet-stream',
+    });
+  } catch (error) {
+    await postgresPool.query('UPDATE upload_sessions SET locked_until = NULL WHERE id = $1', [sessionId]);
+    throw error;
+  }
+
+  const result = await postgresPool.query(
+    `UPDATE upload_sessions
+     SET received_bytes = received_bytes + $2, chunk_count = chunk_count + 1, locked_until = NULL,
+         expires_at = CURRENT_TIMESTAMP + ($3 || ' hours')::interval, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING ${SESSION_COLUMNS}`,
+    [sessionId, chunk.length, SESSION_TTL_HOURS]
+  );
+  return { success: true, session: result.rows[0] };
+};
+
+/**
+ * Join a session's chunks, in order, into a file on this server
+ * @returns {Promise<{size: number, sha256: string}|null>} null if a chunk is missing
+ */
+const assembleChunks = async (session, filePath) => {
+  const storage = getStorage();
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let missing = false;
+
+  await pipeline(async function* () {
+    for (let index = 0; index < session.chunk_count; index++) {
+      const part = await storage.get(getUploadChunkKey(session.id, index));
+      if (!part) {
+        missing = true;
+        return;
+      }
+      for await (const data of part.stream) {
+        hash.update(data);
+        size += data.length;
+        yield data;
+      }
+    }
+  }, fs.createWriteStream(filePath));
+
+  if (missing) {
+    return null;
+  }
+  return { size, sha256: hash.digest('hex') };
+};
+
+/**
+ * Take a fully received session for completion
+ * The session is 'completing' until markUploadSessionCompleted / markUploadSessionFailed;
+ * a process that dies in between leaves it to the cleanup, which fails it once the lease ends.
+ * @returns {Promise<{success: boolean, session?: Object, file?: Object, reason?: string}>}
+ *   file is shaped like a multer file, for storeMessageUpload; session also comes back with already_completed
+ */
+export const claimUploadCompletion = async (userId, sessionId) => {
+  const session = await findSession(userId, sessionId);
+  if (session?.status === 'completed') {
+    // A retry after the response was lost - the client gets the message it already sent
+    return { success: false, reason: 'already_completed', session };
+  }
+  const unavailable = sessionUnavailableReason(session);
+  if (unavailable) {
+    return { success: false, reason: unavailable };
+  }
+  if (Number(session.received_bytes) !== Number(session.file_size)) {
+    return { success: false, reason: 'incomplete' };
+  }
+
+  const claim = await postgresPool.query(
+    `UPDATE upload_sessions
+     SET status = 'completing', locked_until = CURRENT_TIMESTAMP + ($2 || ' minutes')::interval, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'active' AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+     RETURNING id`,
+    [sessionId, COMPLETION_LEASE_MINUTES]
+  );
+  if (claim.rows.length === 0) {
+    return { success: false, reason: 'busy' };
+  }
+
+  // The caller's upload handling removes this file once it is stored
+  await fs.promises.mkdir(assemblyDir, { recursive: true });
+  const filePath = path.join(assemblyDir, `${sessionId}-${crypto.randomUUID()}`);
+
+  let assembled;
+  try {
+    assembled = await assembleChunks(session, filePath);
+    if (!assembled || assembled.size !== Number(session.file_size)) {
+      await markUploadSessionFailed(sessionId, 'Uploaded chunks missing');
+      assembled = null;
+      return { success: false, reason: 'data_lost' };
+    }
+    if (session.checksum && assembled.sha256 !== session.checksum) {
+      await markUploadSessionFailed(sessionId, 'File checksum mismatch');
+      assembled = null;
+      return { success: false, reason: 'file_checksum_mismatch' };
+    }
+  } finally {
+    if (!assembled) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+
+  return {
+    success: true,
+    session,
+    file: {
+      originalname: session.file_name,
+      mimetype: session.mime_type || 'application/octet-stream',
+      size: assembled.size,
+      path: filePath,
+    },
+  };
+};
+
+export const markUploadSessionCompleted = async (sessionId, messageId) => {
+  const result = await postgresPool.query(
+    `UPDATE upload_sessions
+     SET status = 'completed', message_id = $2, locked_until = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING ${SESSION_COLUMNS}`,
+    [sessionId, messageId]
+  );
+  const session = result.rows[0];
+  if (session) {
+    await removeChunks(sessionId, session.chunk_count);
+  }
+  return session || null;
+};
+
+export const markUploadSessionFailed = async (sessionId, lastError) => {
+  const result = await postgresPool.query(
+    `UPDATE upload_sessions
+     SET status = 'failed', last_error = $2, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING chunk_count`,
+    [sessionId, String(lastError).slice(0, 1000)]
+  );
+  if (result.rows.length > 0) {
+    await removeChunks(sessionId, result.rows[0].chunk_count);
+  }
+};
+
+/**
+ * Cancel an upload and throw away what was received
+ * @returns {Promise<{success: boolean, reason?: string}>}
+ */
+export const abortUploadSession = async (userId, sessionId) => {
+  const result = await postgresPool.query(
+    `UPDATE upload_sessions
+     SET status = 'aborted', locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND status = 'active'
+     RETURNING chunk_count`,
+    [sessionId, userId]
+  );
+  if (result.rows.length === 0) {
+    const session = await findSession(userId, sessionId);
+    return { success: false, reason: session ? 'not_active' : 'not_found' };
+  }
+
+  await removeChunks(sessionId, result.rows[0].chunk_count);
+  return { success: true };
+};
+
+/**
+ * Abort every unfinished upload of a user and delete their chunks (account deletion)
+ */
+export const deleteUserUploadSessions = async (userId) => {
+  const result = await postgresPool.query(
+    `UPDATE upload_sessions
+     SET status = 'aborted', locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND status IN ('active', 'completing')
+     RETURNING id, chunk_count`,
+    [userId]
+  );
+  for (const session of result.rows) {
+    await removeChunks(session.id, session.chunk_count);
+  }
+};
+
+/**
+ * Garbage-collect abandoned uploads
+ * - active sessions past expires_at become 'expired'
+ * - completions whose lease ran out (the process died) become 'failed'
+ * - the chunks of both are deleted
+ * - finished session rows are kept FINISHED_SESSION_RETENTION_DAYS for status checks
+ */
+export const cleanupUploadSessions = async () => {
+  try {
+    const expired = await postgresPool.query(
+      `UPDATE upload_sessions
+       SET status = 'expired', locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP
+         AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+       RETURNING id, chunk_count`
+    );
+
+    const stuck = await postgresPool.query(
+      `UPDATE upload_sessions
+       SET status = 'failed', last_error = 'Completion did not finish', locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'completing' AND locked_until < CURRENT_TIMESTAMP
+       RETURNING id, chunk_count`
+    );
+
+    await postgresPool.query(
+      `DELETE FROM upload_sessions
+       WHERE status NOT IN ('active', 'completing')
+         AND updated_at < CURRENT_TIMESTAMP - ($1 || ' days')::interval`,
+      [FINISHED_SESSION_RETENTION_DAYS]
+    );
+
+    for (const session of [...expired.rows, ...stuck.rows]) {
+      await removeChunks(session.id, session.chunk_count);
+    }
+
+    console.log(`✅ Upload session cleanup completed: ${expired.rowCount} expired, ${stuck.rowCount} failed`);
+    return {
+      success: true,
+      expired: expired.rowCount,
+      failed: stuck.rowCount,
+    };
+  } catch (error) {
+    console.error('❌ Error cleaning up upload sessions:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Start periodic cleanup of abandoned uploads (every 30 minutes)
+ */
+export const startUploadSessionCleanupScheduler = () => {
+  cleanupUploadSessions();
+
+  setInterval(() => {
+    cleanupUploadSessions();
+  }, 30 * 60 * 1000);
+
+  console.log('✅ Upload session cleanup scheduler started (runs every 30 minutes)');
+};
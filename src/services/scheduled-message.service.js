@@ -0,0 +1,296 @@
+/**
+ * Scheduled Message Service
+ *
+ * Messages written now and sent at send_at. Rows live in scheduled_messages and
+ * are delivered by a dispatcher through sendMessage (the POST /api/messages path).
+ *
+ * Safe with several server instances: rows are claimed with FOR UPDATE SKIP LOCKED
+ * and a lease, and the sent message carries scheduledMessageId, which has a unique
+ * index in MongoDB. A row whose lease ran out mid-send is retried, and the unique
+ * index turns a second insert into a no-op.
+ */
+
+import postgresPool from '../config/postgres.config.js';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { sendMessage } from './message.service.js';
+
+export const MAX_SCHEDULE_DAYS = 365;
+const DISPATCH_BATCH_SIZE = 50;
+const SEND_LEASE_MINUTES = 2;
+const MAX_SEND_ATTEMPTS = 5;
+
+const SCHEDULED_MESSAGE_COLUMNS = `id, user_id, chat_id, message, reply_to, status, attempts, last_error, message_id,
+  to_char(send_at, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS send_at,
+  to_char(sent_at, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS sent_at,
+  to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS created_at,
+  to_char(updated_at, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS updated_at`;
+
+/**
+ * Shape a scheduled_messages row for API responses
+ */
+export const formatScheduledMessage = (row) => ({
+  id: row.id,
+  chatId: row.chat_id,
+  message: row.message,
+  replyTo: row.reply_to,
+  sendAt: row.send_at,
+  status: row.status,
+  messageId: row.message_id,
+  lastError: row.last_error,
+  sentAt: row.sent_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// send_at is stored relative to the database clock, like the other expiry columns
+const secondsUntil = (sendAt) => Math.max(0, Math.round((sendAt.getTime() - Date.now()) / 1000));
+
+export const createScheduledMessage = async ({ userId, chatId, message, replyToId, sendAt }) => {
+  const result = await postgresPool.query(
+    `INSERT INTO scheduled_messages (user_id, chat_id, message, reply_to, send_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' seconds')::interval)
+     RETURNING ${SCHEDULED_MESSAGE_COLUMNS}`,
+    [userId, chatId, message, replyToId || null, secondsUntil(sendAt)]
+  );
+  return result.rows[0];
+};
+
+/**
+ * List a user's scheduled messages, soonest first
+ * @param {string} [chatId] - Only this chat
+ * @param {string} [status] - Defaults to pending
+ */
+export const listScheduledMessages = async (userId, { chatId, status = 'pending' } = {}) => {
+  const params = [userId, status];
+  let chatFilter = '';
+  if (chatId) {
+    params.push(chatId);
+    chatFilter = 'AND chat_id = $3';
+  }
+
+  const result = await postgresPool.query(
+    `SELECT ${SCHEDULED_MESSAGE_COLUMNS}
+     FROM scheduled_messages
+     WHERE user_id = $1 AND status = $2 ${chatFilter}
+     ORDER BY send_at ASC, created_at ASC
+     LIMIT 200`,
+    params
+  );
+  return result.rows;
+};
+
+export const getScheduledMessage = async (userId, scheduledMessageId) => {
+  const result = await postgresPool.query(
+    `SELECT ${SCHEDULED_MESSAGE_COLUMNS} FROM scheduled_messages WHERE id = $1 AND user_id = $2`,
+    [scheduledMessageId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Edit a message that hasn't been picked up by the dispatcher yet
+ * @param {Object} changes - Any of message, replyToId (null clears), sendAt
+ * @returns {Promise<Object|null>} Updated row, or null if it is no longer pending
+ */
+export const updateScheduledMessage = async (userId, scheduledMessageId, changes) => {
+  const sets = [];
+  const params = [scheduledMessageId, userId];
+
+  if (changes.message !== undefined) {
+    params.push(changes.message);
+    sets.push(`message = $${params.length}`);
+  }
+  if (changes.replyToId !== undefined) {
+    params.push(changes.replyToId || null);
+    sets.push(`reply_to = $${params.length}`);
+  }
+  if (changes.sendAt !== undefined) {
+    params.push(secondsUntil(changes.sendAt));
+    sets.push(`send_at = CURRENT_TIMESTAMP + ($${params.length} || ' seconds')::interval`);
+  }
+
+  const result = await postgresPool.query(
+    `UPDATE scheduled_messages
+     SET ${[...sets, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $1 AND user_id = $2 AND status = 'pending'
+     RETURNING ${SCHEDULED_MESSAGE_COLUMNS}`,
+    params
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Cancel a pending scheduled message
+ * @returns {Promise<Object|null>} Cancelled row, or null if it is no longer pending
+ */
+export const cancelScheduledMessage = async (userId, scheduledMessageId) => {
+  const result = await postgresPool.query(
+    `UPDATE scheduled_messages
+     SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND status = 'pending'
+     RETURNING ${SCHEDULED_MESSAGE_COLUMNS}`,
+    [scheduledMessageId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Cancel everything a user still has queued (account deletion)
+ */
+export const cancelUserScheduledMessages = async (userId) => {
+  await postgresPool.query(
+    `UPDATE scheduled_messages
+     SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND status IN ('pending', 'sending')`,
+    [userId]
+  );
+};
+
+const notifySender = async (row, status, details = {}) => {
+  try {
+    const { getSocketIO } = await import('../socket/socket.server.js');
+    getSocketIO().to(`user:${row.user_id}`).emit('scheduled_message_updated', {
+      id: row.id,
+      chatId: row.chat_id,
+      status,
+      ...details,
+    });
+  } catch (error) {
+    console.error('Error notifying scheduled message sender:', error);
+  }
+};
+
+const markSent = async (row, messageId) => {
+  await postgresPool.query(
+    `UPDATE scheduled_messages
+     SET status = 'sent', message_id = $2, locked_until = NULL, last_error = NULL,
+         sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [row.id, messageId]
+  );
+  await notifySender(row, 'sent', { messageId });
+};
+
+const markFailed = async (row, lastError, retry) => {
+  // Retries back off one more minute per attempt
+  await postgresPool.query(
+    `UPDATE scheduled_messages
+     SET status = $2, last_error = $3, updated_at = CURRENT_TIMESTAMP,
+         locked_until = CASE WHEN $5 THEN CURRENT_TIMESTAMP + ($4 || ' minutes')::interval ELSE NULL END
+     WHERE id = $1`,
+    [row.id, retry ? 'pending' : 'failed', lastError, row.attempts, retry]
+  );
+  if (!retry) {
+    await notifySender(row, 'failed', { error: lastError });
+  }
+};
+
+/**
+ * Deliver one claimed row
+ */
+const dispatchScheduledMessage = async (row) => {
+  try {
+    // A previous attempt may have inserted the message before losing its lease
+    const alreadySent = await getMongoDB().collection('messages').findOne(
+      { scheduledMessageId: row.id },
+      { projection: { _id: 1 } }
+    );
+    if (alreadySent) {
+      await markSent(row, alreadySent._id.toString());
+      return;
+    }
+
+    const params = {
+      senderId: row.user_id,
+      chatId: row.chat_id,
+      message: row.message,
+      messageType: 'text',
+      replyToId: row.reply_to,
+      scheduledMessageId: row.id,
+    };
+
+    let result = await sendMessage(params);
+
+    // The quoted message was deleted in the meantime - send without the quote
+    if (!result.sent && result.reason === 'invalid_reply') {
+      result = await sendMessage({ ...params, replyToId: null });
+    }
+
+    if (result.sent) {
+      await markSent(row, result.messageData.id);
+    } else {
+      // Blocked, or no longer in the chat - retrying won't help
+      await markFailed(row, result.reason, false);
+    }
+  } catch (error) {
+    if (error.code === 11000) {
+      // Another instance inserted it first (unique scheduledMessageId)
+      const existing = await getMongoDB().collection('messages').findOne({ scheduledMessageId: row.id });
+      await markSent(row, existing ? existing._id.toString() : null);
+      return;
+    }
+
+    console.error(`❌ Scheduled message ${row.id} failed:`, error);
+    await markFailed(row, error.message, row.attempts < MAX_SEND_ATTEMPTS);
+  }
+};
+
+/**
+ * Claim due messages and send them
+ */
+export const processScheduledMessages = async () => {
+  try {
+    let sentCount = 0;
+
+    while (true) {
+      const claimed = await postgresPool.query(
+        `UPDATE scheduled_messages
+         SET status = 'sending', attempts = attempts + 1,
+             locked_until = CURRENT_TIMESTAMP + ($1 || ' minutes')::interval,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id IN (
+           SELECT id FROM scheduled_messages
+           WHERE send_at <= CURRENT_TIMESTAMP
+             AND status IN ('pending', 'sending')
+             AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+           ORDER BY send_at ASC
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, user_id, chat_id, message, reply_to, attempts, send_at`,
+        [SEND_LEASE_MINUTES, DISPATCH_BATCH_SIZE]
+      );
+
+      // RETURNING has no order - send oldest first so a chat's messages arrive as scheduled
+      const rows = claimed.rows.sort((a, b) => a.send_at - b.send_at);
+      for (const row of rows) {
+        await dispatchScheduledMessage(row);
+        sentCount++;
+      }
+
+      if (claimed.rows.length < DISPATCH_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    if (sentCount > 0) {
+      console.log(`✅ Scheduled messages dispatched: ${sentCount}`);
+    }
+  } catch (error) {
+    console.error('❌ Error dispatching scheduled messages:', error);
+  }
+};
+
+/**
+ * Start the dispatcher (runs every 30 seconds)
+ */
+export const startScheduledMessageDispatcher = () => {
+  // Run immediately on start - picks up anything that came due while the server was down
+  processScheduledMessages();
+
+  setInterval(() => {
+    processScheduledMessages();
+  }, 30 * 1000); // 30 seconds in milliseconds
+
+  console.log('✅ Scheduled message dispatcher started (runs every 30 seconds)');
+};
@@ -6,9 +6,68 @@
  */
 
 import postgresPool from '../config/postgres.config.js';
-import { getRedisClient } from '../config/redis.config.js';
+import { safeRedisOperation } from '../utils/redis.utils.js';
 import crypto from 'crypto';
 
+// Validated sessions are cached per device; revocation deletes the cache entry
+const SESSION_CACHE_MAX_TTL = 15 * 60; // 15 minutes
+
+// A refresh token presented again this soon after rotation is treated as a
+// concurrent refresh from the same client rather than token theft
+const REFRESH_REUSE_GRACE_SECONDS = 10;
+
+// Rotated-out refresh tokens remembered per session for reuse detection. At one
+// rotation per access token lifetime this covers days of refreshes; a token
+// older than that is simply invalid.
+const RETIRED_TOKEN_HISTORY = 200;
+
+const sessionCacheKey = (userId, deviceId) => `session:${userId}:${deviceId}`;
+
+/**
+ * Hash a token for storage / comparison
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Refresh tokens are `<sessionId>.<secret>`; only the secret's hash is stored
+ */
+const generateRefreshSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') {
+    return null;
+  }
+  const [sessionId, secret, ...rest] = refreshToken.split('.');
+  const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (rest.length > 0 || !uuidPattern.test(sessionId || '') || !secret) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const cacheSession = async (userId, deviceId, sessionId, ttlSeconds) => {
+  const ttl = Math.min(Math.max(Math.floor(ttlSeconds), 1), SESSION_CACHE_MAX_TTL);
+  await safeRedisOperation(async (redisClient) => {
+    await redisClient.setEx(
+      sessionCacheKey(userId, deviceId),
+      ttl,
+      JSON.stringify({ sessionId })
+    );
+  });
+};
+
+const clearCachedSessions = async (userId, deviceIds) => {
+  const keys = deviceIds.filter(Boolean).map(deviceId => sessionCacheKey(userId, deviceId));
+  if (keys.length === 0) {
+    return;
+  }
+  await safeRedisOperation(async (redisClient) => {
+    await redisClient.del(keys);
+  });
+};
+
 /**
  * Log login activity
  */
@@ -23,12 +82,14 @@ export const logLoginActivity = async ({
   deviceId,
   deviceType,
   failureReason = null,
+  isNewDevice = false, // Login anomaly flags (see login-security.service)
+  isNewIp = false,
 }) => {
   try {
     await postgresPool.query(
       `INSERT INTO login_logs 
-       (user_id, phone_number, country_code, action, status, ip_address, user_agent, device_id, device_type, failure_reason)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+       (user_id, phone_number, country_code, action, status, ip_address, user_agent, device_id, device_type, failure_reason, is_new_device, is_new_ip)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
       [
         userId,
         phoneNumber,
@@ -40,6 +101,8 @@ export const logLoginActivity = async ({
         deviceId,
         deviceType,
         failureReason,
+        isNewDevice,
+        isNewIp,
       ]
     );
 
@@ -58,56 +121,208 @@ export const logLoginActivity = async ({
 
 /**
  * Create or update user session
+ * One session per (user, device) - logging in again on the same device replaces it,
+ * so callers must only pass a device ID the client has proven it holds.
+ * Issues the session's first refresh token (stored hashed in token_hash).
+ * Returns { sessionId, refreshToken }, or null on failure.
  */
 export const createUserSession = async ({
   userId,
-  token,
   deviceId,
   deviceName,
   deviceType,
   ipAddress,
   userAgent,
-  expiresIn = 7 * 24 * 60 * 60, // 7 days in seconds
+  expiresIn = 30 * 24 * 60 * 60, // 30 days in seconds
 }) => {
   try {
-    // Hash token for storage
-    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-    const expiresAt = new Date(Date.now() + expiresIn * 1000);
-
-    // Check if session already exists for this device
-    const existingSession = await postgresPool.query(
-      'SELECT id FROM user_sessions WHERE user_id = $1 AND device_id = $2',
-      [userId, deviceId]
+    const secret = generateRefreshSecret();
+
+    const result = await postgresPool.query(
+      `INSERT INTO user_sessions 
+       (user_id, token_hash, device_id, device_name, device_type, ip_address, user_agent, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + ($8 || ' seconds')::interval)
+       ON CONFLICT (user_id, device_id) DO UPDATE
+       SET token_hash = EXCLUDED.token_hash, previous_token_hash = NULL, retired_token_hashes = '{}', rotated_at = NULL,
+           device_name = EXCLUDED.device_name, device_type = EXCLUDED.device_type,
+           ip_address = EXCLUDED.ip_address, user_agent = EXCLUDED.user_agent,
+           last_used_at = CURRENT_TIMESTAMP, expires_at = EXCLUDED.expires_at, is_active = true
+       RETURNING id`,
+      [userId, hashToken(secret), deviceId, deviceName, deviceType, ipAddress, userAgent, expiresIn]
     );
 
-    if (existingSession.rows.length > 0) {
-      // Update existing session
-      await postgresPool.query(
-        `UPDATE user_sessions 
-         SET token_hash = $1, device_name = $2, device_type = $3, ip_address = $4, 
-             user_agent = $5, last_used_at = CURRENT_TIMESTAMP, expires_at = $6, is_active = true
-         WHERE user_id = $7 AND device_id = $8`,
-        [tokenHash, deviceName, deviceType, ipAddress, userAgent, expiresAt, userId, deviceId]
-      );
-    } else {
-      // Create new session
-      await postgresPool.query(
-        `INSERT INTO user_sessions 
-         (user_id, token_hash, device_id, device_name, device_type, ip_address, user_agent, expires_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [userId, tokenHash, deviceId, deviceName, deviceType, ipAddress, userAgent, expiresAt]
-      );
-    }
+    const sessionId = result.rows[0].id;
+    await cacheSession(userId, deviceId, sessionId, expiresIn);
 
-    return true;
+    return { sessionId, refreshToken: `${sessionId}.${secret}` };
   } catch (error) {
     console.error('Error creating user session:', error);
-    return false;
+    return null;
+  }
+};
+
+/**
+ * Validate an access token's session
+ * Used by both the HTTP verifyToken middleware and the Socket.IO auth middleware.
+ * Returns { sessionId, deviceId } or null if the session is revoked or expired.
+ */
+export const validateSession = async ({ userId, deviceId, sessionId }) => {
+  if (!userId || !deviceId || !sessionId) {
+    return null;
+  }
+
+  const cached = await safeRedisOperation(async (redisClient) => {
+    return await redisClient.get(sessionCacheKey(userId, deviceId));
+  }, null);
+
+  if (cached) {
+    try {
+      const session = JSON.parse(cached);
+      return session.sessionId === sessionId ? { sessionId, deviceId } : null;
+    } catch (parseError) {
+      // Corrupt cache entry - fall through to the database
+    }
+  }
+
+  try {
+    const result = await postgresPool.query(
+      `UPDATE user_sessions
+       SET last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND device_id = $3
+         AND is_active = true AND expires_at > CURRENT_TIMESTAMP
+       RETURNING EXTRACT(EPOCH FROM (expires_at - CURRENT_TIMESTAMP)) AS ttl`,
+      [sessionId, userId, deviceId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await cacheSession(userId, deviceId, sessionId, Number(result.rows[0].ttl));
+
+    return { sessionId, deviceId };
+  } catch (error) {
+    console.error('Error validating session:', error);
+    return null;
+  }
+};
+
+/**
+ * Look up the active session a refresh token belongs to, without rotating it
+ * Returns { id, user_id, device_id } or null
+ */
+export const findSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const result = await postgresPool.query(
+    `SELECT id, user_id, device_id
+     FROM user_sessions
+     WHERE id = $1 AND token_hash = $2 AND is_active = true AND expires_at > CURRENT_TIMESTAMP`,
+    [parsed.sessionId, hashToken(parsed.secret)]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Rotate a refresh token
+ * The presented token is swapped for a new one in a single conditional update.
+ * Presenting any token this session rotated out (the one just replaced only
+ * after the grace window) revokes the whole session (the token family), since
+ * it means the token was copied. The last RETIRED_TOKEN_HISTORY are remembered.
+ * Any other secret is simply invalid - a session ID alone proves nothing.
+ *
+ * @returns {Promise<{status: 'rotated'|'invalid'|'expired'|'in_progress'|'reused', session?: Object, refreshToken?: string}>}
+ */
+export const rotateRefreshToken = async (refreshToken, {
+  ipAddress,
+  expiresIn = 30 * 24 * 60 * 60, // 30 days in seconds
+} = {}) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { status: 'invalid' };
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  const newSecret = generateRefreshSecret();
+
+  try {
+    const rotated = await postgresPool.query(
+      `UPDATE user_sessions s
+       SET previous_token_hash = s.token_hash, token_hash = $2, rotated_at = CURRENT_TIMESTAMP,
+           retired_token_hashes = (array_prepend(s.token_hash::text, s.retired_token_hashes))[1:$6::int],
+           last_used_at = CURRENT_TIMESTAMP, ip_address = COALESCE($4, s.ip_address),
+           expires_at = CURRENT_TIMESTAMP + ($5 || ' seconds')::interval
+       FROM users u
+       WHERE s.id = $1 AND s.token_hash = $3 AND u.id = s.user_id
+         AND s.is_active = true AND s.expires_at > CURRENT_TIMESTAMP
+       RETURNING s.id, s.user_id, s.device_id, s.device_type, u.phone_number, u.country_code`,
+      [parsed.sessionId, hashToken(newSecret), presentedHash, ipAddress || null, expiresIn, RETIRED_TOKEN_HISTORY]
+    );
+
+    if (rotated.rows.length > 0) {
+      const session = rotated.rows[0];
+      await cacheSession(session.user_id, session.device_id, session.id, expiresIn);
+      return { status: 'rotated', session, refreshToken: `${session.id}.${newSecret}` };
+    }
+
+    // Not rotated - work out why
+    const existing = await postgresPool.query(
+      `SELECT s.id, s.user_id, s.device_id, s.device_type, s.is_active, s.token_hash, s.previous_token_hash,
+              $2 = ANY(s.retired_token_hashes) AS is_retired,
+              u.phone_number, u.country_code,
+              s.expires_at > CURRENT_TIMESTAMP AS is_current,
+              EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - s.rotated_at)) AS seconds_since_rotation
+       FROM user_sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1`,
+      [parsed.sessionId, presentedHash]
+    );
+
+    if (existing.rows.length === 0) {
+      return { status: 'invalid' };
+    }
+
+    const { token_hash: currentHash, previous_token_hash: previousHash, is_retired: isRetired, ...session } = existing.rows[0];
+    if (currentHash !== presentedHash && !isRetired) {
+      return { status: 'invalid' };
+    }
+
+    if (!session.is_active || !session.is_current) {
+      return { status: 'expired', session };
+    }
+
+    if (!isRetired) {
+      // Still the current token (it expired between the two queries) - nothing to revoke
+      return { status: 'invalid' };
+    }
+
+    if (
+      previousHash === presentedHash &&
+      session.seconds_since_rotation !== null &&
+      Number(session.seconds_since_rotation) < REFRESH_REUSE_GRACE_SECONDS
+    ) {
+      return { status: 'in_progress', session };
+    }
+
+    // Reuse of a rotated-out token - revoke the family
+    await postgresPool.query(
+      'UPDATE user_sessions SET is_active = false WHERE id = $1',
+      [session.id]
+    );
+    await clearCachedSessions(session.user_id, [session.device_id]);
+
+    return { status: 'reused', session };
+  } catch (error) {
+    console.error('Error rotating refresh token:', error);
+    throw error;
   }
 };
 
 /**
- * Get user sessions
+ * Get user's active sessions
  */
 export const getUserSessions = async (userId) => {
   try {
@@ -115,7 +330,7 @@ export const getUserSessions = async (userId) => {
       `SELECT id, device_id, device_name, device_type, ip_address, 
               last_used_at, expires_at, is_active, created_at
        FROM user_sessions 
-       WHERE user_id = $1 
+       WHERE user_id = $1 AND is_active = true AND expires_at > CURRENT_TIMESTAMP
        ORDER BY last_used_at DESC`,
       [userId]
     );
@@ -132,16 +347,15 @@ export const getUserSessions = async (userId) => {
  */
 export const revokeSession = async (userId, sessionId) => {
   try {
-    await postgresPool.query(
-      'UPDATE user_sessions SET is_active = false WHERE id = $1 AND user_id = $2',
+    const result = await postgresPool.query(
+      'UPDATE user_sessions SET is_active = false WHERE id = $1 AND user_id = $2 RETURNING device_id',
       [sessionId, userId]
     );
 
     // Also remove from Redis
-    const redisClient = getRedisClient();
-    await redisClient.del(`session:${userId}`);
+    await clearCachedSessions(userId, result.rows.map(row => row.device_id));
 
-    return true;
+    return result.rowCount > 0;
   } catch (error) {
     console.error('Error revoking session:', error);
     return false;
@@ -150,18 +364,41 @@ export const revokeSession = async (userId, sessionId) => {
 
 /**
  * Revoke all sessions except current
+ * Returns the ids of the revoked sessions, or null on failure
  */
 export const revokeAllOtherSessions = async (userId, currentDeviceId) => {
   try {
-    await postgresPool.query(
-      'UPDATE user_sessions SET is_active = false WHERE user_id = $1 AND device_id != $2',
+    const result = await postgresPool.query(
+      'UPDATE user_sessions SET is_active = false WHERE user_id = $1 AND device_id != $2 AND is_active = true RETURNING id, device_id',
       [userId, currentDeviceId]
     );
 
-    return true;
+    await clearCachedSessions(userId, result.rows.map(row => row.device_id));
+
+    return result.rows.map(row => row.id);
   } catch (error) {
     console.error('Error revoking other sessions:', error);
-    return false;
+    return null;
+  }
+};
+
+/**
+ * Revoke every session of a user (account deletion)
+ * @returns {Promise<string[]|null>} Revoked session ids, or null on error
+ */
+export const revokeAllSessions = async (userId) => {
+  try {
+    const result = await postgresPool.query(
+      'UPDATE user_sessions SET is_active = false WHERE user_id = $1 AND is_active = true RETURNING id, device_id',
+      [userId]
+    );
+
+    await clearCachedSessions(userId, result.rows.map(row => row.device_id));
+
+    return result.rows.map(row => row.id);
+  } catch (error) {
+    console.error('Error revoking all sessions:', error);
+    return null;
   }
 };
 
@@ -181,6 +418,28 @@ export const cleanupExpiredSessions = async () => {
   }
 };
 
+/**
+ * Start periodic expired-session sweep (runs every hour)
+ */
+export const startSessionCleanupScheduler = () => {
+  const runCleanup = async () => {
+    const expiredCount = await cleanupExpiredSessions();
+    if (expiredCount > 0) {
+      console.log(`🧹 Deactivated ${expiredCount} expired session(s)`);
+    }
+  };
+
+  // Run immediately on start
+  runCleanup();
+
+  // Then run every hour
+  setInterval(() => {
+    runCleanup();
+  }, 60 * 60 * 1000); // 1 hour in milliseconds
+
+  console.log('✅ Session cleanup scheduler started (runs every hour)');
+};
+
 /**
  * Get device info from user agent
  */
@@ -224,6 +483,18 @@ export const parseDeviceInfo = (userAgent) => {
   };
 };
 
+/**
+ * Resolve the device ID a login claims
+ * Clients may send a stable deviceId; otherwise one is derived from user agent + IP.
+ * Either way it is only a claim - see resolveLoginDevice in login-security.service.
+ */
+export const resolveDeviceId = (providedDeviceId, userAgent, ipAddress) => {
+  if (typeof providedDeviceId === 'string' && /^[A-Za-z0-9_-]{8,128}$/.test(providedDeviceId)) {
+    return providedDeviceId;
+  }
+  return generateDeviceId(userAgent, ipAddress);
+};
+
 /**
  * Generate device ID
  */
@@ -0,0 +1,94 @@
+/**
+ * SMS Delivery Service
+ *
+ * Pluggable transport for outbound SMS (OTP codes, security notices).
+ * The active provider is selected with SMS_PROVIDER:
+ * - console: logs the message (default, development)
+ * - file: appends each message as a JSON line to SMS_OUTBOX_FILE (tests)
+ * - twilio: sends through the Twilio REST API
+ *
+ * console and file never deliver anything, so they are refused when
+ * NODE_ENV=production - live OTP codes would end up in the server log.
+ *
+ * Custom providers can be added with registerSmsProvider().
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createDeliveryRegistry } from '../utils/delivery.utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const smsProviders = createDeliveryRegistry({
+  label: 'SMS',
+  providerEnv: 'SMS_PROVIDER',
+  outboxFileEnv: 'SMS_OUTBOX_FILE',
+  defaultOutboxFile: join(__dirname, '../../logs/sms-outbox.log'),
+  formatConsole: ({ to, body }) => `📱 [SMS] To ${to}: ${body}`,
+});
+
+/**
+ * Register an SMS provider
+ * A provider is an object with an async send({ to, body }) method
+ * that resolves to { id } or throws on failure.
+ */
+export const registerSmsProvider = smsProviders.register;
+
+const getTwilioConfig = () => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_FROM_NUMBER;
+
+  if (!accountSid || !authToken || !from) {
+    throw new Error('Twilio is not configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)');
+  }
+  return { accountSid, authToken, from };
+};
+
+// Twilio transport - uses the REST API directly, no SDK required
+registerSmsProvider('twilio', {
+  check: getTwilioConfig,
+
+  send: async ({ to, body }) => {
+    const { accountSid, authToken, from } = getTwilioConfig();
+
+    const response = await fetch(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: body }).toString(),
+      }
+    );
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Twilio error ${response.status}: ${result.message || 'Unknown error'}`);
+    }
+
+    return { id: result.sid };
+  },
+});
+
+/**
+ * Check the SMS provider at startup
+ * Throws if SMS_PROVIDER is unknown or not configured, or names a development
+ * transport (including the console default) while NODE_ENV=production
+ */
+export const assertSmsProviderConfigured = smsProviders.assertConfigured;
+
+/**
+ * Send an SMS through the configured provider
+ * Throws if the provider is unknown or delivery fails
+ */
+export const sendSms = ({ to, body }) => smsProviders.send({ to, body });
+
+/**
+ * Read messages written by the file transport
+ * Optionally filtered by recipient, newest last
+ */
+export const readSmsOutbox = smsProviders.readOutbox;
@@ -66,7 +66,10 @@ export const deleteExpiredStatuses = async () => {
             // Retry file deletion with exponential backoff
             while (!fileDeleted && retryCount < maxRetries) {
               try {
-                deleteFile(filename);
+                await deleteFile(filename);
+                if (expiredStatus.media?.thumbnailUrl) {
+                  await deleteFile(expiredStatus.media.thumbnailUrl.split('/').pop());
+                }
                 fileDeleted = true;
                 filesDeleted++;
               } catch (error) {
@@ -0,0 +1,331 @@
+/**
+ * Upload Storage Service
+ *
+ * Pluggable backend for uploaded files (profile pictures, attachments, statuses).
+ * The active driver is selected with STORAGE_DRIVER:
+ * - local: files in UPLOADS_DIR (default uploads/) on this server's disk (default)
+ * - s3: any S3-compatible store (AWS S3, MinIO, R2, ...) through the REST API, no SDK required
+ *
+ * Files are addressed by key - the upload filename. Clients always reach them
+ * through this server (/uploads/:key) so media access checks apply whatever the
+ * driver; drivers with their own signed URLs are redirected to.
+ *
+ * A driver is an object with:
+ * - put(key, body, { contentType, contentLength }) - body is a Buffer or a Readable
+ * - get(key) - resolves to { stream, contentType, contentLength, lastModified } or null;
+ *   contentLength is null when the driver can't tell
+ * - delete(key) - resolves to false if there was nothing to delete
+ * - list() - async iterable of every key
+ * - getSignedUrl(key, { expiresIn }) - time-limited URL for direct download, or null
+ *   if the driver has none (local files are served by the app itself)
+ * - init() - optional startup check, resolves to a description for the log
+ * - getFilePath(key) - optional, path on this server's disk
+ *
+ * Custom drivers can be added with registerStorageDriver().
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import {
+  encodeS3Key,
+  signS3Request,
+  presignS3Url,
+  parseListObjectsResponse,
+  parseS3Error,
+} from '../utils/s3.utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_UPLOADS_DIR = join(__dirname, '../../uploads');
+const KEY_PATTERN = /^[\w-][\w.-]*$/;
+const PARTIAL_SUFFIX = '.part';
+
+const drivers = new Map();
+
+/**
+ * Register a storage driver
+ * See the header comment for the methods a driver must have.
+ */
+export const registerStorageDriver = (name, driver) => {
+  const required = ['put', 'get', 'delete', 'list', 'getSignedUrl'];
+  if (!name || !driver || required.some(method => typeof driver[method] !== 'function')) {
+    throw new Error(`Storage driver must have a name and ${required.join(', ')} methods`);
+  }
+  drivers.set(name, driver);
+};
+
+const assertValidKey = (key) => {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+const toReadable = body => (Buffer.isBuffer(body) ? Readable.from([body]) : body);
+
+// Local disk driver - files sit directly in the uploads directory, named by key
+
+const getUploadsDir = () => (process.env.UPLOADS_DIR ? resolve(process.env.UPLOADS_DIR) : DEFAULT_UPLOADS_DIR);
+
+const getLocalPath = (key) => {
+  assertValidKey(key);
+  return join(getUploadsDir(), key);
+};
+
+registerStorageDriver('local', {
+  init: async () => {
+    await fs.promises.mkdir(getUploadsDir(), { recursive: true });
+    return getUploadsDir();
+  },
+
+  put: async (key, body) => {
+    const filePath = getLocalPath(key);
+    // Written under a temporary name first so a failed upload never leaves half a file behind
+    const partialPath = `${filePath}.${crypto.randomUUID()}${PARTIAL_SUFFIX}`;
+
+    await fs.promises.mkdir(getUploadsDir(), { recursive: true });
+    try {
+      await pipeline(toReadable(body), fs.createWriteStream(partialPath));
+      await fs.promises.rename(partialPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(partialPath, { force: true });
+      throw error;
+    }
+  },
+
+  get: async (key) => {
+    const filePath = getLocalPath(key);
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    return {
+      stream: fs.createReadStream(filePath),
+      contentType: null,
+      contentLength: stats.size,
+      lastModified: stats.mtime,
+    };
+  },
+
+  delete: async (key) => {
+    try {
+      await fs.promises.unlink(getLocalPath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  list: async function* () {
+    let filenames;
+    try {
+      filenames = await fs.promises.readdir(getUploadsDir());
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const filename of filenames) {
+      if (KEY_PATTERN.test(filename) && !filename.endsWith(PARTIAL_SUFFIX)) {
+        yield filename;
+      }
+    }
+  },
+
+  getSignedUrl: async () => null,
+
+  getFilePath: key => getLocalPath(key),
+});
+
+// S3-compatible driver - signed REST calls, path-style addressing for MinIO and friends
+
+const getS3Config = () => {
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage is not configured (S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)');
+  }
+
+  const region = process.env.S3_REGION || 'us-east-1';
+  return {
+    bucket,
+    region,
+    credentials: { accessKeyId, secretAccessKey },
+    endpoint: new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`),
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  };
+};
+
+/**
+ * URL of an object, or of the bucket itself when key is empty
+ */
+const getS3Url = (config, key = '') => {
+  const { endpoint, bucket, forcePathStyle } = config;
+  const basePath = endpoint.pathname.replace(/\/$/, '');
+  const objectPath = key ? encodeS3Key(key) : '';
+
+  return forcePathStyle
+    ? new URL(`${endpoint.origin}${basePath}/${bucket}/${objectPath}`)
+    : new URL(`${endpoint.protocol}//${bucket}.${endpoint.host}${basePath}/${objectPath}`);
+};
+
+const s3Request = async (method, url, { headers = {}, body, config = getS3Config() } = {}) => {
+  const signedHeaders = signS3Request({
+    method,
+    url,
+    credentials: config.credentials,
+    region: config.region,
+    headers,
+  });
+
+  return fetch(url, {
+    method,
+    headers: signedHeaders,
+    body,
+    ...(body ? { duplex: 'half' } : {}),
+  });
+};
+
+const assertS3Ok = async (response, action) => {
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`S3 ${action} failed (${response.status}): ${parseS3Error(detail)}`);
+  }
+};
+
+registerStorageDriver('s3', {
+  init: async () => {
+    const config = getS3Config();
+    const response = await s3Request('HEAD', getS3Url(config), { config });
+    if (!response.ok) {
+      throw new Error(`S3 bucket "${config.bucket}" is not reachable (${response.status})`);
+    }
+    return `${config.bucket} at ${config.endpoint.host}`;
+  },
+
+  put: async (key, body, { contentType, contentLength } = {}) => {
+    assertValidKey(key);
+    const length = Buffer.isBuffer(body) ? body.length : contentLength;
+    if (!Number.isInteger(length)) {
+      // S3 rejects chunked uploads without a length
+      throw new Error('contentLength is required to store a stream in S3');
+    }
+
+    const headers = { 'content-length': String(length) };
+    if (contentType) {
+      headers['content-type'] = contentType;
+    }
+
+    const response = await s3Request('PUT', getS3Url(getS3Config(), key), { headers, body });
+    await assertS3Ok(response, `upload of ${key}`);
+    await response.body?.cancel();
+  },
+
+  get: async (key) => {
+    assertValidKey(key);
+    const response = await s3Request('GET', getS3Url(getS3Config(), key));
+    if (response.status === 404) {
+      await response.body?.cancel();
+      return null;
+    }
+    await assertS3Ok(response, `download of ${key}`);
+
+    const lastModified = response.headers.get('last-modified');
+    const contentLength = response.headers.get('content-length');
+    return {
+      stream: Readable.fromWeb(response.body),
+      contentType: response.headers.get('content-type'),
+      contentLength: contentLength ? parseInt(contentLength, 10) : null,
+      lastModified: lastModified ? new Date(lastModified) : new Date(),
+    };
+  },
+
+  delete: async (key) => {
+    assertValidKey(key);
+    // S3 answers 204 whether or not the object existed
+    const response = await s3Request('DELETE', getS3Url(getS3Config(), key));
+    await assertS3Ok(response, `delete of ${key}`);
+    await response.body?.cancel();
+    return true;
+  },
+
+  list: async function* () {
+    const config = getS3Config();
+    let continuationToken = null;
+
+    do {
+      const url = getS3Url(config);
+      url.searchParams.set('list-type', '2');
+      if (continuationToken) {
+        url.searchParams.set('continuation-token', continuationToken);
+      }
+
+      const response = await s3Request('GET', url, { config });
+      await assertS3Ok(response, 'listing');
+
+      const { keys, nextToken } = parseListObjectsResponse(await response.text());
+      yield* keys;
+      continuationToken = nextToken;
+    } while (continuationToken);
+  },
+
+  getSignedUrl: async (key, { expiresIn }) => {
+    assertValidKey(key);
+    const config = getS3Config();
+    return presignS3Url({
+      url: getS3Url(config, key),
+      credentials: config.credentials,
+      region: config.region,
+      expiresIn,
+    });
+  },
+});
+
+/**
+ * The configured storage driver
+ * Throws if STORAGE_DRIVER names an unknown driver
+ */
+export const getStorage = () => {
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers.get(driverName);
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+  return driver;
+};
+
+/**
+ * Check the storage backend at startup
+ * Logs the outcome and never throws, like the database connections
+ * @returns {Promise<boolean>}
+ */
+export const initializeStorage = async () => {
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+  try {
+    const driver = getStorage();
+    const description = driver.init ? await driver.init() : null;
+    console.log(`✅ Upload storage ready: ${driverName}${description ? ` (${description})` : ''}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Upload storage (${driverName}) initialization failed:`, error.message);
+    return false;
+  }
+};
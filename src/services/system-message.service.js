@@ -0,0 +1,99 @@
+/**
+ * System Message Service
+ *
+ * Posts server-generated notices (number changes, chat setting changes) into a chat
+ * as messageType 'system'. Clients render these centred, without a bubble.
+ * System messages can't be sent through POST /api/messages.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { getUnreadCount } from '../utils/redis.utils.js';
+
+/**
+ * Insert a system message, update the chat preview and notify participants
+ * @param {string} chatId - Chat ObjectId string
+ * @param {string} actorId - User the notice is about (stored as senderId)
+ * @param {string} message - Text shown to participants
+ * @param {Object} systemData - Machine-readable event details, e.g. { event: 'phone_number_changed' }
+ * @returns {Promise<Object|null>} Message data as sent to clients, or null on failure
+ */
+export const createSystemMessage = async ({ chatId, actorId, message, systemData = {} }) => {
+  try {
+    const mongoDb = getMongoDB();
+    const chatsCollection = mongoDb.collection('chats');
+    const messagesCollection = mongoDb.collection('messages');
+
+    const chatObjectId = new ObjectId(chatId);
+    const chat = await chatsCollection.findOne({ _id: chatObjectId });
+    if (!chat) {
+      return null;
+    }
+
+    const now = new Date();
+    const systemMessage = {
+      chatId: chatObjectId,
+      senderId: actorId,
+      message,
+      messageType: 'system',
+      systemData,
+      readBy: [actorId],
+      readReceipts: [{ userId: actorId, readAt: now }],
+      mentions: [],
+      editedAt: null,
+      deletedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const result = await messagesCollection.insertOne(systemMessage);
+
+    await chatsCollection.updateOne(
+      { _id: chatObjectId },
+      {
+        $set: {
+          lastMessage: message,
+          lastMessageType: 'system',
+          lastMessageAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+
+    const messageData = {
+      id: result.insertedId.toString(),
+      chatId,
+      senderId: actorId,
+      message,
+      messageType: 'system',
+      systemData,
+      readBy: [actorId],
+      readReceipts: [{ userId: actorId, readAt: now.toISOString() }],
+      mentions: [],
+      editedAt: null,
+      deletedAt: null,
+      status: 'sent',
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    };
+
+    const { emitNewMessage, emitChatUpdate } = await import('../socket/socket.server.js');
+    await emitNewMessage(chatId, messageData);
+
+    for (const participantId of chat.participants || []) {
+      emitChatUpdate(participantId, {
+        chatId,
+        type: chat.type || 'direct',
+        lastMessage: message,
+        lastMessageType: 'system',
+        lastMessageAt: now.toISOString(),
+        unreadCount: await getUnreadCount(participantId, chatId),
+      });
+    }
+
+    return messageData;
+  } catch (error) {
+    console.error('Error creating system message:', error);
+    return null;
+  }
+};
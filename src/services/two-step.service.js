@@ -0,0 +1,305 @@
+/**
+ * Two-Step Verification Service
+ *
+ * Optional 6-digit registration PIN asked after a successful OTP on a device
+ * the account hasn't used before.
+ * - The PIN is stored as a bcrypt hash on user_settings
+ * - Failed attempts are counted in the database and lock the PIN for a while
+ * - A forgotten PIN can be reset with a code sent to the recovery email; the
+ *   code is burned after MAX_RESET_ATTEMPTS wrong guesses
+ */
+
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import postgresPool from '../config/postgres.config.js';
+import { getRedisClient } from '../config/redis.config.js';
+import { sendMail } from './mail.service.js';
+import { validateSession, findSessionByRefreshToken } from './session.service.js';
+
+const PIN_PATTERN = /^\d{6}$/;
+const BCRYPT_ROUNDS = 10;
+const MAX_PIN_ATTEMPTS = parseInt(process.env.TWO_STEP_MAX_ATTEMPTS || '5', 10);
+const PIN_LOCKOUT_MINUTES = parseInt(process.env.TWO_STEP_LOCKOUT_MINUTES || '60', 10);
+const CHALLENGE_TTL_SECONDS = 10 * 60; // 10 minutes to enter the PIN after OTP
+const RESET_CODE_TTL_SECONDS = 30 * 60; // 30 minutes
+const MAX_RESET_ATTEMPTS = 5;
+
+const challengeKey = (challengeToken) => `two_step_challenge:${challengeToken}`;
+const resetKey = (userId) => `two_step_reset:${userId}`;
+
+const hashSecret = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Check PIN format
+ */
+export const isValidPin = (pin) => typeof pin === 'string' && PIN_PATTERN.test(pin);
+
+/**
+ * Get two-step verification state for a user
+ */
+export const getTwoStepStatus = async (userId) => {
+  const result = await postgresPool.query(
+    `SELECT two_step_pin_hash IS NOT NULL AS enabled, two_step_recovery_email,
+            CASE WHEN two_step_locked_until > (NOW() AT TIME ZONE 'UTC')
+                 THEN to_char(two_step_locked_until, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') END AS locked_until
+     FROM user_settings WHERE user_id = $1`,
+    [userId]
+  );
+
+  const row = result.rows[0];
+  return {
+    enabled: row?.enabled || false,
+    recoveryEmail: row?.two_step_recovery_email || null,
+    lockedUntil: row?.locked_until || null,
+  };
+};
+
+/**
+ * Enable two-step verification or change the PIN / recovery email
+ * Pass recoveryEmail as null to remove it, undefined to keep the current one
+ */
+export const setTwoStepPin = async (userId, pin, recoveryEmail) => {
+  const pinHash = await bcrypt.hash(pin, BCRYPT_ROUNDS);
+
+  await postgresPool.query(
+    `INSERT INTO user_settings (user_id) VALUES ($1)
+     ON CONFLICT (user_id) DO NOTHING`,
+    [userId]
+  );
+
+  await postgresPool.query(
+    `UPDATE user_settings
+     SET two_step_pin_hash = $1,
+         two_step_recovery_email = CASE WHEN $2::boolean THEN $3 ELSE two_step_recovery_email END,
+         two_step_failed_attempts = 0,
+         two_step_locked_until = NULL
+     WHERE user_id = $4`,
+    [pinHash, recoveryEmail !== undefined, recoveryEmail ?? null, userId]
+  );
+};
+
+/**
+ * Turn two-step verification off
+ */
+export const disableTwoStep = async (userId) => {
+  await postgresPool.query(
+    `UPDATE user_settings
+     SET two_step_pin_hash = NULL, two_step_recovery_email = NULL,
+         two_step_failed_attempts = 0, two_step_locked_until = NULL
+     WHERE user_id = $1`,
+    [userId]
+  );
+
+  try {
+    await getRedisClient().del(resetKey(userId));
+  } catch (error) {
+    console.error('Error clearing two-step reset code:', error.message);
+  }
+};
+
+/**
+ * Verify a PIN, counting failures and locking after MAX_PIN_ATTEMPTS
+ * @returns {Promise<{valid: boolean, reason?: 'not_enabled'|'locked'|'invalid', lockedUntil?: string, attemptsRemaining?: number}>}
+ */
+export const verifyTwoStepPin = async (userId, pin) => {
+  const result = await postgresPool.query(
+    `SELECT two_step_pin_hash,
+            two_step_locked_until > (NOW() AT TIME ZONE 'UTC') AS is_locked,
+            to_char(two_step_locked_until, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS locked_until
+     FROM user_settings WHERE user_id = $1`,
+    [userId]
+  );
+
+  const settings = result.rows[0];
+  if (!settings?.two_step_pin_hash) {
+    return { valid: false, reason: 'not_enabled' };
+  }
+
+  if (settings.is_locked) {
+    return { valid: false, reason: 'locked', lockedUntil: settings.locked_until };
+  }
+
+  const matches = isValidPin(pin) && await bcrypt.compare(pin, settings.two_step_pin_hash);
+
+  if (matches) {
+    await postgresPool.query(
+      'UPDATE user_settings SET two_step_failed_attempts = 0, two_step_locked_until = NULL WHERE user_id = $1',
+      [userId]
+    );
+    return { valid: true };
+  }
+
+  // Count the failure atomically; reaching the limit locks the PIN and restarts the count
+  const failure = await postgresPool.query(
+    `UPDATE user_settings
+     SET two_step_failed_attempts = CASE
+           WHEN two_step_failed_attempts + 1 >= $2 THEN 0
+           ELSE two_step_failed_attempts + 1
+         END,
+         two_step_locked_until = CASE
+           WHEN two_step_failed_attempts + 1 >= $2
+           THEN (NOW() AT TIME ZONE 'UTC') + ($3 || ' minutes')::interval
+           ELSE two_step_locked_until
+         END
+     WHERE user_id = $1
+     RETURNING two_step_failed_attempts AS attempts,
+               to_char(two_step_locked_until, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS locked_until,
+               two_step_locked_until > (NOW() AT TIME ZONE 'UTC') AS is_locked`,
+    [userId, MAX_PIN_ATTEMPTS, PIN_LOCKOUT_MINUTES]
+  );
+
+  const updated = failure.rows[0];
+  if (updated.is_locked) {
+    return { valid: false, reason: 'locked', lockedUntil: updated.locked_until };
+  }
+
+  return { valid: false, reason: 'invalid', attemptsRemaining: MAX_PIN_ATTEMPTS - updated.attempts };
+};
+
+/**
+ * Whether the request proves it comes from a device that is signed in to the account
+ * The device ID is chosen by the client, so it only counts together with a valid
+ * access token or refresh token for that device's session.
+ * Revoked or expired devices count as new
+ */
+export const isKnownDevice = async (userId, deviceId, { accessToken, refreshToken } = {}) => {
+  if (accessToken) {
+    try {
+      const decoded = jwt.verify(accessToken, process.env.JWT_SECRET);
+      if (
+        decoded.userId === userId &&
+        decoded.deviceId === deviceId &&
+        await validateSession({ userId, deviceId, sessionId: decoded.sessionId })
+      ) {
+        return true;
+      }
+    } catch (error) {
+      // Invalid or expired access token - try the refresh token
+    }
+  }
+
+  if (refreshToken) {
+    const session = await findSessionByRefreshToken(refreshToken);
+    if (session && session.user_id === userId && session.device_id === deviceId) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Create a short-lived challenge that links a verified OTP to the PIN step
+ */
+export const createPinChallenge = async (userId, deviceId) => {
+  const challengeToken = crypto.randomBytes(32).toString('base64url');
+
+  await getRedisClient().setEx(
+    challengeKey(challengeToken),
+    CHALLENGE_TTL_SECONDS,
+    JSON.stringify({ userId, deviceId })
+  );
+
+  return { challengeToken, expiresIn: CHALLENGE_TTL_SECONDS };
+};
+
+/**
+ * Look up a PIN challenge without consuming it
+ */
+export const getPinChallenge = async (challengeToken) => {
+  if (typeof challengeToken !== 'string' || challengeToken.length === 0) {
+    return null;
+  }
+
+  const stored = await getRedisClient().get(challengeKey(challengeToken));
+  return stored ? JSON.parse(stored) : null;
+};
+
+/**
+ * Consume a PIN challenge once the login completes
+ * Returns false if another request already used it
+ */
+export const consumePinChallenge = async (challengeToken) => {
+  const deleted = await getRedisClient().del(challengeKey(challengeToken));
+  return deleted > 0;
+};
+
+/**
+ * Email a PIN reset code to the recovery address
+ * @returns {Promise<boolean>} false if no recovery email is set
+ */
+export const requestPinReset = async (userId) => {
+  const { enabled, recoveryEmail } = await getTwoStepStatus(userId);
+  if (!enabled || !recoveryEmail) {
+    return false;
+  }
+
+  const resetCode = crypto.randomInt(0, 100000000).toString().padStart(8, '0');
+  const key = resetKey(userId);
+
+  // A new code replaces any previous one and resets the attempt counter
+  await getRedisClient()
+    .multi()
+    .del(key)
+    .hSet(key, { codeHash: hashSecret(resetCode), attempts: '0' })
+    .expire(key, RESET_CODE_TTL_SECONDS)
+    .exec();
+
+  await sendMail({
+    to: recoveryEmail,
+    subject: 'Reset your Axzora Chat two-step verification PIN',
+    text: `Your two-step verification reset code is ${resetCode}. ` +
+      `It expires in ${RESET_CODE_TTL_SECONDS / 60} minutes. ` +
+      'Entering it will turn off two-step verification for your account. ' +
+      'If you did not request this, someone may be trying to access your account.',
+  });
+
+  return true;
+};
+
+/**
+ * Check a reset code; a valid code turns two-step verification off
+ * Every guess counts - the code is burned after MAX_RESET_ATTEMPTS wrong ones
+ */
+export const confirmPinReset = async (userId, resetCode) => {
+  if (typeof resetCode !== 'string' || !/^\d{8}$/.test(resetCode)) {
+    return false;
+  }
+
+  const redisClient = getRedisClient();
+  const key = resetKey(userId);
+
+  const [attempts, storedHash] = await redisClient
+    .multi()
+    .hIncrBy(key, 'attempts', 1)
+    .hGet(key, 'codeHash')
+    .exec();
+
+  if (!storedHash) {
+    // No code issued (or it expired) - drop the counter the increment just created
+    await redisClient.del(key);
+    return false;
+  }
+
+  if (Number(attempts) > MAX_RESET_ATTEMPTS) {
+    await redisClient.del(key);
+    return false;
+  }
+
+  if (storedHash !== hashSecret(resetCode)) {
+    if (Number(attempts) >= MAX_RESET_ATTEMPTS) {
+      await redisClient.del(key);
+    }
+    return false;
+  }
+
+  // Single use
+  const deleted = await redisClient.del(key);
+  if (deleted === 0) {
+    return false;
+  }
+
+  await disableTwoStep(userId);
+  return true;
+};
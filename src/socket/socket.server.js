@@ -17,6 +17,11 @@ import {
 } from '../services/call.service.js';
 import { generateCallToken } from '../services/agora.service.js';
 import { logActivity } from '../services/analytics.service.js';
+import { validateSession } from '../services/session.service.js';
+import { resolveReplyTo, formatReplyTo } from '../utils/reply.utils.js';
+import { getMessageExpiresAt } from '../services/disappearing-messages.service.js';
+import { canAttachMedia, getMessageMediaKeys } from '../services/media-access.service.js';
+import { USER_MESSAGE_TYPES } from '../services/message.service.js';
 
 let io = null;
 
@@ -34,26 +39,60 @@ export const initializeSocket = (httpServer) => {
   });
 
   // Authentication middleware for Socket.IO
+  // Same checks as verifyToken; failures carry a reason code in err.data.code
   io.use(async (socket, next) => {
-    try {
-      const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
-      
-      if (!token) {
-        return next(new Error('Authentication error: No token provided'));
-      }
+    const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = decoded.userId;
-      socket.phoneNumber = decoded.phoneNumber;
-      next();
-    } catch (error) {
-      next(new Error('Authentication error: Invalid token'));
+    if (!token) {
+      return next(_authError('Authentication error: No token provided', 'no_token'));
     }
+
+    const result = await _authenticateToken(token);
+    if (result.error) {
+      return next(result.error);
+    }
+
+    const { decoded, session } = result;
+    socket.userId = decoded.userId;
+    socket.phoneNumber = decoded.phoneNumber;
+    socket.sessionId = session.sessionId;
+    socket.deviceId = session.deviceId;
+    socket.data.tokenExpiresAt = decoded.exp * 1000;
+    next();
   });
 
   io.on('connection', async (socket) => {
     console.log(`✅ User connected: ${socket.userId}`);
 
+    // Per-device room so a revoked session's sockets can be disconnected
+    socket.join(`session:${socket.sessionId}`);
+
+    // Drop the connection when the access token expires unless the client re-authenticates
+    _scheduleTokenExpiry(socket);
+
+    // Re-authenticate with a refreshed access token
+    // Must belong to the same user and session as the connection
+    socket.on('reauthenticate', async ({ token } = {}, callback) => {
+      const respond = typeof callback === 'function' ? callback : () => {};
+
+      if (!token) {
+        return respond({ success: false, code: 'no_token' });
+      }
+
+      const result = await _authenticateToken(token);
+      if (result.error) {
+        return respond({ success: false, code: result.error.data.code });
+      }
+
+      if (result.decoded.userId !== socket.userId || result.session.sessionId !== socket.sessionId) {
+        return respond({ success: false, code: 'session_mismatch' });
+      }
+
+      socket.data.tokenExpiresAt = result.decoded.exp * 1000;
+      _scheduleTokenExpiry(socket);
+      respond({ success: true, expiresAt: new Date(socket.data.tokenExpiresAt).toISOString() });
+    });
+
     // Update user online status when they connect - IMMEDIATELY
     try {
       const updateResult = await queryWithRetry(
@@ -161,7 +200,7 @@ export const initializeSocket = (httpServer) => {
     // BUG FIX #6: Add message deduplication to prevent duplicate messages
     socket.on('send_message', async (data) => {
       try {
-        const { chatId, message, messageType = 'text', recipientId, messageId: clientMessageId } = data;
+        const { chatId, message, messageType = 'text', recipientId, messageId: clientMessageId, replyTo: replyToId } = data;
         
         // BUG FIX #6: Prevent duplicate messages by checking for existing messageId
         // If client sends messageId, check if message already exists
@@ -190,6 +229,24 @@ export const initializeSocket = (httpServer) => {
           return;
         }
 
+        // Same allowlist as POST /api/messages - 'system' notices only come from the server
+        if (!USER_MESSAGE_TYPES.includes(messageType)) {
+          socket.emit('error', { message: `Invalid message type. Must be one of: ${USER_MESSAGE_TYPES.join(', ')}` });
+          return;
+        }
+
+        // Polls, locations and contacts need validating and go through POST /api/messages
+        if (['poll', 'location', 'live_location', 'contact'].includes(messageType)) {
+          socket.emit('error', { message: `Send ${messageType} messages with POST /api/messages` });
+          return;
+        }
+
+        // Same rule as sendMessage - only files the sender can fetch
+        if (!(await canAttachMedia(socket.userId, getMessageMediaKeys({ messageType, message })))) {
+          socket.emit('error', { message: 'File not found or access denied' });
+          return;
+        }
+
         const mongoDb = getMongoDB();
         const chatsCollection = mongoDb.collection('chats');
         const messagesCollection = mongoDb.collection('messages');
@@ -293,6 +350,13 @@ export const initializeSocket = (httpServer) => {
           }
         }
 
+        // Quoted message must be in this chat
+        const { replyTo, error: replyToError } = await resolveReplyTo(replyToId, chatObjectId);
+        if (replyToError) {
+          socket.emit('error', { message: replyToError });
+          return;
+        }
+
         // Parse mentions if this is a group chat
         let mentions = [];
         if (chat.type === 'group' && messageType === 'text') {
@@ -333,11 +397,17 @@ export const initializeSocket = (httpServer) => {
             },
           ],
           mentions: mentions, // Array of mentioned user IDs
+          replyTo: replyTo, // Denormalised quote of the replied-to message (null if not a reply)
           editedAt: null,
           deletedAt: null,
           createdAt: new Date(),
           updatedAt: new Date(),
         };
+        newMessage.expiresAt = getMessageExpiresAt(chat, newMessage.createdAt); // Disappearing messages (null if off)
+        const mediaKeys = getMessageMediaKeys(newMessage);
+        if (mediaKeys.length > 0) {
+          newMessage.mediaKeys = mediaKeys; // Storage keys of the file and thumbnail (media access checks)
+        }
 
         const messageResult = await messagesCollection.insertOne(newMessage);
         const messageId = messageResult.insertedId.toString();
@@ -429,8 +499,10 @@ export const initializeSocket = (httpServer) => {
             },
           ],
           mentions: newMessage.mentions || [], // Include mentions
+          replyTo: formatReplyTo(replyTo),
           editedAt: null,
           deletedAt: null,
+          expiresAt: newMessage.expiresAt ? newMessage.expiresAt.toISOString() : null,
           status: 'sent', // Message is sent to server
           createdAt: newMessage.createdAt.toISOString(),
           updatedAt: newMessage.updatedAt.toISOString(),
@@ -450,6 +522,10 @@ export const initializeSocket = (httpServer) => {
             io.to(`user:${participantId}`).emit('new_message', messageData);
           }
         });
+
+        // Recipients with a socket connected have now got it - not awaited so the send isn't held up
+        const { markDeliveredToConnected } = await import('../services/receipt.service.js');
+        markDeliveredToConnected(chat, newMessage._id, socket.userId);
         
         // Also emit to update chat list for all participants with unread count
         const lastMessageAt = new Date();
@@ -1409,69 +1485,54 @@ export const initializeSocket = (httpServer) => {
         const mongoDb = getMongoDB();
         const messagesCollection = mongoDb.collection('messages');
 
-        // Update message readBy array
         let messageObjectId;
+        let chatObjectId;
         try {
           messageObjectId = new ObjectId(messageId);
+          chatObjectId = new ObjectId(chatId);
         } catch (error) {
-          return; // Invalid message ID
+          return; // Invalid message or chat ID
         }
-        
-        const message = await messagesCollection.findOne({ _id: messageObjectId });
 
-        if (message && !message.readBy.includes(socket.userId)) {
-          await messagesCollection.updateOne(
-            { _id: messageObjectId },
-            { $addToSet: { readBy: socket.userId } }
-          );
+        const chatsCollection = mongoDb.collection('chats');
+        const chat = await chatsCollection.findOne({ _id: chatObjectId, participants: socket.userId });
+        if (!chat) {
+          return;
+        }
+
+        // Update readBy/readReceipts and send the read receipt (skipped if already read)
+        const { markMessagesRead } = await import('../services/receipt.service.js');
+        const readIds = await markMessagesRead(chat, socket.userId, [messageObjectId]);
 
+        if (readIds.length > 0) {
           // Check if all messages in this chat are now read by this user
-          // Get the chat to find the other participant
-          const chatsCollection = mongoDb.collection('chats');
-          let chatObjectId;
-          try {
-            chatObjectId = new ObjectId(chatId);
-          } catch (error) {
-            return;
-          }
+          const otherParticipantId = chat.participants.find((id) => id !== socket.userId);
           
-          const chat = await chatsCollection.findOne({ _id: chatObjectId });
-          if (chat) {
-            const otherParticipantId = chat.participants.find((id) => id !== socket.userId);
-            
-            // Count unread messages from other participant
-            const unreadCount = await messagesCollection.countDocuments({
-              chatId: chatObjectId,
-              senderId: otherParticipantId,
-              readBy: { $ne: socket.userId }
-            });
-            
-            // BUG FIX #5: Update unread count in Redis with safe operations
-            const { setUnreadCount, clearUnreadCount } = await import('../utils/redis.utils.js');
-            if (unreadCount === 0) {
-              // All messages read, clear unread count
-              await clearUnreadCount(socket.userId, chatObjectId.toString());
-            } else {
-              // Update unread count
-              await setUnreadCount(socket.userId, chatObjectId.toString(), unreadCount);
-            }
-            
-            // Emit chat update with new unread count (0 if all read)
-            // Include archivedBy, pinnedBy, mutedBy to maintain correct state
-            io.to(`user:${socket.userId}`).emit('chat_updated', {
-              chatId: chatId,
-              unreadCount: unreadCount,
-              archivedBy: chat.archivedBy || [],
-              pinnedBy: chat.pinnedBy || [],
-              mutedBy: chat.mutedBy || [],
-            });
+          // Count unread messages from other participant
+          const unreadCount = await messagesCollection.countDocuments({
+            chatId: chatObjectId,
+            senderId: otherParticipantId,
+            readBy: { $ne: socket.userId }
+          });
+          
+          // BUG FIX #5: Update unread count in Redis with safe operations
+          const { setUnreadCount, clearUnreadCount } = await import('../utils/redis.utils.js');
+          if (unreadCount === 0) {
+            // All messages read, clear unread count
+            await clearUnreadCount(socket.userId, chatObjectId.toString());
+          } else {
+            // Update unread count
+            await setUnreadCount(socket.userId, chatObjectId.toString(), unreadCount);
           }
-
-          // Emit read receipt to chat room immediately (real-time)
-          io.to(`chat:${chatId}`).emit('message_read_receipt', {
-            messageId: messageId,
-            readBy: socket.userId,
+          
+          // Emit chat update with new unread count (0 if all read)
+          // Include archivedBy, pinnedBy, mutedBy to maintain correct state
+          io.to(`user:${socket.userId}`).emit('chat_updated', {
             chatId: chatId,
+            unreadCount: unreadCount,
+            archivedBy: chat.archivedBy || [],
+            pinnedBy: chat.pinnedBy || [],
+            mutedBy: chat.mutedBy || [],
           });
         }
       } catch (error) {
@@ -1479,6 +1540,80 @@ export const initializeSocket = (httpServer) => {
       }
     });
 
+    // Read everything up to a message or timestamp - same as POST /api/messages/:chatId/read
+    // One bulk update and one messages_read event, instead of a message_read per message
+    socket.on('messages_read_up_to', async ({ chatId, messageId, before } = {}, callback) => {
+      const respond = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        const { markChatReadUpTo, READ_UP_TO_ERROR_MESSAGES } = await import('../services/receipt.service.js');
+        const result = await markChatReadUpTo({ userId: socket.userId, chatId, messageId, before });
+        if (!result.success) {
+          return respond({ success: false, code: result.reason, message: READ_UP_TO_ERROR_MESSAGES[result.reason] });
+        }
+        respond({ success: true, chatId, readCount: result.readCount, unreadCount: result.unreadCount, upTo: result.upTo });
+      } catch (error) {
+        console.error('Socket messages_read_up_to error:', error);
+        respond({ success: false, code: 'server_error', message: 'Internal server error' });
+      }
+    });
+
+    // Vote in a poll - same as POST /api/messages/:messageId/poll/vote
+    // Tallies go to the chat room as poll_updated; the ack carries the voter's view (myVotes)
+    socket.on('poll_vote', async ({ messageId, optionIds } = {}, callback) => {
+      const respond = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        const { castPollVote, POLL_ERROR_MESSAGES } = await import('../services/poll.service.js');
+        const result = await castPollVote({ userId: socket.userId, messageId, optionIds });
+        if (!result.success) {
+          return respond({ success: false, code: result.reason, message: POLL_ERROR_MESSAGES[result.reason] });
+        }
+        respond({ success: true, messageId, poll: result.poll });
+      } catch (error) {
+        console.error('Socket poll_vote error:', error);
+        respond({ success: false, code: 'server_error', message: 'Internal server error' });
+      }
+    });
+
+    // Live location position from the sender - relayed to the chat as live_location_updated
+    socket.on('live_location_update', async ({ messageId, latitude, longitude, accuracy, heading, speed } = {}, callback) => {
+      const respond = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        const { updateLiveLocation, LIVE_LOCATION_ERROR_MESSAGES } = await import('../services/live-location.service.js');
+        const result = await updateLiveLocation({
+          userId: socket.userId,
+          messageId,
+          coords: { latitude, longitude, accuracy, heading, speed },
+        });
+        if (!result.success) {
+          return respond({ success: false, code: result.reason, message: LIVE_LOCATION_ERROR_MESSAGES[result.reason] });
+        }
+        respond({ success: true });
+      } catch (error) {
+        console.error('Socket live_location_update error:', error);
+        respond({ success: false, code: 'server_error', message: 'Internal server error' });
+      }
+    });
+
+    // Stop sharing live location - same as POST /api/messages/:messageId/live-location/stop
+    socket.on('live_location_stop', async ({ messageId } = {}, callback) => {
+      const respond = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        const { stopLiveLocation, LIVE_LOCATION_ERROR_MESSAGES } = await import('../services/live-location.service.js');
+        const result = await stopLiveLocation({ userId: socket.userId, messageId });
+        if (!result.success) {
+          return respond({ success: false, code: result.reason, message: LIVE_LOCATION_ERROR_MESSAGES[result.reason] });
+        }
+        respond({ success: true, location: result.location });
+      } catch (error) {
+        console.error('Socket live_location_stop error:', error);
+        respond({ success: false, code: 'server_error', message: 'Internal server error' });
+      }
+    });
+
     // Handle typing indicator
     // BUG FIX #12: Wrap in try-catch to prevent unhandled promise rejections
     // BUG FIX #25: Fix race condition in typing indicator
@@ -1521,6 +1656,10 @@ export const initializeSocket = (httpServer) => {
     // BUG FIX #4: Properly clean up event listeners and resources
     socket.on('disconnect', async () => {
       console.log(`❌ User disconnected: ${socket.userId}`);
+
+      if (socket.data.tokenExpiryTimeout) {
+        clearTimeout(socket.data.tokenExpiryTimeout);
+      }
       
       // BUG FIX #18: Clear all call timeouts
       if (socket.data.callTimeouts) {
@@ -1581,6 +1720,62 @@ export const getSocketIO = () => {
   return io;
 };
 
+/**
+ * Build an auth error with a reason code the client can read from err.data
+ */
+function _authError(message, code) {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+}
+
+/**
+ * Verify an access token and its device session
+ * Returns { decoded, session } or { error }
+ */
+async function _authenticateToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (jwtError) {
+    if (jwtError.name === 'TokenExpiredError') {
+      return { error: _authError('Authentication error: Token expired', 'token_expired') };
+    }
+    return { error: _authError('Authentication error: Invalid token', 'invalid_token') };
+  }
+
+  // Same per-device session check as verifyToken - revoked tokens can't connect
+  const session = await validateSession({
+    userId: decoded.userId,
+    deviceId: decoded.deviceId,
+    sessionId: decoded.sessionId,
+  });
+
+  if (!session) {
+    return { error: _authError('Authentication error: Session revoked or expired', 'session_revoked') };
+  }
+
+  return { decoded, session };
+}
+
+/**
+ * Disconnect the socket when its access token expires
+ */
+function _scheduleTokenExpiry(socket) {
+  if (socket.data.tokenExpiryTimeout) {
+    clearTimeout(socket.data.tokenExpiryTimeout);
+  }
+
+  // setTimeout can't handle delays above ~24.8 days
+  const delay = Math.min(Math.max(socket.data.tokenExpiresAt - Date.now(), 0), 2147483647);
+
+  socket.data.tokenExpiryTimeout = setTimeout(() => {
+    console.log(`🔒 Access token expired for user ${socket.userId}, disconnecting socket`);
+    socket.emit('session_revoked', { sessionId: socket.sessionId, reason: 'token_expired' });
+    socket.disconnect(true);
+  }, delay);
+}
+
 /**
  * Join user to all their chat rooms
  */
@@ -1627,6 +1822,10 @@ export const emitNewMessage = async (chatId, messageData) => {
             io.to(`user:${participantId}`).emit('new_message', messageData);
           }
         });
+
+        // Recipients with a socket connected have now got it - not awaited so the send isn't held up
+        const { markDeliveredToConnected } = await import('../services/receipt.service.js');
+        markDeliveredToConnected(chat, new ObjectId(messageData.id), messageData.senderId);
       }
     } catch (error) {
       console.error('Error emitting message to participants:', error);
@@ -1644,6 +1843,15 @@ export const emitChatUpdate = (userId, chatData) => {
   }
 };
 
+/**
+ * Send a security alert (e.g. sign-in from a new device) to all of a user's devices
+ */
+export const emitSecurityAlert = (userId, alert) => {
+  if (io) {
+    io.to(`user:${userId}`).emit('security_alert', alert);
+  }
+};
+
 /**
  * Broadcast presence update (online/offline) to all users who have chats with this user
  * This function ensures IMMEDIATE real-time updates when users come online/offline
@@ -1744,3 +1952,23 @@ export const emitStatusUpdate = async (userId, statusData) => {
   }
 };
 
+/**
+ * Force-disconnect every socket opened with a given session
+ * Emits session_revoked first so the client can react to the reason:
+ * - session_revoked: signed out from another device
+ * - logged_out: signed out from this device
+ * - token_reuse: refresh token replayed, session revoked
+ * - token_expired: access token expired without re-authentication
+ * - account_deleted: the account is being erased
+ */
+export const disconnectSession = (sessionId, reason = 'session_revoked') => {
+  try {
+    if (!io || !sessionId) return;
+
+    const room = `session:${sessionId}`;
+    io.to(room).emit('session_revoked', { sessionId, reason });
+    io.in(room).disconnectSockets(true);
+  } catch (error) {
+    console.error('Error disconnecting session sockets:', error);
+  }
+};
@@ -0,0 +1,170 @@
+/**
+ * Utility functions for writing .tar.gz archives
+ * Streams entries straight to disk so large exports never sit in memory.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Write a string into a header field, NUL padded
+ */
+function writeField(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+/**
+ * Write a number into a header field as zero-padded octal
+ */
+function writeOctal(header, value, offset, length) {
+  writeField(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+/**
+ * Build a ustar header block for a regular file
+ * Paths longer than 100 bytes are split into prefix/name at a '/'.
+ */
+function createHeader(entryPath, size, mtime) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  let name = entryPath;
+  let prefix = '';
+  if (Buffer.byteLength(name) > 100) {
+    const splitAt = entryPath.lastIndexOf('/', 155);
+    if (splitAt <= 0 || Buffer.byteLength(entryPath.slice(splitAt + 1)) > 100) {
+      throw new Error(`Archive entry path too long: ${entryPath}`);
+    }
+    prefix = entryPath.slice(0, splitAt);
+    name = entryPath.slice(splitAt + 1);
+  }
+
+  writeField(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8); // mode
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156); // checksum placeholder
+  header.write('0', 156); // typeflag: regular file
+  writeField(header, 'ustar\0', 257, 6);
+  writeField(header, '00', 263, 2);
+  writeField(header, prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  writeField(header, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+
+  return header;
+}
+
+function padding(size) {
+  const remainder = size % BLOCK_SIZE;
+  return remainder === 0 ? null : Buffer.alloc(BLOCK_SIZE - remainder);
+}
+
+function isKnownSize(size) {
+  return Number.isSafeInteger(size) && size >= 0;
+}
+
+/**
+ * Copy a stream to a temporary file so its size is known before the header is written
+ * @returns {Promise<{filePath: string, size: number, remove: Function}>}
+ */
+async function spoolToTempFile(stream) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'axzora-archive-'));
+  const remove = () => fs.promises.rm(dir, { recursive: true, force: true });
+
+  try {
+    const filePath = path.join(dir, 'entry');
+    await pipeline(stream, fs.createWriteStream(filePath));
+    const { size } = await fs.promises.stat(filePath);
+    return { filePath, size, remove };
+  } catch (error) {
+    await remove();
+    throw error;
+  }
+}
+
+/**
+ * Copy a streamed entry in, header first
+ * The header holds the size, so a stream without one (e.g. a storage response
+ * with no Content-Length) is spooled to disk first. A stream that ends up
+ * shorter or longer than its size would corrupt every entry after it and fails
+ * the archive instead.
+ */
+async function* streamEntry(entry) {
+  let { stream, size } = entry;
+  let spooled = null;
+
+  if (!isKnownSize(size)) {
+    spooled = await spoolToTempFile(stream);
+    stream = fs.createReadStream(spooled.filePath);
+    size = spooled.size;
+  }
+
+  try {
+    yield createHeader(entry.path, size, entry.mtime || new Date());
+
+    let written = 0;
+    for await (const chunk of stream) {
+      written += chunk.length;
+      yield chunk;
+    }
+    if (written !== size) {
+      throw new Error(`Archive entry ${entry.path} is ${written} bytes, expected ${size}`);
+    }
+
+    const pad = padding(size);
+    if (pad) yield pad;
+  } finally {
+    await spooled?.remove();
+  }
+}
+
+/**
+ * Turn archive entries into a tar byte stream
+ * @param {AsyncIterable<{path: string, content?: string|Buffer, stream?: Readable, size?: number, mtime?: Date}>} entries
+ *   Each entry carries either in-memory content or a stream to copy in; size is
+ *   optional for streams.
+ */
+async function* tarStream(entries) {
+  for await (const entry of entries) {
+    if (entry.stream) {
+      yield* streamEntry(entry);
+    } else {
+      const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content ?? '', 'utf8');
+      yield createHeader(entry.path, data.length, new Date());
+      yield data;
+      const pad = padding(data.length);
+      if (pad) yield pad;
+    }
+  }
+
+  // End of archive: two empty blocks
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+/**
+ * Write entries to a gzip-compressed tar file
+ * @param {string} outputPath - Destination .tar.gz path
+ * @param {AsyncIterable<Object>} entries - See tarStream
+ * @returns {Promise<number>} Archive size in bytes
+ */
+export async function writeTarGz(outputPath, entries) {
+  await pipeline(
+    Readable.from(tarStream(entries)),
+    zlib.createGzip(),
+    fs.createWriteStream(outputPath)
+  );
+
+  const stats = await fs.promises.stat(outputPath);
+  return stats.size;
+}
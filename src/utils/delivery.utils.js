@@ -0,0 +1,123 @@
+/**
+ * Outbound Delivery Utility Functions
+ * Provider registry shared by sms.service.js and mail.service.js
+ *
+ * Every registry has two development transports:
+ * - console: logs the message
+ * - file: appends each message as a JSON line to an outbox file (tests, local stand-in)
+ * Neither delivers anything, so both are refused when NODE_ENV=production -
+ * OTP and reset codes would end up in the server log.
+ */
+
+import { dirname } from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+
+const LOCAL_PROVIDERS = ['console', 'file'];
+
+/**
+ * Create a provider registry for one kind of message
+ * @param {Object} options
+ * @param {string} options.label - Used in error messages ("SMS", "mail")
+ * @param {string} options.providerEnv - Variable naming the active provider (default console)
+ * @param {string} options.outboxFileEnv - Variable overriding the file transport's outbox
+ * @param {string} options.defaultOutboxFile
+ * @param {Function} options.formatConsole - message => line printed by the console transport
+ */
+export function createDeliveryRegistry({ label, providerEnv, outboxFileEnv, defaultOutboxFile, formatConsole }) {
+  const providers = new Map();
+  const capitalisedLabel = label.charAt(0).toUpperCase() + label.slice(1);
+
+  const getOutboxFile = () => process.env[outboxFileEnv] || defaultOutboxFile;
+  const getProviderName = () => process.env[providerEnv] || 'console';
+
+  /**
+   * Register a provider
+   * A provider is an object with an async send(message) method that resolves
+   * to { id } or throws on failure, and an optional check() that throws if the
+   * provider is not configured.
+   */
+  const register = (name, provider) => {
+    if (!name || !provider || typeof provider.send !== 'function') {
+      throw new Error(`${capitalisedLabel} provider must have a name and a send() method`);
+    }
+    providers.set(name, provider);
+  };
+
+  const getProvider = (providerName) => {
+    const provider = providers.get(providerName);
+    if (!provider) {
+      throw new Error(`Unknown ${label} provider: ${providerName}`);
+    }
+    if (process.env.NODE_ENV === 'production' && LOCAL_PROVIDERS.includes(providerName)) {
+      throw new Error(`${providerEnv}=${providerName} does not deliver messages and can't be used in production`);
+    }
+    return provider;
+  };
+
+  /**
+   * Check the active provider at startup
+   * Throws if it is unknown, not configured, or a development transport in production
+   */
+  const assertConfigured = () => {
+    const provider = getProvider(getProviderName());
+    provider.check?.();
+  };
+
+  /**
+   * Send through the active provider
+   * Throws if the provider is unknown or delivery fails
+   */
+  const send = async (message) => {
+    const providerName = getProviderName();
+    const result = await getProvider(providerName).send(message);
+    return { provider: providerName, id: result?.id || null };
+  };
+
+  /**
+   * Read messages written by the file transport
+   * Optionally filtered by recipient, newest last
+   */
+  const readOutbox = async (to = null) => {
+    try {
+      const content = await fs.promises.readFile(getOutboxFile(), 'utf-8');
+      const entries = content
+        .split('\n')
+        .filter(line => line.trim().length > 0)
+        .map(line => JSON.parse(line));
+
+      return to ? entries.filter(entry => entry.to === to) : entries;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  };
+
+  // Console transport - prints the message instead of sending it
+  register('console', {
+    send: async (message) => {
+      console.log(formatConsole(message));
+      return { id: `console-${Date.now()}` };
+    },
+  });
+
+  // File transport - one JSON object per line so tests can read the latest message
+  register('file', {
+    send: async (message) => {
+      const outboxFile = getOutboxFile();
+      const entry = {
+        id: crypto.randomUUID(),
+        ...message,
+        sentAt: new Date().toISOString(),
+      };
+
+      await fs.promises.mkdir(dirname(outboxFile), { recursive: true });
+      await fs.promises.appendFile(outboxFile, JSON.stringify(entry) + '\n');
+      return { id: entry.id };
+    },
+  });
+
+  return { register, assertConfigured, send, readOutbox };
+}
@@ -0,0 +1,168 @@
+/**
+ * Utility functions for identifying uploads by content
+ *
+ * Looks at a file's first bytes (magic numbers) instead of trusting the
+ * client's MIME type or extension. Covers the formats chat clients send;
+ * anything else comes back as null and is treated as unsupported.
+ */
+
+// Bytes to read from the start of a file - enough for every signature below
+export const FILE_TYPE_SAMPLE_SIZE = 4100;
+
+// Extensions that are never accepted, whatever the content (programs, installers, scripts, active web content)
+export const BLOCKED_EXTENSIONS = [
+  'exe', 'dll', 'msi', 'msp', 'bat', 'cmd', 'com', 'scr', 'pif', 'cpl', 'reg',
+  'ps1', 'vbs', 'vbe', 'js', 'mjs', 'jse', 'wsf', 'wsh', 'hta', 'lnk',
+  'sh', 'bash', 'zsh', 'csh', 'run', 'bin', 'elf', 'app', 'dmg', 'pkg', 'deb', 'rpm',
+  'apk', 'aab', 'xapk', 'ipa', 'jar', 'class', 'dex',
+  'html', 'htm', 'xhtml', 'svg', 'svgz',
+];
+
+const ZIP_DOCUMENTS = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+  epub: 'application/epub+zip',
+};
+
+const OLE_DOCUMENTS = {
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint',
+};
+
+const TEXT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  md: 'text/markdown',
+  vcf: 'text/vcard',
+};
+
+const ISO_AUDIO_BRANDS = ['M4A ', 'M4B ', 'M4P '];
+const ISO_IMAGE_BRANDS = { heic: 'image/heic', heix: 'image/heic', mif1: 'image/heif', msf1: 'image/heif', avif: 'image/avif' };
+
+function startsWith(buffer, bytes, offset = 0) {
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.toString('latin1', start, end);
+}
+
+/**
+ * Lowercase extension without the dot ('' if none)
+ */
+export function getExtension(filename) {
+  const match = /\.([^./\\]+)$/.exec(filename || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+function looksLikeText(buffer) {
+  if (buffer.length === 0 || buffer.includes(0)) {
+    return false;
+  }
+  try {
+    // stream: true so a multibyte character cut off by the sample isn't an error
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Identify a file from its first bytes
+ * @param {Buffer} buffer - Start of the file (FILE_TYPE_SAMPLE_SIZE bytes is enough)
+ * @param {string} [filename] - Only used to tell apart formats sharing a container (docx vs zip)
+ * @returns {{mime: string, kind: 'image'|'video'|'audio'|'document'|'archive'|'text'|'executable', audioContainer?: boolean}|null}
+ *   audioContainer: a video container that often holds audio only (mp4, webm)
+ */
+export function detectFileType(buffer, filename = '') {
+  const ext = getExtension(filename);
+
+  // Executables first - some share leading bytes with other formats
+  if (startsWith(buffer, [0x4d, 0x5a])) return { mime: 'application/x-msdownload', kind: 'executable' };
+  if (startsWith(buffer, [0x7f, 0x45, 0x4c, 0x46])) return { mime: 'application/x-executable', kind: 'executable' };
+  if ([[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe], [0xca, 0xfe, 0xba, 0xbe]]
+    .some(bytes => startsWith(buffer, bytes))) {
+    return { mime: 'application/x-mach-binary', kind: 'executable' };
+  }
+  if (startsWith(buffer, [0x00, 0x61, 0x73, 0x6d])) return { mime: 'application/wasm', kind: 'executable' };
+  if (ascii(buffer, 0, 4) === 'dex\n') return { mime: 'application/vnd.android.dex', kind: 'executable' };
+
+  // Images
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return { mime: 'image/jpeg', kind: 'image' };
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return { mime: 'image/png', kind: 'image' };
+  if (['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6))) return { mime: 'image/gif', kind: 'image' };
+  if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) {
+    return { mime: 'image/tiff', kind: 'image' };
+  }
+  if (ascii(buffer, 0, 2) === 'BM' && buffer.length > 14) return { mime: 'image/bmp', kind: 'image' };
+
+  // RIFF containers
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    const format = ascii(buffer, 8, 12);
+    if (format === 'WEBP') return { mime: 'image/webp', kind: 'image' };
+    if (format === 'WAVE') return { mime: 'audio/wav', kind: 'audio' };
+    if (format === 'AVI ') return { mime: 'video/x-msvideo', kind: 'video' };
+  }
+
+  // ISO base media (mp4, mov, m4a, 3gp, heic, avif)
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const brand = ascii(buffer, 8, 12);
+    if (ISO_AUDIO_BRANDS.includes(brand)) return { mime: 'audio/mp4', kind: 'audio' };
+    if (ISO_IMAGE_BRANDS[brand]) return { mime: ISO_IMAGE_BRANDS[brand], kind: 'image' };
+    if (brand === 'qt  ') return { mime: 'video/quicktime', kind: 'video', audioContainer: true };
+    if (brand.startsWith('3g')) return { mime: 'video/3gpp', kind: 'video', audioContainer: true };
+    return { mime: 'video/mp4', kind: 'video', audioContainer: true };
+  }
+
+  // Matroska / WebM
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return ascii(buffer, 0, 64).includes('webm')
+      ? { mime: 'video/webm', kind: 'video', audioContainer: true }
+      : { mime: 'video/x-matroska', kind: 'video', audioContainer: true };
+  }
+  if (startsWith(buffer, [0x00, 0x00, 0x01, 0xba]) || startsWith(buffer, [0x00, 0x00, 0x01, 0xb3])) {
+    return { mime: 'video/mpeg', kind: 'video' };
+  }
+
+  // Audio
+  if (ascii(buffer, 0, 3) === 'ID3') return { mime: 'audio/mpeg', kind: 'audio' };
+  if (ascii(buffer, 0, 4) === 'OggS') return { mime: 'audio/ogg', kind: 'audio' };
+  if (ascii(buffer, 0, 4) === 'fLaC') return { mime: 'audio/flac', kind: 'audio' };
+  if (ascii(buffer, 0, 5) === '#!AMR') return { mime: 'audio/amr', kind: 'audio' };
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    // Frame sync: layer bits 00 is AAC (ADTS), anything else MPEG audio
+    return (buffer[1] & 0x06) === 0
+      ? { mime: 'audio/aac', kind: 'audio' }
+      : { mime: 'audio/mpeg', kind: 'audio' };
+  }
+
+  // Documents and archives
+  if (ascii(buffer, 0, 5) === '%PDF-') return { mime: 'application/pdf', kind: 'document' };
+  if (ascii(buffer, 0, 5) === '{\\rtf') return { mime: 'application/rtf', kind: 'document' };
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4b, 0x05, 0x06])) {
+    return ZIP_DOCUMENTS[ext]
+      ? { mime: ZIP_DOCUMENTS[ext], kind: 'document' }
+      : { mime: 'application/zip', kind: 'archive' };
+  }
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    // Also the container for .msi installers - those are caught by BLOCKED_EXTENSIONS
+    return { mime: OLE_DOCUMENTS[ext] || 'application/x-ole-storage', kind: 'document' };
+  }
+  if (startsWith(buffer, [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07])) return { mime: 'application/vnd.rar', kind: 'archive' };
+  if (startsWith(buffer, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return { mime: 'application/x-7z-compressed', kind: 'archive' };
+  if (startsWith(buffer, [0x1f, 0x8b])) return { mime: 'application/gzip', kind: 'archive' };
+
+  // Plain text last - it has no signature
+  if (looksLikeText(buffer)) {
+    if (ascii(buffer, 0, 2) === '#!') return { mime: 'text/x-shellscript', kind: 'executable' };
+    return { mime: TEXT_TYPES[ext] || 'text/plain', kind: 'text' };
+  }
+
+  return null;
+}
@@ -0,0 +1,128 @@
+/**
+ * Utility functions for location messages
+ *
+ * messageType 'location' is a fixed point; 'live_location' starts at a point and is
+ * then moved by the sender over the socket until it expires or is stopped:
+ *   location: { latitude, longitude, accuracy, placeName, address,
+ *               live: { durationMinutes, startedAt, expiresAt, updatedAt, stoppedAt, stopReason } }
+ */
+
+// Durations offered for live location, in minutes
+export const LIVE_LOCATION_DURATIONS = [15, 60, 480];
+
+const PLACE_NAME_MAX_LENGTH = 200;
+const ADDRESS_MAX_LENGTH = 500;
+
+/**
+ * Validate latitude/longitude (and optional accuracy in metres)
+ * @returns {{coords: Object|null, error?: string}}
+ */
+export function parseCoordinates({ latitude, longitude, accuracy } = {}) {
+  if (typeof latitude !== 'number' || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return { coords: null, error: 'latitude must be a number between -90 and 90' };
+  }
+  if (typeof longitude !== 'number' || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return { coords: null, error: 'longitude must be a number between -180 and 180' };
+  }
+  if (accuracy !== undefined && accuracy !== null && (typeof accuracy !== 'number' || !Number.isFinite(accuracy) || accuracy < 0)) {
+    return { coords: null, error: 'accuracy must be a positive number of metres' };
+  }
+
+  return { coords: { latitude, longitude, accuracy: accuracy ?? null } };
+}
+
+/**
+ * Validate location input from a client and build the stored location
+ * @param {Object} input - { latitude, longitude, accuracy, placeName, address, durationMinutes (live only) }
+ * @param {string} messageType - 'location' or 'live_location'
+ * @returns {{location: Object|null, error?: string}}
+ */
+export function normalizeLocation(input, messageType) {
+  if (!input || typeof input !== 'object') {
+    return { location: null, error: 'location is required for location messages' };
+  }
+
+  const { coords, error } = parseCoordinates(input);
+  if (error) {
+    return { location: null, error };
+  }
+
+  const { placeName, address, durationMinutes } = input;
+  for (const [field, value, maxLength] of [['placeName', placeName, PLACE_NAME_MAX_LENGTH], ['address', address, ADDRESS_MAX_LENGTH]]) {
+    if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > maxLength)) {
+      return { location: null, error: `${field} must be a string of at most ${maxLength} characters` };
+    }
+  }
+
+  const location = {
+    ...coords,
+    placeName: placeName?.trim() || null,
+    address: address?.trim() || null,
+  };
+
+  if (messageType === 'live_location') {
+    if (!LIVE_LOCATION_DURATIONS.includes(durationMinutes)) {
+      return { location: null, error: `durationMinutes must be one of: ${LIVE_LOCATION_DURATIONS.join(', ')}` };
+    }
+
+    const now = new Date();
+    location.live = {
+      durationMinutes,
+      startedAt: now,
+      expiresAt: new Date(now.getTime() + durationMinutes * 60 * 1000),
+      updatedAt: now,
+      stoppedAt: null,
+      stopReason: null,
+    };
+  }
+
+  return { location };
+}
+
+/**
+ * Text stored as the message body, used for chat previews and search
+ */
+export function describeLocation(location, messageType) {
+  if (messageType === 'live_location') {
+    return 'Live location';
+  }
+  return location.placeName || 'Location';
+}
+
+/**
+ * A live share is over once stopped or past expiresAt
+ */
+export function isLiveLocationActive(live, now = new Date()) {
+  return !!live && !live.stoppedAt && live.expiresAt > now;
+}
+
+/**
+ * Shape a stored location for API/socket responses
+ */
+export function formatLocation(location) {
+  if (!location) {
+    return null;
+  }
+
+  const formatted = {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    accuracy: location.accuracy ?? null,
+    placeName: location.placeName || null,
+    address: location.address || null,
+  };
+
+  if (location.live) {
+    formatted.live = {
+      durationMinutes: location.live.durationMinutes,
+      startedAt: location.live.startedAt,
+      expiresAt: location.live.expiresAt,
+      updatedAt: location.live.updatedAt,
+      stoppedAt: location.live.stoppedAt || null,
+      stopReason: location.live.stopReason || null,
+      isActive: isLiveLocationActive(location.live),
+    };
+  }
+
+  return formatted;
+}
@@ -0,0 +1,129 @@
+/**
+ * Utility functions for poll messages
+ *
+ * A poll is a message with messageType 'poll'; the question is also stored as the
+ * message text so chat previews and search keep working. Votes live on the options:
+ *   poll: { question, options: [{ id, text, voterIds }], allowMultiple, closesAt, closedAt, closedBy }
+ */
+
+export const POLL_MIN_OPTIONS = 2;
+export const POLL_MAX_OPTIONS = 12;
+const POLL_QUESTION_MAX_LENGTH = 300;
+const POLL_OPTION_MAX_LENGTH = 100;
+
+/**
+ * Validate poll input from a client and build the stored poll
+ * @param {Object} input - { question, options: [string], allowMultiple, closesAt }
+ * @returns {{poll: Object|null, error?: string}}
+ */
+export function normalizePoll(input) {
+  if (!input || typeof input !== 'object') {
+    return { poll: null, error: 'poll is required for poll messages' };
+  }
+
+  const { question, options, allowMultiple = false, closesAt } = input;
+
+  if (typeof question !== 'string' || question.trim().length === 0) {
+    return { poll: null, error: 'Poll question is required' };
+  }
+  if (question.trim().length > POLL_QUESTION_MAX_LENGTH) {
+    return { poll: null, error: `Poll question too long. Maximum length is ${POLL_QUESTION_MAX_LENGTH} characters.` };
+  }
+
+  if (!Array.isArray(options) || options.length < POLL_MIN_OPTIONS || options.length > POLL_MAX_OPTIONS) {
+    return { poll: null, error: `Polls need between ${POLL_MIN_OPTIONS} and ${POLL_MAX_OPTIONS} options` };
+  }
+
+  const texts = [];
+  for (const option of options) {
+    if (typeof option !== 'string' || option.trim().length === 0) {
+      return { poll: null, error: 'Poll options must be non-empty strings' };
+    }
+    if (option.trim().length > POLL_OPTION_MAX_LENGTH) {
+      return { poll: null, error: `Poll option too long. Maximum length is ${POLL_OPTION_MAX_LENGTH} characters.` };
+    }
+    texts.push(option.trim());
+  }
+
+  if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+    return { poll: null, error: 'Poll options must be unique' };
+  }
+
+  if (typeof allowMultiple !== 'boolean') {
+    return { poll: null, error: 'allowMultiple must be a boolean' };
+  }
+
+  let closesAtDate = null;
+  if (closesAt !== undefined && closesAt !== null) {
+    closesAtDate = new Date(closesAt);
+    if (typeof closesAt !== 'string' || isNaN(closesAtDate.getTime())) {
+      return { poll: null, error: 'closesAt must be an ISO 8601 date' };
+    }
+    if (closesAtDate.getTime() <= Date.now()) {
+      return { poll: null, error: 'closesAt must be in the future' };
+    }
+  }
+
+  return {
+    poll: {
+      question: question.trim(),
+      options: texts.map((text, index) => ({ id: String(index), text, voterIds: [] })),
+      allowMultiple,
+      closesAt: closesAtDate,
+      closedAt: null,
+      closedBy: null,
+    },
+  };
+}
+
+/**
+ * A poll is closed once closed by hand or past its closesAt
+ */
+export function isPollClosed(poll, now = new Date()) {
+  return !!poll.closedAt || (!!poll.closesAt && poll.closesAt <= now);
+}
+
+/**
+ * Shape a stored poll for API/socket responses
+ * @param {Object} poll - Stored poll
+ * @param {Object} options
+ * @param {boolean} options.showVoters - Include who voted for what (group chats)
+ * @param {string} [options.viewerId] - Adds myVotes for this user
+ */
+export function formatPoll(poll, { showVoters = false, viewerId = null } = {}) {
+  if (!poll) {
+    return null;
+  }
+
+  const voters = new Set();
+  poll.options.forEach(option => option.voterIds.forEach(id => voters.add(id)));
+
+  const formatted = {
+    question: poll.question,
+    allowMultiple: !!poll.allowMultiple,
+    options: poll.options.map(option => {
+      const entry = {
+        id: option.id,
+        text: option.text,
+        voteCount: option.voterIds.length,
+      };
+      if (showVoters) {
+        entry.voterIds = option.voterIds;
+      }
+      return entry;
+    }),
+    totalVoters: voters.size,
+    closesAt: poll.closesAt || null,
+    closedAt: poll.closedAt || null,
+    closedBy: poll.closedBy || null,
+    isClosed: isPollClosed(poll),
+  };
+
+  if (viewerId) {
+    formatted.myVotes = poll.options
+      .filter(option => option.voterIds.includes(viewerId))
+      .map(option => option.id);
+  }
+
+  return formatted;
+}
@@ -89,3 +89,29 @@ export const clearUnreadCount = async (userId, chatId) => {
   }, 0);
 };
 
+
+// DECRBY that never leaves the counter below zero, in one step
+const SUBTRACT_UNREAD_SCRIPT = `
+local count = redis.call('DECRBY', KEYS[1], ARGV[1])
+if count <= 0 then
+  redis.call('DEL', KEYS[1])
+  return 0
+end
+redis.call('EXPIRE', KEYS[1], ARGV[2])
+return count
+`;
+
+/**
+ * Take messages that were just read off the unread count atomically
+ * Unlike get-then-set, increments for messages arriving at the same time are kept.
+ */
+export const subtractUnreadCount = async (userId, chatId, count) => {
+  return await safeRedisOperation(async (redisClient) => {
+    const key = `unread:${userId}:${chatId}`;
+    const remaining = await redisClient.eval(SUBTRACT_UNREAD_SCRIPT, {
+      keys: [key],
+      arguments: [String(count), String(86400 * 7)], // 7 days TTL
+    });
+    return parseInt(remaining || 0, 10);
+  }, 0);
+};
@@ -0,0 +1,121 @@
+/**
+ * Utility functions for reply/quote threading
+ *
+ * A reply stores a denormalised copy of what it quotes:
+ *   replyTo: { messageId, senderId, senderName, messageType, snippet, isDeleted }
+ * so clients can render the quote without loading the original. The copy is
+ * kept in step when the original is edited or deleted for everyone.
+ */
+
+import { getMongoDB } from '../config/mongodb.config.js';
+import { queryWithRetry } from '../config/postgres.config.js';
+import { validateObjectId } from './mongodb.utils.js';
+
+const SNIPPET_LENGTH = 100;
+export const DELETED_REPLY_SNIPPET = 'This message was deleted';
+
+/**
+ * Short preview of a message - text only; media is described by messageType
+ */
+function buildSnippet(messageType, text) {
+  if (messageType && messageType !== 'text') {
+    return null;
+  }
+  const value = (text || '').trim();
+  return value.length > SNIPPET_LENGTH ? `${value.slice(0, SNIPPET_LENGTH)}…` : value;
+}
+
+/**
+ * Validate a replyTo message ID and build the denormalised reference
+ * The original must be in the same chat and not deleted.
+ *
+ * @param {string} replyToId - Message ID being replied to (optional)
+ * @param {ObjectId} chatObjectId - Chat the new message goes to
+ * @returns {Promise<{replyTo: Object|null, error?: string}>}
+ */
+export async function resolveReplyTo(replyToId, chatObjectId) {
+  if (replyToId === undefined || replyToId === null || replyToId === '') {
+    return { replyTo: null };
+  }
+
+  let replyToObjectId;
+  try {
+    replyToObjectId = validateObjectId(replyToId, 'replyTo');
+  } catch (error) {
+    return { replyTo: null, error: error.message };
+  }
+
+  const original = await getMongoDB().collection('messages').findOne({
+    _id: replyToObjectId,
+    chatId: chatObjectId,
+  });
+
+  if (!original) {
+    return { replyTo: null, error: 'Message being replied to was not found in this chat' };
+  }
+
+  if (original.deletedAt) {
+    return { replyTo: null, error: 'Cannot reply to a deleted message' };
+  }
+
+  let senderName = null;
+  const senderResult = await queryWithRetry(
+    'SELECT full_name FROM users WHERE id = $1',
+    [original.senderId],
+    3,
+    20000
+  );
+  if (senderResult.rows.length > 0) {
+    senderName = senderResult.rows[0].full_name || null;
+  }
+
+  return {
+    replyTo: {
+      messageId: original._id,
+      senderId: original.senderId,
+      senderName,
+      messageType: original.messageType || 'text',
+      snippet: buildSnippet(original.messageType, original.message),
+      isDeleted: false,
+    },
+  };
+}
+
+/**
+ * Shape a stored replyTo for API/socket responses
+ */
+export function formatReplyTo(replyTo) {
+  if (!replyTo) {
+    return null;
+  }
+
+  return {
+    messageId: replyTo.messageId.toString(),
+    senderId: replyTo.senderId,
+    senderName: replyTo.senderName || null,
+    messageType: replyTo.messageType || 'text',
+    snippet: replyTo.isDeleted ? DELETED_REPLY_SNIPPET : replyTo.snippet,
+    isDeleted: !!replyTo.isDeleted,
+  };
+}
+
+/**
+ * Refresh the quoted snippet in replies after the original is edited
+ */
+export async function updateReplySnippets(messageObjectId, messageType, text) {
+  await getMongoDB().collection('messages').updateMany(
+    { 'replyTo.messageId': messageObjectId },
+    { $set: { 'replyTo.snippet': buildSnippet(messageType, text) } }
+  );
+}
+
+/**
+ * Mark quotes of deleted messages so replies show "message deleted"
+ * @param {Object} filter - Which replies, e.g. { 'replyTo.messageId': id }
+ */
+export async function markRepliesDeleted(filter) {
+  await getMongoDB().collection('messages').updateMany(
+    filter,
+    { $set: { 'replyTo.snippet': null, 'replyTo.isDeleted': true } }
+  );
+}
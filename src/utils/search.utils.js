@@ -0,0 +1,93 @@
+/**
+ * Utility functions for message search
+ *
+ * Search runs on the idx_message_text text index. The query string is passed to
+ * MongoDB $text as-is (words, "quoted phrases", -excluded words) and is never
+ * used as a regex; highlights are worked out here from the same parsed query.
+ */
+
+// Message types whose text is in the search index - media messages only store a file URL
+export const SEARCHABLE_MESSAGE_TYPES = ['text', 'poll', 'location', 'live_location', 'contact'];
+
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a search query the way $text reads it
+ * @returns {{terms: string[], phrases: string[]}} Words and phrases to highlight (exclusions dropped)
+ */
+export function parseSearchQuery(query) {
+  const phrases = [];
+  const withoutPhrases = query.replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) {
+      phrases.push(phrase.trim());
+    }
+    return ' ';
+  });
+
+  const terms = withoutPhrases
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .flatMap(word => word.split(/[^\p{L}\p{N}_]+/u))
+    .filter(Boolean);
+
+  return { terms: [...new Set(terms)], phrases };
+}
+
+/**
+ * Character ranges in text that match the query, for the client to highlight
+ * Whole words only, case-insensitive; overlapping ranges are merged.
+ * @returns {Array<{start: number, end: number}>} end is exclusive
+ */
+export function buildHighlights(text, { terms, phrases }) {
+  if (typeof text !== 'string' || (terms.length === 0 && phrases.length === 0)) {
+    return [];
+  }
+
+  const ranges = [];
+  for (const needle of [...phrases, ...terms]) {
+    const pattern = new RegExp(`(?<!${WORD_CHAR})${escapeRegex(needle)}(?!${WORD_CHAR})`, 'giu');
+    for (const match of text.matchAll(pattern)) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Opaque paging cursor - the sort key of the last result
+ * @param {Object} position - { score (text search only), createdAt, id }
+ */
+export function encodeSearchCursor({ score, createdAt, id }) {
+  return Buffer.from(JSON.stringify({ s: score ?? null, t: createdAt.toISOString(), i: id })).toString('base64url');
+}
+
+/**
+ * @returns {{score: number|null, createdAt: Date, id: string}|null} null if malformed
+ */
+export function decodeSearchCursor(cursor) {
+  try {
+    const { s, t, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const createdAt = new Date(t);
+    if (isNaN(createdAt.getTime()) || typeof i !== 'string' || (s !== null && typeof s !== 'number')) {
+      return null;
+    }
+    return { score: s, createdAt, id: i };
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,291 @@
+/**
+ * Utility functions for contact card messages
+ *
+ * messageType 'contact' carries one or more vCards (3.0 or 4.0), sent as text and
+ * parsed here. The parsed cards are stored alongside the original text:
+ *   contacts: [{ version, fullName, name: { family, given }, organization,
+ *                phones: [{ value, types, countryCode, phoneNumber, userId }],
+ *                emails: [String], vcard }]
+ * countryCode/phoneNumber are the number split the way users and contacts store it;
+ * userId is set when that number belongs to a registered user.
+ */
+
+export const CONTACT_MAX_CARDS = 20;
+const VCARD_MAX_LENGTH = 10000;
+const CARD_MAX_PHONES = 10;
+const CARD_MAX_EMAILS = 10;
+const SUPPORTED_VERSIONS = ['3.0', '4.0'];
+
+/**
+ * Split on a separator, ignoring separators escaped with a backslash or inside double quotes
+ */
+function splitUnescaped(value, separator) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\' && i + 1 < value.length) {
+      current += char + value[i + 1];
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+      current += char;
+    } else if (char === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function unescapeValue(value) {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char)).trim();
+}
+
+/**
+ * Parse one content line: [group.]NAME[;PARAM=VALUE...]:value
+ */
+function parseContentLine(line) {
+  const [head, ...rest] = splitUnescaped(line, ':');
+  if (rest.length === 0) {
+    return null;
+  }
+
+  const [rawName, ...rawParams] = splitUnescaped(head, ';');
+  const name = rawName.split('.').pop().toUpperCase();
+
+  // 3.0 allows bare types (TEL;CELL:...), 4.0 uses TYPE=cell,voice
+  const types = [];
+  for (const param of rawParams) {
+    const [key, paramValue] = param.includes('=') ? param.split(/=(.*)/s) : ['TYPE', param];
+    if (key.toUpperCase() === 'TYPE') {
+      paramValue.replace(/"/g, '').split(',').forEach(type => type && types.push(type.toLowerCase()));
+    }
+  }
+
+  return { name, types, value: rest.join(':') };
+}
+
+/**
+ * Keep the digits of a phone number, plus a leading + for international format
+ */
+function cleanPhoneNumber(value) {
+  const number = value.replace(/^tel:/i, '').split(';')[0].trim();
+  const digits = number.replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+  return number.startsWith('+') ? `+${digits}` : digits;
+}
+
+/**
+ * Split a number into country code and national number
+ * Numbers without a + are taken to be in defaultCountryCode, as phones do. An
+ * international number can only be split when it starts with defaultCountryCode;
+ * otherwise countryCode is left null and the number is matched whole.
+ * @param {string} number - From cleanPhoneNumber
+ * @param {string} [defaultCountryCode] - e.g. '+91'
+ * @returns {{countryCode: string|null, phoneNumber: string}}
+ */
+export function splitPhoneNumber(number, defaultCountryCode) {
+  if (!number.startsWith('+')) {
+    return {
+      countryCode: defaultCountryCode || null,
+      phoneNumber: number.replace(/^0+/, ''), // Trunk prefix
+    };
+  }
+
+  if (defaultCountryCode && number.startsWith(defaultCountryCode) && number.length > defaultCountryCode.length) {
+    return { countryCode: defaultCountryCode, phoneNumber: number.slice(defaultCountryCode.length) };
+  }
+
+  return { countryCode: null, phoneNumber: number };
+}
+
+/**
+ * Build a card from its content lines
+ */
+function buildCard(lines) {
+  let version = null;
+  let fullName = null;
+  let name = null;
+  let organization = null;
+  const phones = [];
+  const emails = [];
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+
+    switch (property.name) {
+      case 'VERSION':
+        version = property.value.trim();
+        break;
+      case 'FN':
+        fullName = unescapeValue(property.value);
+        break;
+      case 'N': {
+        const [family = '', given = ''] = splitUnescaped(property.value, ';').map(unescapeValue);
+        name = { family, given };
+        break;
+      }
+      case 'ORG':
+        organization = unescapeValue(splitUnescaped(property.value, ';')[0]) || null;
+        break;
+      case 'TEL': {
+        const number = cleanPhoneNumber(unescapeValue(property.value));
+        if (number) {
+          phones.push({ value: number, types: property.types });
+        }
+        break;
+      }
+      case 'EMAIL': {
+        const email = unescapeValue(property.value);
+        if (email) {
+          emails.push(email);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return { card: null, error: `Only vCard versions ${SUPPORTED_VERSIONS.join(' and ')} are supported` };
+  }
+
+  // FN is required by both versions, but fall back to N rather than reject the card
+  if (!fullName && name) {
+    fullName = [name.given, name.family].filter(Boolean).join(' ');
+  }
+  if (!fullName) {
+    return { card: null, error: 'Each vCard needs a name (FN)' };
+  }
+
+  if (phones.length > CARD_MAX_PHONES || emails.length > CARD_MAX_EMAILS) {
+    return { card: null, error: `A vCard can have at most ${CARD_MAX_PHONES} phone numbers and ${CARD_MAX_EMAILS} emails` };
+  }
+  if (phones.length === 0 && emails.length === 0) {
+    return { card: null, error: 'Each vCard needs a phone number or email' };
+  }
+
+  return {
+    card: {
+      version,
+      fullName,
+      name,
+      organization,
+      phones: phones.map(phone => ({ ...phone, countryCode: null, phoneNumber: null, userId: null })),
+      emails,
+      vcard: ['BEGIN:VCARD', ...lines, 'END:VCARD'].join('\r\n'),
+    },
+  };
+}
+
+/**
+ * Parse vCard text into cards
+ * @param {string} text - One or more BEGIN:VCARD ... END:VCARD blocks
+ * @returns {{cards: Array|null, error?: string}}
+ */
+export function parseVCards(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return { cards: null, error: 'vcard is required for contact messages' };
+  }
+  if (text.length > VCARD_MAX_LENGTH * CONTACT_MAX_CARDS) {
+    return { cards: null, error: 'vcard is too long' };
+  }
+
+  // Unfold continuation lines (CRLF followed by a space or tab)
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).map(line => line.trimEnd());
+
+  const cards = [];
+  let current = null;
+  let currentLength = 0;
+
+  for (const line of lines) {
+    if (!line) {
+      continue;
+    }
+
+    if (/^BEGIN:VCARD$/i.test(line)) {
+      if (current) {
+        return { cards: null, error: 'Nested vCards are not supported' };
+      }
+      current = [];
+      currentLength = 0;
+    } else if (/^END:VCARD$/i.test(line)) {
+      if (!current) {
+        return { cards: null, error: 'END:VCARD without BEGIN:VCARD' };
+      }
+      const { card, error } = buildCard(current);
+      if (error) {
+        return { cards: null, error };
+      }
+      cards.push(card);
+      current = null;
+    } else if (current) {
+      currentLength += line.length;
+      if (currentLength > VCARD_MAX_LENGTH) {
+        return { cards: null, error: `Each vCard can be at most ${VCARD_MAX_LENGTH} characters` };
+      }
+      current.push(line);
+    }
+  }
+
+  if (current) {
+    return { cards: null, error: 'vCard is missing END:VCARD' };
+  }
+  if (cards.length === 0) {
+    return { cards: null, error: 'No vCard found' };
+  }
+  if (cards.length > CONTACT_MAX_CARDS) {
+    return { cards: null, error: `A message can share at most ${CONTACT_MAX_CARDS} contacts` };
+  }
+
+  return { cards };
+}
+
+/**
+ * Text stored as the message body, used for chat previews and search
+ */
+export function describeContacts(cards) {
+  if (cards.length === 1) {
+    return cards[0].fullName;
+  }
+  return `${cards[0].fullName} and ${cards.length - 1} other contact${cards.length > 2 ? 's' : ''}`;
+}
+
+/**
+ * Shape stored cards for API/socket responses
+ */
+export function formatContacts(cards) {
+  if (!cards) {
+    return null;
+  }
+
+  return cards.map((card, index) => ({
+    index,
+    version: card.version,
+    fullName: card.fullName,
+    name: card.name || null,
+    organization: card.organization || null,
+    phones: card.phones.map(phone => ({
+      value: phone.value,
+      types: phone.types,
+      countryCode: phone.countryCode || null,
+      phoneNumber: phone.phoneNumber || null,
+      userId: phone.userId || null,
+    })),
+    emails: card.emails,
+    userId: card.phones.find(phone => phone.userId)?.userId || null,
+    vcard: card.vcard,
+  }));
+}
@@ -0,0 +1,227 @@
+/**
+ * Account deletion jobs (account-deletion.service.js)
+ * Uploads go to the local storage driver in a temporary UPLOADS_DIR.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axzora-test-uploads-'));
+process.env.UPLOADS_DIR = uploadsDir;
+
+let db;
+let mongoDb;
+let deletion;
+let createUserSession;
+
+const createChat = async (fields) => {
+  const { insertedId } = await mongoDb.collection('chats').insertOne({
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    ...fields,
+  });
+  return insertedId;
+};
+
+const createMessage = async (chatId, senderId, fields = {}) => {
+  const { insertedId } = await mongoDb.collection('messages').insertOne({
+    chatId,
+    senderId,
+    message: 'hi',
+    messageType: 'text',
+    readBy: [senderId],
+    readReceipts: [{ userId: senderId, readAt: new Date() }],
+    mentions: [],
+    deletedAt: null,
+    createdAt: new Date(),
+    ...fields,
+  });
+  return insertedId;
+};
+
+const deleteAccount = async (userId) => {
+  const user = await db.query('SELECT phone_number, country_code FROM users WHERE id = $1', [userId]);
+  const job = await deletion.createAccountDeletionJob({
+    userId,
+    phoneNumber: user.rows[0].phone_number,
+    countryCode: user.rows[0].country_code,
+  });
+  return job.id;
+};
+
+const jobRow = async (jobId) => {
+  const result = await db.query(
+    'SELECT status, completed_steps, last_error, phone_number FROM account_deletion_jobs WHERE id = $1',
+    [jobId]
+  );
+  return result.rows[0];
+};
+
+describe('Account deletion', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    deletion = await import('../src/services/account-deletion.service.js');
+    ({ createUserSession } = await import('../src/services/session.service.js'));
+  });
+
+  after(async () => {
+    await db?.stop();
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  it('deactivates the account and reports the pending deletion', async () => {
+    const userId = await createTestUser(db);
+
+    const jobId = await deleteAccount(userId);
+
+    assert.equal(await deletion.hasPendingDeletion(userId), true);
+    const user = await db.query('SELECT is_active FROM users WHERE id = $1', [userId]);
+    assert.equal(user.rows[0].is_active, false);
+    assert.equal(await deleteAccount(userId), jobId);
+  });
+
+  it('erases the user and anonymises what other people keep', async () => {
+    const userId = await createTestUser(db);
+    const friendId = await createTestUser(db);
+    const session = await createUserSession({ userId, deviceId: 'phone', deviceName: 'Phone', deviceType: 'mobile' });
+
+    const photo = `image-${userId}-1.jpg`;
+    fs.writeFileSync(path.join(uploadsDir, photo), 'jpeg');
+
+    const directChatId = await createChat({ type: 'direct', participants: [userId, friendId], pinnedBy: [userId] });
+    const sentId = await createMessage(directChatId, userId, {
+      message: 'secret',
+      messageType: 'image',
+      mediaKeys: [photo],
+    });
+    const receivedId = await createMessage(directChatId, friendId, {
+      readBy: [friendId, userId],
+      reactions: [{ userId, emoji: '👍' }],
+    });
+    const replyId = await createMessage(directChatId, friendId, {
+      replyTo: { messageId: sentId.toString(), senderId: userId, senderName: 'Ada', snippet: 'secret', isDeleted: false },
+    });
+
+    const jobId = await deleteAccount(userId);
+    assert.equal(await deletion.runAccountDeletionJob(jobId), true);
+
+    const job = await jobRow(jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.phone_number, null);
+    assert.equal((await db.query('SELECT 1 FROM users WHERE id = $1', [userId])).rows.length, 0);
+    assert.equal((await db.query('SELECT 1 FROM user_sessions WHERE id = $1', [session.sessionId])).rows.length, 0);
+    assert.equal(fs.existsSync(path.join(uploadsDir, photo)), false);
+
+    const messages = mongoDb.collection('messages');
+    const sent = await messages.findOne({ _id: sentId });
+    assert.equal(sent.senderId, deletion.DELETED_USER_ID);
+    assert.equal(sent.message, 'This message was deleted');
+    assert.ok(sent.deletedAt);
+
+    const received = await messages.findOne({ _id: receivedId });
+    assert.deepEqual(received.readBy, [friendId]);
+    assert.deepEqual(received.reactions, []);
+
+    const reply = await messages.findOne({ _id: replyId });
+    assert.equal(reply.replyTo.senderId, deletion.DELETED_USER_ID);
+    assert.equal(reply.replyTo.snippet, null);
+    assert.equal(reply.replyTo.isDeleted, true);
+
+    const chat = await mongoDb.collection('chats').findOne({ _id: directChatId });
+    assert.deepEqual(chat.participants, [deletion.DELETED_USER_ID, friendId]);
+    assert.deepEqual(chat.pinnedBy, []);
+  });
+
+  it('moves chat previews off the deleted user\'s messages', async () => {
+    const userId = await createTestUser(db);
+    const friendId = await createTestUser(db);
+    const otherId = await createTestUser(db);
+    const chatCreatedAt = new Date('2026-01-01T00:00:00Z');
+
+    const repliedChatId = await createChat({ type: 'direct', participants: [userId, friendId] });
+    await createMessage(repliedChatId, friendId, { message: 'are you there?', createdAt: new Date('2026-01-02T00:00:00Z') });
+    await createMessage(repliedChatId, userId, { message: 'my address is 1 Main St', createdAt: new Date('2026-01-03T00:00:00Z') });
+    await mongoDb.collection('chats').updateOne(
+      { _id: repliedChatId },
+      { $set: { lastMessage: 'my address is 1 Main St', lastMessageType: 'text' } }
+    );
+
+    const onlyUserChatId = await createChat({ type: 'direct', participants: [userId, otherId], createdAt: chatCreatedAt });
+    await createMessage(onlyUserChatId, userId, { message: '📷 Photo', messageType: 'image' });
+    await mongoDb.collection('chats').updateOne(
+      { _id: onlyUserChatId },
+      { $set: { lastMessage: '📷 Photo', lastMessageType: 'image' } }
+    );
+
+    const jobId = await deleteAccount(userId);
+    await deletion.runAccountDeletionJob(jobId);
+
+    const replied = await mongoDb.collection('chats').findOne({ _id: repliedChatId });
+    assert.equal(replied.lastMessage, 'are you there?');
+    assert.equal(replied.lastMessageType, 'text');
+    assert.deepEqual(replied.lastMessageAt, new Date('2026-01-02T00:00:00Z'));
+
+    const onlyUser = await mongoDb.collection('chats').findOne({ _id: onlyUserChatId });
+    assert.equal(onlyUser.lastMessage, null);
+    assert.equal(onlyUser.lastMessageType, 'text');
+    assert.deepEqual(onlyUser.lastMessageAt, chatCreatedAt);
+  });
+
+  it('hands a group to a remaining member and removes groups it leaves empty', async () => {
+    const userId = await createTestUser(db);
+    const memberId = await createTestUser(db);
+    const sharedGroupId = await createChat({
+      type: 'group',
+      participants: [userId, memberId],
+      admins: [userId],
+      createdBy: userId,
+    });
+    const soloGroupId = await createChat({ type: 'group', participants: [userId], admins: [userId], createdBy: userId });
+    await createMessage(soloGroupId, userId);
+
+    const jobId = await deleteAccount(userId);
+    await deletion.runAccountDeletionJob(jobId);
+
+    const group = await mongoDb.collection('chats').findOne({ _id: sharedGroupId });
+    assert.deepEqual(group.participants, [memberId]);
+    assert.deepEqual(group.admins, [memberId]);
+    assert.equal(group.createdBy, deletion.DELETED_USER_ID);
+    assert.equal(await mongoDb.collection('chats').findOne({ _id: soloGroupId }), null);
+    assert.equal(await mongoDb.collection('messages').countDocuments({ chatId: soloGroupId }), 0);
+  });
+
+  it('resumes a failed job from the step that failed', async () => {
+    const userId = await createTestUser(db);
+    const jobId = await deleteAccount(userId);
+    await db.query(
+      "UPDATE account_deletion_jobs SET status = 'failed', completed_steps = ARRAY['sessions', 'uploads'] WHERE id = $1",
+      [jobId]
+    );
+
+    assert.ok(await deletion.resumeAccountDeletionJobs() >= 1);
+
+    const job = await jobRow(jobId);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.completed_steps, [
+      'sessions', 'uploads', 'groups', 'messages', 'calls', 'statuses', 'analytics', 'redis', 'postgres',
+    ]);
+  });
+
+  it('does not run a job another instance holds the lease on', async () => {
+    const userId = await createTestUser(db);
+    const jobId = await deleteAccount(userId);
+    await db.query(
+      "UPDATE account_deletion_jobs SET status = 'running', locked_until = CURRENT_TIMESTAMP + INTERVAL '5 minutes' WHERE id = $1",
+      [jobId]
+    );
+
+    assert.equal(await deletion.runAccountDeletionJob(jobId), false);
+    assert.equal((await jobRow(jobId)).status, 'running');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * .tar.gz writer (archive.utils.js), read back with the system tar
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { Readable } from 'stream';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeTarGz } from '../src/utils/archive.utils.js';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axzora-test-archive-'));
+
+const listArchive = archivePath => execFileSync('tar', ['-tzf', archivePath], { encoding: 'utf8' })
+  .split('\n')
+  .filter(Boolean);
+
+const readFromArchive = (archivePath, entryPath) => execFileSync('tar', ['-xzOf', archivePath, entryPath]);
+
+// Spread over several chunks, like a network response body
+const chunkedStream = data => Readable.from([data.subarray(0, 700), data.subarray(700)]);
+
+async function* entriesOf(list) {
+  yield* list;
+}
+
+describe('Tar archives', () => {
+  after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('round-trips in-memory and streamed entries of known size', async () => {
+    const archivePath = path.join(workDir, 'known.tar.gz');
+    const media = Buffer.alloc(1300, 7);
+    const longPath = `media/${'nested/'.repeat(15)}photo.jpg`;
+
+    const size = await writeTarGz(archivePath, entriesOf([
+      { path: 'profile.json', content: '{"name":"Ada"}' },
+      { path: longPath, stream: chunkedStream(media), size: media.length },
+    ]));
+
+    assert.equal(size, fs.statSync(archivePath).size);
+    assert.deepEqual(listArchive(archivePath), ['profile.json', longPath]);
+    assert.equal(readFromArchive(archivePath, 'profile.json').toString(), '{"name":"Ada"}');
+    assert.deepEqual(readFromArchive(archivePath, longPath), media);
+  });
+
+  it('measures streams whose size is unknown', async () => {
+    const archivePath = path.join(workDir, 'unknown.tar.gz');
+    const first = Buffer.from('a'.repeat(1000));
+    const second = Buffer.from('b'.repeat(10));
+
+    await writeTarGz(archivePath, entriesOf([
+      { path: 'media/no-length.bin', stream: chunkedStream(first), size: NaN },
+      { path: 'media/missing-size.bin', stream: Readable.from([second]) },
+      { path: 'calls.json', content: '[]' },
+    ]));
+
+    assert.deepEqual(listArchive(archivePath), ['media/no-length.bin', 'media/missing-size.bin', 'calls.json']);
+    assert.deepEqual(readFromArchive(archivePath, 'media/no-length.bin'), first);
+    assert.deepEqual(readFromArchive(archivePath, 'media/missing-size.bin'), second);
+    assert.equal(readFromArchive(archivePath, 'calls.json').toString(), '[]');
+  });
+
+  it('fails instead of writing an entry whose stream does not match its size', async () => {
+    const archivePath = path.join(workDir, 'mismatch.tar.gz');
+
+    await assert.rejects(
+      writeTarGz(archivePath, entriesOf([
+        { path: 'media/short.bin', stream: Readable.from([Buffer.alloc(10)]), size: 20 },
+      ])),
+      /media\/short\.bin is 10 bytes, expected 20/
+    );
+  });
+});
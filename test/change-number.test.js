@@ -0,0 +1,168 @@
+/**
+ * Changing the account phone number (change-number.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let mongoDb;
+let migratePhoneNumber;
+let announceNumberChange;
+let savePendingNumberChange;
+let getPendingNumberChange;
+let clearPendingNumberChange;
+
+const saveContact = (ownerId, { phoneNumber, countryCode = '+1', contactUserId = null }) => db.query(
+  `INSERT INTO contacts (user_id, contact_phone_number, contact_country_code, contact_user_id)
+   VALUES ($1, $2, $3, $4)`,
+  [ownerId, phoneNumber, countryCode, contactUserId]
+);
+
+const contactsOf = async (ownerId) => {
+  const result = await db.query(
+    'SELECT contact_phone_number, contact_country_code, contact_user_id FROM contacts WHERE user_id = $1 ORDER BY contact_phone_number',
+    [ownerId]
+  );
+  return result.rows;
+};
+
+const createDirectChat = async (...participants) => {
+  const result = await mongoDb.collection('chats').insertOne({
+    type: 'direct',
+    participants,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  });
+  return result.insertedId;
+};
+
+describe('Changing the phone number', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    ({
+      migratePhoneNumber,
+      announceNumberChange,
+      savePendingNumberChange,
+      getPendingNumberChange,
+      clearPendingNumberChange,
+    } = await import('../src/services/change-number.service.js'));
+  });
+
+  after(async () => {
+    await db?.stop();
+  });
+
+  it('keeps the pending change until it is cleared', async () => {
+    const userId = await createTestUser(db);
+
+    const ttl = await savePendingNumberChange(userId, { newPhoneNumber: '5550100', newCountryCode: '+44' });
+
+    assert.ok(ttl > 0);
+    assert.deepEqual(await getPendingNumberChange(userId), { newPhoneNumber: '5550100', newCountryCode: '+44' });
+    await clearPendingNumberChange(userId);
+    assert.equal(await getPendingNumberChange(userId), null);
+  });
+
+  it('moves the account and rewrites other users\' contacts to the new number', async () => {
+    const userId = await createTestUser(db, { phoneNumber: '5550200', fullName: 'Ada' });
+    const friendId = await createTestUser(db);
+    const neighbourId = await createTestUser(db);
+    await saveContact(friendId, { phoneNumber: '5550200', contactUserId: userId });
+    await saveContact(neighbourId, { phoneNumber: '5550201', countryCode: '+44' });
+
+    const result = await migratePhoneNumber({ userId, newPhoneNumber: '5550201', newCountryCode: '+44' });
+
+    assert.equal(result.changed, true);
+    assert.equal(result.oldPhoneNumber, '5550200');
+    assert.equal(result.oldCountryCode, '+1');
+    assert.equal(result.fullName, 'Ada');
+    assert.deepEqual(result.contactOwnerIds.sort(), [friendId, neighbourId].sort());
+
+    const user = await db.query('SELECT phone_number, country_code FROM users WHERE id = $1', [userId]);
+    assert.deepEqual(user.rows[0], { phone_number: '5550201', country_code: '+44' });
+    assert.deepEqual(await contactsOf(friendId), [
+      { contact_phone_number: '5550201', contact_country_code: '+44', contact_user_id: userId },
+    ]);
+    assert.deepEqual(await contactsOf(neighbourId), [
+      { contact_phone_number: '5550201', contact_country_code: '+44', contact_user_id: userId },
+    ]);
+  });
+
+  it('drops the old entry when the contact owner already saved the new number', async () => {
+    const userId = await createTestUser(db, { phoneNumber: '5550300' });
+    const friendId = await createTestUser(db);
+    await saveContact(friendId, { phoneNumber: '5550300', contactUserId: userId });
+    await saveContact(friendId, { phoneNumber: '5550301' });
+
+    const result = await migratePhoneNumber({ userId, newPhoneNumber: '5550301', newCountryCode: '+1' });
+
+    assert.equal(result.changed, true);
+    assert.deepEqual(await contactsOf(friendId), [
+      { contact_phone_number: '5550301', contact_country_code: '+1', contact_user_id: userId },
+    ]);
+  });
+
+  it('refuses a number another account already uses', async () => {
+    const userId = await createTestUser(db, { phoneNumber: '5550400' });
+    await createTestUser(db, { phoneNumber: '5550401' });
+
+    const result = await migratePhoneNumber({ userId, newPhoneNumber: '5550401', newCountryCode: '+1' });
+
+    assert.deepEqual(result, { changed: false, reason: 'number_taken' });
+    const user = await db.query('SELECT phone_number FROM users WHERE id = $1', [userId]);
+    assert.equal(user.rows[0].phone_number, '5550400');
+  });
+
+  it('reports a missing user', async () => {
+    const result = await migratePhoneNumber({
+      userId: '00000000-0000-0000-0000-000000000000',
+      newPhoneNumber: '5550500',
+      newCountryCode: '+1',
+    });
+
+    assert.deepEqual(result, { changed: false, reason: 'user_not_found' });
+  });
+
+  it('announces the change only in direct chats with contact owners', async () => {
+    const userId = await createTestUser(db);
+    const friendId = await createTestUser(db);
+    const strangerId = await createTestUser(db);
+    const friendChatId = await createDirectChat(userId, friendId);
+    const strangerChatId = await createDirectChat(userId, strangerId);
+
+    const notified = await announceNumberChange({
+      userId,
+      fullName: 'Ada',
+      newPhoneNumber: '5550600',
+      newCountryCode: '+44',
+      contactOwnerIds: [friendId],
+    });
+
+    assert.equal(notified, 1);
+    const messages = mongoDb.collection('messages');
+    const notice = await messages.findOne({ chatId: friendChatId });
+    assert.equal(notice.messageType, 'system');
+    assert.equal(notice.senderId, userId);
+    assert.equal(notice.message, 'Ada changed their phone number to +44 5550600');
+    assert.deepEqual(notice.systemData, {
+      event: 'phone_number_changed',
+      userId,
+      newPhoneNumber: '5550600',
+      newCountryCode: '+44',
+    });
+    assert.equal(await messages.findOne({ chatId: strangerChatId }), null);
+
+    const chat = await mongoDb.collection('chats').findOne({ _id: friendChatId });
+    assert.equal(chat.lastMessageType, 'system');
+  });
+
+  it('announces nothing without contact owners', async () => {
+    const userId = await createTestUser(db);
+
+    assert.equal(await announceNumberChange({ userId, contactOwnerIds: [] }), 0);
+  });
+});
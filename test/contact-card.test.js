@@ -0,0 +1,134 @@
+/**
+ * Contact card messages (vcard.utils.js, contact-card.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let sendMessage;
+let vcard;
+let importContactCard;
+
+const card = (...lines) => ['BEGIN:VCARD', ...lines, 'END:VCARD'].join('\r\n');
+
+const startChat = async () => {
+  const aliceId = await createTestUser(db, { fullName: 'Alice', countryCode: '+44' });
+  const bobId = await createTestUser(db, { fullName: 'Bob', countryCode: '+44' });
+  const first = await sendMessage({ senderId: aliceId, recipientId: bobId, message: 'Hi' });
+  return { aliceId, bobId, chatId: first.messageData.chatId };
+};
+
+// As POST /api/messages does it (validateMessage parses the vCard and sets the text)
+const sendContact = (senderId, chatId, text) => {
+  const { cards } = vcard.parseVCards(text);
+  return sendMessage({
+    senderId,
+    chatId,
+    messageType: 'contact',
+    message: vcard.describeContacts(cards),
+    contacts: cards,
+  });
+};
+
+const contactsOf = async (userId) => {
+  const result = await db.query(
+    `SELECT contact_country_code, contact_phone_number, contact_name, contact_user_id
+     FROM contacts WHERE user_id = $1 ORDER BY contact_phone_number`,
+    [userId]
+  );
+  return result.rows;
+};
+
+describe('Contact cards', () => {
+  before(async () => {
+    db = await startPostgres();
+    // sendMessage emits through the Socket.IO server
+    const { initializeSocket } = await import('../src/socket/socket.server.js');
+    initializeSocket(http.createServer());
+    ({ sendMessage } = await import('../src/services/message.service.js'));
+    vcard = await import('../src/utils/vcard.utils.js');
+    ({ importContactCard } = await import('../src/services/contact-card.service.js'));
+  });
+
+  after(async () => {
+    await db?.stop();
+  });
+
+  it('parses 3.0 and 4.0 cards with folded lines, escapes and bare types', () => {
+    const { cards, error } = vcard.parseVCards([
+      card('VERSION:3.0', 'FN:Grace Hopper', 'N:Hopper;Grace;;;', 'ORG:US Navy\\, Reserve;Research', 'TEL;CELL:+1 (555) 010-0000'),
+      card('VERSION:4.0', 'N:Lovelace;Ada;;;', 'TEL;TYPE="cell,voice":tel:+44-20-7946-0000', 'EMAIL:ada@example.org', 'NOTE:long', ' er note'),
+    ].join('\r\n'));
+
+    assert.equal(error, undefined);
+    assert.equal(cards.length, 2);
+    assert.equal(cards[0].fullName, 'Grace Hopper');
+    assert.equal(cards[0].organization, 'US Navy, Reserve');
+    assert.deepEqual(cards[0].phones[0], { value: '+15550100000', types: ['cell'], countryCode: null, phoneNumber: null, userId: null });
+    assert.equal(cards[1].fullName, 'Ada Lovelace');
+    assert.deepEqual(cards[1].phones[0].types, ['cell', 'voice']);
+    assert.deepEqual(cards[1].emails, ['ada@example.org']);
+    assert.equal(vcard.describeContacts(cards), 'Grace Hopper and 1 other contact');
+  });
+
+  it('rejects cards it cannot use', () => {
+    const errorOf = text => vcard.parseVCards(text).error;
+
+    assert.match(errorOf(card('VERSION:2.1', 'FN:Old', 'TEL:123')), /versions 3\.0 and 4\.0/);
+    assert.match(errorOf(card('VERSION:3.0', 'TEL:123')), /needs a name/);
+    assert.match(errorOf(card('VERSION:3.0', 'FN:Nobody')), /phone number or email/);
+    assert.match(errorOf('BEGIN:VCARD\r\nVERSION:3.0\r\nFN:Cut off'), /missing END:VCARD/);
+    assert.match(errorOf('just text'), /No vCard found/);
+    assert.match(errorOf(''), /required/);
+  });
+
+  it('splits numbers the way users are stored', () => {
+    assert.deepEqual(vcard.splitPhoneNumber('07700900123', '+44'), { countryCode: '+44', phoneNumber: '7700900123' });
+    assert.deepEqual(vcard.splitPhoneNumber('+447700900123', '+44'), { countryCode: '+44', phoneNumber: '7700900123' });
+    assert.deepEqual(vcard.splitPhoneNumber('+15550100000', '+44'), { countryCode: null, phoneNumber: '+15550100000' });
+  });
+
+  it('links numbers on a sent card to registered users', async () => {
+    const { aliceId, chatId } = await startChat();
+    const carolId = await createTestUser(db, { fullName: 'Carol', countryCode: '+44', phoneNumber: '7700900111' });
+    const daveId = await createTestUser(db, { fullName: 'Dave', countryCode: '+1', phoneNumber: '5550100222' });
+
+    const result = await sendContact(aliceId, chatId, [
+      card('VERSION:3.0', 'FN:Carol', 'TEL:07700 900111'),
+      card('VERSION:3.0', 'FN:Dave', 'TEL:+1 555 010 0222'),
+      card('VERSION:3.0', 'FN:Erin', 'TEL:07700 900999'),
+    ].join('\r\n'));
+
+    assert.equal(result.sent, true);
+    assert.equal(result.messageData.message, 'Carol and 2 other contacts');
+    assert.deepEqual(result.messageData.contacts.map(contact => contact.userId), [carolId, daveId, null]);
+    assert.equal(result.messageData.contacts[2].phones[0].countryCode, '+44');
+  });
+
+  it('saves a received card to the recipient\'s contacts', async () => {
+    const { aliceId, bobId, chatId } = await startChat();
+    const carolId = await createTestUser(db, { fullName: 'Carol', countryCode: '+44', phoneNumber: '7700900333' });
+    const sent = await sendContact(aliceId, chatId, card('VERSION:4.0', 'FN:Carol', 'TEL:07700900333', 'TEL:07700900444'));
+
+    const result = await importContactCard({ userId: bobId, messageId: sent.messageData.id });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(await contactsOf(bobId), [
+      { contact_country_code: '+44', contact_phone_number: '7700900333', contact_name: 'Carol', contact_user_id: carolId },
+      { contact_country_code: '+44', contact_phone_number: '7700900444', contact_name: 'Carol', contact_user_id: null },
+    ]);
+  });
+
+  it('only imports cards from the user\'s own chats', async () => {
+    const { aliceId, chatId } = await startChat();
+    const outsiderId = await createTestUser(db, { fullName: 'Mallory' });
+    const sent = await sendContact(aliceId, chatId, card('VERSION:3.0', 'FN:Carol', 'TEL:07700900555'));
+
+    assert.deepEqual(await importContactCard({ userId: outsiderId, messageId: sent.messageData.id }), { success: false, reason: 'not_found' });
+    assert.deepEqual(await importContactCard({ userId: outsiderId, messageId: 'nope' }), { success: false, reason: 'invalid_message' });
+    assert.deepEqual(await contactsOf(outsiderId), []);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * "Download my data" exports (data-export.service.js)
+ * Archives and media go to the local storage driver in a temporary UPLOADS_DIR
+ * and are checked with the system tar.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axzora-test-uploads-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOADS_DIR = uploadsDir;
+
+let db;
+let mongoDb;
+let dataExports;
+
+const listArchive = archivePath => execFileSync('tar', ['-tzf', archivePath], { encoding: 'utf8' })
+  .split('\n')
+  .filter(Boolean)
+  .sort();
+
+const readFromArchive = (archivePath, entryPath) => execFileSync('tar', ['-xzOf', archivePath, entryPath], { encoding: 'utf8' });
+
+const exportRow = async (exportId) => {
+  const result = await db.query(
+    'SELECT status, file_key, file_size, expires_at, attempts FROM data_export_jobs WHERE id = $1',
+    [exportId]
+  );
+  return result.rows[0];
+};
+
+describe('Data exports', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    dataExports = await import('../src/services/data-export.service.js');
+  });
+
+  after(async () => {
+    await db?.stop();
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  it('queues one export per user at a time', async () => {
+    const userId = await createTestUser(db);
+
+    const first = await dataExports.createDataExport(userId);
+    const second = await dataExports.createDataExport(userId);
+
+    assert.equal(first.created, true);
+    assert.equal(second.created, false);
+    assert.equal(second.id, first.id);
+  });
+
+  it('builds an archive of the profile, chats and uploaded media', async () => {
+    const userId = await createTestUser(db, { fullName: 'Ada' });
+    const friendId = await createTestUser(db, { fullName: 'Grace' });
+    await db.query(
+      "UPDATE users SET verification_code = '123456' WHERE id = $1",
+      [userId]
+    );
+
+    const photo = `image-${userId}-1.jpg`;
+    fs.writeFileSync(path.join(uploadsDir, photo), 'jpeg bytes');
+
+    const { insertedId: chatId } = await mongoDb.collection('chats').insertOne({
+      type: 'direct',
+      participants: [userId, friendId],
+    });
+    await mongoDb.collection('messages').insertMany([
+      { chatId, senderId: friendId, message: 'hello', messageType: 'text', createdAt: new Date('2026-01-01T10:00:00Z') },
+      { chatId, senderId: userId, message: 'hi Grace', messageType: 'text', createdAt: new Date('2026-01-01T10:01:00Z') },
+      { chatId, senderId: userId, message: photo, messageType: 'image', mediaKeys: [photo], createdAt: new Date('2026-01-01T10:02:00Z') },
+    ]);
+
+    const { id: exportId } = await dataExports.createDataExport(userId);
+    assert.equal(await dataExports.runDataExportJob(exportId), true);
+
+    const record = await exportRow(exportId);
+    assert.equal(record.status, 'completed');
+    assert.ok(record.expires_at > new Date());
+    const archivePath = path.join(uploadsDir, record.file_key);
+    assert.equal(Number(record.file_size), fs.statSync(archivePath).size);
+
+    assert.deepEqual(listArchive(archivePath), [
+      'blocked_users.json',
+      'calls.json',
+      `chats/${chatId}.json`,
+      `chats/${chatId}.txt`,
+      'contacts.json',
+      'login_logs.json',
+      `media/${photo}`,
+      'profile.json',
+      'settings.json',
+    ]);
+
+    const profile = JSON.parse(readFromArchive(archivePath, 'profile.json'));
+    assert.equal(profile.full_name, 'Ada');
+    assert.equal(profile.verification_code, undefined);
+
+    const transcript = readFromArchive(archivePath, `chats/${chatId}.txt`);
+    assert.match(transcript, /^Chat with Grace$/m);
+    assert.match(transcript, /\[2026-01-01 10:00:00 UTC\] Grace: hello/);
+    assert.match(transcript, /\[2026-01-01 10:01:00 UTC\] Ada: hi Grace/);
+    assert.equal(readFromArchive(archivePath, `media/${photo}`), 'jpeg bytes');
+  });
+
+  it('serves the archive only with a download token for that export', async () => {
+    const userId = await createTestUser(db);
+    const { id: exportId } = await dataExports.createDataExport(userId);
+    await dataExports.runDataExportJob(exportId);
+
+    const record = await dataExports.getDataExport(userId, exportId);
+    assert.equal(record.is_available, true);
+
+    const download = await dataExports.getExportDownload(exportId, dataExports.createDownloadToken(record));
+    assert.equal(download.fileKey, `export-${exportId}.tar.gz`);
+    assert.match(download.fileName, /^axzora-chat-data-\d{4}-\d{2}-\d{2}\.tar\.gz$/);
+
+    const otherUserId = await createTestUser(db);
+    const { id: otherExportId } = await dataExports.createDataExport(otherUserId);
+    const wrongExport = await dataExports.getExportDownload(otherExportId, dataExports.createDownloadToken(record));
+    assert.deepEqual(wrongExport, { reason: 'invalid' });
+
+    const expiredToken = jwt.sign(
+      { exportId, purpose: 'data_export', exp: Math.floor(Date.now() / 1000) - 10 },
+      process.env.JWT_SECRET
+    );
+    assert.deepEqual(await dataExports.getExportDownload(exportId, expiredToken), { reason: 'expired' });
+  });
+
+  it('deletes archives once they expire', async () => {
+    const userId = await createTestUser(db);
+    const { id: exportId } = await dataExports.createDataExport(userId);
+    await dataExports.runDataExportJob(exportId);
+    const { file_key: fileKey } = await exportRow(exportId);
+    await db.query("UPDATE data_export_jobs SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 hour' WHERE id = $1", [exportId]);
+
+    await dataExports.processDataExports();
+
+    assert.equal((await exportRow(exportId)).status, 'expired');
+    assert.equal(fs.existsSync(path.join(uploadsDir, fileKey)), false);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Disappearing message timers and the purge job (disappearing-messages.service.js)
+ * Uploads go to the local storage driver in a temporary UPLOADS_DIR.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ObjectId } from 'mongodb';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axzora-test-uploads-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOADS_DIR = uploadsDir;
+
+let db;
+let mongoDb;
+let sendMessage;
+let getUnreadCount;
+let disappearing;
+
+// An upload as the upload middleware names it: <kind>-<uploaderId>-<timestamp>-<random>.<ext>
+const upload = (userId) => {
+  const key = `image-${userId}-${Date.now()}-${Math.round(Math.random() * 1e9)}.jpg`;
+  fs.writeFileSync(path.join(uploadsDir, key), 'jpeg');
+  return { key, url: `${process.env.BASE_URL}/uploads/${key}` };
+};
+
+const isStored = key => fs.existsSync(path.join(uploadsDir, key));
+
+const startChat = async (disappearingTimer) => {
+  const aliceId = await createTestUser(db, { fullName: 'Alice' });
+  const bobId = await createTestUser(db, { fullName: 'Bob' });
+  const first = await sendMessage({ senderId: aliceId, recipientId: bobId, message: 'Hi' });
+  const chatId = new ObjectId(first.messageData.chatId);
+  await mongoDb.collection('chats').updateOne({ _id: chatId }, { $set: { disappearingTimer } });
+  return { aliceId, bobId, chatId, first: first.messageData };
+};
+
+// A copy of a media message as POST /api/messages/forward stores it
+const forward = async (messageId, senderId, chatId) => {
+  const { _id, ...original } = await mongoDb.collection('messages').findOne({ _id: new ObjectId(messageId) });
+  const { insertedId } = await mongoDb.collection('messages').insertOne({
+    ...original,
+    chatId,
+    senderId,
+    isForwarded: true,
+    expiresAt: null,
+    createdAt: new Date(),
+  });
+  return insertedId.toString();
+};
+
+// Let the timers run out without waiting for them
+const expire = ids => mongoDb.collection('messages').updateMany(
+  { _id: { $in: ids.map(id => new ObjectId(id)) } },
+  { $set: { expiresAt: new Date(Date.now() - 1000) } }
+);
+
+describe('Disappearing messages', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    // The purge job and sendMessage emit through the Socket.IO server
+    const { initializeSocket } = await import('../src/socket/socket.server.js');
+    initializeSocket(http.createServer());
+    ({ sendMessage } = await import('../src/services/message.service.js'));
+    ({ getUnreadCount } = await import('../src/utils/redis.utils.js'));
+    disappearing = await import('../src/services/disappearing-messages.service.js');
+  });
+
+  after(async () => {
+    await db?.stop();
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  it('gives messages an expiry only while the chat has a timer', () => {
+    const sentAt = new Date('2026-01-01T00:00:00Z');
+
+    assert.equal(
+      disappearing.getMessageExpiresAt({ disappearingTimer: '24h' }, sentAt).toISOString(),
+      '2026-01-02T00:00:00.000Z'
+    );
+    assert.equal(
+      disappearing.getMessageExpiresAt({ disappearingTimer: '7d' }, sentAt).toISOString(),
+      '2026-01-08T00:00:00.000Z'
+    );
+    assert.equal(disappearing.getMessageExpiresAt({ disappearingTimer: null }, sentAt), null);
+    assert.equal(disappearing.getMessageExpiresAt({ disappearingTimer: '1h' }, sentAt), null);
+    assert.equal(disappearing.getMessageExpiresAt(null, sentAt), null);
+  });
+
+  it('stamps messages sent while the timer is on', async () => {
+    const { aliceId, chatId, first } = await startChat('24h');
+
+    const sent = await sendMessage({ senderId: aliceId, chatId: chatId.toString(), message: 'Gone tomorrow' });
+
+    assert.equal(first.expiresAt, null);
+    const expiresIn = new Date(sent.messageData.expiresAt).getTime() - Date.now();
+    assert.ok(expiresIn > 23 * 60 * 60 * 1000 && expiresIn <= 24 * 60 * 60 * 1000);
+  });
+
+  it('purges expired messages and their files and repoints the chat preview', async () => {
+    const { aliceId, bobId, chatId, first } = await startChat('24h');
+    const photo = upload(aliceId);
+    const text = await sendMessage({ senderId: aliceId, chatId: chatId.toString(), message: 'Secret' });
+    const image = await sendMessage({ senderId: aliceId, chatId: chatId.toString(), message: photo.url, messageType: 'image' });
+    const kept = await sendMessage({ senderId: aliceId, chatId: chatId.toString(), message: 'Still here' });
+    const unreadBefore = await getUnreadCount(bobId, chatId.toString());
+
+    await expire([text.messageData.id, image.messageData.id]);
+    const result = await disappearing.deleteExpiredMessages();
+
+    assert.equal(result.success, true);
+    assert.equal(result.messagesDeleted, 2);
+    assert.equal(result.filesDeleted, 1);
+    assert.equal(isStored(photo.key), false);
+    const left = await mongoDb.collection('messages').find({ chatId }).sort({ createdAt: 1 }).toArray();
+    assert.deepEqual(left.map(msg => msg._id.toString()), [first.id, kept.messageData.id]);
+    assert.equal(await getUnreadCount(bobId, chatId.toString()), unreadBefore - 2);
+
+    await expire([kept.messageData.id]);
+    await disappearing.deleteExpiredMessages();
+
+    const chat = await mongoDb.collection('chats').findOne({ _id: chatId });
+    assert.equal(chat.lastMessage, 'Hi');
+    assert.equal(chat.lastMessageType, 'text');
+  });
+
+  it('keeps a file another message still points at', async () => {
+    const { aliceId, chatId } = await startChat('24h');
+    const photo = upload(aliceId);
+    const image = await sendMessage({ senderId: aliceId, chatId: chatId.toString(), message: photo.url, messageType: 'image' });
+    // Sent again once the timer is off, so it never expires
+    await mongoDb.collection('chats').updateOne({ _id: chatId }, { $set: { disappearingTimer: null } });
+    await sendMessage({ senderId: aliceId, chatId: chatId.toString(), message: photo.url, messageType: 'image' });
+
+    await expire([image.messageData.id]);
+    const result = await disappearing.deleteExpiredMessages();
+
+    assert.equal(result.filesDeleted, 0);
+    assert.equal(isStored(photo.key), true);
+  });
+
+  it('deletes the thumbnail with the file', async () => {
+    const { aliceId, chatId } = await startChat('24h');
+    const video = upload(aliceId);
+    const thumbnail = upload(aliceId);
+    const { insertedId } = await mongoDb.collection('messages').insertOne({
+      chatId,
+      senderId: aliceId,
+      message: video.url,
+      messageType: 'video',
+      media: { thumbnailUrl: thumbnail.url },
+      mediaKeys: [video.key, thumbnail.key],
+      readBy: [aliceId],
+      deletedAt: null,
+      expiresAt: new Date(Date.now() - 1000),
+      createdAt: new Date(),
+    });
+
+    const result = await disappearing.deleteExpiredMessages();
+
+    assert.equal(result.filesDeleted, 1);
+    assert.equal(await mongoDb.collection('messages').findOne({ _id: insertedId }), null);
+    assert.equal(isStored(video.key), false);
+    assert.equal(isStored(thumbnail.key), false);
+  });
+
+  it('keeps a file forwarded to a chat without a timer', async () => {
+    const { aliceId, chatId } = await startChat('24h');
+    const other = await startChat(null);
+    const photo = upload(aliceId);
+    const image = await sendMessage({ senderId: aliceId, chatId: chatId.toString(), message: photo.url, messageType: 'image' });
+    await forward(image.messageData.id, other.aliceId, other.chatId);
+
+    await expire([image.messageData.id]);
+    const result = await disappearing.deleteExpiredMessages();
+
+    assert.equal(result.filesDeleted, 0);
+    assert.equal(isStored(photo.key), true);
+  });
+
+  it('leaves files the sender forwarded from someone else', async () => {
+    const { aliceId, bobId, chatId } = await startChat(null);
+    const timed = await startChat('24h');
+    const photo = upload(aliceId);
+    const image = await sendMessage({ senderId: aliceId, chatId: chatId.toString(), message: photo.url, messageType: 'image' });
+    const copyId = await forward(image.messageData.id, bobId, timed.chatId);
+    await mongoDb.collection('messages').deleteOne({ _id: new ObjectId(image.messageData.id) });
+
+    await expire([copyId]);
+    const result = await disappearing.deleteExpiredMessages();
+
+    assert.equal(result.messagesDeleted, 1);
+    assert.equal(result.filesDeleted, 0);
+    assert.equal(isStored(photo.key), true);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Editing messages and their edit history (PUT /api/messages/:messageId, GET .../history)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { ObjectId } from 'mongodb';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let mongoDb;
+let apiServer;
+let sendMessage;
+let createUserSession;
+
+const tokenFor = async (userId) => {
+  const session = await createUserSession({
+    userId,
+    deviceId: `device-${userId}`,
+    deviceName: 'Test phone',
+    deviceType: 'mobile',
+    ipAddress: '127.0.0.1',
+    userAgent: 'node-test',
+  });
+  return jwt.sign(
+    { userId, deviceId: `device-${userId}`, sessionId: session.sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+  );
+};
+
+const api = async (token, method, path, body) => {
+  const response = await fetch(`http://127.0.0.1:${apiServer.address().port}/api/messages${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const startChat = async () => {
+  const aliceId = await createTestUser(db, { fullName: 'Alice' });
+  const bobId = await createTestUser(db, { fullName: 'Bob' });
+  const sent = await sendMessage({ senderId: aliceId, recipientId: bobId, message: 'v1' });
+  return {
+    alice: await tokenFor(aliceId),
+    bob: await tokenFor(bobId),
+    messageId: sent.messageData.id,
+  };
+};
+
+describe('Edit history', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    // Edits are announced through the Socket.IO server
+    const { initializeSocket } = await import('../src/socket/socket.server.js');
+    initializeSocket(http.createServer());
+    ({ sendMessage } = await import('../src/services/message.service.js'));
+    ({ createUserSession } = await import('../src/services/session.service.js'));
+
+    const { default: messagesRoutes } = await import('../src/routes/messages.routes.js');
+    const app = express();
+    app.use(express.json());
+    app.use('/api/messages', messagesRoutes);
+    apiServer = http.createServer(app);
+    await new Promise(resolve => apiServer.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    await new Promise(resolve => apiServer.close(resolve));
+    await db?.stop();
+  });
+
+  it('keeps each replaced version, oldest first', async () => {
+    const { alice, bob, messageId } = await startChat();
+
+    const first = await api(alice, 'PUT', `/${messageId}`, { message: 'v2' });
+    await api(alice, 'PUT', `/${messageId}`, { message: 'v3' });
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.data.editCount, 1);
+    const { status, body } = await api(bob, 'GET', `/${messageId}/history`);
+    assert.equal(status, 200);
+    assert.equal(body.data.message, 'v3');
+    assert.equal(body.data.editCount, 2);
+    assert.deepEqual(body.data.history.map(version => version.message), ['v1', 'v2']);
+    assert.equal(body.data.history[0].sentAt, body.data.createdAt);
+    assert.equal(body.data.history[1].sentAt, body.data.history[0].replacedAt);
+  });
+
+  it('does not add a version when the text is unchanged', async () => {
+    const { alice, messageId } = await startChat();
+
+    const { body } = await api(alice, 'PUT', `/${messageId}`, { message: 'v1' });
+
+    assert.equal(body.data.editCount, 0);
+    assert.deepEqual((await api(alice, 'GET', `/${messageId}/history`)).body.data.history, []);
+  });
+
+  it('keeps only the latest 20 versions but counts every edit', async () => {
+    const { alice, messageId } = await startChat();
+
+    for (let version = 2; version <= 23; version++) {
+      await api(alice, 'PUT', `/${messageId}`, { message: `v${version}` });
+    }
+
+    const { body } = await api(alice, 'GET', `/${messageId}/history`);
+    assert.equal(body.data.editCount, 22);
+    assert.equal(body.data.history.length, 20);
+    assert.equal(body.data.history[0].message, 'v3');
+    assert.equal(body.data.history[19].message, 'v22');
+  });
+
+  it('only lets the sender edit and only participants see the history', async () => {
+    const { alice, bob, messageId } = await startChat();
+    const outsider = await tokenFor(await createTestUser(db));
+
+    assert.equal((await api(bob, 'PUT', `/${messageId}`, { message: 'hijacked' })).status, 404);
+    assert.equal((await api(outsider, 'GET', `/${messageId}/history`)).status, 404);
+    assert.equal((await api(alice, 'GET', `/${messageId}/history`)).body.data.message, 'v1');
+  });
+
+  it('drops the history when the message is deleted for everyone', async () => {
+    const { alice, bob, messageId } = await startChat();
+    await api(alice, 'PUT', `/${messageId}`, { message: 'v2' });
+
+    await mongoDb.collection('messages').updateOne({ _id: new ObjectId(messageId) }, { $set: { deletedAt: new Date() } });
+
+    assert.deepEqual((await api(bob, 'GET', `/${messageId}/history`)).body.data.history, []);
+    assert.equal((await api(alice, 'PUT', `/${messageId}`, { message: 'v3' })).status, 400);
+  });
+});
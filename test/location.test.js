@@ -0,0 +1,153 @@
+/**
+ * Location and live location messages (location.utils.js, live-location.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ObjectId } from 'mongodb';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let mongoDb;
+let sendMessage;
+let locationUtils;
+let liveLocation;
+
+const startChat = async () => {
+  const aliceId = await createTestUser(db, { fullName: 'Alice' });
+  const bobId = await createTestUser(db, { fullName: 'Bob' });
+  const first = await sendMessage({ senderId: aliceId, recipientId: bobId, message: 'Hi' });
+  return { aliceId, bobId, chatId: first.messageData.chatId };
+};
+
+// As POST /api/messages does it (validateMessage normalises the location and sets the text)
+const sendLocation = (senderId, chatId, messageType, input) => {
+  const { location } = locationUtils.normalizeLocation(input, messageType);
+  return sendMessage({
+    senderId,
+    chatId,
+    messageType,
+    message: locationUtils.describeLocation(location, messageType),
+    location,
+  });
+};
+
+const shareLiveLocation = async (senderId, chatId) => {
+  const result = await sendLocation(senderId, chatId, 'live_location', { latitude: 51.5, longitude: -0.12, durationMinutes: 15 });
+  assert.equal(result.sent, true);
+  return result.messageData.id;
+};
+
+const storedLocation = async messageId => (
+  await mongoDb.collection('messages').findOne({ _id: new ObjectId(messageId) })
+).location;
+
+describe('Location messages', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    // sendMessage and live updates emit through the Socket.IO server
+    const { initializeSocket } = await import('../src/socket/socket.server.js');
+    initializeSocket(http.createServer());
+    ({ sendMessage } = await import('../src/services/message.service.js'));
+    locationUtils = await import('../src/utils/location.utils.js');
+    liveLocation = await import('../src/services/live-location.service.js');
+  });
+
+  after(async () => {
+    await db?.stop();
+  });
+
+  it('validates coordinates, text fields and live durations', () => {
+    const { normalizeLocation } = locationUtils;
+
+    assert.match(normalizeLocation({ latitude: 91, longitude: 0 }, 'location').error, /latitude/);
+    assert.match(normalizeLocation({ latitude: 0, longitude: '10' }, 'location').error, /longitude/);
+    assert.match(normalizeLocation({ latitude: 0, longitude: 0, accuracy: -1 }, 'location').error, /accuracy/);
+    assert.match(normalizeLocation({ latitude: 0, longitude: 0, placeName: 'x'.repeat(201) }, 'location').error, /placeName/);
+    assert.match(normalizeLocation({ latitude: 0, longitude: 0, durationMinutes: 30 }, 'live_location').error, /durationMinutes/);
+    assert.match(normalizeLocation(null, 'location').error, /required/);
+
+    const { location } = normalizeLocation({ latitude: 48.85, longitude: 2.35, placeName: ' Louvre ' }, 'location');
+    assert.deepEqual(location, { latitude: 48.85, longitude: 2.35, accuracy: null, placeName: 'Louvre', address: null });
+  });
+
+  it('sends a pinned location with its place name as the preview', async () => {
+    const { aliceId, chatId } = await startChat();
+
+    const result = await sendLocation(aliceId, chatId, 'location', { latitude: 48.85, longitude: 2.35, placeName: 'Louvre' });
+
+    assert.equal(result.sent, true);
+    assert.equal(result.messageData.message, 'Louvre');
+    assert.equal(result.messageData.location.latitude, 48.85);
+    const chat = await mongoDb.collection('chats').findOne({ _id: new ObjectId(chatId) });
+    assert.equal(chat.lastMessage, 'Louvre');
+    assert.equal(chat.lastMessageType, 'location');
+  });
+
+  it('moves a live location until the sender stops it', async () => {
+    const { aliceId, chatId } = await startChat();
+    const messageId = await shareLiveLocation(aliceId, chatId);
+
+    const moved = await liveLocation.updateLiveLocation({
+      userId: aliceId,
+      messageId,
+      coords: { latitude: 51.51, longitude: -0.13, accuracy: 5 },
+    });
+    assert.equal(moved.success, true);
+    assert.equal((await storedLocation(messageId)).latitude, 51.51);
+
+    const stopped = await liveLocation.stopLiveLocation({ userId: aliceId, messageId });
+    assert.equal(stopped.success, true);
+    assert.equal(stopped.location.live.stopReason, 'stopped');
+    assert.equal(stopped.location.live.isActive, false);
+
+    const late = await liveLocation.updateLiveLocation({ userId: aliceId, messageId, coords: { latitude: 0, longitude: 0 } });
+    assert.deepEqual(late, { success: false, reason: 'ended' });
+    assert.deepEqual(await liveLocation.stopLiveLocation({ userId: aliceId, messageId }), { success: false, reason: 'ended' });
+  });
+
+  it('only lets the sender move or stop a share', async () => {
+    const { aliceId, bobId, chatId } = await startChat();
+    const messageId = await shareLiveLocation(aliceId, chatId);
+
+    assert.deepEqual(
+      await liveLocation.updateLiveLocation({ userId: bobId, messageId, coords: { latitude: 0, longitude: 0 } }),
+      { success: false, reason: 'not_found' }
+    );
+    assert.deepEqual(await liveLocation.stopLiveLocation({ userId: bobId, messageId }), { success: false, reason: 'not_found' });
+    assert.deepEqual(
+      await liveLocation.updateLiveLocation({ userId: aliceId, messageId, coords: { latitude: 100, longitude: 0 } }),
+      { success: false, reason: 'invalid_coordinates' }
+    );
+    assert.equal((await storedLocation(messageId)).latitude, 51.5);
+  });
+
+  it('ends shares once they expire', async () => {
+    const { aliceId, chatId } = await startChat();
+    const messageId = await shareLiveLocation(aliceId, chatId);
+    await mongoDb.collection('messages').updateOne(
+      { _id: new ObjectId(messageId) },
+      { $set: { 'location.live.expiresAt': new Date(Date.now() - 1000) } }
+    );
+
+    await liveLocation.stopExpiredLiveLocations();
+
+    const { live } = await storedLocation(messageId);
+    assert.equal(live.stopReason, 'expired');
+    assert.ok(live.stoppedAt);
+  });
+
+  it('ends a share when either side blocks the other', async () => {
+    const { aliceId, bobId, chatId } = await startChat();
+    const messageId = await shareLiveLocation(aliceId, chatId);
+    await db.query('INSERT INTO blocked_users (blocker_id, blocked_id) VALUES ($1, $2)', [bobId, aliceId]);
+
+    const moved = await liveLocation.updateLiveLocation({ userId: aliceId, messageId, coords: { latitude: 0, longitude: 0 } });
+
+    assert.deepEqual(moved, { success: false, reason: 'blocked' });
+    assert.equal((await storedLocation(messageId)).live.stopReason, 'blocked');
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * New device / new IP detection and security alerts (login-security.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let assessLogin;
+let getSecurityAlerts;
+let resolveLoginDevice;
+let createUserSession;
+let logLoginActivity;
+let revokeSession;
+let rotateRefreshToken;
+
+const signIn = async (userId, deviceId, ipAddress) => {
+  const assessment = await assessLogin({ userId, deviceId, ipAddress });
+  const session = await createUserSession({
+    userId,
+    deviceId,
+    deviceName: `Phone ${deviceId}`,
+    deviceType: 'mobile',
+    ipAddress,
+    userAgent: 'node-test',
+  });
+  await logLoginActivity({
+    userId,
+    action: 'login',
+    status: 'success',
+    ipAddress,
+    userAgent: 'node-test',
+    deviceId,
+    deviceType: 'mobile',
+    isNewDevice: assessment.isNewDevice,
+    isNewIp: assessment.isNewIp,
+  });
+  return { ...assessment, ...session };
+};
+
+describe('Login security', () => {
+  before(async () => {
+    db = await startPostgres();
+    ({ assessLogin, getSecurityAlerts, resolveLoginDevice } = await import('../src/services/login-security.service.js'));
+    ({ createUserSession, logLoginActivity, revokeSession, rotateRefreshToken } = await import('../src/services/session.service.js'));
+  });
+
+  after(async () => {
+    await db?.stop();
+  });
+
+  it('has nothing to compare the first login against', async () => {
+    const userId = await createTestUser(db);
+
+    assert.deepEqual(
+      await assessLogin({ userId, deviceId: 'first-device', ipAddress: '198.51.100.1' }),
+      { isFirstLogin: true, isNewDevice: false, isNewIp: false }
+    );
+  });
+
+  it('flags devices and IPs the account has not used', async () => {
+    const userId = await createTestUser(db);
+    await signIn(userId, 'phone-0001', '198.51.100.1');
+
+    assert.deepEqual(
+      await assessLogin({ userId, deviceId: 'phone-0001', ipAddress: '198.51.100.1' }),
+      { isFirstLogin: false, isNewDevice: false, isNewIp: false }
+    );
+    assert.deepEqual(
+      await assessLogin({ userId, deviceId: 'phone-0001', ipAddress: '203.0.113.7' }),
+      { isFirstLogin: false, isNewDevice: false, isNewIp: true }
+    );
+    assert.deepEqual(
+      await assessLogin({ userId, deviceId: 'laptop-0001', ipAddress: '198.51.100.1' }),
+      { isFirstLogin: false, isNewDevice: true, isNewIp: false }
+    );
+  });
+
+  it('lists logins from new devices as security alerts', async () => {
+    const userId = await createTestUser(db);
+    await signIn(userId, 'phone-0002', '198.51.100.2');
+    const laptop = await signIn(userId, 'laptop-0002', '203.0.113.8');
+    assert.equal(laptop.isNewDevice, true);
+
+    const alerts = await getSecurityAlerts(userId);
+
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].type, 'new_device_login');
+    assert.equal(alerts[0].deviceId, 'laptop-0002');
+    assert.equal(alerts[0].sessionId, laptop.sessionId);
+    assert.equal(alerts[0].deviceName, 'Phone laptop-0002');
+    assert.equal(alerts[0].ipAddress, '203.0.113.8');
+    assert.equal(alerts[0].isNewIp, true);
+    assert.equal(alerts[0].isSignedIn, true);
+  });
+
+  it('shows a signed-out device as no longer signed in', async () => {
+    const userId = await createTestUser(db);
+    await signIn(userId, 'phone-0003', '198.51.100.3');
+    const laptop = await signIn(userId, 'laptop-0003', '198.51.100.3');
+
+    await revokeSession(userId, laptop.sessionId);
+
+    const [alert] = await getSecurityAlerts(userId);
+    assert.equal(alert.isSignedIn, false);
+  });
+
+  it('keeps a claimed device ID only with a token for that device', async () => {
+    const userId = await createTestUser(db);
+    const phone = await signIn(userId, 'phone-0004', '198.51.100.4');
+
+    assert.deepEqual(
+      await resolveLoginDevice({ userId, claimedDeviceId: 'phone-0004', refreshToken: phone.refreshToken }),
+      { deviceId: 'phone-0004', isKnownDevice: true }
+    );
+
+    const otherUserId = await createTestUser(db);
+    const otherPhone = await signIn(otherUserId, 'phone-0004', '198.51.100.4');
+    const borrowed = await resolveLoginDevice({ userId, claimedDeviceId: 'phone-0004', refreshToken: otherPhone.refreshToken });
+    assert.equal(borrowed.isKnownDevice, false);
+    assert.notEqual(borrowed.deviceId, 'phone-0004');
+  });
+
+  it('signs in a login that only claims another device\'s ID as a new device', async () => {
+    const userId = await createTestUser(db);
+    const victim = await signIn(userId, 'phone-0005', '198.51.100.5');
+
+    const device = await resolveLoginDevice({ userId, claimedDeviceId: 'phone-0005' });
+    assert.equal(device.isKnownDevice, false);
+    assert.match(device.deviceId, /^[0-9a-f]{32}$/);
+
+    const intruder = await signIn(userId, device.deviceId, '203.0.113.9');
+
+    assert.equal(intruder.isNewDevice, true);
+    assert.notEqual(intruder.sessionId, victim.sessionId);
+    assert.equal((await rotateRefreshToken(victim.refreshToken)).status, 'rotated');
+
+    const sessions = await db.query(
+      'SELECT device_id FROM user_sessions WHERE user_id = $1 AND is_active ORDER BY created_at',
+      [userId]
+    );
+    assert.deepEqual(sessions.rows.map(row => row.device_id), ['phone-0005', device.deviceId]);
+    assert.equal((await getSecurityAlerts(userId))[0].deviceId, device.deviceId);
+  });
+
+  it('gives each unproven login its own device ID', async () => {
+    const userId = await createTestUser(db);
+
+    const first = await resolveLoginDevice({ userId, claimedDeviceId: 'tablet-0006' });
+    const second = await resolveLoginDevice({ userId, claimedDeviceId: 'tablet-0006' });
+
+    assert.notEqual(first.deviceId, second.deviceId);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Mail transports (mail.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SMTPServer } from 'smtp-server';
+import { sendMail, readMailOutbox, assertMailProviderConfigured } from '../src/services/mail.service.js';
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axzora-test-mail-'));
+
+describe('Mail transports', () => {
+  before(() => {
+    process.env.MAIL_OUTBOX_FILE = path.join(outboxDir, 'mail.log');
+  });
+
+  after(() => {
+    for (const name of ['MAIL_PROVIDER', 'MAIL_FROM', 'SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASSWORD']) {
+      delete process.env[name];
+    }
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  it('writes email to the outbox file, filtered by recipient', async () => {
+    process.env.MAIL_PROVIDER = 'file';
+
+    await sendMail({ to: 'a@example.com', subject: 'One', text: 'first' });
+    await sendMail({ to: 'b@example.com', subject: 'Two', text: 'second' });
+
+    const [entry] = await readMailOutbox('a@example.com');
+    assert.equal(entry.subject, 'One');
+    assert.equal(entry.text, 'first');
+    assert.ok(Date.parse(entry.sentAt));
+    assert.equal((await readMailOutbox()).length, 2);
+  });
+
+  it('prints email with the console transport', async (t) => {
+    process.env.MAIL_PROVIDER = 'console';
+    const log = t.mock.method(console, 'log', () => {});
+
+    const sent = await sendMail({ to: 'c@example.com', subject: 'Hello', text: 'body' });
+
+    assert.equal(sent.provider, 'console');
+    assert.match(log.mock.calls[0].arguments[0], /c@example\.com: Hello/);
+  });
+
+  it('refuses unknown providers', async () => {
+    process.env.MAIL_PROVIDER = 'nope';
+
+    await assert.rejects(sendMail({ to: 'a@example.com', subject: 'x', text: 'x' }), /Unknown mail provider: nope/);
+  });
+
+  it('delivers through an SMTP server', async (t) => {
+    const received = [];
+    const server = new SMTPServer({
+      disabledCommands: ['STARTTLS'],
+      allowInsecureAuth: true,
+      onAuth: (auth, session, callback) => {
+        if (auth.username === 'mailer' && auth.password === 'secret') {
+          return callback(null, { user: auth.username });
+        }
+        return callback(new Error('Invalid credentials'));
+      },
+      onData: (stream, session, callback) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          received.push({
+            from: session.envelope.mailFrom.address,
+            to: session.envelope.rcptTo.map(recipient => recipient.address),
+            data: Buffer.concat(chunks).toString(),
+          });
+          callback();
+        });
+      },
+      logger: false,
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    Object.assign(process.env, {
+      MAIL_PROVIDER: 'smtp',
+      MAIL_FROM: 'Axzora Chat <no-reply@example.com>',
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(server.server.address().port),
+      SMTP_USER: 'mailer',
+      SMTP_PASSWORD: 'secret',
+    });
+
+    const sent = await sendMail({ to: 'd@example.com', subject: 'Reset code', text: 'Your code is 12345678' });
+
+    assert.equal(sent.provider, 'smtp');
+    assert.ok(sent.id);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].from, 'no-reply@example.com');
+    assert.deepEqual(received[0].to, ['d@example.com']);
+    assert.match(received[0].data, /Subject: Reset code/);
+    assert.match(received[0].data, /Your code is 12345678/);
+
+    process.env.SMTP_PASSWORD = 'wrong';
+    await assert.rejects(sendMail({ to: 'd@example.com', subject: 'x', text: 'x' }));
+  });
+
+  it('refuses the console and file transports in production, and SMTP without a host', async (t) => {
+    t.after(() => {
+      process.env.NODE_ENV = 'test';
+    });
+    process.env.NODE_ENV = 'production';
+
+    for (const providerName of [undefined, 'console', 'file']) {
+      if (providerName) {
+        process.env.MAIL_PROVIDER = providerName;
+      } else {
+        delete process.env.MAIL_PROVIDER;
+      }
+      assert.throws(() => assertMailProviderConfigured(), /can't be used in production/);
+      await assert.rejects(sendMail({ to: 'a@example.com', subject: 'x', text: 'x' }), /can't be used in production/);
+    }
+
+    process.env.MAIL_PROVIDER = 'smtp';
+    delete process.env.SMTP_HOST;
+    assert.throws(() => assertMailProviderConfigured(), /SMTP is not configured/);
+    process.env.SMTP_HOST = 'smtp.example.com';
+    assert.doesNotThrow(() => assertMailProviderConfigured());
+  });
+
+  it('reads an empty outbox when nothing was sent', async () => {
+    process.env.MAIL_OUTBOX_FILE = path.join(outboxDir, 'missing.log');
+
+    assert.deepEqual(await readMailOutbox(), []);
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * Who may fetch an upload (media-access.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { ObjectId } from 'mongodb';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let mongoDb;
+let apiServer;
+let sendMessage;
+let createUserSession;
+let checkMediaAccess;
+let canAttachMedia;
+let findUserMediaKeys;
+let createSignedMediaUrl;
+let verifyMediaToken;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const uploadKey = (kind, userId) => `${kind}-${userId}-${Date.now()}-${Math.floor(Math.random() * 1e9)}.jpg`;
+const uploadUrl = key => `http://localhost:3000/uploads/${key}`;
+
+const newUser = async (options = {}) => {
+  const phoneNumber = String(Math.floor(1e9 + Math.random() * 9e9));
+  const id = await createTestUser(db, { phoneNumber, countryCode: '+1', ...options });
+  return { id, phoneNumber, countryCode: '+1' };
+};
+
+const addContact = (owner, contact) => db.query(
+  'INSERT INTO contacts (user_id, contact_phone_number, contact_country_code) VALUES ($1, $2, $3)',
+  [owner.id, contact.phoneNumber, contact.countryCode]
+);
+
+const setPrivacy = (user, column, value) => db.query(
+  `INSERT INTO user_settings (user_id, ${column}) VALUES ($1, $2)
+   ON CONFLICT (user_id) DO UPDATE SET ${column} = EXCLUDED.${column}`,
+  [user.id, value]
+);
+
+const createChat = async (participants, fields = {}) => {
+  const { insertedId } = await mongoDb.collection('chats').insertOne({
+    participants: participants.map(user => user.id),
+    ...fields,
+  });
+  return insertedId;
+};
+
+// As POST /api/profile/picture saves it: the key carries the owner's id
+const setProfilePicture = async (user) => {
+  const key = uploadKey('profile', user.id);
+  await db.query('UPDATE users SET profile_picture_url = $1 WHERE id = $2', [uploadUrl(key), user.id]);
+  return key;
+};
+
+const tokenFor = async (user) => {
+  const session = await createUserSession({
+    userId: user.id,
+    deviceId: `device-${user.id}`,
+    deviceName: 'Test phone',
+    deviceType: 'mobile',
+    ipAddress: '127.0.0.1',
+    userAgent: 'node-test',
+  });
+  return jwt.sign(
+    { userId: user.id, deviceId: `device-${user.id}`, sessionId: session.sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+  );
+};
+
+const updateProfile = async (user, body) => {
+  const response = await fetch(`http://127.0.0.1:${apiServer.address().port}/api/profile`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${await tokenFor(user)}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return response.status;
+};
+
+const postStatus = (owner, key, timestamp = new Date()) => mongoDb.collection('status').insertOne({
+  userId: owner.id,
+  statuses: [{ id: 'status-1', type: 'image', url: uploadUrl(key), mediaKeys: [key], timestamp }],
+});
+
+describe('Media access', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    // sendMessage emits through the Socket.IO server
+    const { initializeSocket } = await import('../src/socket/socket.server.js');
+    initializeSocket(http.createServer());
+    ({ sendMessage } = await import('../src/services/message.service.js'));
+    ({ createUserSession } = await import('../src/services/session.service.js'));
+    ({
+      checkMediaAccess,
+      canAttachMedia,
+      findUserMediaKeys,
+      createSignedMediaUrl,
+      verifyMediaToken,
+    } = await import('../src/services/media-access.service.js'));
+
+    const { default: profileRoutes } = await import('../src/routes/profile.routes.js');
+    const app = express();
+    app.use(express.json());
+    app.use('/api/profile', profileRoutes);
+    apiServer = http.createServer(app);
+    await new Promise(resolve => apiServer.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    await new Promise(resolve => apiServer.close(resolve));
+    await db?.stop();
+  });
+
+  it('lets the uploader fetch a file nothing points at, and nobody else', async () => {
+    const uploader = await newUser();
+    const other = await newUser();
+    const key = uploadKey('image', uploader.id);
+
+    assert.deepEqual(await checkMediaAccess(uploader.id, key), { allowed: true });
+    assert.deepEqual(await checkMediaAccess(other.id, key), { allowed: false, reason: 'not_found' });
+  });
+
+  it('lets participants of a chat holding the attachment fetch it', async () => {
+    const sender = await newUser();
+    const recipient = await newUser();
+    const outsider = await newUser();
+    const key = uploadKey('image', sender.id);
+    const chatId = await createChat([sender, recipient]);
+    await mongoDb.collection('messages').insertOne({
+      chatId,
+      senderId: sender.id,
+      messageType: 'image',
+      message: uploadUrl(key),
+      mediaKeys: [key],
+      deletedAt: null,
+    });
+
+    assert.deepEqual(await checkMediaAccess(recipient.id, key), { allowed: true });
+    assert.deepEqual(await checkMediaAccess(outsider.id, key), { allowed: false, reason: 'forbidden' });
+  });
+
+  it('follows a forwarded attachment into every chat that holds it', async () => {
+    const sender = await newUser();
+    const forwarder = await newUser();
+    const later = await newUser();
+    const key = uploadKey('image', sender.id);
+    const firstChat = await createChat([sender, forwarder]);
+    const secondChat = await createChat([forwarder, later]);
+    await mongoDb.collection('messages').insertMany([
+      { chatId: firstChat, senderId: sender.id, messageType: 'image', mediaKeys: [key], deletedAt: null },
+      { chatId: secondChat, senderId: forwarder.id, messageType: 'image', mediaKeys: [key], deletedAt: null },
+    ]);
+
+    assert.deepEqual(await checkMediaAccess(later.id, key), { allowed: true });
+  });
+
+  it('limits group pictures to group participants', async () => {
+    const admin = await newUser();
+    const member = await newUser();
+    const outsider = await newUser();
+    const key = uploadKey('group', admin.id);
+    await createChat([admin, member], { isGroup: true, groupPictureKey: key });
+
+    assert.deepEqual(await checkMediaAccess(member.id, key), { allowed: true });
+    assert.deepEqual(await checkMediaAccess(outsider.id, key), { allowed: false, reason: 'forbidden' });
+  });
+
+  it('shows statuses to viewers who have the owner in their contacts', async () => {
+    const owner = await newUser();
+    const contact = await newUser();
+    const stranger = await newUser();
+    const key = uploadKey('status', owner.id);
+    await postStatus(owner, key);
+    await addContact(contact, owner);
+
+    assert.deepEqual(await checkMediaAccess(contact.id, key), { allowed: true });
+    assert.deepEqual(await checkMediaAccess(stranger.id, key), { allowed: false, reason: 'forbidden' });
+  });
+
+  it('hides statuses when the owner shares with nobody, or when they are over 24 hours old', async () => {
+    const owner = await newUser();
+    const contact = await newUser();
+    await addContact(contact, owner);
+
+    const oldKey = uploadKey('status', owner.id);
+    await postStatus(owner, oldKey, new Date(Date.now() - 25 * HOUR_MS));
+    assert.equal((await checkMediaAccess(contact.id, oldKey)).allowed, false);
+
+    const privateOwner = await newUser();
+    await addContact(contact, privateOwner);
+    await setPrivacy(privateOwner, 'status_privacy', 'nobody');
+    const privateKey = uploadKey('status', privateOwner.id);
+    await postStatus(privateOwner, privateKey);
+    assert.equal((await checkMediaAccess(contact.id, privateKey)).allowed, false);
+  });
+
+  it('applies profile_photo_privacy to profile pictures', async () => {
+    const viewer = await newUser();
+    const stranger = await newUser();
+
+    const publicKey = await setProfilePicture(await newUser());
+    assert.deepEqual(await checkMediaAccess(stranger.id, publicKey), { allowed: true });
+
+    const contactsOwner = await newUser();
+    const contactsKey = await setProfilePicture(contactsOwner);
+    await setPrivacy(contactsOwner, 'profile_photo_privacy', 'contacts');
+    await addContact(contactsOwner, viewer);
+    assert.deepEqual(await checkMediaAccess(viewer.id, contactsKey), { allowed: true });
+    assert.deepEqual(await checkMediaAccess(stranger.id, contactsKey), { allowed: false, reason: 'forbidden' });
+
+    const hiddenOwner = await newUser();
+    const hiddenKey = await setProfilePicture(hiddenOwner);
+    await setPrivacy(hiddenOwner, 'profile_photo_privacy', 'nobody');
+    assert.equal((await checkMediaAccess(viewer.id, hiddenKey)).allowed, false);
+  });
+
+  it('matches stored URLs on their key whatever base URL they were saved with', async () => {
+    const owner = await newUser();
+    const key = uploadKey('profile', owner.id);
+    await db.query('UPDATE users SET profile_picture_url = $1 WHERE id = $2', [`https://old-host.example.com/uploads/${key}`, owner.id]);
+    const viewer = await newUser();
+
+    assert.deepEqual(await checkMediaAccess(viewer.id, key), { allowed: true });
+  });
+
+  it('ignores a profile picture pointed at someone else\'s file', async () => {
+    const owner = await newUser();
+    const hijacker = await newUser();
+    const viewer = await newUser();
+    const key = uploadKey('image', owner.id);
+    // Written straight to the table, as it may have been before uploads were checked
+    await db.query('UPDATE users SET profile_picture_url = $1 WHERE id = $2', [uploadUrl(key), hijacker.id]);
+
+    assert.deepEqual(await checkMediaAccess(viewer.id, key), { allowed: false, reason: 'not_found' });
+  });
+
+  it('only attaches files the user uploaded or can already fetch', async () => {
+    const owner = await newUser();
+    const member = await newUser();
+    const outsider = await newUser();
+    const key = uploadKey('image', owner.id);
+    const chatId = await createChat([owner, member]);
+    await mongoDb.collection('messages').insertOne({ chatId, senderId: owner.id, messageType: 'image', mediaKeys: [key], deletedAt: null });
+
+    assert.equal(await canAttachMedia(owner.id, [key, null]), true);
+    assert.equal(await canAttachMedia(member.id, [key]), true);
+    assert.equal(await canAttachMedia(outsider.id, [key]), false);
+    assert.equal(await canAttachMedia(outsider.id, [uploadKey('image', outsider.id), key]), false);
+  });
+
+  it('will not send a message holding someone else\'s file', async () => {
+    const owner = await newUser();
+    const thief = await newUser();
+    const accomplice = await newUser();
+    const key = uploadKey('image', owner.id);
+
+    const result = await sendMessage({ senderId: thief.id, recipientId: accomplice.id, message: uploadUrl(key), messageType: 'image' });
+
+    assert.deepEqual(result, { sent: false, reason: 'media_not_allowed' });
+    assert.equal(await mongoDb.collection('messages').countDocuments({ mediaKeys: key }), 0);
+    assert.equal((await checkMediaAccess(accomplice.id, key)).allowed, false);
+  });
+
+  it('lets a recipient pass on a file they were sent', async () => {
+    const owner = await newUser();
+    const recipient = await newUser();
+    const friend = await newUser();
+    const key = uploadKey('image', owner.id);
+    await sendMessage({ senderId: owner.id, recipientId: recipient.id, message: uploadUrl(key), messageType: 'image' });
+
+    const result = await sendMessage({ senderId: recipient.id, recipientId: friend.id, message: uploadUrl(key), messageType: 'image' });
+
+    assert.equal(result.sent, true);
+    assert.deepEqual(await checkMediaAccess(friend.id, key), { allowed: true });
+  });
+
+  it('rejects a profile picture the user cannot fetch', async () => {
+    const owner = await newUser();
+    const hijacker = await newUser();
+    const privateKey = uploadKey('image', owner.id);
+
+    assert.equal(await updateProfile(hijacker, { profilePictureUrl: uploadUrl(privateKey) }), 403);
+    assert.equal(await updateProfile(hijacker, { profilePictureUrl: uploadUrl(uploadKey('profile', hijacker.id)) }), 200);
+    assert.equal(await updateProfile(hijacker, { profilePictureUrl: 'https://cdn.test/avatar.jpg' }), 200);
+  });
+
+  it('signs URLs for one file and checks the token against it', async () => {
+    const key = uploadKey('image', 'signer');
+    const { url, expiresAt } = createSignedMediaUrl(uploadUrl(key), key, 'viewer-id', 60);
+    const token = new URL(url).searchParams.get('token');
+
+    assert.ok(url.startsWith(`${uploadUrl(key)}?token=`));
+    assert.ok(Date.parse(expiresAt) > Date.now());
+    assert.deepEqual(verifyMediaToken(key, token), { userId: 'viewer-id' });
+    assert.deepEqual(verifyMediaToken('image-other.jpg', token), { reason: 'invalid' });
+    assert.deepEqual(verifyMediaToken(key, 'not-a-token'), { reason: 'invalid' });
+  });
+
+  it('finds the keys of a user\'s own uploads from their records', async () => {
+    const user = await newUser();
+    const friend = await newUser();
+    const messageKey = uploadKey('image', user.id);
+    const statusKey = uploadKey('status', user.id);
+    const groupKey = uploadKey('group', user.id);
+    const forwardedKey = uploadKey('image', friend.id);
+    const profileKey = uploadKey('profile', user.id);
+    await db.query('UPDATE users SET profile_picture_url = $1 WHERE id = $2', [uploadUrl(profileKey), user.id]);
+
+    const chatId = await createChat([user, friend], { isGroup: true, groupPictureKey: groupKey });
+    await mongoDb.collection('messages').insertMany([
+      { chatId, senderId: user.id, messageType: 'image', mediaKeys: [messageKey], deletedAt: null },
+      { chatId, senderId: user.id, messageType: 'image', mediaKeys: [forwardedKey], deletedAt: null },
+      { chatId: new ObjectId(), senderId: user.id, messageType: 'text' },
+    ]);
+    await postStatus(user, statusKey);
+
+    const keys = await findUserMediaKeys(user.id);
+
+    assert.deepEqual(keys.sort(), [groupKey, messageKey, profileKey, statusKey].sort());
+  });
+});
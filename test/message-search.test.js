@@ -0,0 +1,146 @@
+/**
+ * Message search (message-search.service.js, search.utils.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ObjectId } from 'mongodb';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let mongoDb;
+let sendMessage;
+let searchUtils;
+let searchMessages;
+
+const startChat = async (messages) => {
+  const aliceId = await createTestUser(db, { fullName: 'Alice' });
+  const bobId = await createTestUser(db, { fullName: 'Bob' });
+  let chatId;
+  const sent = [];
+  for (const message of messages) {
+    const result = await sendMessage({ senderId: aliceId, chatId, recipientId: bobId, message });
+    chatId = result.messageData.chatId;
+    sent.push(result.messageData);
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+  return { aliceId, bobId, chatId, sent };
+};
+
+const texts = result => result.messages.map(msg => msg.message);
+
+describe('Message search', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    // sendMessage emits through the Socket.IO server
+    const { initializeSocket } = await import('../src/socket/socket.server.js');
+    initializeSocket(http.createServer());
+    ({ sendMessage } = await import('../src/services/message.service.js'));
+    searchUtils = await import('../src/utils/search.utils.js');
+    ({ searchMessages } = await import('../src/services/message-search.service.js'));
+  });
+
+  after(async () => {
+    await db?.stop();
+  });
+
+  it('reads queries the way $text does and highlights whole words', () => {
+    const parsed = searchUtils.parseSearchQuery('pizza "big party" -cake co-op pizza');
+
+    assert.deepEqual(parsed, { terms: ['pizza', 'co', 'op'], phrases: ['big party'] });
+    assert.deepEqual(
+      searchUtils.buildHighlights('Pizza at the BIG party? pizzas later', parsed),
+      [{ start: 0, end: 5 }, { start: 13, end: 22 }]
+    );
+  });
+
+  it('round-trips paging cursors and rejects tampered ones', () => {
+    const position = { score: 1.5, createdAt: new Date('2026-03-01T10:00:00Z'), id: new ObjectId().toString() };
+
+    assert.deepEqual(searchUtils.decodeSearchCursor(searchUtils.encodeSearchCursor(position)), position);
+    assert.equal(searchUtils.decodeSearchCursor('not-a-cursor'), null);
+    assert.equal(searchUtils.decodeSearchCursor(Buffer.from('{"s":"x","t":"2026-01-01","i":"a"}').toString('base64url')), null);
+  });
+
+  it('ranks matches by relevance, newest first on ties, with names and highlights', async () => {
+    const { bobId } = await startChat(['pizza tonight?', 'no thanks', 'pizza pizza party', 'pizza later']);
+
+    const result = await searchMessages({ userId: bobId, query: 'pizza party' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(texts(result), ['pizza pizza party', 'pizza later', 'pizza tonight?']);
+    assert.equal(result.messages[0].chatName, 'Alice');
+    assert.equal(result.messages[0].senderName, 'Alice');
+    assert.deepEqual(result.messages[0].highlights, [{ start: 0, end: 5 }, { start: 6, end: 11 }, { start: 12, end: 17 }]);
+  });
+
+  it('only searches the user\'s own chats and skips deleted messages', async () => {
+    const { bobId, sent } = await startChat(['secret plan', 'another plan']);
+    const other = await startChat(['plan B']);
+    await mongoDb.collection('messages').updateOne({ _id: new ObjectId(sent[1].id) }, { $set: { deletedAt: new Date() } });
+
+    const result = await searchMessages({ userId: bobId, query: 'plan' });
+
+    assert.deepEqual(texts(result), ['secret plan']);
+    assert.deepEqual(await searchMessages({ userId: bobId, query: 'plan', chatId: other.chatId }), {
+      success: false,
+      reason: 'chat_not_found',
+    });
+  });
+
+  it('pages through results with the cursor', async () => {
+    const { bobId } = await startChat(['note 1', 'note 2', 'note 3', 'note 4', 'note 5']);
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = await searchMessages({ userId: bobId, query: 'note', limit: 2, cursor });
+      seen.push(...texts(page));
+      cursor = page.nextCursor;
+      assert.equal(page.hasMore, !!cursor);
+    } while (cursor);
+
+    assert.deepEqual(seen, ['note 5', 'note 4', 'note 3', 'note 2', 'note 1']);
+  });
+
+  it('filters by sender and date, and lists a type without a query', async () => {
+    const { aliceId, bobId, chatId, sent } = await startChat(['meeting at 3', 'meeting moved']);
+    await sendMessage({ senderId: bobId, chatId, message: 'meeting ok' });
+    await sendMessage({ senderId: aliceId, chatId, message: 'https://cdn.test/a.jpg', messageType: 'image' });
+
+    assert.deepEqual(texts(await searchMessages({ userId: bobId, query: 'meeting', senderId: bobId })), ['meeting ok']);
+    assert.deepEqual(
+      texts(await searchMessages({ userId: bobId, query: 'meeting', chatId, to: sent[0].createdAt })),
+      ['meeting at 3']
+    );
+    assert.deepEqual(
+      texts(await searchMessages({ userId: bobId, chatId, messageType: 'image' })),
+      ['https://cdn.test/a.jpg']
+    );
+  });
+
+  it('rejects queries it cannot run', async () => {
+    const { bobId } = await startChat(['hello']);
+
+    const reasons = await Promise.all([
+      searchMessages({ userId: bobId, query: '   ' }),
+      searchMessages({ userId: bobId, query: 'x'.repeat(201) }),
+      searchMessages({ userId: bobId, query: 'photo', messageType: 'image' }),
+      searchMessages({ userId: bobId, query: 'hello', chatId: 'nope' }),
+      searchMessages({ userId: bobId, query: 'hello', from: 'last week' }),
+      searchMessages({ userId: bobId, query: 'hello', cursor: 'nope' }),
+    ]);
+
+    assert.deepEqual(reasons.map(result => result.reason), [
+      'query_required',
+      'query_too_long',
+      'not_searchable',
+      'invalid_chat',
+      'invalid_date',
+      'invalid_cursor',
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Sending messages (message.service.js, send_message socket event)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { once } from 'events';
+import { setTimeout as delay } from 'timers/promises';
+import jwt from 'jsonwebtoken';
+import { io as connectSocket } from 'socket.io-client';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let mongoDb;
+let httpServer;
+let sendMessage;
+let createUserSession;
+let getSocketIO;
+
+const connectAs = async (userId) => {
+  const session = await createUserSession({
+    userId,
+    deviceId: `device-${userId}`,
+    deviceName: 'Test phone',
+    deviceType: 'mobile',
+    ipAddress: '127.0.0.1',
+    userAgent: 'node-test',
+  });
+  const token = jwt.sign(
+    { userId, deviceId: `device-${userId}`, sessionId: session.sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+  );
+
+  const socket = connectSocket(`http://127.0.0.1:${httpServer.address().port}`, {
+    auth: { token },
+    transports: ['websocket'],
+    reconnection: false,
+  });
+  await once(socket, 'connect');
+
+  // Event handlers are registered once the server has joined the user's chat rooms
+  const serverSocket = getSocketIO().sockets.sockets.get(socket.id);
+  while (serverSocket.listeners('send_message').length === 0) {
+    await delay(10);
+  }
+  return socket;
+};
+
+describe('Sending messages', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    const socketServer = await import('../src/socket/socket.server.js');
+    ({ getSocketIO } = socketServer);
+    httpServer = http.createServer();
+    socketServer.initializeSocket(httpServer);
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    ({ sendMessage } = await import('../src/services/message.service.js'));
+    ({ createUserSession } = await import('../src/services/session.service.js'));
+  });
+
+  after(async () => {
+    await new Promise(resolve => getSocketIO().close(resolve));
+    await db?.stop();
+  });
+
+  it('sends a text message to a new direct chat', async () => {
+    const senderId = await createTestUser(db);
+    const recipientId = await createTestUser(db);
+
+    const result = await sendMessage({ senderId, recipientId, message: 'hello' });
+
+    assert.equal(result.sent, true);
+    assert.equal(result.messageData.messageType, 'text');
+    const stored = await mongoDb.collection('messages').findOne({ senderId, message: 'hello' });
+    assert.ok(stored);
+  });
+
+  it('refuses system messages and unknown types from users', async () => {
+    const senderId = await createTestUser(db);
+    const recipientId = await createTestUser(db);
+
+    for (const messageType of ['system', 'banner']) {
+      const result = await sendMessage({ senderId, recipientId, message: 'Server notice', messageType });
+      assert.deepEqual(result, { sent: false, reason: 'invalid_message_type' });
+    }
+    assert.equal(await mongoDb.collection('messages').countDocuments({ senderId }), 0);
+  });
+
+  it('refuses system messages sent over the socket', { timeout: 10000 }, async () => {
+    const senderId = await createTestUser(db);
+    const recipientId = await createTestUser(db);
+    const socket = await connectAs(senderId);
+
+    try {
+      const error = once(socket, 'error');
+      socket.emit('send_message', { recipientId, message: 'Your account is suspended', messageType: 'system' });
+
+      const [payload] = await error;
+      assert.match(payload.message, /Invalid message type/);
+      assert.equal(await mongoDb.collection('messages').countDocuments({ senderId }), 0);
+    } finally {
+      socket.disconnect();
+    }
+  });
+});
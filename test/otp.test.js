@@ -0,0 +1,128 @@
+/**
+ * OTP issue / verify / lockout (otp.service.js)
+ * Codes are read back from the file SMS transport.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axzora-test-sms-'));
+Object.assign(process.env, {
+  SMS_PROVIDER: 'file',
+  SMS_OUTBOX_FILE: path.join(outboxDir, 'sms.log'),
+  OTP_MAX_ATTEMPTS: '3',
+  OTP_LOCKOUT_MAX_FAILURES: '4',
+});
+
+let db;
+let issueOtp;
+let verifyOtp;
+let readSmsOutbox;
+let flushFakeRedis;
+
+let nextNumber = 5550000100;
+const newNumber = () => String(nextNumber++);
+
+const lastCode = async (countryCode, phoneNumber) => {
+  const messages = await readSmsOutbox(`${countryCode}${phoneNumber}`);
+  return /\b(\d{6})\b/.exec(messages.at(-1)?.body || '')?.[1] || null;
+};
+
+// A code that isn't the one that was sent
+const wrongCode = code => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+describe('OTP service', () => {
+  before(async () => {
+    db = await startPostgres();
+    ({ issueOtp, verifyOtp } = await import('../src/services/otp.service.js'));
+    ({ readSmsOutbox } = await import('../src/services/sms.service.js'));
+    ({ flushFakeRedis } = await import('../src/config/redis.config.js'));
+  });
+
+  after(async () => {
+    await db?.stop();
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  it('sends a code by SMS and accepts it once', async () => {
+    const phoneNumber = newNumber();
+
+    const issued = await issueOtp({ phoneNumber, countryCode: '+1' });
+    assert.equal(issued.sent, true);
+
+    const code = await lastCode('+1', phoneNumber);
+    assert.match(code, /^\d{6}$/);
+
+    assert.deepEqual(await verifyOtp({ phoneNumber, countryCode: '+1', otp: code }), { valid: true });
+    const reused = await verifyOtp({ phoneNumber, countryCode: '+1', otp: code });
+    assert.equal(reused.valid, false);
+  });
+
+  it('does not send a second code inside the resend cooldown', async () => {
+    const phoneNumber = newNumber();
+
+    assert.equal((await issueOtp({ phoneNumber, countryCode: '+1' })).sent, true);
+    const again = await issueOtp({ phoneNumber, countryCode: '+1' });
+
+    assert.equal(again.sent, false);
+    assert.equal(again.reason, 'cooldown');
+    assert.ok(again.retryAfter > 0);
+    assert.equal((await readSmsOutbox(`+1${phoneNumber}`)).length, 1);
+  });
+
+  it('burns the code after OTP_MAX_ATTEMPTS wrong guesses', async () => {
+    const phoneNumber = newNumber();
+    await issueOtp({ phoneNumber, countryCode: '+1' });
+    const code = await lastCode('+1', phoneNumber);
+
+    const first = await verifyOtp({ phoneNumber, countryCode: '+1', otp: wrongCode(code) });
+    assert.deepEqual(first, { valid: false, reason: 'invalid', attemptsRemaining: 2 });
+    const second = await verifyOtp({ phoneNumber, countryCode: '+1', otp: wrongCode(code) });
+    assert.equal(second.attemptsRemaining, 1);
+    const third = await verifyOtp({ phoneNumber, countryCode: '+1', otp: wrongCode(code) });
+    assert.equal(third.reason, 'too_many_attempts');
+
+    const late = await verifyOtp({ phoneNumber, countryCode: '+1', otp: code });
+    assert.equal(late.valid, false);
+  });
+
+  it('locks a number after repeated failures, for that country code only', async () => {
+    const phoneNumber = newNumber();
+
+    let result;
+    for (let attempt = 0; attempt < 4; attempt++) {
+      result = await verifyOtp({ phoneNumber, countryCode: '+1', otp: '000000' });
+    }
+    assert.equal(result.reason, 'locked');
+    assert.ok(Date.parse(result.lockedUntil) > Date.now());
+
+    const issued = await issueOtp({ phoneNumber, countryCode: '+1' });
+    assert.equal(issued.reason, 'locked');
+
+    const otherCountry = await issueOtp({ phoneNumber, countryCode: '+44' });
+    assert.equal(otherCountry.sent, true);
+    const code = await lastCode('+44', phoneNumber);
+    assert.deepEqual(await verifyOtp({ phoneNumber, countryCode: '+44', otp: code }), { valid: true });
+  });
+
+  it('accepts the code mirrored on the user row once if Redis loses it', async () => {
+    const phoneNumber = newNumber();
+    await createTestUser(db, { phoneNumber, countryCode: '+1' });
+
+    await issueOtp({ phoneNumber, countryCode: '+1' });
+    const code = await lastCode('+1', phoneNumber);
+    flushFakeRedis();
+
+    assert.deepEqual(await verifyOtp({ phoneNumber, countryCode: '+1', otp: code }), { valid: true });
+    const reused = await verifyOtp({ phoneNumber, countryCode: '+1', otp: code });
+    assert.equal(reused.valid, false);
+
+    const user = await db.query('SELECT is_verified, verification_code FROM users WHERE phone_number = $1', [phoneNumber]);
+    assert.equal(user.rows[0].is_verified, true);
+    assert.equal(user.rows[0].verification_code, null);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Poll voting (poll.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let mongoDb;
+let castPollVote;
+let closePoll;
+
+const createChat = async (participantIds, fields = {}) => {
+  const { insertedId } = await mongoDb.collection('chats').insertOne({
+    type: 'group',
+    participants: participantIds,
+    admins: [participantIds[0]],
+    ...fields,
+  });
+  return insertedId;
+};
+
+const createPoll = async (chatId, senderId, poll = {}) => {
+  const { insertedId } = await mongoDb.collection('messages').insertOne({
+    chatId,
+    senderId,
+    messageType: 'poll',
+    deletedAt: null,
+    poll: {
+      question: 'Lunch?',
+      allowMultiple: false,
+      closesAt: null,
+      closedAt: null,
+      options: ['Pizza', 'Salad', 'Soup'].map((text, index) => ({ id: `opt${index + 1}`, text, voterIds: [] })),
+      ...poll,
+    },
+  });
+  return insertedId.toString();
+};
+
+const voteCounts = poll => Object.fromEntries(poll.options.map(option => [option.id, option.voteCount]));
+
+describe('Poll votes', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    // broadcastPollUpdate emits through the Socket.IO server
+    const { initializeSocket } = await import('../src/socket/socket.server.js');
+    initializeSocket(http.createServer());
+    ({ castPollVote, closePoll } = await import('../src/services/poll.service.js'));
+  });
+
+  after(async () => {
+    await db?.stop();
+  });
+
+  it('counts every vote when many arrive at once', async () => {
+    const voterIds = Array.from({ length: 30 }, (_, index) => `voter-${index}`);
+    const chatId = await createChat(voterIds);
+    const messageId = await createPoll(chatId, voterIds[0]);
+
+    const results = await Promise.all(voterIds.map((userId, index) => castPollVote({
+      userId,
+      messageId,
+      optionIds: [index % 3 === 0 ? 'opt1' : 'opt2'],
+    })));
+
+    assert.ok(results.every(result => result.success));
+    const stored = await mongoDb.collection('messages').findOne({ chatId });
+    assert.deepEqual(
+      stored.poll.options.map(option => option.voterIds.length),
+      [10, 20, 0]
+    );
+  });
+
+  it('replaces an earlier choice and retracts with an empty list', async () => {
+    const chatId = await createChat(['alice', 'bob']);
+    const messageId = await createPoll(chatId, 'alice');
+
+    await castPollVote({ userId: 'bob', messageId, optionIds: ['opt1'] });
+    const changed = await castPollVote({ userId: 'bob', messageId, optionIds: ['opt3'] });
+
+    assert.deepEqual(voteCounts(changed.poll), { opt1: 0, opt2: 0, opt3: 1 });
+    assert.deepEqual(changed.poll.myVotes, ['opt3']);
+
+    const retracted = await castPollVote({ userId: 'bob', messageId, optionIds: [] });
+    assert.equal(retracted.poll.totalVoters, 0);
+  });
+
+  it('keeps concurrent revotes by one user to a single choice', async () => {
+    const chatId = await createChat(['alice', 'bob']);
+    const messageId = await createPoll(chatId, 'alice');
+
+    await Promise.all(['opt1', 'opt2', 'opt3', 'opt2'].map(optionId => (
+      castPollVote({ userId: 'bob', messageId, optionIds: [optionId] })
+    )));
+
+    const stored = await mongoDb.collection('messages').findOne({ chatId });
+    assert.equal(stored.poll.options.flatMap(option => option.voterIds).length, 1);
+  });
+
+  it('rejects unknown, repeated or extra options', async () => {
+    const chatId = await createChat(['alice', 'bob']);
+    const messageId = await createPoll(chatId, 'alice');
+
+    const reasons = await Promise.all([
+      castPollVote({ userId: 'bob', messageId, optionIds: ['opt9'] }),
+      castPollVote({ userId: 'bob', messageId, optionIds: ['opt1', 'opt1'] }),
+      castPollVote({ userId: 'bob', messageId, optionIds: 'opt1' }),
+      castPollVote({ userId: 'bob', messageId, optionIds: ['opt1', 'opt2'] }),
+    ]);
+
+    assert.deepEqual(reasons.map(result => result.reason), [
+      'invalid_options',
+      'invalid_options',
+      'invalid_options',
+      'single_choice',
+    ]);
+  });
+
+  it('only lets chat participants vote', async () => {
+    const chatId = await createChat(['alice', 'bob']);
+    const messageId = await createPoll(chatId, 'alice');
+
+    const result = await castPollVote({ userId: 'mallory', messageId, optionIds: ['opt1'] });
+
+    assert.deepEqual(result, { success: false, reason: 'not_found' });
+  });
+
+  it('stops accepting votes once the poll is closed or past closesAt', async () => {
+    const chatId = await createChat(['alice', 'bob']);
+    const messageId = await createPoll(chatId, 'alice');
+
+    assert.deepEqual(await closePoll({ userId: 'bob', messageId }), { success: false, reason: 'forbidden' });
+    const closed = await closePoll({ userId: 'alice', messageId });
+    assert.equal(closed.poll.isClosed, true);
+    assert.equal((await castPollVote({ userId: 'bob', messageId, optionIds: ['opt1'] })).reason, 'closed');
+
+    const expiredId = await createPoll(chatId, 'alice', { closesAt: new Date(Date.now() - 1000) });
+    assert.equal((await castPollVote({ userId: 'bob', messageId: expiredId, optionIds: ['opt1'] })).reason, 'closed');
+  });
+
+  it('refuses votes in a direct chat with someone who blocked the voter', async () => {
+    const alice = await createTestUser(db);
+    const bob = await createTestUser(db);
+    await db.query('INSERT INTO blocked_users (blocker_id, blocked_id) VALUES ($1, $2)', [alice, bob]);
+    const chatId = await createChat([alice, bob], { type: 'direct', admins: [] });
+    const messageId = await createPoll(chatId, alice);
+
+    const result = await castPollVote({ userId: bob, messageId, optionIds: ['opt1'] });
+
+    assert.deepEqual(result, { success: false, reason: 'blocked' });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Marking a chat read up to a message or time (receipt.service.js markChatReadUpTo)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ObjectId } from 'mongodb';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let mongoDb;
+let sendMessage;
+let getUnreadCount;
+let markChatReadUpTo;
+
+// Bob gets count messages from Alice, a few milliseconds apart so createdAt orders them
+const startChat = async (count) => {
+  const aliceId = await createTestUser(db, { fullName: 'Alice' });
+  const bobId = await createTestUser(db, { fullName: 'Bob' });
+  const messages = [];
+  let chatId;
+  for (let i = 1; i <= count; i++) {
+    const result = await sendMessage({ senderId: aliceId, chatId, recipientId: bobId, message: `m${i}` });
+    chatId = result.messageData.chatId;
+    messages.push(result.messageData);
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+  return { aliceId, bobId, chatId, messages };
+};
+
+const readBy = async (chatId, userId) => {
+  const read = await mongoDb.collection('messages')
+    .find({ chatId: new ObjectId(chatId), readBy: userId })
+    .sort({ createdAt: 1 })
+    .toArray();
+  return read.map(msg => msg.message);
+};
+
+describe('Read up to', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    // Read events go out through the Socket.IO server
+    const { initializeSocket } = await import('../src/socket/socket.server.js');
+    initializeSocket(http.createServer());
+    ({ sendMessage } = await import('../src/services/message.service.js'));
+    ({ getUnreadCount } = await import('../src/utils/redis.utils.js'));
+    ({ markChatReadUpTo } = await import('../src/services/receipt.service.js'));
+  });
+
+  after(async () => {
+    await db?.stop();
+  });
+
+  it('marks everything up to a message read and takes it off the unread count', async () => {
+    const { bobId, chatId, messages } = await startChat(4);
+    assert.equal(await getUnreadCount(bobId, chatId), 4);
+
+    const result = await markChatReadUpTo({ userId: bobId, chatId, messageId: messages[2].id });
+
+    assert.equal(result.success, true);
+    assert.equal(result.readCount, 3);
+    assert.equal(result.unreadCount, 1);
+    assert.equal(await getUnreadCount(bobId, chatId), 1);
+    assert.deepEqual(await readBy(chatId, bobId), ['m1', 'm2', 'm3']);
+  });
+
+  it('counts each message once when called again', async () => {
+    const { bobId, chatId, messages } = await startChat(3);
+    await markChatReadUpTo({ userId: bobId, chatId, messageId: messages[1].id });
+
+    const again = await markChatReadUpTo({ userId: bobId, chatId, messageId: messages[2].id });
+
+    assert.equal(again.readCount, 1);
+    assert.equal(again.unreadCount, 0);
+    const msg = await mongoDb.collection('messages').findOne({ _id: new ObjectId(messages[0].id) });
+    assert.equal(msg.readReceipts.filter(receipt => receipt.userId === bobId).length, 1);
+  });
+
+  it('reads up to a timestamp', async () => {
+    const { bobId, chatId, messages } = await startChat(3);
+
+    const result = await markChatReadUpTo({ userId: bobId, chatId, before: messages[1].createdAt });
+
+    assert.equal(result.readCount, 2);
+    assert.deepEqual(await readBy(chatId, bobId), ['m1', 'm2']);
+  });
+
+  it('does not mark the reader\'s own messages', async () => {
+    const { aliceId, chatId, messages } = await startChat(2);
+
+    const result = await markChatReadUpTo({ userId: aliceId, chatId, messageId: messages[1].id });
+
+    assert.equal(result.readCount, 0);
+  });
+
+  it('rejects bad cursors and chats the user is not in', async () => {
+    const { bobId, chatId, messages } = await startChat(1);
+    const other = await startChat(1);
+    const outsiderId = await createTestUser(db);
+
+    const reasons = await Promise.all([
+      markChatReadUpTo({ userId: bobId, chatId: 'nope', before: new Date().toISOString() }),
+      markChatReadUpTo({ userId: outsiderId, chatId, messageId: messages[0].id }),
+      markChatReadUpTo({ userId: bobId, chatId }),
+      markChatReadUpTo({ userId: bobId, chatId, before: 'yesterday' }),
+      markChatReadUpTo({ userId: bobId, chatId, messageId: other.messages[0].id }),
+    ]);
+
+    assert.deepEqual(reasons.map(result => result.reason), [
+      'invalid_chat',
+      'chat_not_found',
+      'invalid_cursor',
+      'invalid_cursor',
+      'message_not_found',
+    ]);
+  });
+});
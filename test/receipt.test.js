@@ -0,0 +1,137 @@
+/**
+ * Delivery and read receipts (receipt.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ObjectId } from 'mongodb';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let mongoDb;
+let sendMessage;
+let receipts;
+
+const startGroup = async () => {
+  const aliceId = await createTestUser(db, { fullName: 'Alice' });
+  const bobId = await createTestUser(db, { fullName: 'Bob' });
+  const carolId = await createTestUser(db, { fullName: 'Carol' });
+  const { insertedId } = await mongoDb.collection('chats').insertOne({
+    participants: [aliceId, bobId, carolId],
+    type: 'group',
+    groupName: 'Trip',
+    admins: [aliceId],
+    createdBy: aliceId,
+    archivedBy: [],
+    pinnedBy: [],
+    mutedBy: [],
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  });
+  const chat = await mongoDb.collection('chats').findOne({ _id: insertedId });
+  return { aliceId, bobId, carolId, chat };
+};
+
+const send = async (senderId, chat, message) => {
+  const result = await sendMessage({ senderId, chatId: chat._id.toString(), message });
+  return new ObjectId(result.messageData.id);
+};
+
+const statusOf = async (messageId, chat) => {
+  const msg = await mongoDb.collection('messages').findOne({ _id: messageId });
+  const hidden = await receipts.getHiddenReadReceiptUsers(chat.participants);
+  return receipts.computeMessageStatus(msg, chat.participants, hidden).status;
+};
+
+const hideReadReceipts = userId => db.query(
+  `INSERT INTO user_settings (user_id, read_receipts_enabled) VALUES ($1, false)
+   ON CONFLICT (user_id) DO UPDATE SET read_receipts_enabled = false`,
+  [userId]
+);
+
+describe('Receipts', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    // Receipts are announced through the Socket.IO server
+    const { initializeSocket } = await import('../src/socket/socket.server.js');
+    initializeSocket(http.createServer());
+    ({ sendMessage } = await import('../src/services/message.service.js'));
+    receipts = await import('../src/services/receipt.service.js');
+  });
+
+  after(async () => {
+    await db?.stop();
+  });
+
+  it('moves to delivered and read only once every recipient has', async () => {
+    const { aliceId, bobId, carolId, chat } = await startGroup();
+    const messageId = await send(aliceId, chat, 'Tickets booked');
+    assert.equal(await statusOf(messageId, chat), 'sent');
+
+    await receipts.markMessagesDelivered(chat, bobId, [messageId]);
+    assert.equal(await statusOf(messageId, chat), 'sent');
+    await receipts.markMessagesDelivered(chat, carolId, [messageId]);
+    assert.equal(await statusOf(messageId, chat), 'delivered');
+
+    await receipts.markMessagesRead(chat, bobId, [messageId]);
+    assert.equal(await statusOf(messageId, chat), 'delivered');
+    await receipts.markMessagesRead(chat, carolId, [messageId]);
+    assert.equal(await statusOf(messageId, chat), 'read');
+  });
+
+  it('records each receipt once and never for the sender', async () => {
+    const { aliceId, bobId, chat } = await startGroup();
+    const messageId = await send(aliceId, chat, 'Hello');
+
+    assert.equal((await receipts.markMessagesDelivered(chat, bobId, [messageId])).length, 1);
+    assert.deepEqual(await receipts.markMessagesDelivered(chat, bobId, [messageId]), []);
+    assert.deepEqual(await receipts.markMessagesDelivered(chat, aliceId, [messageId]), []);
+    assert.equal((await receipts.markMessagesRead(chat, bobId, [messageId])).length, 1);
+    assert.deepEqual(await receipts.markMessagesRead(chat, bobId, [messageId]), []);
+
+    const msg = await mongoDb.collection('messages').findOne({ _id: messageId });
+    assert.deepEqual(msg.deliveredTo.map(receipt => receipt.userId), [bobId]);
+    // The sender's own receipt is stored when the message is sent
+    assert.deepEqual(msg.readReceipts.map(receipt => receipt.userId), [aliceId, bobId]);
+  });
+
+  it('counts a read as a delivery', async () => {
+    const { aliceId, bobId, carolId, chat } = await startGroup();
+    const messageId = await send(aliceId, chat, 'Hello');
+
+    await receipts.markMessagesRead(chat, bobId, [messageId]);
+    await receipts.markMessagesDelivered(chat, carolId, [messageId]);
+
+    assert.equal(await statusOf(messageId, chat), 'delivered');
+    assert.deepEqual(await receipts.markMessagesDelivered(chat, bobId, [messageId]), []);
+  });
+
+  it('keeps the read times of people with read receipts off to themselves', async () => {
+    const { aliceId, bobId, carolId, chat } = await startGroup();
+    await hideReadReceipts(bobId);
+    const messageId = await send(aliceId, chat, 'Hello');
+
+    await receipts.markMessagesRead(chat, bobId, [messageId]);
+    await receipts.markMessagesRead(chat, carolId, [messageId]);
+
+    // Bob's read counts as delivered only
+    assert.equal(await statusOf(messageId, chat), 'delivered');
+    const msg = await mongoDb.collection('messages').findOne({ _id: messageId });
+    const hidden = await receipts.getHiddenReadReceiptUsers(chat.participants);
+    assert.deepEqual(receipts.formatReceipts(msg, aliceId, hidden).readBy, [aliceId, carolId]);
+    assert.deepEqual(receipts.formatReceipts(msg, bobId, hidden).readBy, [aliceId, bobId, carolId]);
+
+    const info = await receipts.getMessageInfo(msg, chat);
+    const bob = info.recipients.find(recipient => recipient.userId === bobId);
+    const carol = info.recipients.find(recipient => recipient.userId === carolId);
+    assert.equal(info.readCount, 1);
+    assert.equal(bob.fullName, 'Bob');
+    assert.equal(bob.readAt, null);
+    assert.equal(bob.deliveredAt, null);
+    assert.ok(carol.readAt);
+    assert.equal(carol.deliveredAt, carol.readAt);
+  });
+});
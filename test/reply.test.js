@@ -0,0 +1,108 @@
+/**
+ * Replies quoting earlier messages (reply.utils.js, message.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ObjectId } from 'mongodb';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let mongoDb;
+let sendMessage;
+let reply;
+
+const startChat = async () => {
+  const aliceId = await createTestUser(db, { fullName: 'Alice' });
+  const bobId = await createTestUser(db, { fullName: 'Bob' });
+  const first = await sendMessage({ senderId: aliceId, recipientId: bobId, message: 'Lunch at noon?' });
+  return { aliceId, bobId, chatId: first.messageData.chatId, original: first.messageData };
+};
+
+describe('Replies', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    // sendMessage emits through the Socket.IO server
+    const { initializeSocket } = await import('../src/socket/socket.server.js');
+    initializeSocket(http.createServer());
+    ({ sendMessage } = await import('../src/services/message.service.js'));
+    reply = await import('../src/utils/reply.utils.js');
+  });
+
+  after(async () => {
+    await db?.stop();
+  });
+
+  it('stores a quote of the original with the reply', async () => {
+    const { aliceId, bobId, chatId, original } = await startChat();
+
+    const result = await sendMessage({ senderId: bobId, chatId, message: 'Sure', replyToId: original.id });
+
+    assert.equal(result.sent, true);
+    assert.deepEqual(result.messageData.replyTo, {
+      messageId: original.id,
+      senderId: aliceId,
+      senderName: 'Alice',
+      messageType: 'text',
+      snippet: 'Lunch at noon?',
+      isDeleted: false,
+    });
+  });
+
+  it('shortens long quotes and leaves media uncaptioned', async () => {
+    const { bobId, chatId, aliceId } = await startChat();
+    const long = await sendMessage({ senderId: aliceId, chatId, message: 'x'.repeat(150) });
+    const photo = await sendMessage({ senderId: aliceId, chatId, message: 'https://cdn.test/p.jpg', messageType: 'image' });
+
+    const toLong = await sendMessage({ senderId: bobId, chatId, message: 'ok', replyToId: long.messageData.id });
+    const toPhoto = await sendMessage({ senderId: bobId, chatId, message: 'nice', replyToId: photo.messageData.id });
+
+    assert.equal(toLong.messageData.replyTo.snippet, `${'x'.repeat(100)}…`);
+    assert.equal(toPhoto.messageData.replyTo.snippet, null);
+    assert.equal(toPhoto.messageData.replyTo.messageType, 'image');
+  });
+
+  it('refuses to quote a message from another chat, a deleted one or a bad ID', async () => {
+    const { bobId, chatId, original } = await startChat();
+    const other = await startChat();
+    await mongoDb.collection('messages').updateOne(
+      { _id: new ObjectId(original.id) },
+      { $set: { deletedAt: new Date() } }
+    );
+
+    const results = await Promise.all([
+      sendMessage({ senderId: bobId, chatId, message: 'a', replyToId: other.original.id }),
+      sendMessage({ senderId: bobId, chatId, message: 'b', replyToId: original.id }),
+      sendMessage({ senderId: bobId, chatId, message: 'c', replyToId: 'not-an-id' }),
+    ]);
+
+    assert.deepEqual(results.map(result => result.reason), ['invalid_reply', 'invalid_reply', 'invalid_reply']);
+    assert.match(results[0].error, /not found in this chat/);
+    assert.match(results[1].error, /deleted message/);
+  });
+
+  it('keeps quotes in step when the original is edited or deleted', async () => {
+    const { bobId, chatId, original } = await startChat();
+    const sent = await sendMessage({ senderId: bobId, chatId, message: 'Sure', replyToId: original.id });
+    const replyFilter = { _id: new ObjectId(sent.messageData.id) };
+    const originalId = new ObjectId(original.id);
+
+    await reply.updateReplySnippets(originalId, 'text', 'Lunch at one?');
+    let stored = await mongoDb.collection('messages').findOne(replyFilter);
+    assert.equal(reply.formatReplyTo(stored.replyTo).snippet, 'Lunch at one?');
+
+    await reply.markRepliesDeleted({ 'replyTo.messageId': originalId });
+    stored = await mongoDb.collection('messages').findOne(replyFilter);
+    assert.deepEqual(reply.formatReplyTo(stored.replyTo), {
+      messageId: original.id,
+      senderId: original.senderId,
+      senderName: 'Alice',
+      messageType: 'text',
+      snippet: reply.DELETED_REPLY_SNIPPET,
+      isDeleted: true,
+    });
+  });
+});
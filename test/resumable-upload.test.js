@@ -0,0 +1,181 @@
+/**
+ * Resumable uploads: chunk offsets, checksums and assembly (resumable-upload.service.js)
+ * Chunks go to the local storage driver in a temporary UPLOADS_DIR.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axzora-test-uploads-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOADS_DIR = uploadsDir;
+
+let db;
+let uploads;
+let sender;
+let recipient;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+const storedChunks = sessionId => fs.readdirSync(uploadsDir).filter(name => name.startsWith(`upload-${sessionId}-`));
+
+const startUpload = async (data, options = {}) => {
+  const result = await uploads.createUploadSession({
+    userId: sender,
+    recipientId: recipient,
+    fileName: 'archive.dat',
+    fileSize: data.length,
+    sha256: sha256(data).toString('hex'),
+    ...options,
+  });
+  assert.equal(result.success, true, result.reason);
+  return result.session.id;
+};
+
+const append = (sessionId, offset, chunk, checksum = sha256(chunk)) => uploads.appendUploadChunk({
+  userId: sender,
+  sessionId,
+  offset,
+  chunk,
+  checksum,
+});
+
+// Sends data in pieces of chunkSize bytes
+const appendAll = async (sessionId, data, chunkSize) => {
+  for (let offset = 0; offset < data.length; offset += chunkSize) {
+    const result = await append(sessionId, offset, data.subarray(offset, offset + chunkSize));
+    assert.equal(result.success, true, result.reason);
+  }
+};
+
+describe('Resumable uploads', () => {
+  before(async () => {
+    db = await startPostgres();
+    uploads = await import('../src/services/resumable-upload.service.js');
+    sender = await createTestUser(db);
+    recipient = await createTestUser(db);
+  });
+
+  after(async () => {
+    await db?.stop();
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  it('assembles the chunks into the original file and deletes them once the message is sent', async () => {
+    const data = crypto.randomBytes(10000);
+    const sessionId = await startUpload(data);
+    await appendAll(sessionId, data, 3000);
+    assert.equal(storedChunks(sessionId).length, 4);
+
+    const session = await uploads.getUploadSession(sender, sessionId);
+    assert.equal(Number(session.received_bytes), data.length);
+
+    const completion = await uploads.claimUploadCompletion(sender, sessionId);
+    assert.equal(completion.success, true, completion.reason);
+    assert.equal(completion.file.size, data.length);
+    assert.deepEqual(fs.readFileSync(completion.file.path), data);
+    fs.rmSync(completion.file.path);
+
+    const again = await uploads.claimUploadCompletion(sender, sessionId);
+    assert.equal(again.reason, 'busy');
+
+    await uploads.markUploadSessionCompleted(sessionId, 'message-id');
+    assert.deepEqual(storedChunks(sessionId), []);
+    assert.equal((await uploads.claimUploadCompletion(sender, sessionId)).reason, 'already_completed');
+  });
+
+  it('answers a chunk at the wrong offset with the offset to resume from', async () => {
+    const data = crypto.randomBytes(5000);
+    const sessionId = await startUpload(data);
+    await append(sessionId, 0, data.subarray(0, 2000));
+
+    const skipped = await append(sessionId, 4000, data.subarray(4000));
+    assert.deepEqual(skipped, { success: false, reason: 'offset_mismatch', offset: 2000 });
+
+    const replayed = await append(sessionId, 0, data.subarray(0, 2000));
+    assert.deepEqual(replayed, { success: false, reason: 'offset_mismatch', offset: 2000 });
+
+    const resumed = await append(sessionId, 2000, data.subarray(2000));
+    assert.equal(resumed.success, true);
+    assert.equal(Number(resumed.session.received_bytes), data.length);
+  });
+
+  it('takes only one of two chunks sent at the same offset at once', async () => {
+    const data = crypto.randomBytes(4000);
+    const sessionId = await startUpload(data);
+
+    const results = await Promise.all([
+      append(sessionId, 0, data.subarray(0, 2000)),
+      append(sessionId, 0, data.subarray(0, 2000)),
+    ]);
+
+    assert.equal(results.filter(result => result.success).length, 1);
+    const session = await uploads.getUploadSession(sender, sessionId);
+    assert.equal(Number(session.received_bytes), 2000);
+  });
+
+  it('rejects chunks whose checksum is missing or wrong, and chunks past the declared size', async () => {
+    const data = crypto.randomBytes(3000);
+    const sessionId = await startUpload(data);
+    const chunk = data.subarray(0, 1000);
+
+    assert.equal((await append(sessionId, 0, chunk, null)).reason, 'missing_checksum');
+    assert.equal((await append(sessionId, 0, chunk, sha256(Buffer.from('other')))).reason, 'checksum_mismatch');
+    assert.equal((await append(sessionId, 0, Buffer.concat([data, data]))).reason, 'exceeds_size');
+
+    const session = await uploads.getUploadSession(sender, sessionId);
+    assert.equal(Number(session.received_bytes), 0);
+    assert.equal((await uploads.claimUploadCompletion(sender, sessionId)).reason, 'incomplete');
+  });
+
+  it('reads the Upload-Checksum header', () => {
+    const digest = sha256(Buffer.from('chunk'));
+
+    assert.deepEqual(uploads.parseChunkChecksum(`sha256 ${digest.toString('base64')}`), digest);
+    assert.equal(uploads.parseChunkChecksum(`md5 ${digest.toString('base64')}`), null);
+    assert.equal(uploads.parseChunkChecksum(undefined), null);
+  });
+
+  it('fails the upload when the whole file does not match its declared checksum', async () => {
+    const data = crypto.randomBytes(2000);
+    const sessionId = await startUpload(data, { sha256: sha256(Buffer.from('something else')).toString('hex') });
+    await appendAll(sessionId, data, 1000);
+
+    const completion = await uploads.claimUploadCompletion(sender, sessionId);
+
+    assert.deepEqual(completion, { success: false, reason: 'file_checksum_mismatch' });
+    const session = await uploads.getUploadSession(sender, sessionId);
+    assert.equal(session.status, 'failed');
+    assert.deepEqual(storedChunks(sessionId), []);
+  });
+
+  it('reports lost data when a stored chunk has gone missing', async () => {
+    const data = crypto.randomBytes(2000);
+    const sessionId = await startUpload(data);
+    await appendAll(sessionId, data, 1000);
+    fs.rmSync(path.join(uploadsDir, uploads.getUploadChunkKey(sessionId, 1)));
+
+    const completion = await uploads.claimUploadCompletion(sender, sessionId);
+
+    assert.deepEqual(completion, { success: false, reason: 'data_lost' });
+    assert.deepEqual(storedChunks(sessionId), []);
+  });
+
+  it('deletes the received chunks when the upload is aborted', async () => {
+    const data = crypto.randomBytes(3000);
+    const sessionId = await startUpload(data);
+    await append(sessionId, 0, data.subarray(0, 1500));
+    assert.equal(storedChunks(sessionId).length, 1);
+
+    assert.deepEqual(await uploads.abortUploadSession(sender, sessionId), { success: true });
+
+    assert.deepEqual(storedChunks(sessionId), []);
+    assert.equal((await append(sessionId, 1500, data.subarray(1500))).reason, 'not_active');
+    assert.deepEqual(await uploads.abortUploadSession(sender, sessionId), { success: false, reason: 'not_active' });
+  });
+});
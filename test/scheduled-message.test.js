@@ -0,0 +1,149 @@
+/**
+ * Scheduled messages and their dispatcher (scheduled-message.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ObjectId } from 'mongodb';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let mongoDb;
+let sendMessage;
+let scheduled;
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+const startChat = async () => {
+  const aliceId = await createTestUser(db, { fullName: 'Alice' });
+  const bobId = await createTestUser(db, { fullName: 'Bob' });
+  const first = await sendMessage({ senderId: aliceId, recipientId: bobId, message: 'Hi' });
+  return { aliceId, bobId, chatId: first.messageData.chatId, first: first.messageData };
+};
+
+// Bring send_at forward instead of waiting for it
+const makeDue = id => db.query(
+  `UPDATE scheduled_messages SET send_at = CURRENT_TIMESTAMP - interval '1 second' WHERE id = $1`,
+  [id]
+);
+
+const scheduledRow = async (id) => {
+  const result = await db.query('SELECT status, attempts, message_id, last_error FROM scheduled_messages WHERE id = $1', [id]);
+  return result.rows[0];
+};
+
+describe('Scheduled messages', () => {
+  before(async () => {
+    db = await startPostgres();
+    const { getMongoDB } = await import('../src/config/mongodb.config.js');
+    mongoDb = getMongoDB();
+    // The dispatcher sends through sendMessage, which emits through the Socket.IO server
+    const { initializeSocket } = await import('../src/socket/socket.server.js');
+    initializeSocket(http.createServer());
+    ({ sendMessage } = await import('../src/services/message.service.js'));
+    scheduled = await import('../src/services/scheduled-message.service.js');
+  });
+
+  after(async () => {
+    await db?.stop();
+  });
+
+  it('lists, edits and cancels messages that are still pending', async () => {
+    const { aliceId, chatId } = await startChat();
+    const later = await scheduled.createScheduledMessage({ userId: aliceId, chatId, message: 'Later', sendAt: inAnHour() });
+    const sooner = await scheduled.createScheduledMessage({
+      userId: aliceId,
+      chatId,
+      message: 'Sooner',
+      sendAt: new Date(Date.now() + 10 * 60 * 1000),
+    });
+
+    let pending = await scheduled.listScheduledMessages(aliceId, { chatId });
+    assert.deepEqual(pending.map(row => row.message), ['Sooner', 'Later']);
+
+    const edited = await scheduled.updateScheduledMessage(aliceId, later.id, { message: 'Later, edited' });
+    assert.equal(scheduled.formatScheduledMessage(edited).message, 'Later, edited');
+
+    const cancelled = await scheduled.cancelScheduledMessage(aliceId, sooner.id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(await scheduled.cancelScheduledMessage(aliceId, sooner.id), null);
+    assert.equal(await scheduled.updateScheduledMessage(aliceId, sooner.id, { message: 'Too late' }), null);
+
+    pending = await scheduled.listScheduledMessages(aliceId, { chatId });
+    assert.deepEqual(pending.map(row => row.id), [later.id]);
+  });
+
+  it('only lets the author see or change a scheduled message', async () => {
+    const { aliceId, bobId, chatId } = await startChat();
+    const row = await scheduled.createScheduledMessage({ userId: aliceId, chatId, message: 'Mine', sendAt: inAnHour() });
+
+    assert.equal(await scheduled.getScheduledMessage(bobId, row.id), null);
+    assert.equal(await scheduled.cancelScheduledMessage(bobId, row.id), null);
+    assert.equal((await scheduled.getScheduledMessage(aliceId, row.id)).status, 'pending');
+  });
+
+  it('sends due messages and records the message they became', async () => {
+    const { aliceId, chatId, first } = await startChat();
+    const row = await scheduled.createScheduledMessage({
+      userId: aliceId,
+      chatId,
+      message: 'Happy birthday!',
+      replyToId: first.id,
+      sendAt: inAnHour(),
+    });
+    const notDue = await scheduled.createScheduledMessage({ userId: aliceId, chatId, message: 'Not yet', sendAt: inAnHour() });
+
+    await makeDue(row.id);
+    await scheduled.processScheduledMessages();
+
+    const sent = await scheduledRow(row.id);
+    assert.equal(sent.status, 'sent');
+    const message = await mongoDb.collection('messages').findOne({ _id: new ObjectId(sent.message_id) });
+    assert.equal(message.message, 'Happy birthday!');
+    assert.equal(message.scheduledMessageId, row.id);
+    assert.equal(message.replyTo.messageId.toString(), first.id);
+    assert.equal((await scheduledRow(notDue.id)).status, 'pending');
+  });
+
+  it('does not send a message twice when an earlier attempt already inserted it', async () => {
+    const { aliceId, chatId } = await startChat();
+    const row = await scheduled.createScheduledMessage({ userId: aliceId, chatId, message: 'Once', sendAt: inAnHour() });
+    const earlier = await sendMessage({ senderId: aliceId, chatId, message: 'Once', scheduledMessageId: row.id });
+
+    await makeDue(row.id);
+    await scheduled.processScheduledMessages();
+
+    assert.equal((await scheduledRow(row.id)).message_id, earlier.messageData.id);
+    assert.equal(await mongoDb.collection('messages').countDocuments({ scheduledMessageId: row.id }), 1);
+  });
+
+  it('drops a quote whose original was deleted', async () => {
+    const { aliceId, chatId, first } = await startChat();
+    const row = await scheduled.createScheduledMessage({ userId: aliceId, chatId, message: 'Re: hi', replyToId: first.id, sendAt: inAnHour() });
+    await mongoDb.collection('messages').updateOne({ _id: new ObjectId(first.id) }, { $set: { deletedAt: new Date() } });
+
+    await makeDue(row.id);
+    await scheduled.processScheduledMessages();
+
+    const sent = await scheduledRow(row.id);
+    assert.equal(sent.status, 'sent');
+    const message = await mongoDb.collection('messages').findOne({ _id: new ObjectId(sent.message_id) });
+    assert.equal(message.replyTo ?? null, null);
+  });
+
+  it('fails without retrying when the sender can no longer message the chat', async () => {
+    const { aliceId, bobId, chatId } = await startChat();
+    const row = await scheduled.createScheduledMessage({ userId: aliceId, chatId, message: 'Hello?', sendAt: inAnHour() });
+    await db.query('INSERT INTO blocked_users (blocker_id, blocked_id) VALUES ($1, $2)', [bobId, aliceId]);
+
+    await makeDue(row.id);
+    await scheduled.processScheduledMessages();
+
+    const failed = await scheduledRow(row.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 1);
+    assert.ok(failed.last_error);
+    assert.equal(await mongoDb.collection('messages').countDocuments({ scheduledMessageId: row.id }), 0);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Refresh token rotation and reuse detection (session.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+let db;
+let createUserSession;
+let rotateRefreshToken;
+let validateSession;
+let hashToken;
+
+const newSession = async () => {
+  const userId = await createTestUser(db);
+  const session = await createUserSession({
+    userId,
+    deviceId: 'device-1',
+    deviceName: 'Test phone',
+    deviceType: 'mobile',
+    ipAddress: '127.0.0.1',
+    userAgent: 'node-test',
+  });
+  return { userId, ...session };
+};
+
+// Move the last rotation back past the grace window for concurrent refreshes
+const ageRotation = sessionId => db.query(
+  "UPDATE user_sessions SET rotated_at = rotated_at - INTERVAL '1 minute' WHERE id = $1",
+  [sessionId]
+);
+
+const isActive = async (sessionId) => {
+  const result = await db.query('SELECT is_active FROM user_sessions WHERE id = $1', [sessionId]);
+  return result.rows[0].is_active;
+};
+
+describe('Refresh token rotation', () => {
+  before(async () => {
+    db = await startPostgres();
+    ({ createUserSession, rotateRefreshToken, validateSession, hashToken } = await import('../src/services/session.service.js'));
+  });
+
+  after(async () => {
+    await db?.stop();
+  });
+
+  it('swaps the token for a new one on the same session', async () => {
+    const { userId, sessionId, refreshToken } = await newSession();
+
+    const rotated = await rotateRefreshToken(refreshToken, { ipAddress: '127.0.0.2' });
+
+    assert.equal(rotated.status, 'rotated');
+    assert.equal(rotated.session.id, sessionId);
+    assert.equal(rotated.session.user_id, userId);
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.ok(rotated.refreshToken.startsWith(`${sessionId}.`));
+
+    const next = await rotateRefreshToken(rotated.refreshToken);
+    assert.equal(next.status, 'rotated');
+  });
+
+  it('lets only one of two concurrent refreshes rotate', async () => {
+    const { refreshToken } = await newSession();
+
+    const results = await Promise.all([
+      rotateRefreshToken(refreshToken),
+      rotateRefreshToken(refreshToken),
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['in_progress', 'rotated']);
+  });
+
+  it('revokes the session when a rotated-out token is presented after the grace window', async () => {
+    const { userId, sessionId, refreshToken } = await newSession();
+    const rotated = await rotateRefreshToken(refreshToken);
+    await ageRotation(sessionId);
+
+    const reused = await rotateRefreshToken(refreshToken);
+
+    assert.equal(reused.status, 'reused');
+    assert.equal(await isActive(sessionId), false);
+    assert.equal((await rotateRefreshToken(rotated.refreshToken)).status, 'expired');
+    assert.equal(await validateSession({ userId, deviceId: 'device-1', sessionId }), null);
+  });
+
+  it('revokes the session when a token from two rotations back is replayed', async () => {
+    const { sessionId, refreshToken: stolen } = await newSession();
+    const first = await rotateRefreshToken(stolen);
+    const second = await rotateRefreshToken(first.refreshToken);
+    assert.equal(second.status, 'rotated');
+
+    const replayed = await rotateRefreshToken(stolen);
+
+    assert.equal(replayed.status, 'reused');
+    assert.equal(await isActive(sessionId), false);
+    assert.equal((await rotateRefreshToken(second.refreshToken)).status, 'expired');
+  });
+
+  it('revokes on an older token even inside the grace window of the latest rotation', async () => {
+    const { sessionId, refreshToken: stolen } = await newSession();
+    const first = await rotateRefreshToken(stolen);
+    await rotateRefreshToken(first.refreshToken);
+
+    assert.equal((await rotateRefreshToken(stolen)).status, 'reused');
+    assert.equal(await isActive(sessionId), false);
+  });
+
+  it('keeps a bounded history of rotated-out tokens, newest first', async () => {
+    const { sessionId, refreshToken } = await newSession();
+    await db.query(
+      "UPDATE user_sessions SET retired_token_hashes = array_fill('old'::text, ARRAY[200]) WHERE id = $1",
+      [sessionId]
+    );
+
+    await rotateRefreshToken(refreshToken);
+
+    const result = await db.query(
+      'SELECT cardinality(retired_token_hashes) AS retired, retired_token_hashes[1] AS newest FROM user_sessions WHERE id = $1',
+      [sessionId]
+    );
+    assert.equal(result.rows[0].retired, 200);
+    assert.equal(result.rows[0].newest, hashToken(refreshToken.split('.')[1]));
+  });
+
+  it('treats an unknown secret for a real session as invalid without revoking it', async () => {
+    const { sessionId, refreshToken } = await newSession();
+
+    const forged = await rotateRefreshToken(`${sessionId}.not-the-secret`);
+
+    assert.equal(forged.status, 'invalid');
+    assert.equal(await isActive(sessionId), true);
+    assert.equal((await rotateRefreshToken(refreshToken)).status, 'rotated');
+  });
+
+  it('rejects malformed tokens', async () => {
+    assert.equal((await rotateRefreshToken('garbage')).status, 'invalid');
+    assert.equal((await rotateRefreshToken(undefined)).status, 'invalid');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * SMS transports (sms.service.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { sendSms, readSmsOutbox, registerSmsProvider, assertSmsProviderConfigured } from '../src/services/sms.service.js';
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axzora-test-sms-'));
+
+describe('SMS transports', () => {
+  before(() => {
+    process.env.SMS_OUTBOX_FILE = path.join(outboxDir, 'sms.log');
+  });
+
+  after(() => {
+    delete process.env.SMS_PROVIDER;
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  it('writes messages to the outbox file, newest last, filtered by recipient', async () => {
+    process.env.SMS_PROVIDER = 'file';
+
+    const sent = await sendSms({ to: '+15550001', body: 'first' });
+    await sendSms({ to: '+15550002', body: 'other' });
+    await sendSms({ to: '+15550001', body: 'second' });
+
+    assert.equal(sent.provider, 'file');
+    assert.ok(sent.id);
+    assert.deepEqual((await readSmsOutbox('+15550001')).map(entry => entry.body), ['first', 'second']);
+    assert.equal((await readSmsOutbox()).length, 3);
+  });
+
+  it('prints messages with the console transport', async (t) => {
+    process.env.SMS_PROVIDER = 'console';
+    const log = t.mock.method(console, 'log', () => {});
+
+    const sent = await sendSms({ to: '+15550003', body: 'hello' });
+
+    assert.equal(sent.provider, 'console');
+    assert.match(log.mock.calls[0].arguments[0], /\+15550003: hello/);
+    assert.deepEqual(await readSmsOutbox('+15550003'), []);
+  });
+
+  it('sends through registered providers and refuses unknown ones', async () => {
+    const sent = [];
+    registerSmsProvider('test-recorder', { send: async (message) => { sent.push(message); return { id: 'rec-1' }; } });
+    process.env.SMS_PROVIDER = 'test-recorder';
+
+    assert.deepEqual(await sendSms({ to: '+15550004', body: 'hi' }), { provider: 'test-recorder', id: 'rec-1' });
+    assert.deepEqual(sent, [{ to: '+15550004', body: 'hi' }]);
+
+    process.env.SMS_PROVIDER = 'nope';
+    await assert.rejects(sendSms({ to: '+15550004', body: 'hi' }), /Unknown SMS provider: nope/);
+    assert.throws(() => registerSmsProvider('broken', {}), /send\(\) method/);
+  });
+
+  it('refuses the console and file transports in production', async (t) => {
+    t.after(() => {
+      process.env.NODE_ENV = 'test';
+      delete process.env.TWILIO_ACCOUNT_SID;
+      delete process.env.TWILIO_AUTH_TOKEN;
+      delete process.env.TWILIO_FROM_NUMBER;
+    });
+    process.env.NODE_ENV = 'production';
+
+    for (const providerName of [undefined, 'console', 'file']) {
+      if (providerName) {
+        process.env.SMS_PROVIDER = providerName;
+      } else {
+        delete process.env.SMS_PROVIDER;
+      }
+      assert.throws(() => assertSmsProviderConfigured(), /can't be used in production/);
+      await assert.rejects(sendSms({ to: '+15550005', body: 'code' }), /can't be used in production/);
+    }
+
+    process.env.SMS_PROVIDER = 'twilio';
+    assert.throws(() => assertSmsProviderConfigured(), /Twilio is not configured/);
+    Object.assign(process.env, {
+      TWILIO_ACCOUNT_SID: 'AC-test',
+      TWILIO_AUTH_TOKEN: 'token',
+      TWILIO_FROM_NUMBER: '+15550000000',
+    });
+    assert.doesNotThrow(() => assertSmsProviderConfigured());
+  });
+
+  it('reads an empty outbox when nothing was sent', async () => {
+    process.env.SMS_OUTBOX_FILE = path.join(outboxDir, 'missing.log');
+
+    assert.deepEqual(await readSmsOutbox(), []);
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * In-memory stand-in for src/config/mongodb.config.js (see loader.js)
+ *
+ * Collections keep their documents in arrays; filters, projections, sorts and
+ * updates (operators and aggregation pipelines) are evaluated with mingo, so
+ * they follow MongoDB's query semantics. Every operation runs synchronously,
+ * which makes single-document updates atomic as they are on a real server.
+ * Only the collection methods the services use are implemented.
+ *
+ * $text (first $match stage of an aggregation only) searches the message field,
+ * like idx_message_text with default_language 'none': whole words, no stemming,
+ * case-insensitive. Its textScore is the number of query words and phrases found.
+ */
+
+import { ObjectId } from 'mongodb';
+import { Query, aggregate, find, updateOne } from 'mingo';
+
+// Copies what a document returned by the driver would be - callers can't change stored state
+const clone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value instanceof Date) {
+    return new Date(value);
+  }
+  if (value && typeof value === 'object' && !(value instanceof ObjectId)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const valueKey = value => (value instanceof ObjectId ? `oid:${value}` : JSON.stringify(value));
+
+const getPath = (document, field) => field.split('.').reduce((value, part) => {
+  if (Array.isArray(value)) {
+    return value.flatMap(item => (item?.[part] === undefined ? [] : [item[part]]));
+  }
+  return value?.[part];
+}, document);
+
+const TEXT_SCORE_FIELD = '__textScore';
+
+const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !(value instanceof ObjectId);
+
+const containsWord = (text, word) => new RegExp(
+  `(?<![\\p{L}\\p{N}_])${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}_])`,
+  'iu'
+).test(text);
+
+/**
+ * textScore of a document for a $search string, 0 if it doesn't match
+ * Words are ORed, "phrases" must all be present and -words must not be.
+ */
+const textScore = (document, search) => {
+  const text = typeof document.message === 'string' ? document.message : '';
+  const phrases = [];
+  const words = search
+    .replace(/"([^"]*)"/g, (match, phrase) => {
+      if (phrase.trim()) phrases.push(phrase.trim());
+      return ' ';
+    })
+    .split(/\s+/)
+    .filter(Boolean);
+  const excluded = words.filter(word => word.startsWith('-')).map(word => word.slice(1)).filter(Boolean);
+  const terms = words.filter(word => !word.startsWith('-')).flatMap(word => word.split(/[^\p{L}\p{N}_]+/u)).filter(Boolean);
+
+  if (excluded.some(word => containsWord(text, word)) || !phrases.every(phrase => containsWord(text, phrase))) {
+    return 0;
+  }
+  return phrases.length + terms.filter(term => containsWord(text, term)).length;
+};
+
+// { $meta: 'textScore' } reads the score worked out for the $text stage
+const replaceTextScoreMeta = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(replaceTextScoreMeta);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  if (value.$meta === 'textScore') {
+    return `$${TEXT_SCORE_FIELD}`;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceTextScoreMeta(item)]));
+};
+
+class FakeCursor {
+  constructor(collection, filter, { projection, sort, skip, limit } = {}) {
+    this.collection = collection;
+    this.filter = filter;
+    this.options = { projection, sort, skip, limit };
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  async toArray() {
+    const { projection, sort, skip, limit } = this.options;
+    let cursor = find(this.collection.documents, this.filter, projection);
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.all().map(clone);
+  }
+
+  // Only the first document - the services call it after limit(1)
+  async next() {
+    const [document = null] = await this.toArray();
+    return document;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class FakeCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.documents = [];
+  }
+
+  indexOf(filter, options = {}) {
+    const query = new Query(filter || {});
+    if (options.sort) {
+      const [first] = find(this.documents, filter || {}).sort(options.sort).all();
+      return first ? this.documents.indexOf(first) : -1;
+    }
+    return this.documents.findIndex(document => query.test(document));
+  }
+
+  matchingIndexes(filter) {
+    const query = new Query(filter || {});
+    return this.documents.flatMap((document, index) => (query.test(document) ? [index] : []));
+  }
+
+  applyUpdate(index, filter, update, { arrayFilters } = {}) {
+    const documents = [this.documents[index]];
+    const { modifiedCount } = updateOne(documents, filter || {}, update, { arrayFilters });
+    this.documents[index] = documents[0];
+    return modifiedCount;
+  }
+
+  project(document, projection) {
+    if (!document) return null;
+    return clone(projection ? find([document], {}, projection).next() : document);
+  }
+
+  async insertOne(document) {
+    const stored = clone({ _id: document._id ?? new ObjectId(), ...document });
+    this.documents.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(documents) {
+    const insertedIds = {};
+    for (const [index, document] of documents.entries()) {
+      insertedIds[index] = (await this.insertOne(document)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: documents.length, insertedIds };
+  }
+
+  async findOne(filter, { projection, sort } = {}) {
+    const index = this.indexOf(filter, { sort });
+    return index === -1 ? null : this.project(this.documents[index], projection);
+  }
+
+  find(filter = {}, options = {}) {
+    return new FakeCursor(this, filter, options);
+  }
+
+  aggregate(pipeline) {
+    let documents = this.documents;
+    let stages = pipeline;
+
+    const [first, ...rest] = pipeline;
+    if (first?.$match?.$text) {
+      const { $text, ...filter } = first.$match;
+      documents = find(this.documents, filter).all()
+        .map(document => ({ ...document, [TEXT_SCORE_FIELD]: textScore(document, $text.$search) }))
+        .filter(document => document[TEXT_SCORE_FIELD] > 0);
+      stages = replaceTextScoreMeta(rest);
+    }
+
+    return {
+      toArray: async () => aggregate(documents, stages).map(({ [TEXT_SCORE_FIELD]: score, ...document }) => clone(document)),
+    };
+  }
+
+  async distinct(field, filter = {}) {
+    const values = new Map();
+    for (const index of this.matchingIndexes(filter)) {
+      const value = getPath(this.documents[index], field);
+      for (const item of [].concat(value ?? [])) {
+        values.set(valueKey(item), item);
+      }
+    }
+    return [...values.values()].map(clone);
+  }
+
+  async countDocuments(filter = {}) {
+    return this.matchingIndexes(filter).length;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    if (options.upsert) {
+      throw new Error('upsert is not supported by the fake MongoDB');
+    }
+    const index = this.indexOf(filter);
+    if (index === -1) {
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    }
+    return { acknowledged: true, matchedCount: 1, modifiedCount: this.applyUpdate(index, filter, update, options) };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const indexes = this.matchingIndexes(filter);
+    let modifiedCount = 0;
+    for (const index of indexes) {
+      modifiedCount += this.applyUpdate(index, filter, update, options);
+    }
+    return { acknowledged: true, matchedCount: indexes.length, modifiedCount };
+  }
+
+  async findOneAndUpdate(filter, update, { returnDocument = 'before', projection, sort, arrayFilters } = {}) {
+    const index = this.indexOf(filter, { sort });
+    if (index === -1) {
+      return null;
+    }
+    const before = this.project(this.documents[index], projection);
+    this.applyUpdate(index, filter, update, { arrayFilters });
+    return returnDocument === 'after' ? this.project(this.documents[index], projection) : before;
+  }
+
+  async deleteOne(filter) {
+    const index = this.indexOf(filter);
+    if (index !== -1) {
+      this.documents.splice(index, 1);
+    }
+    return { acknowledged: true, deletedCount: index === -1 ? 0 : 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const query = new Query(filter);
+    const before = this.documents.length;
+    this.documents = this.documents.filter(document => !query.test(document));
+    return { acknowledged: true, deletedCount: before - this.documents.length };
+  }
+
+  async createIndex() {
+    return null;
+  }
+}
+
+const collections = new Map();
+
+const mongoDb = {
+  databaseName: 'axzorachat-test',
+  collection: (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new FakeCollection(name));
+    }
+    return collections.get(name);
+  },
+};
+
+export const connectMongoDB = async () => mongoDb;
+
+export const getMongoDB = () => mongoDb;
+
+export const closeMongoDB = async () => {};
+
+export default { connectMongoDB, getMongoDB, closeMongoDB };
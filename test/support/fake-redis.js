@@ -0,0 +1,175 @@
+/**
+ * In-memory stand-in for src/config/redis.config.js (see loader.js)
+ *
+ * Implements the node-redis v4 commands the services use, with the same reply
+ * shapes: strings for values, numbers for counters, null for missing keys.
+ * Each command runs synchronously, so it is atomic like on a real server, and
+ * a MULTI block runs its queued commands back to back. EVAL scripts run the
+ * same way, in one synchronous step.
+ */
+
+const entries = new Map(); // key -> { value: string | Map, expiresAt: number | null }
+
+const live = (key) => {
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    return null;
+  }
+  return entry || null;
+};
+
+const getHash = (key) => {
+  let entry = live(key);
+  if (!entry) {
+    entry = { value: new Map(), expiresAt: null };
+    entries.set(key, entry);
+  }
+  if (!(entry.value instanceof Map)) {
+    throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+  }
+  return entry.value;
+};
+
+const incrementString = (key, by) => {
+  const entry = live(key);
+  const next = Number(entry ? entry.value : 0) + by;
+  entries.set(key, { value: String(next), expiresAt: entry?.expiresAt ?? null });
+  return next;
+};
+
+const ops = {
+  get: (key) => live(key)?.value ?? null,
+
+  set: (key, value, { NX, EX, PX } = {}) => {
+    if (NX && live(key)) {
+      return null;
+    }
+    const ttlMs = EX ? EX * 1000 : PX || null;
+    entries.set(key, { value: String(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    return 'OK';
+  },
+
+  setEx: (key, seconds, value) => ops.set(key, value, { EX: seconds }),
+
+  del: (keys) => {
+    let deleted = 0;
+    for (const key of [].concat(keys)) {
+      if (live(key)) {
+        entries.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  },
+
+  exists: (keys) => [].concat(keys).filter(key => live(key)).length,
+
+  expire: (key, seconds) => {
+    const entry = live(key);
+    if (!entry) {
+      return false;
+    }
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return true;
+  },
+
+  ttl: (key) => {
+    const entry = live(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  },
+
+  incr: (key) => incrementString(key, 1),
+  incrBy: (key, by) => incrementString(key, by),
+  decrBy: (key, by) => incrementString(key, -by),
+
+  hSet: (key, fieldOrValues, value) => {
+    const hash = getHash(key);
+    const values = typeof fieldOrValues === 'object' ? fieldOrValues : { [fieldOrValues]: value };
+    let added = 0;
+    for (const [field, fieldValue] of Object.entries(values)) {
+      added += hash.has(field) ? 0 : 1;
+      hash.set(field, String(fieldValue));
+    }
+    return added;
+  },
+
+  hGet: (key, field) => {
+    const entry = live(key);
+    return entry?.value instanceof Map ? entry.value.get(field) ?? null : null;
+  },
+
+  hGetAll: (key) => {
+    const entry = live(key);
+    return entry?.value instanceof Map ? Object.fromEntries(entry.value) : {};
+  },
+
+  hIncrBy: (key, field, by) => {
+    const hash = getHash(key);
+    const next = Number(hash.get(field) || 0) + by;
+    hash.set(field, String(next));
+    return next;
+  },
+};
+
+const commands = Object.fromEntries(Object.entries(ops).map(([name, op]) => [name.toLowerCase(), op]));
+
+/**
+ * Run an EVAL script by rewriting its Lua into JavaScript
+ * Covers what the services' scripts use: redis.call, local, if/then/end and return.
+ */
+const evalScript = (script, { keys = [], arguments: args = [] } = {}) => {
+  const source = script
+    .replace(/\blocal\b/g, 'let')
+    .replace(/\bif\b(.*)\bthen\b/g, 'if ($1) {')
+    .replace(/\bend\b/g, '}')
+    .replace(/~=/g, '!==')
+    .replace(/redis\.call\(/g, 'call(');
+  const call = (name, ...callArgs) => commands[name.toLowerCase()](...callArgs);
+  // Lua arrays start at 1
+  return new Function('call', 'KEYS', 'ARGV', source)(call, [null, ...keys], [null, ...args]);
+};
+
+const multi = () => {
+  const queued = [];
+  const chain = {
+    exec: async () => queued.map(([name, args]) => ops[name](...args)),
+  };
+  for (const name of Object.keys(ops)) {
+    chain[name] = (...args) => {
+      queued.push([name, args]);
+      return chain;
+    };
+  }
+  return chain;
+};
+
+const client = {
+  ...Object.fromEntries(Object.entries(ops).map(([name, op]) => [name, async (...args) => op(...args)])),
+  scanIterator: async function* ({ MATCH = '*' } = {}) {
+    const pattern = new RegExp(`^${MATCH.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    for (const key of [...entries.keys()]) {
+      if (live(key) && pattern.test(key)) {
+        yield key;
+      }
+    }
+  },
+  eval: async (script, options) => evalScript(script, options),
+  multi,
+  isOpen: true,
+};
+
+export const connectRedis = async () => client;
+
+export const getRedisClient = () => client;
+
+export const closeRedis = async () => {};
+
+/**
+ * Drop every key, e.g. to simulate a Redis restart
+ */
+export const flushFakeRedis = () => entries.clear();
+
+export default { connectRedis, getRedisClient, closeRedis };
@@ -0,0 +1,17 @@
+/**
+ * Module resolve hook for the test suite
+ * Points the Redis and MongoDB config modules at in-memory stand-ins, so the
+ * services under test run unchanged without those servers. PostgreSQL is real
+ * (see postgres.js).
+ */
+
+const fakes = new Map([
+  [new URL('../../src/config/redis.config.js', import.meta.url).href, new URL('./fake-redis.js', import.meta.url).href],
+  [new URL('../../src/config/mongodb.config.js', import.meta.url).href, new URL('./fake-mongodb.js', import.meta.url).href],
+]);
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  const fake = fakes.get(resolved.url);
+  return fake ? { ...resolved, url: fake, shortCircuit: true } : resolved;
+}
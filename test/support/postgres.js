@@ -0,0 +1,85 @@
+/**
+ * Throwaway PostgreSQL server for a test file
+ *
+ * Starts embedded-postgres on a free port in a temporary directory, loads
+ * src/database/schema.sql and points the POSTGRES_* variables at it. Import
+ * the modules under test after startPostgres() resolves - postgres.config.js
+ * reads the variables when it is first loaded.
+ */
+
+import EmbeddedPostgres from 'embedded-postgres';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+const schemaPath = new URL('../../src/database/schema.sql', import.meta.url);
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+/**
+ * @returns {Promise<{query: Function, stop: Function}>} query runs SQL on a separate connection
+ */
+export const startPostgres = async () => {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axzora-test-pg-'));
+  // initdb runs as an unprivileged user when the tests run as root
+  fs.chmodSync(baseDir, 0o777);
+
+  const port = await getFreePort();
+  const server = new EmbeddedPostgres({
+    databaseDir: path.join(baseDir, 'data'),
+    user: 'postgres',
+    password: 'postgres',
+    port,
+    persistent: false,
+    onLog: () => {},
+    onError: () => {},
+  });
+
+  await server.initialise();
+  await server.start();
+
+  const client = server.getPgClient();
+  await client.connect();
+  await client.query(fs.readFileSync(schemaPath, 'utf8'));
+
+  Object.assign(process.env, {
+    POSTGRES_HOST: 'localhost',
+    POSTGRES_PORT: String(port),
+    POSTGRES_DB: 'postgres',
+    POSTGRES_USER: 'postgres',
+    POSTGRES_PASSWORD: 'postgres',
+    POSTGRES_SSL: 'false',
+  });
+  delete process.env.POSTGRES_URL;
+
+  return {
+    query: (text, params) => client.query(text, params),
+    stop: async () => {
+      const { default: postgresPool } = await import('../../src/config/postgres.config.js');
+      await postgresPool.end().catch(() => {});
+      await client.end().catch(() => {});
+      await server.stop();
+      fs.rmSync(baseDir, { recursive: true, force: true });
+    },
+  };
+};
+
+/**
+ * Insert a user and return its id
+ */
+export const createTestUser = async (db, { phoneNumber, countryCode = '+1', fullName = 'Test User', profilePictureUrl = null } = {}) => {
+  const result = await db.query(
+    `INSERT INTO users (phone_number, country_code, full_name, profile_picture_url)
+     VALUES ($1, $2, $3, $4) RETURNING id`,
+    [phoneNumber || String(Math.floor(1e9 + Math.random() * 9e9)), countryCode, fullName, profilePictureUrl]
+  );
+  return result.rows[0].id;
+};
@@ -0,0 +1,12 @@
+/**
+ * Preloaded by `npm test` (node --import)
+ * Installs the resolve hook in loader.js and the settings every test file shares.
+ */
+
+import { register } from 'node:module';
+
+register('./loader.js', import.meta.url);
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET ||= 'test-jwt-secret';
+process.env.BASE_URL ||= 'http://localhost:3000';
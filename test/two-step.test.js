@@ -0,0 +1,120 @@
+/**
+ * Two-step verification: PIN checks, known devices and PIN reset (two-step.service.js)
+ * Reset codes are read back from the file mail transport.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { startPostgres, createTestUser } from './support/postgres.js';
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axzora-test-mail-'));
+Object.assign(process.env, {
+  MAIL_PROVIDER: 'file',
+  MAIL_OUTBOX_FILE: path.join(outboxDir, 'mail.log'),
+  TWO_STEP_MAX_ATTEMPTS: '3',
+});
+
+let db;
+let twoStep;
+let readMailOutbox;
+let createUserSession;
+
+const PIN = '482913';
+
+const enableTwoStep = async (recoveryEmail) => {
+  const userId = await createTestUser(db);
+  await twoStep.setTwoStepPin(userId, PIN, recoveryEmail);
+  return userId;
+};
+
+const lastResetCode = async (email) => {
+  const messages = await readMailOutbox(email);
+  return /\b(\d{8})\b/.exec(messages.at(-1)?.text || '')?.[1] || null;
+};
+
+// An 8-digit code that isn't the one that was sent
+const wrongCode = code => String((Number(code) + 1) % 100000000).padStart(8, '0');
+
+describe('Two-step verification', () => {
+  before(async () => {
+    db = await startPostgres();
+    twoStep = await import('../src/services/two-step.service.js');
+    ({ readMailOutbox } = await import('../src/services/mail.service.js'));
+    ({ createUserSession } = await import('../src/services/session.service.js'));
+  });
+
+  after(async () => {
+    await db?.stop();
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  it('locks the PIN after TWO_STEP_MAX_ATTEMPTS wrong entries', async () => {
+    const userId = await enableTwoStep();
+
+    assert.deepEqual(await twoStep.verifyTwoStepPin(userId, '000000'), { valid: false, reason: 'invalid', attemptsRemaining: 2 });
+    await twoStep.verifyTwoStepPin(userId, '000000');
+    const locked = await twoStep.verifyTwoStepPin(userId, '000000');
+    assert.equal(locked.reason, 'locked');
+
+    assert.equal((await twoStep.verifyTwoStepPin(userId, PIN)).reason, 'locked');
+  });
+
+  it('only treats a device as known with a token for its session', async () => {
+    const userId = await enableTwoStep();
+    const { sessionId, refreshToken } = await createUserSession({
+      userId,
+      deviceId: 'phone-1',
+      deviceName: 'Phone',
+      deviceType: 'mobile',
+      ipAddress: '127.0.0.1',
+      userAgent: 'node-test',
+    });
+    const accessToken = jwt.sign({ userId, deviceId: 'phone-1', sessionId }, process.env.JWT_SECRET, { expiresIn: 60 });
+
+    assert.equal(await twoStep.isKnownDevice(userId, 'phone-1'), false);
+    assert.equal(await twoStep.isKnownDevice(userId, 'phone-1', { accessToken }), true);
+    assert.equal(await twoStep.isKnownDevice(userId, 'phone-1', { refreshToken }), true);
+    assert.equal(await twoStep.isKnownDevice(userId, 'phone-2', { accessToken, refreshToken }), false);
+  });
+
+  it('emails a reset code to the recovery address that turns two-step off', async () => {
+    const email = 'reset-ok@example.com';
+    const userId = await enableTwoStep(email);
+
+    assert.equal(await twoStep.requestPinReset(userId), true);
+    const code = await lastResetCode(email);
+    assert.match(code, /^\d{8}$/);
+
+    assert.equal(await twoStep.confirmPinReset(userId, code), true);
+    assert.equal((await twoStep.getTwoStepStatus(userId)).enabled, false);
+    assert.equal(await twoStep.confirmPinReset(userId, code), false);
+  });
+
+  it('burns the reset code after five wrong guesses', async () => {
+    const email = 'reset-burned@example.com';
+    const userId = await enableTwoStep(email);
+    await twoStep.requestPinReset(userId);
+    const code = await lastResetCode(email);
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.equal(await twoStep.confirmPinReset(userId, wrongCode(code)), false);
+    }
+    assert.equal(await twoStep.confirmPinReset(userId, code), false);
+    assert.equal((await twoStep.getTwoStepStatus(userId)).enabled, true);
+
+    // A new code starts a new count
+    await twoStep.requestPinReset(userId);
+    assert.equal(await twoStep.confirmPinReset(userId, await lastResetCode(email)), true);
+  });
+
+  it('sends nothing when no recovery email is set', async () => {
+    const userId = await enableTwoStep();
+
+    assert.equal(await twoStep.requestPinReset(userId), false);
+    assert.equal(await twoStep.confirmPinReset(userId, '12345678'), false);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Upload checks: content detection, type matching and image metadata removal
+ * (file-type.utils.js, upload.middleware.js)
+ * Files go to the local storage driver in a temporary UPLOADS_DIR.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import express from 'express';
+import sharp from 'sharp';
+import { detectFileType } from '../src/utils/file-type.utils.js';
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axzora-test-uploads-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOADS_DIR = uploadsDir;
+
+let upload;
+let apiServer;
+
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const MP4_HEADER = Buffer.from('00000018667479706d703432', 'hex'); // ....ftypmp42
+
+const jpegWithExif = () => sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } })
+  .jpeg()
+  .withExif({ IFD0: { Copyright: 'Alice', Software: 'Camera 1.0' } })
+  .toBuffer();
+
+// A staged upload as multer leaves it, ready for storeMessageUpload
+let staged = 0;
+const stageFile = (originalname, data) => {
+  const filename = `file-user-${Date.now()}-${++staged}${path.extname(originalname)}`;
+  const filePath = path.join(os.tmpdir(), `axzora-test-staged-${filename}`);
+  fs.writeFileSync(filePath, data);
+  return { originalname, mimetype: 'application/octet-stream', size: data.length, path: filePath, filename };
+};
+
+const store = async (messageType, originalname, data) => {
+  const file = stageFile(originalname, data);
+  try {
+    await upload.storeMessageUpload({ body: { messageType } }, file);
+    return file;
+  } catch (error) {
+    assert.equal(fs.existsSync(file.path), false, 'staged file is removed on rejection');
+    return error.uploadError;
+  }
+};
+
+const postFile = async (messageType, originalname, data) => {
+  const form = new FormData();
+  form.append('messageType', messageType);
+  form.append('file', new Blob([data]), originalname);
+  const response = await fetch(`http://127.0.0.1:${apiServer.address().port}/upload`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('Upload checks', () => {
+  before(async () => {
+    upload = await import('../src/middleware/upload.middleware.js');
+
+    const app = express();
+    app.post(
+      '/upload',
+      (req, res, next) => { req.userId = 'user'; next(); },
+      upload.uploadMessageFile,
+      (req, res) => res.json({ success: true, mimetype: req.file.mimetype }),
+      upload.handleMulterError
+    );
+    apiServer = http.createServer(app);
+    await new Promise(resolve => apiServer.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    await new Promise(resolve => apiServer.close(resolve));
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  it('identifies files by their first bytes, not their names', () => {
+    const zip = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]);
+
+    assert.equal(detectFileType(PNG_HEADER, 'photo.pdf').mime, 'image/png');
+    assert.equal(detectFileType(Buffer.from('%PDF-1.7\n'), 'notes.txt').mime, 'application/pdf');
+    assert.deepEqual(detectFileType(MP4_HEADER), { mime: 'video/mp4', kind: 'video', audioContainer: true });
+    assert.equal(detectFileType(zip, 'report.docx').kind, 'document');
+    assert.equal(detectFileType(zip, 'photos.zip').kind, 'archive');
+    assert.equal(detectFileType(Buffer.from('a,b\n1,2\n'), 'data.csv').mime, 'text/csv');
+  });
+
+  it('calls out executables and scripts, and gives up on unknown binaries', () => {
+    assert.equal(detectFileType(Buffer.from('MZ\x90\x00'), 'setup.pdf').kind, 'executable');
+    assert.equal(detectFileType(Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02])).kind, 'executable');
+    assert.equal(detectFileType(Buffer.from('#!/bin/sh\nrm -rf /\n'), 'readme.txt').kind, 'executable');
+    assert.equal(detectFileType(Buffer.from([0x00, 0x01, 0x02, 0xfe, 0xff])), null);
+  });
+
+  it('stores a file whose content fits the message type, with the detected MIME type', async () => {
+    const file = await store('document', 'minutes.pdf', Buffer.from('%PDF-1.7\n%%EOF\n'));
+
+    assert.equal(file.mimetype, 'application/pdf');
+    assert.equal(file.contentKind, 'document');
+    assert.deepEqual(fs.readdirSync(uploadsDir).filter(name => name === file.filename), [file.filename]);
+  });
+
+  it('stores mp4 voice notes as audio', async () => {
+    const file = await store('audio', 'voice.mp4', MP4_HEADER);
+
+    assert.equal(file.mimetype, 'audio/mp4');
+    assert.equal(file.contentKind, 'audio');
+  });
+
+  it('refuses blocked, mismatched and unrecognised files without storing them', async () => {
+    const before = fs.readdirSync(uploadsDir).length;
+
+    assert.equal(await store('file', 'tool.exe', Buffer.from('%PDF-1.7\n')), 'blocked_type');
+    assert.equal(await store('document', 'invoice.pdf', Buffer.from('MZ\x90\x00')), 'blocked_type');
+    assert.equal(await store('file', 'notes.txt', Buffer.from('#!/bin/sh\necho hi\n')), 'blocked_type');
+    assert.equal(await store('video', 'clip.mp4', PNG_HEADER), 'type_mismatch');
+    assert.equal(await store('file', 'blob.dat', Buffer.from([0x00, 0x01, 0x02, 0xfe, 0xff])), 'unsupported_type');
+    assert.equal(await store('sticker', 'hi.png', PNG_HEADER), 'invalid_message_type');
+    assert.equal(fs.readdirSync(uploadsDir).length, before);
+  });
+
+  it('strips EXIF from images before they are stored', async () => {
+    const original = await jpegWithExif();
+    assert.ok((await sharp(original).metadata()).exif);
+
+    const file = await store('image', 'holiday.jpg', original);
+
+    const stored = fs.readFileSync(path.join(uploadsDir, file.filename));
+    const metadata = await sharp(stored).metadata();
+    assert.equal(metadata.exif, undefined);
+    assert.equal(metadata.width, 8);
+    assert.equal(file.size, stored.length);
+    assert.equal(file.media.size, stored.length);
+  });
+
+  it('answers rejections with a status and code', async () => {
+    const exe = await postFile('file', 'tool.exe', Buffer.from('MZ\x90\x00'));
+    const mismatch = await postFile('video', 'clip.mp4', PNG_HEADER);
+    const ok = await postFile('image', 'pixel.png', await sharp({ create: { width: 1, height: 1, channels: 3, background: '#fff' } }).png().toBuffer());
+
+    assert.equal(exe.status, 415);
+    assert.equal(exe.body.code, 'blocked_type');
+    assert.equal(exe.body.success, false);
+    assert.equal(mismatch.status, 415);
+    assert.equal(mismatch.body.code, 'type_mismatch');
+    assert.match(mismatch.body.message, /detected image\/png/);
+    assert.deepEqual(ok, { status: 200, body: { success: true, mimetype: 'image/png' } });
+  });
+});